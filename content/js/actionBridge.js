@@ -0,0 +1,175 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this file,
+ * You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var loop = loop || {};
+
+/**
+ * Forwards chosen actions between the panel and the conversation windows.
+ *
+ * Each window has its own dispatcher, so the bridge is added to it as a
+ * middleware. Once an outgoing action has been handled, it is broadcast to
+ * the other windows through MozLoopAPI. The bridge in the other windows then
+ * dispatches it locally if it is one of their incoming actions.
+ */
+loop.ActionBridge = (function() {
+  "use strict";
+
+  var sharedActions = loop.shared.actions;
+
+  /**
+   * The name of the event that MozLoopAPI sends to the window when an action
+   * has been broadcast by another window.
+   *
+   * @type {String}
+   */
+  var BRIDGED_ACTION_EVENT = "LoopBridgedAction";
+
+  /**
+   * Constructor
+   *
+   * @param {Object} options Options for the bridge. Should contain:
+   * - {loop.Dispatcher} dispatcher The dispatcher for this window.
+   * - {Object}          mozLoop    The MozLoop API.
+   * - {Array}           outgoing   Names of actions to forward to the
+   *                                other windows.
+   * - {Array}           incoming   Names of actions to accept from the
+   *                                other windows.
+   * - {Function}        getRoomToken Optional. Returns the token of the room
+   *                                this window is for. If specified, actions
+   *                                are tagged with the token when sent, and
+   *                                incoming actions for other rooms are
+   *                                ignored.
+   */
+  var ActionBridge = function(options) {
+    if (!options.dispatcher) {
+      throw new Error("Missing option dispatcher");
+    }
+    if (!options.mozLoop) {
+      throw new Error("Missing option mozLoop");
+    }
+
+    this._dispatcher = options.dispatcher;
+    this._mozLoop = options.mozLoop;
+    this._outgoing = options.outgoing || [];
+    this._incoming = options.incoming || [];
+    this._getRoomToken = options.getRoomToken || null;
+    this._rootObj = ("rootObject" in options) ? options.rootObject : window;
+    this._receivedActions = [];
+
+    this._onBridgedAction = this._onBridgedAction.bind(this);
+  };
+
+  ActionBridge.prototype = {
+    /**
+     * Starts forwarding actions to and from the other windows.
+     */
+    start: function() {
+      this._dispatcher.addMiddleware(this);
+      this._rootObj.addEventListener(BRIDGED_ACTION_EVENT, this._onBridgedAction);
+    },
+
+    /**
+     * Stops forwarding actions.
+     */
+    stop: function() {
+      this._dispatcher.removeMiddleware(this);
+      this._rootObj.removeEventListener(BRIDGED_ACTION_EVENT, this._onBridgedAction);
+    },
+
+    /**
+     * Sends an action to the other windows, regardless of whether it is one
+     * of the outgoing actions. Used to send an action to a specific room's
+     * window, without dispatching it locally.
+     *
+     * @param {sharedActions.Action} action    The action to send.
+     * @param {String}               roomToken Optional. The room to send it to.
+     */
+    send: function(action, roomToken) {
+      var payload = _.omit(action, "name");
+
+      this._mozLoop.broadcastAction({
+        name: action.name,
+        payload: payload,
+        roomToken: roomToken || null
+      });
+    },
+
+    /**
+     * Dispatcher middleware hook, sends the actions wrapped in
+     * SendToConversationWindow actions rather than dispatching them.
+     *
+     * @param {sharedActions.Action} action The action being dispatched.
+     * @param {Function}             next   Passes the action on.
+     */
+    beforeDispatch: function(action, next) {
+      if (action.name === "sendToConversationWindow") {
+        this.send(action.action, action.roomToken);
+        return;
+      }
+
+      next(action);
+    },
+
+    /**
+     * Dispatcher middleware hook, forwards outgoing actions once all the stores
+     * have handled them. Actions received from other windows are never sent
+     * back.
+     *
+     * @param {sharedActions.Action} action The action that was dispatched.
+     */
+    afterDispatch: function(action) {
+      var receivedIndex = this._receivedActions.indexOf(action);
+      if (receivedIndex !== -1) {
+        this._receivedActions.splice(receivedIndex, 1);
+        return;
+      }
+
+      if (this._outgoing.indexOf(action.name) === -1) {
+        return;
+      }
+
+      this.send(action, this._getRoomToken ? this._getRoomToken() : null);
+    },
+
+    /**
+     * Handles actions broadcast by the other windows, dispatching them if
+     * they are incoming actions for this window.
+     *
+     * @param {CustomEvent} event The event, whose detail contains the name,
+     *                            payload and room token of the action.
+     */
+    _onBridgedAction: function(event) {
+      var data = event.detail;
+      if (!data || this._incoming.indexOf(data.name) === -1) {
+        return;
+      }
+
+      if (this._getRoomToken && data.roomToken &&
+          data.roomToken !== this._getRoomToken()) {
+        return;
+      }
+
+      var ActionType = _.find(sharedActions, function(type) {
+        return type.actionName === data.name;
+      });
+      if (!ActionType) {
+        console.error("[ActionBridge] Unknown action received:", data.name);
+        return;
+      }
+
+      var action;
+      try {
+        action = new ActionType(data.payload || {});
+      } catch (ex) {
+        console.error("[ActionBridge] Invalid action received:", data.name, ex);
+        return;
+      }
+
+      this._receivedActions.push(action);
+      this._dispatcher.dispatch(action);
+    }
+  };
+
+  return ActionBridge;
+})();
@@ -29,6 +29,7 @@ loop.conversation = (function(mozL10n) {
     propTypes: {
       dispatcher: React.PropTypes.instanceOf(loop.Dispatcher).isRequired,
       mozLoop: React.PropTypes.object.isRequired,
+      notifications: React.PropTypes.object,
       roomStore: React.PropTypes.instanceOf(loop.store.RoomStore)
     },
 
@@ -73,6 +74,7 @@ loop.conversation = (function(mozL10n) {
             chatWindowDetached={this.state.chatWindowDetached}
             dispatcher={this.props.dispatcher}
             mozLoop={this.props.mozLoop}
+            notifications={this.props.notifications}
             onCallTerminated={this.handleCallTerminated}
             roomStore={this.props.roomStore} />);
         }
@@ -117,6 +119,15 @@ loop.conversation = (function(mozL10n) {
     var useDataChannels = loop.shared.utils.getBoolPreference("textChat.enabled");
 
     var dispatcher = new loop.Dispatcher();
+
+    // Set loop.debug.actionRecorder to true to record all the actions for
+    // this window, so that they can be attached to a bug and replayed.
+    if (loop.shared.utils.getBoolPreference("debug.actionRecorder")) {
+      loop.conversation.actionRecorder =
+        new loop.actionRecorder.ActionRecorder(dispatcher);
+      loop.conversation.actionRecorder.start();
+    }
+
     var sdkDriver = new loop.OTSdkDriver({
       isDesktop: true,
       useDataChannels: useDataChannels,
@@ -128,6 +139,8 @@ loop.conversation = (function(mozL10n) {
     // expose for functional tests
     loop.conversation._sdkDriver = sdkDriver;
 
+    var notifications = new loop.shared.models.NotificationCollection();
+
     // Create the stores.
     var activeRoomStore = new loop.store.ActiveRoomStore(dispatcher, {
       isDesktop: true,
@@ -141,12 +154,39 @@ loop.conversation = (function(mozL10n) {
     });
     var roomStore = new loop.store.RoomStore(dispatcher, {
       mozLoop: navigator.mozLoop,
-      activeRoomStore: activeRoomStore
+      activeRoomStore: activeRoomStore,
+      notifications: notifications
     });
+    var userProfile = navigator.mozLoop.userProfile;
     var textChatStore = new loop.store.TextChatStore(dispatcher, {
+      // The name used when joining rooms, so the other peer sees the same
+      // name whilst we're typing.
+      displayName: userProfile && userProfile.email,
+      // Set loop.textChat.maxFileSize to change the largest file, in bytes,
+      // that can be transferred.
+      maxFileSize: navigator.mozLoop.getLoopPref("textChat.maxFileSize"),
+      mozLoop: navigator.mozLoop,
       sdkDriver: sdkDriver
     });
 
+    // Share the state of the call with the panel, and allow it to control
+    // the call.
+    var actionBridge = new loop.ActionBridge({
+      dispatcher: dispatcher,
+      mozLoop: navigator.mozLoop,
+      outgoing: ["activeRoomCallState"],
+      incoming: [
+        "endScreenShare",
+        "getActiveRoomCallState",
+        "leaveRoom",
+        "setMute"
+      ],
+      getRoomToken: function() {
+        return activeRoomStore.getStoreState("roomToken");
+      }
+    });
+    actionBridge.start();
+
     loop.store.StoreMixin.register({
       conversationAppStore: conversationAppStore,
       textChatStore: textChatStore
@@ -165,6 +205,7 @@ loop.conversation = (function(mozL10n) {
       <AppControllerView
         dispatcher={dispatcher}
         mozLoop={navigator.mozLoop}
+        notifications={notifications}
         roomStore={roomStore} />, document.querySelector("#main"));
 
     document.documentElement.setAttribute("lang", mozL10n.getLanguage());
@@ -186,7 +227,15 @@ loop.conversation = (function(mozL10n) {
      *
      * @type loop.OTSdkDriver
      */
-    _sdkDriver: null
+    _sdkDriver: null,
+
+    /**
+     * Exposed so that the recorded session log can be obtained from the
+     * console when the debug.actionRecorder preference is set.
+     *
+     * @type loop.actionRecorder.ActionRecorder
+     */
+    actionRecorder: null
   };
 })(document.mozL10n);
 
@@ -10,9 +10,47 @@ loop.panel = (function(_, mozL10n) {
   var sharedModels = loop.shared.models;
   var sharedMixins = loop.shared.mixins;
   var sharedActions = loop.shared.actions;
+  var CHAT_TRANSCRIPT_FORMATS = loop.shared.utils.CHAT_TRANSCRIPT_FORMATS;
+  var ROOM_FILTERS = loop.shared.utils.ROOM_FILTERS;
+  var ROOM_SORT_ORDERS = loop.shared.utils.ROOM_SORT_ORDERS;
   var Button = sharedViews.Button;
   var Checkbox = sharedViews.Checkbox;
 
+  var HOUR_MS = 60 * 60 * 1000;
+  var DAY_MS = 24 * HOUR_MS;
+
+  /**
+   * How long before a room expires the panel starts warning about it.
+   * @type {Number}
+   */
+  var ROOM_EXPIRY_WARNING_TIME = 3 * DAY_MS;
+
+  /**
+   * Returns the time left before a room's link stops working.
+   *
+   * @param  {loop.store.Room} room The room.
+   * @return {Number|null} The time left in milliseconds, which is negative for
+   *                       expired rooms, or null if the expiry isn't known.
+   */
+  function getRoomTimeLeft(room) {
+    if (!room.expiresAt) {
+      return null;
+    }
+    // expiresAt is in seconds, as given by the server.
+    return room.expiresAt * 1000 - Date.now();
+  }
+
+  /**
+   * Returns true if a room has expired or is about to.
+   *
+   * @param  {loop.store.Room} room The room.
+   * @return {Boolean}
+   */
+  function isRoomExpiring(room) {
+    var timeLeft = getRoomTimeLeft(room);
+    return timeLeft !== null && timeLeft < ROOM_EXPIRY_WARNING_TIME;
+  }
+
   var GettingStartedView = React.createClass({
     mixins: [sharedMixins.WindowCloseMixin],
 
@@ -384,7 +422,12 @@ loop.panel = (function(_, mozL10n) {
    */
   var RoomEntry = React.createClass({
     propTypes: {
+      // The call state shared by the room's conversation window, if the user
+      // has joined the room.
+      callState: React.PropTypes.object,
       dispatcher: React.PropTypes.instanceOf(loop.Dispatcher).isRequired,
+      // The folders that rooms can be moved to.
+      folders: React.PropTypes.arrayOf(React.PropTypes.string),
       isOpenedRoom: React.PropTypes.bool.isRequired,
       mozLoop: React.PropTypes.object.isRequired,
       room: React.PropTypes.instanceOf(loop.store.Room).isRequired
@@ -395,8 +438,15 @@ loop.panel = (function(_, mozL10n) {
       sharedMixins.DropdownMenuMixin()
     ],
 
+    getDefaultProps: function() {
+      return {
+        folders: []
+      };
+    },
+
     getInitialState: function() {
       return {
+        editingFolder: false,
         eventPosY: 0
       };
     },
@@ -435,11 +485,84 @@ loop.panel = (function(_, mozL10n) {
       }
     },
 
+    /**
+     * Shows a field for naming a new folder to move the room to.
+     */
+    handleNewFolder: function() {
+      this.setState({ editingFolder: true });
+    },
+
+    handleFolderInputClick: function(event) {
+      // Don't open the room.
+      event.stopPropagation();
+    },
+
+    handleFolderInputKeyDown: function(event) {
+      if (event.key === "Escape") {
+        this.setState({ editingFolder: false });
+        return;
+      }
+
+      if (event.key !== "Enter") {
+        return;
+      }
+
+      var folder = event.target.value.trim();
+      if (folder) {
+        this.props.dispatcher.dispatch(new sharedActions.MoveRoomToFolder({
+          roomToken: this.props.room.roomToken,
+          folder: folder
+        }));
+      }
+      this.setState({ editingFolder: false });
+    },
+
+    handleFolderInputBlur: function() {
+      this.setState({ editingFolder: false });
+    },
+
+    /**
+     * Renders the time left before the room's link stops working.
+     *
+     * @return {Object|null} React render, or null if the expiry isn't known.
+     */
+    _renderExpiry: function() {
+      var timeLeft = getRoomTimeLeft(this.props.room);
+      if (timeLeft === null) {
+        return null;
+      }
+
+      var label;
+      if (timeLeft <= 0) {
+        label = mozL10n.get("rooms_expired_label");
+      } else if (timeLeft < HOUR_MS) {
+        label = mozL10n.get("rooms_expires_soon_label");
+      } else if (timeLeft < DAY_MS) {
+        label = mozL10n.get("rooms_expires_in_hours_label", {
+          num: Math.floor(timeLeft / HOUR_MS)
+        });
+      } else {
+        label = mozL10n.get("rooms_expires_in_days_label", {
+          num: Math.floor(timeLeft / DAY_MS)
+        });
+      }
+
+      var expiryClasses = classNames({
+        "room-entry-expiry": true,
+        "room-entry-expiring": isRoomExpiring(this.props.room)
+      });
+
+      return (
+        <p className={expiryClasses} ref="expiry">{label}</p>
+      );
+    },
+
     render: function() {
       var roomClasses = classNames({
         "room-entry": true,
         "room-active": this._isActive(),
-        "room-opened": this.props.isOpenedRoom
+        "room-opened": this.props.isOpenedRoom,
+        "room-pinned": !!this.props.room.decryptedContext.pinned
       });
 
       var roomTitle = this.props.room.decryptedContext.roomName ||
@@ -455,15 +578,131 @@ loop.panel = (function(_, mozL10n) {
             mozLoop={this.props.mozLoop}
             roomUrls={this.props.room.decryptedContext.urls} />
           <h2>{roomTitle}</h2>
+          {this.props.isOpenedRoom && this.props.callState ?
+            <RoomEntryCallControls
+              callState={this.props.callState}
+              dispatcher={this.props.dispatcher} /> : null}
           {this.props.isOpenedRoom ? null :
             <RoomEntryContextButtons
               dispatcher={this.props.dispatcher}
               eventPosY={this.state.eventPosY}
+              folders={this.props.folders}
               handleClick={this.handleClick}
+              handleNewFolder={this.handleNewFolder}
               ref="contextActions"
               room={this.props.room}
               showMenu={this.state.showMenu}
               toggleDropdownMenu={this.toggleDropdownMenu} />}
+          {this.state.editingFolder ?
+            <input
+              autoFocus={true}
+              className="room-entry-folder-input"
+              onBlur={this.handleFolderInputBlur}
+              onClick={this.handleFolderInputClick}
+              onKeyDown={this.handleFolderInputKeyDown}
+              placeholder={mozL10n.get("rooms_new_folder_placeholder")}
+              ref="folderInput"
+              type="text" /> : null}
+          {this._renderExpiry()}
+        </div>
+      );
+    }
+  });
+
+  /**
+   * Displays the live state of a call in the room's conversation window, and
+   * allows it to be controlled from the panel.
+   */
+  var RoomEntryCallControls = React.createClass({
+    mixins: [React.addons.PureRenderMixin],
+
+    propTypes: {
+      callState: React.PropTypes.shape({
+        audioMuted: React.PropTypes.bool.isRequired,
+        participantCount: React.PropTypes.number.isRequired,
+        roomToken: React.PropTypes.string.isRequired,
+        screenSharingState: React.PropTypes.string.isRequired,
+        videoMuted: React.PropTypes.bool.isRequired
+      }).isRequired,
+      dispatcher: React.PropTypes.instanceOf(loop.Dispatcher).isRequired
+    },
+
+    /**
+     * Sends an action to the room's conversation window.
+     *
+     * @param {sharedActions.Action} action The action to send.
+     */
+    _sendToConversationWindow: function(action) {
+      this.props.dispatcher.dispatch(new sharedActions.SendToConversationWindow({
+        action: action,
+        roomToken: this.props.callState.roomToken
+      }));
+    },
+
+    handleToggleAudio: function(event) {
+      event.stopPropagation();
+      this._sendToConversationWindow(new sharedActions.SetMute({
+        type: "audio",
+        enabled: this.props.callState.audioMuted
+      }));
+    },
+
+    handleToggleVideo: function(event) {
+      event.stopPropagation();
+      this._sendToConversationWindow(new sharedActions.SetMute({
+        type: "video",
+        enabled: this.props.callState.videoMuted
+      }));
+    },
+
+    handleStopScreenShare: function(event) {
+      event.stopPropagation();
+      this._sendToConversationWindow(new sharedActions.EndScreenShare());
+    },
+
+    handleLeave: function(event) {
+      event.stopPropagation();
+      this._sendToConversationWindow(new sharedActions.LeaveRoom());
+    },
+
+    render: function() {
+      var callState = this.props.callState;
+      var isSharing = callState.screenSharingState !==
+        loop.shared.utils.SCREEN_SHARE_STATES.INACTIVE;
+
+      return (
+        <div className="room-entry-call-controls">
+          <span className="room-entry-call-participants">
+            {mozL10n.get("rooms_panel_participant_count", {
+              count: callState.participantCount
+            })}
+          </span>
+          <button className={classNames({
+                    "room-entry-call-btn": true,
+                    "btn-mute-audio": true,
+                    "muted": callState.audioMuted
+                  })}
+                  onClick={this.handleToggleAudio}
+                  title={mozL10n.get(callState.audioMuted ?
+                    "unmute_local_audio_button_title" :
+                    "mute_local_audio_button_title")} />
+          <button className={classNames({
+                    "room-entry-call-btn": true,
+                    "btn-mute-video": true,
+                    "muted": callState.videoMuted
+                  })}
+                  onClick={this.handleToggleVideo}
+                  title={mozL10n.get(callState.videoMuted ?
+                    "unmute_local_video_button_title2" :
+                    "mute_local_video_button_title2")} />
+          {isSharing ?
+            <button className="room-entry-call-btn btn-screen-share"
+                    onClick={this.handleStopScreenShare}
+                    title={mozL10n.get("active_screenshare_button_title")} /> :
+            null}
+          <button className="room-entry-call-btn btn-hangup"
+                  onClick={this.handleLeave}
+                  title={mozL10n.get("rooms_leave_button_label")} />
         </div>
       );
     }
@@ -478,7 +717,10 @@ loop.panel = (function(_, mozL10n) {
     propTypes: {
       dispatcher: React.PropTypes.object.isRequired,
       eventPosY: React.PropTypes.number.isRequired,
+      folders: React.PropTypes.arrayOf(React.PropTypes.string).isRequired,
       handleClick: React.PropTypes.func.isRequired,
+      // Called when the user chooses to move the room to a new folder.
+      handleNewFolder: React.PropTypes.func.isRequired,
       room: React.PropTypes.object.isRequired,
       showMenu: React.PropTypes.bool.isRequired,
       toggleDropdownMenu: React.PropTypes.func.isRequired
@@ -521,6 +763,85 @@ loop.panel = (function(_, mozL10n) {
       this.props.toggleDropdownMenu();
     },
 
+    handlePinButtonClick: function(event) {
+      event.stopPropagation();
+      event.preventDefault();
+
+      this.props.dispatcher.dispatch(new sharedActions.PinRoom({
+        roomToken: this.props.room.roomToken,
+        pinned: !this.props.room.decryptedContext.pinned
+      }));
+
+      this.props.toggleDropdownMenu();
+    },
+
+    /**
+     * Moves the room to a folder.
+     *
+     * @param {Object} event  The DOM event.
+     * @param {String} folder The name of the folder, or an empty string to
+     *                        take the room out of its folder.
+     */
+    handleMoveToFolderClick: function(event, folder) {
+      event.stopPropagation();
+      event.preventDefault();
+
+      this.props.dispatcher.dispatch(new sharedActions.MoveRoomToFolder({
+        roomToken: this.props.room.roomToken,
+        folder: folder
+      }));
+
+      this.props.toggleDropdownMenu();
+    },
+
+    handleNewFolderButtonClick: function(event) {
+      event.stopPropagation();
+      event.preventDefault();
+
+      this.props.handleNewFolder();
+      this.props.toggleDropdownMenu();
+    },
+
+    handleRenewButtonClick: function(event) {
+      event.stopPropagation();
+      event.preventDefault();
+
+      this.props.dispatcher.dispatch(new sharedActions.RenewRoom({
+        roomToken: this.props.room.roomToken
+      }));
+
+      this.props.toggleDropdownMenu();
+    },
+
+    handleClearHistoryButtonClick: function(event) {
+      event.stopPropagation();
+      event.preventDefault();
+
+      this.props.dispatcher.dispatch(new sharedActions.ClearChatHistory({
+        roomToken: this.props.room.roomToken
+      }));
+
+      this.props.toggleDropdownMenu();
+    },
+
+    /**
+     * Saves a transcript of the room's saved chat messages.
+     *
+     * @param {Object} event  The DOM event.
+     * @param {String} format One of CHAT_TRANSCRIPT_FORMATS.
+     */
+    handleExportButtonClick: function(event, format) {
+      event.stopPropagation();
+      event.preventDefault();
+
+      this.props.dispatcher.dispatch(new sharedActions.ExportChatHistory({
+        roomToken: this.props.room.roomToken,
+        format: format
+      }));
+
+      this.props.toggleDropdownMenu();
+    },
+
     render: function() {
       return (
         <div className="room-entry-context-actions">
@@ -530,10 +851,19 @@ loop.panel = (function(_, mozL10n) {
             ref="menu-button" />
           {this.props.showMenu ?
             <ConversationDropdown
+              currentFolder={this.props.room.decryptedContext.folder}
               eventPosY={this.props.eventPosY}
+              folders={this.props.folders}
+              handleClearHistoryButtonClick={this.handleClearHistoryButtonClick}
               handleCopyButtonClick={this.handleCopyButtonClick}
               handleDeleteButtonClick={this.handleDeleteButtonClick}
               handleEmailButtonClick={this.handleEmailButtonClick}
+              handleExportButtonClick={this.handleExportButtonClick}
+              handleMoveToFolderClick={this.handleMoveToFolderClick}
+              handleNewFolderButtonClick={this.handleNewFolderButtonClick}
+              handlePinButtonClick={this.handlePinButtonClick}
+              handleRenewButtonClick={this.handleRenewButtonClick}
+              pinned={!!this.props.room.decryptedContext.pinned}
               ref="menu" /> :
             null}
         </div>
@@ -550,10 +880,20 @@ loop.panel = (function(_, mozL10n) {
    */
   var ConversationDropdown = React.createClass({
     propTypes: {
+      // The folder the room is in, if any.
+      currentFolder: React.PropTypes.string,
       eventPosY: React.PropTypes.number.isRequired,
+      folders: React.PropTypes.arrayOf(React.PropTypes.string).isRequired,
+      handleClearHistoryButtonClick: React.PropTypes.func.isRequired,
       handleCopyButtonClick: React.PropTypes.func.isRequired,
       handleDeleteButtonClick: React.PropTypes.func.isRequired,
-      handleEmailButtonClick: React.PropTypes.func.isRequired
+      handleEmailButtonClick: React.PropTypes.func.isRequired,
+      handleExportButtonClick: React.PropTypes.func.isRequired,
+      handleMoveToFolderClick: React.PropTypes.func.isRequired,
+      handleNewFolderButtonClick: React.PropTypes.func.isRequired,
+      handlePinButtonClick: React.PropTypes.func.isRequired,
+      handleRenewButtonClick: React.PropTypes.func.isRequired,
+      pinned: React.PropTypes.bool.isRequired
     },
 
     getInitialState: function() {
@@ -562,6 +902,41 @@ loop.panel = (function(_, mozL10n) {
       };
     },
 
+    handleExportClick: function(format, event) {
+      this.props.handleExportButtonClick(event, format);
+    },
+
+    _renderExportItem: function(format) {
+      return (
+        <li
+          className="dropdown-menu-item"
+          onClick={this.handleExportClick.bind(this, format)}
+          ref={"export-" + format + "-button"}>
+          {mozL10n.get("export_chat_" + format + "_menuitem")}
+        </li>
+      );
+    },
+
+    handleFolderClick: function(folder, event) {
+      this.props.handleMoveToFolderClick(event, folder);
+    },
+
+    _renderFolderItems: function() {
+      return this.props.folders.filter(function(folder) {
+        return folder !== this.props.currentFolder;
+      }, this).map(function(folder) {
+        return (
+          <li
+            className="dropdown-menu-item"
+            key={folder}
+            onClick={this.handleFolderClick.bind(this, folder)}
+            ref={"folder-" + folder}>
+            {mozL10n.get("move_to_folder_menuitem", { folderName: folder })}
+          </li>
+        );
+      }, this);
+    },
+
     componentDidMount: function() {
       var menuNode = this.getDOMNode();
       var menuNodeRect = menuNode.getBoundingClientRect();
@@ -607,6 +982,42 @@ loop.panel = (function(_, mozL10n) {
             ref="emailButton">
             {mozL10n.get("email_link_menuitem")}
           </li>
+          <li
+            className="dropdown-menu-item"
+            onClick={this.props.handlePinButtonClick}
+            ref="pinButton">
+            {mozL10n.get(this.props.pinned ? "unpin_room_menuitem" :
+                                             "pin_room_menuitem")}
+          </li>
+          {this._renderFolderItems()}
+          <li
+            className="dropdown-menu-item"
+            onClick={this.props.handleNewFolderButtonClick}
+            ref="newFolderButton">
+            {mozL10n.get("move_to_new_folder_menuitem")}
+          </li>
+          {this.props.currentFolder ?
+            <li
+              className="dropdown-menu-item"
+              onClick={this.handleFolderClick.bind(this, "")}
+              ref="removeFromFolderButton">
+              {mozL10n.get("remove_from_folder_menuitem")}
+            </li> : null}
+          <li
+            className="dropdown-menu-item"
+            onClick={this.props.handleRenewButtonClick}
+            ref="renewButton">
+            {mozL10n.get("keep_room_menuitem")}
+          </li>
+          <li
+            className="dropdown-menu-item"
+            onClick={this.props.handleClearHistoryButtonClick}
+            ref="clearHistoryButton">
+            {mozL10n.get("clear_chat_history_menuitem")}
+          </li>
+          {this._renderExportItem(CHAT_TRANSCRIPT_FORMATS.TEXT)}
+          {this._renderExportItem(CHAT_TRANSCRIPT_FORMATS.HTML)}
+          {this._renderExportItem(CHAT_TRANSCRIPT_FORMATS.JSON)}
           <li
             className="dropdown-menu-item"
             onClick={this.props.handleDeleteButtonClick}
@@ -630,6 +1041,137 @@ loop.panel = (function(_, mozL10n) {
     }
   }
 
+  /**
+   * The labels of the room list sort orders, keyed by ROOM_SORT_ORDERS value.
+   */
+  var SORT_ORDER_LABELS = {};
+  SORT_ORDER_LABELS[ROOM_SORT_ORDERS.LAST_USED] = "rooms_list_sort_last_used";
+  SORT_ORDER_LABELS[ROOM_SORT_ORDERS.CREATED] = "rooms_list_sort_created";
+  SORT_ORDER_LABELS[ROOM_SORT_ORDERS.NAME] = "rooms_list_sort_name";
+  SORT_ORDER_LABELS[ROOM_SORT_ORDERS.PARTICIPANTS] = "rooms_list_sort_participants";
+
+  /**
+   * Search field, sort order and filters of the room list.
+   */
+  var RoomListControls = React.createClass({
+    mixins: [React.addons.PureRenderMixin],
+
+    propTypes: {
+      dispatcher: React.PropTypes.instanceOf(loop.Dispatcher).isRequired,
+      // Whether each of the ROOM_FILTERS is applied, keyed by filter.
+      filters: React.PropTypes.object.isRequired,
+      searchQuery: React.PropTypes.string.isRequired,
+      sortOrder: React.PropTypes.string.isRequired
+    },
+
+    handleSearchChange: function(event) {
+      this.props.dispatcher.dispatch(new sharedActions.SearchRooms({
+        query: event.target.value
+      }));
+    },
+
+    handleSortChange: function(event) {
+      this.props.dispatcher.dispatch(new sharedActions.SortRooms({
+        sortOrder: event.target.value
+      }));
+    },
+
+    /**
+     * Applies or removes a filter when its checkbox is toggled.
+     *
+     * @param {String} filter   One of ROOM_FILTERS.
+     * @param {Object} newState The new state of the checkbox.
+     */
+    handleFilterChange: function(filter, newState) {
+      this.props.dispatcher.dispatch(new sharedActions.FilterRooms({
+        filter: filter,
+        enabled: newState.checked
+      }));
+    },
+
+    render: function() {
+      return (
+        <div className="room-list-controls">
+          <input
+            className="room-list-search"
+            onChange={this.handleSearchChange}
+            placeholder={mozL10n.get("rooms_list_search_placeholder")}
+            ref="search"
+            type="search"
+            value={this.props.searchQuery} />
+          <select
+            className="room-list-sort"
+            onChange={this.handleSortChange}
+            ref="sort"
+            title={mozL10n.get("rooms_list_sort_title")}
+            value={this.props.sortOrder}>
+            {_.values(ROOM_SORT_ORDERS).map(function(sortOrder) {
+              return (
+                <option key={sortOrder} value={sortOrder}>
+                  {mozL10n.get(SORT_ORDER_LABELS[sortOrder])}
+                </option>
+              );
+            })}
+          </select>
+          <div className="room-list-filters">
+            {_.values(ROOM_FILTERS).map(function(filter) {
+              return (
+                <Checkbox
+                  additionalClass={"room-list-filter-" + filter}
+                  checked={this.props.filters[filter]}
+                  key={filter}
+                  label={mozL10n.get("rooms_list_filter_" + filter)}
+                  onChange={this.handleFilterChange.bind(this, filter)} />
+              );
+            }, this)}
+          </div>
+        </div>
+      );
+    }
+  });
+
+  /**
+   * Header of a folder in the room list, which collapses or expands the folder
+   * when clicked.
+   */
+  var RoomFolderHeader = React.createClass({
+    mixins: [React.addons.PureRenderMixin],
+
+    propTypes: {
+      collapsed: React.PropTypes.bool.isRequired,
+      dispatcher: React.PropTypes.instanceOf(loop.Dispatcher).isRequired,
+      folder: React.PropTypes.string.isRequired,
+      roomCount: React.PropTypes.number.isRequired
+    },
+
+    handleClick: function(event) {
+      event.preventDefault();
+
+      this.props.dispatcher.dispatch(new sharedActions.ToggleRoomFolder({
+        folder: this.props.folder
+      }));
+    },
+
+    render: function() {
+      var headerClasses = classNames({
+        "room-list-section-header": true,
+        "room-folder-header": true,
+        "room-folder-collapsed": this.props.collapsed
+      });
+
+      return (
+        <h3 className={headerClasses}
+          onClick={this.handleClick}
+          title={mozL10n.get(this.props.collapsed ?
+            "rooms_folder_expand_button_title" :
+            "rooms_folder_collapse_button_title")}>
+          {this.props.folder}
+          <span className="room-folder-count">{this.props.roomCount}</span>
+        </h3>
+      );
+    }
+  });
+
   /**
    * Room list.
    */
@@ -705,6 +1247,97 @@ loop.panel = (function(_, mozL10n) {
       );
     },
 
+    _renderRoomEntry: function(room) {
+      return (
+        <RoomEntry
+          callState={this.state.callStates[room.roomToken]}
+          dispatcher={this.props.dispatcher}
+          folders={loop.store.RoomStore.getRoomFolders(this.state)}
+          isOpenedRoom={room.roomToken === this.state.openedRoom}
+          key={room.roomToken}
+          mozLoop={this.props.mozLoop}
+          room={room} />
+      );
+    },
+
+    /**
+     * Renders the pinned rooms first, then the rooms in each folder, then the
+     * other rooms. The rooms of collapsed folders are left out.
+     *
+     * @param  {Array} rooms The rooms to show, in order.
+     * @return {Array} React renders
+     */
+    _renderRoomSections: function(rooms) {
+      var pinnedRooms = [];
+      var folderRooms = {};
+      var otherRooms = [];
+      rooms.forEach(function(room) {
+        var context = room.decryptedContext;
+        if (context.pinned) {
+          pinnedRooms.push(room);
+        } else if (context.folder) {
+          folderRooms[context.folder] = (folderRooms[context.folder] || []).concat(room);
+        } else {
+          otherRooms.push(room);
+        }
+      });
+
+      var sections = [];
+      if (pinnedRooms.length) {
+        sections.push(
+          <h3 className="room-list-section-header" key="pinned-header">
+            {mozL10n.get("rooms_list_pinned_header")}
+          </h3>
+        );
+        sections = sections.concat(pinnedRooms.map(this._renderRoomEntry));
+      }
+
+      loop.store.RoomStore.getRoomFolders(this.state).forEach(function(folder) {
+        if (!folderRooms[folder]) {
+          return;
+        }
+
+        var collapsed = !!this.state.collapsedFolders[folder];
+        sections.push(
+          <RoomFolderHeader
+            collapsed={collapsed}
+            dispatcher={this.props.dispatcher}
+            folder={folder}
+            key={"folder-" + folder}
+            roomCount={folderRooms[folder].length} />
+        );
+        if (!collapsed) {
+          sections = sections.concat(folderRooms[folder].map(this._renderRoomEntry));
+        }
+      }, this);
+
+      if (sections.length && otherRooms.length) {
+        sections.push(
+          <h3 className="room-list-section-header" key="other-header">
+            {mozL10n.get("rooms_list_other_rooms_header")}
+          </h3>
+        );
+      }
+
+      return sections.concat(otherRooms.map(this._renderRoomEntry));
+    },
+
+    /**
+     * Lets the user know that no rooms match their search and filters.
+     *
+     * @return {Object} React render
+     */
+    _renderNoResultsView: function() {
+      return (
+        <div className="room-list-no-results">
+          <img src="loop/shared/img/empty_search.svg" />
+          <p className="panel-text-medium">
+            {mozL10n.get("rooms_list_no_results")}
+          </p>
+        </div>
+      );
+    },
+
     _renderNewRoomButton: function() {
       return (
         <NewRoomView dispatcher={this.props.dispatcher}
@@ -715,6 +1348,30 @@ loop.panel = (function(_, mozL10n) {
       );
     },
 
+    /**
+     * Warns the user when rooms in the list are about to expire, and tells
+     * them how to keep those.
+     *
+     * @return {Object|null} React render, or null if there's nothing to warn
+     *                       about.
+     */
+    _renderExpiryWarning: function() {
+      if (this.state.openedRoom !== null) {
+        return null;
+      }
+
+      var expiringCount = this.state.rooms.filter(isRoomExpiring).length;
+      if (!expiringCount) {
+        return null;
+      }
+
+      return (
+        <p className="room-list-expiry-warning">
+          {mozL10n.get("rooms_expiring_warning", { num: expiringCount })}
+        </p>
+      );
+    },
+
     render: function() {
       if (this.state.error) {
         // XXX Better end user reporting of errors.
@@ -729,29 +1386,32 @@ loop.panel = (function(_, mozL10n) {
         return this._renderNoRoomsView();
       }
 
+      var inRoom = this.state.openedRoom !== null;
+      var roomListContent;
+      if (inRoom) {
+        roomListContent = this.state.rooms.filter(function(room) {
+          return room.roomToken === this.state.openedRoom;
+        }, this).map(this._renderRoomEntry);
+      } else {
+        var rooms = loop.store.RoomStore.getVisibleRooms(this.state);
+        roomListContent = rooms.length ? this._renderRoomSections(rooms) :
+                                         this._renderNoResultsView();
+      }
+
       return (
         <div className="rooms">
           {this._renderNewRoomButton()}
-          <h1>{mozL10n.get(this.state.openedRoom === null ?
-                "rooms_list_recently_browsed" :
-                "rooms_list_currently_browsing")}</h1>
-          <div className="room-list">{
-            this.state.rooms.map(function(room, i) {
-              if (this.state.openedRoom !== null &&
-                room.roomToken !== this.state.openedRoom) {
-                return null;
-              }
-
-              return (
-                <RoomEntry
-                  dispatcher={this.props.dispatcher}
-                  isOpenedRoom={room.roomToken === this.state.openedRoom}
-                  key={room.roomToken}
-                  mozLoop={this.props.mozLoop}
-                  room={room} />
-              );
-            }, this)
-          }</div>
+          <h1>{mozL10n.get(inRoom ?
+                "rooms_list_currently_browsing" :
+                "rooms_list_recently_browsed")}</h1>
+          {this._renderExpiryWarning()}
+          {inRoom ? null :
+            <RoomListControls
+              dispatcher={this.props.dispatcher}
+              filters={this.state.filters}
+              searchQuery={this.state.searchQuery}
+              sortOrder={this.state.sortOrder} />}
+          <div className="room-list">{roomListContent}</div>
         </div>
       );
     }
@@ -984,6 +1644,18 @@ loop.panel = (function(_, mozL10n) {
       notifications: notifications
     });
 
+    // The conversation windows share the state of their calls, so that they
+    // can be displayed and controlled from the panel.
+    var actionBridge = new loop.ActionBridge({
+      dispatcher: dispatcher,
+      mozLoop: navigator.mozLoop,
+      incoming: ["activeRoomCallState"]
+    });
+    actionBridge.start();
+    dispatcher.dispatch(new sharedActions.SendToConversationWindow({
+      action: new sharedActions.GetActiveRoomCallState()
+    }));
+
     React.render(<PanelView
       dispatcher={dispatcher}
       mozLoop={navigator.mozLoop}
@@ -1008,8 +1680,11 @@ loop.panel = (function(_, mozL10n) {
     NewRoomView: NewRoomView,
     PanelView: PanelView,
     RoomEntry: RoomEntry,
+    RoomEntryCallControls: RoomEntryCallControls,
     RoomEntryContextButtons: RoomEntryContextButtons,
+    RoomFolderHeader: RoomFolderHeader,
     RoomList: RoomList,
+    RoomListControls: RoomListControls,
     SettingsDropdown: SettingsDropdown,
     SignInRequestView: SignInRequestView,
     ToSView: ToSView
@@ -14,13 +14,27 @@ loop.store = loop.store || {};
    */
   var sharedActions = loop.shared.actions;
 
+  var ROOM_FILTERS = loop.shared.utils.ROOM_FILTERS;
+  var ROOM_SORT_ORDERS = loop.shared.utils.ROOM_SORT_ORDERS;
+
+  // Preference types, as defined by nsIPrefBranch.
+  var PREF_STRING = 32;
+  var PREF_BOOL = 128;
+
   /**
-   * Maximum size given to createRoom; only 2 is supported (and is
-   * always passed) because that's what the user-experience is currently
-   * designed and tested to handle.
+   * Maximum size given to createRoom; this is always passed, and should
+   * match the number of clients that LoopRooms and the standalone allow to
+   * join a room.
    * @type {Number}
    */
-  var MAX_ROOM_CREATION_SIZE = loop.store.MAX_ROOM_CREATION_SIZE = 2;
+  var MAX_ROOM_CREATION_SIZE = loop.store.MAX_ROOM_CREATION_SIZE = 6;
+
+  /**
+   * The lifetime given to a room when the user chooses to keep it, in hours.
+   * This matches the lifetime the server gives to newly created rooms.
+   * @type {Number}
+   */
+  var ROOM_RENEWAL_EXPIRES_IN = loop.store.ROOM_RENEWAL_EXPIRES_IN = 8 * 7 * 24;
 
   /**
    * Room validation schema. See validate.js.
@@ -31,6 +45,8 @@ loop.store = loop.store || {};
     roomUrl: String,
     // roomName: String - Optional.
     // roomKey: String - Optional.
+    // expiresAt: Number - Optional, in seconds since the epoch.
+    // creationTime: Number - Optional, in seconds since the epoch.
     maxSize: Number,
     participants: Array,
     ctime: Number
@@ -51,6 +67,56 @@ loop.store = loop.store || {};
 
   loop.store.Room = Room;
 
+  /**
+   * Returns the title of a room as shown in the room list, i.e. its name, or
+   * the description or location of its context URL if it hasn't got one.
+   *
+   * @param  {Room}   room The room.
+   * @return {String}
+   */
+  function getRoomTitle(room) {
+    var context = room.decryptedContext || {};
+    var url = (context.urls && context.urls[0]) || {};
+    return context.roomName || url.description || url.location || "";
+  }
+
+  /**
+   * Returns true if a room's name or context URLs contain the query.
+   *
+   * @param  {Room}    room  The room.
+   * @param  {String}  query The lower case query.
+   * @return {Boolean}
+   */
+  function roomMatchesQuery(room, query) {
+    var context = room.decryptedContext || {};
+    var searchable = [context.roomName];
+    (context.urls || []).forEach(function(url) {
+      searchable.push(url.location, url.description);
+    });
+
+    return searchable.some(function(text) {
+      return !!text && text.toLowerCase().indexOf(query) !== -1;
+    });
+  }
+
+  /**
+   * Comparison functions for each of the ROOM_SORT_ORDERS. Rooms that compare
+   * equal are left ordered by last use.
+   */
+  var roomComparators = {};
+  roomComparators[ROOM_SORT_ORDERS.LAST_USED] = function(a, b) {
+    return b.ctime - a.ctime;
+  };
+  roomComparators[ROOM_SORT_ORDERS.CREATED] = function(a, b) {
+    return (b.creationTime || b.ctime) - (a.creationTime || a.ctime);
+  };
+  roomComparators[ROOM_SORT_ORDERS.NAME] = function(a, b) {
+    return getRoomTitle(a).localeCompare(getRoomTitle(b));
+  };
+  roomComparators[ROOM_SORT_ORDERS.PARTICIPANTS] = function(a, b) {
+    return b.participants.length - a.participants.length;
+  };
+
   /**
    * Room store.
    *
@@ -61,13 +127,14 @@ loop.store = loop.store || {};
    * - {ActiveRoomStore} activeRoomStore  An optional substore for active room
    *                                      state.
    * - {Notifications}   notifications    An optional notifications item that is
-   *                                      required if create actions are to be used
+   *                                      required if create actions are to be used.
+   *                                      Also used to offer a retry when this
+   *                                      store fails to handle an action.
    */
   loop.store.RoomStore = loop.store.createStore({
     /**
-     * Maximum size given to createRoom; only 2 is supported (and is
-     * always passed) because that's what the user-experience is currently
-     * designed and tested to handle.
+     * Maximum size given to createRoom, i.e. the number of participants the
+     * created rooms can hold.
      * @type {Number}
      */
     maxRoomCreationSize: MAX_ROOM_CREATION_SIZE,
@@ -77,7 +144,9 @@ loop.store = loop.store || {};
      * @type {Array}
      */
     actions: [
+      "activeRoomCallState",
       "addSocialShareProvider",
+      "clearChatHistory",
       "createRoom",
       "createdRoom",
       "createRoomError",
@@ -85,10 +154,21 @@ loop.store = loop.store || {};
       "deleteRoom",
       "deleteRoomError",
       "emailRoomUrl",
+      "exportChatHistory",
+      "filterRooms",
       "getAllRooms",
       "getAllRoomsError",
+      "getActiveRoomCallState",
+      "moveRoomToFolder",
       "openRoom",
+      "pinRoom",
+      "renewRoom",
+      "renewRoomError",
+      "searchRooms",
       "shareRoomUrl",
+      "sortRooms",
+      "toggleRoomFolder",
+      "storeError",
       "updateRoomContext",
       "updateRoomContextDone",
       "updateRoomContextError",
@@ -112,15 +192,74 @@ loop.store = loop.store || {};
     getInitialStoreState: function() {
       return {
         activeRoom: this.activeRoomStore ? this.activeRoomStore.getStoreState() : {},
+        // The call states of the rooms joined in the conversation windows,
+        // keyed by room token.
+        callStates: {},
+        // The folders of the room list that are collapsed, keyed by name.
+        collapsedFolders: this._getCollapsedFoldersPref(),
         error: null,
         openedRoom: null,
         pendingCreation: false,
         pendingInitialRetrieval: true,
         rooms: [],
-        savingContext: false
+        savingContext: false,
+        // The text the room list is being searched for.
+        searchQuery: "",
+        // One of ROOM_SORT_ORDERS.
+        sortOrder: this._getSortOrderPref(),
+        // Whether each of the ROOM_FILTERS is applied, keyed by filter.
+        filters: this._getFiltersPref()
       };
     },
 
+    /**
+     * Returns the room list order chosen by the user.
+     *
+     * @return {String} One of ROOM_SORT_ORDERS.
+     */
+    _getSortOrderPref: function() {
+      var sortOrder = this._mozLoop.getLoopPref("rooms.sortOrder");
+      return _.contains(_.values(ROOM_SORT_ORDERS), sortOrder) ?
+             sortOrder : ROOM_SORT_ORDERS.LAST_USED;
+    },
+
+    /**
+     * Returns the room list filters chosen by the user.
+     *
+     * @return {Object} Whether each of the ROOM_FILTERS is applied.
+     */
+    _getFiltersPref: function() {
+      var filters = {};
+      _.values(ROOM_FILTERS).forEach(function(filter) {
+        filters[filter] = this._mozLoop.getLoopPref("rooms.filter." + filter) === true;
+      }, this);
+      return filters;
+    },
+
+    /**
+     * Returns the folders of the room list that the user collapsed.
+     *
+     * @return {Object} The collapsed folders, keyed by name.
+     */
+    _getCollapsedFoldersPref: function() {
+      var folders;
+      try {
+        folders = JSON.parse(this._mozLoop.getLoopPref("rooms.collapsedFolders"));
+      } catch (ex) {
+        return {};
+      }
+
+      var collapsedFolders = {};
+      if (Array.isArray(folders)) {
+        folders.forEach(function(folder) {
+          if (typeof folder === "string") {
+            collapsedFolders[folder] = true;
+          }
+        });
+      }
+      return collapsedFolders;
+    },
+
     /**
      * Registers mozLoop.rooms events.
      */
@@ -138,7 +277,45 @@ loop.store = loop.store || {};
      * Updates active room store state.
      */
     _onActiveRoomStoreChange: function() {
-      this.setStoreState({ activeRoom: this.activeRoomStore.getStoreState() });
+      // The active room store updates its state object in place, so take a
+      // copy for the change to be noticed.
+      this.setStoreState({
+        activeRoom: _.extend({}, this.activeRoomStore.getStoreState())
+      });
+
+      var callState = this._getActiveRoomCallState();
+      if (callState && !_.isEqual(callState, this._lastCallState)) {
+        this._lastCallState = callState;
+        this.dispatchAction(new sharedActions.ActiveRoomCallState(callState));
+      }
+    },
+
+    /**
+     * Returns the call state of the active room, as shared with the other
+     * windows.
+     *
+     * @return {Object|null} The call state, or null if there is no room yet.
+     */
+    _getActiveRoomCallState: function() {
+      var activeRoom = this.activeRoomStore.getStoreState();
+      if (!activeRoom.roomToken) {
+        return null;
+      }
+
+      var ROOM_STATES = loop.store.ROOM_STATES;
+      return {
+        roomToken: activeRoom.roomToken,
+        joined: [
+          ROOM_STATES.JOINED,
+          ROOM_STATES.SESSION_CONNECTED,
+          ROOM_STATES.HAS_PARTICIPANTS
+        ].indexOf(activeRoom.roomState) !== -1,
+        audioMuted: !!activeRoom.audioMuted,
+        videoMuted: !!activeRoom.videoMuted,
+        screenSharingState: activeRoom.screenSharingState ||
+          loop.shared.utils.SCREEN_SHARE_STATES.INACTIVE,
+        participantCount: (activeRoom.participants || []).length
+      };
     },
 
     /**
@@ -441,6 +618,42 @@ loop.store = loop.store || {};
       this.setStoreState({ error: actionData.error });
     },
 
+    /**
+     * Handles an exception thrown by this store whilst handling an action.
+     * Clears any pending states so that the views aren't left waiting, and
+     * offers the user the option to retry the action.
+     *
+     * @param {sharedActions.StoreError} actionData The action data.
+     */
+    storeError: function(actionData) {
+      if (actionData.store !== this) {
+        return;
+      }
+
+      this.setStoreState({
+        error: actionData.error,
+        pendingCreation: false,
+        savingContext: false
+      });
+
+      if (!this._notifications) {
+        return;
+      }
+
+      this._notifications.set({
+        id: "store-error",
+        level: "error",
+        message: mozL10n.get("generic_failure_message"),
+        details: mozL10n.get("generic_failure_no_reason2"),
+        detailsButtonLabel: mozL10n.get("retry_call_button"),
+        detailsButtonCallback: function() {
+          this._notifications.remove("store-error");
+          // Only this store failed, so the others mustn't handle it again.
+          this.dispatcher.retry(this, actionData.failedAction);
+        }.bind(this)
+      });
+    },
+
     /**
      * Updates current room list.
      *
@@ -453,6 +666,191 @@ loop.store = loop.store || {};
       });
     },
 
+    /**
+     * Searches the room list.
+     *
+     * @param {sharedActions.SearchRooms} actionData The action data.
+     */
+    searchRooms: function(actionData) {
+      this.setStoreState({ searchQuery: actionData.query });
+    },
+
+    /**
+     * Changes the order of the room list, and remembers it for next time.
+     *
+     * @param {sharedActions.SortRooms} actionData The action data.
+     */
+    sortRooms: function(actionData) {
+      this.setStoreState({ sortOrder: actionData.sortOrder });
+      this._mozLoop.setLoopPref("rooms.sortOrder", actionData.sortOrder,
+                                PREF_STRING);
+    },
+
+    /**
+     * Applies or removes a filter of the room list, and remembers it for next
+     * time.
+     *
+     * @param {sharedActions.FilterRooms} actionData The action data.
+     */
+    filterRooms: function(actionData) {
+      var filters = _.clone(this._storeState.filters);
+      filters[actionData.filter] = actionData.enabled;
+
+      this.setStoreState({ filters: filters });
+      this._mozLoop.setLoopPref("rooms.filter." + actionData.filter,
+                                actionData.enabled, PREF_BOOL);
+    },
+
+    /**
+     * Pins a room to the top of the room list, or unpins it.
+     *
+     * @param {sharedActions.PinRoom} actionData The action data.
+     */
+    pinRoom: function(actionData) {
+      this._updateRoomOrganization(actionData.roomToken, {
+        pinned: actionData.pinned
+      });
+    },
+
+    /**
+     * Moves a room to a folder of the room list.
+     *
+     * @param {sharedActions.MoveRoomToFolder} actionData The action data.
+     */
+    moveRoomToFolder: function(actionData) {
+      this._updateRoomOrganization(actionData.roomToken, {
+        folder: actionData.folder.trim()
+      });
+    },
+
+    /**
+     * Saves where a room is in the room list with the room's context, and
+     * updates the list once that's done.
+     *
+     * @param {String} roomToken The token of the room.
+     * @param {Object} roomData  The `pinned` or `folder` property to save.
+     */
+    _updateRoomOrganization: function(roomToken, roomData) {
+      this._mozLoop.rooms.update(roomToken, roomData, function(err, updatedRoom) {
+        if (err) {
+          this.dispatchAction(new sharedActions.UpdateRoomContextError({
+            error: err
+          }));
+          return;
+        }
+
+        this._onRoomUpdated("update", updatedRoom);
+      }.bind(this));
+    },
+
+    /**
+     * Collapses a folder of the room list, or expands it, and remembers it for
+     * next time.
+     *
+     * @param {sharedActions.ToggleRoomFolder} actionData The action data.
+     */
+    toggleRoomFolder: function(actionData) {
+      var collapsedFolders = _.clone(this._storeState.collapsedFolders);
+      if (collapsedFolders[actionData.folder]) {
+        delete collapsedFolders[actionData.folder];
+      } else {
+        collapsedFolders[actionData.folder] = true;
+      }
+
+      this.setStoreState({ collapsedFolders: collapsedFolders });
+      this._mozLoop.setLoopPref("rooms.collapsedFolders",
+                                JSON.stringify(Object.keys(collapsedFolders)),
+                                PREF_STRING);
+    },
+
+    /**
+     * Shares the call state of the active room, if there is one, in response
+     * to a request from another window.
+     */
+    getActiveRoomCallState: function() {
+      if (!this.activeRoomStore) {
+        return;
+      }
+
+      var callState = this._getActiveRoomCallState();
+      if (callState) {
+        this._lastCallState = callState;
+        this.dispatchAction(new sharedActions.ActiveRoomCallState(callState));
+      }
+    },
+
+    /**
+     * Records the call state of a room that is open in a conversation window.
+     * Rooms that are no longer joined are forgotten.
+     *
+     * @param {sharedActions.ActiveRoomCallState} actionData The action data.
+     */
+    activeRoomCallState: function(actionData) {
+      var callStates = _.omit(this._storeState.callStates, actionData.roomToken);
+      if (actionData.joined) {
+        callStates[actionData.roomToken] = _.omit(actionData, "name");
+      }
+
+      this.setStoreState({ callStates: callStates });
+    },
+
+    /**
+     * Removes the saved text chat messages for a room.
+     *
+     * @param {sharedActions.ClearChatHistory} actionData The action data.
+     */
+    clearChatHistory: function(actionData) {
+      this._mozLoop.rooms.clearChatHistory(actionData.roomToken, function(error) {
+        if (error) {
+          console.error("Failed to clear the chat history", error);
+        }
+      });
+    },
+
+    /**
+     * Saves a transcript of the saved text chat messages for a room, starting
+     * with its name and context as in the conversation window.
+     *
+     * @param {sharedActions.ExportChatHistory} actionData The action data.
+     */
+    exportChatHistory: function(actionData) {
+      var CHAT_CONTENT_TYPES = loop.shared.utils.CHAT_CONTENT_TYPES;
+
+      this._mozLoop.rooms.get(actionData.roomToken, function(err, room) {
+        if (err) {
+          console.error("Failed to get the room to export", err);
+          return;
+        }
+
+        this._mozLoop.rooms.getChatHistory(actionData.roomToken, function(error, messages) {
+          if (error) {
+            console.error("Failed to load the chat history to export", error);
+            return;
+          }
+
+          var context = room.decryptedContext || {};
+          // These are loop.store.CHAT_MESSAGE_TYPES.SPECIAL messages, which
+          // aren't otherwise used in the panel.
+          var details = [{
+            type: "special",
+            contentType: CHAT_CONTENT_TYPES.ROOM_NAME,
+            message: context.roomName || ""
+          }];
+          (context.urls || []).forEach(function(url) {
+            details.push({
+              type: "special",
+              contentType: CHAT_CONTENT_TYPES.CONTEXT,
+              message: url.description || "",
+              extraData: { location: url.location }
+            });
+          });
+
+          loop.shared.utils.saveChatTranscript(details.concat(messages),
+                                               actionData.format, this._mozLoop);
+        }.bind(this));
+      }.bind(this));
+    },
+
     /**
      * Opens a room
      *
@@ -462,12 +860,55 @@ loop.store = loop.store || {};
       this._mozLoop.rooms.open(actionData.roomToken);
     },
 
+    /**
+     * Renews the expiry time of a room, so that its link keeps working.
+     *
+     * @param {sharedActions.RenewRoom} actionData The action data.
+     */
+    renewRoom: function(actionData) {
+      this._notifications.remove("renew-room-error");
+      this._mozLoop.rooms.update(actionData.roomToken, {
+        expiresIn: ROOM_RENEWAL_EXPIRES_IN
+      }, function(err, renewedRoom) {
+        if (err) {
+          this.dispatchAction(new sharedActions.RenewRoomError({ error: err }));
+          return;
+        }
+
+        this._onRoomUpdated("update", renewedRoom);
+      }.bind(this));
+    },
+
+    /**
+     * Executed when renewing the expiry time of a room failed.
+     *
+     * @param {sharedActions.RenewRoomError} actionData The action data.
+     */
+    renewRoomError: function(actionData) {
+      this.setStoreState({ error: actionData.error });
+
+      // The server answers with these when the room has already gone.
+      var REST_ERRNOS = loop.shared.utils.REST_ERRNOS;
+      var roomGone = actionData.error.errno === REST_ERRNOS.INVALID_TOKEN ||
+                     actionData.error.errno === REST_ERRNOS.EXPIRED;
+
+      this._notifications.set({
+        id: "renew-room-error",
+        level: "error",
+        message: mozL10n.get(roomGone ? "rooms_renew_expired_error" :
+                                        "rooms_renew_failure_message")
+      });
+    },
+
     /**
      * Updates the context data attached to a room.
      *
      * @param {sharedActions.UpdateRoomContext} actionData
      */
     updateRoomContext: function(actionData) {
+      if (this._notifications) {
+        this._notifications.remove("update-room-context-error");
+      }
       this.setStoreState({ savingContext: true });
       this._mozLoop.rooms.get(actionData.roomToken, function(err, room) {
         if (err) {
@@ -484,36 +925,47 @@ loop.store = loop.store || {};
         if (newRoomName && oldRoomName !== newRoomName) {
           roomData.roomName = newRoomName;
         }
-        var oldRoomURLs = context.urls;
-        var oldRoomURL = oldRoomURLs && oldRoomURLs[0];
-        // Since we want to prevent storing falsy (i.e. empty) values for context
-        // data, there's no need to send that to the server as an update.
-        var newRoomURL = loop.shared.utils.stripFalsyValues({
-          location: actionData.newRoomURL ? actionData.newRoomURL.trim() : "",
-          thumbnail: actionData.newRoomURL ? actionData.newRoomThumbnail.trim() : "",
-          description: actionData.newRoomDescription ?
-            actionData.newRoomDescription.trim() : ""
-        });
-        // Only attach a context to the room when
-        // 1) there was already a URL set,
-        // 2) a new URL is provided as of now,
-        // 3) the URL data has changed.
-        var diff = loop.shared.utils.objectDiff(oldRoomURL, newRoomURL);
-        if (diff.added.length || diff.updated.length) {
-          newRoomURL = _.extend(oldRoomURL || {}, newRoomURL);
-          var isValidURL = false;
-          try {
-            isValidURL = new URL(newRoomURL.location);
-          } catch (ex) {
-            // URL may throw, default to false;
+        var oldRoomURLs = context.urls || [];
+        if (actionData.newRoomURLs) {
+          // Since we want to prevent storing falsy (i.e. empty) values for context
+          // data, there's no need to send that to the server as an update.
+          var newRoomURLs = actionData.newRoomURLs.map(function(url) {
+            var location = url.location.trim();
+            return loop.shared.utils.stripFalsyValues({
+              location: location,
+              thumbnail: location && url.thumbnail ? url.thumbnail.trim() : "",
+              description: url.description ? url.description.trim() : ""
+            });
+          }).filter(function(url) {
+            return Object.getOwnPropertyNames(url).length > 0;
+          });
+          // Nothing is saved when one of the links isn't valid, so that the
+          // user can correct it.
+          var allValid = newRoomURLs.every(function(url) {
+            try {
+              return !!new URL(url.location);
+            } catch (ex) {
+              // URL may throw, default to false;
+              return false;
+            }
+          });
+          if (!allValid) {
+            this.dispatchAction(new sharedActions.UpdateRoomContextError({
+              error: new Error("Invalid room context URL")
+            }));
+            return;
           }
-          if (isValidURL) {
-            roomData.urls = [newRoomURL];
+          // Only attach the links to the room when the list has changed. An
+          // empty list removes all the links.
+          var hasChanged = newRoomURLs.length !== oldRoomURLs.length ||
+            newRoomURLs.some(function(url, i) {
+              var diff = loop.shared.utils.objectDiff(oldRoomURLs[i], url);
+              return diff.added.length || diff.updated.length || diff.removed.length;
+            });
+          if (hasChanged) {
+            roomData.urls = newRoomURLs;
           }
         }
-        // TODO: there currently is no clear UX defined on what to do when all
-        // context data was cleared, e.g. when diff.removed contains all the
-        // context properties. Until then, we can't deal with context removal here.
 
         // When no properties have been set on the roomData object, there's nothing
         // to save.
@@ -526,7 +978,7 @@ loop.store = loop.store || {};
           return;
         }
 
-        var hadContextBefore = !!oldRoomURL;
+        var hadContextBefore = !!oldRoomURLs.length;
 
         this.setStoreState({ error: null });
         this._mozLoop.rooms.update(actionData.roomToken, roomData,
@@ -565,6 +1017,58 @@ loop.store = loop.store || {};
         error: actionData.error,
         savingContext: false
       });
+
+      if (!this._notifications) {
+        return;
+      }
+
+      this._notifications.set({
+        id: "update-room-context-error",
+        level: "error",
+        message: mozL10n.get("rooms_change_failed_label")
+      });
     }
   });
+
+  /**
+   * Selects the rooms to show in the room list, i.e. the rooms matching the
+   * search query and the applied filters, in the chosen order.
+   *
+   * @type {Function}
+   */
+  loop.store.RoomStore.getVisibleRooms = loop.store.createSelector(
+    ["rooms", "searchQuery", "sortOrder", "filters"],
+    function(rooms, searchQuery, sortOrder, filters) {
+      var query = searchQuery.trim().toLowerCase();
+      var compare = roomComparators[sortOrder];
+
+      return rooms.filter(function(room) {
+        if (filters[ROOM_FILTERS.ACTIVE] && !room.participants.length) {
+          return false;
+        }
+        if (filters[ROOM_FILTERS.CONTEXT] &&
+            !(room.decryptedContext && room.decryptedContext.urls &&
+              room.decryptedContext.urls.length)) {
+          return false;
+        }
+        return !query || roomMatchesQuery(room, query);
+      }).sort(function(a, b) {
+        return compare(a, b) || roomComparators[ROOM_SORT_ORDERS.LAST_USED](a, b);
+      });
+    });
+
+  /**
+   * Selects the names of the folders that rooms have been moved to, in
+   * alphabetical order.
+   *
+   * @type {Function}
+   */
+  loop.store.RoomStore.getRoomFolders = loop.store.createSelector(["rooms"],
+    function(rooms) {
+      return _.uniq(rooms.map(function(room) {
+        return room.decryptedContext && room.decryptedContext.folder;
+      }).filter(Boolean)).sort(function(a, b) {
+        return a.localeCompare(b);
+      });
+    });
 })(document.mozL10n || navigator.mozL10n);
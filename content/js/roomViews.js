@@ -417,7 +417,11 @@ loop.roomViews = (function(mozL10n) {
         if (!this.state.newRoomName && nextProps.roomData.roomName) {
           newState.newRoomName = nextProps.roomData.roomName;
         }
-        var url = this._getURL(nextProps.roomData);
+        var urls = this._getURLs(nextProps.roomData);
+        if (!this.state.newRoomURLs.length && urls.length) {
+          newState.newRoomURLs = [].concat(urls);
+        }
+        var url = urls[this.state.selectedURLIndex];
         if (url) {
           if (!this.state.newRoomURL && url.location) {
             newState.newRoomURL = url.location;
@@ -448,16 +452,12 @@ loop.roomViews = (function(mozL10n) {
     },
 
     getInitialState: function() {
-      var url = this._getURL();
-      return {
+      return _.extend({
         // `availableContext` prop only used in tests.
         availableContext: null,
         show: this.props.show,
-        newRoomName: this.props.roomData.roomName || "",
-        newRoomURL: url && url.location || "",
-        newRoomDescription: url && url.description || "",
-        newRoomThumbnail: url && url.thumbnail || ""
-      };
+        newRoomName: this.props.roomData.roomName || ""
+      }, this._getSelectionState([].concat(this._getURLs()), 0));
     },
 
     _fetchMetadata: function() {
@@ -506,12 +506,78 @@ loop.roomViews = (function(mozL10n) {
       this.props.dispatcher.dispatch(new sharedActions.UpdateRoomContext({
         roomToken: this.props.roomData.roomToken,
         newRoomName: this.state.newRoomName,
-        newRoomURL: this.state.newRoomURL,
-        newRoomDescription: this.state.newRoomDescription,
-        newRoomThumbnail: this.state.newRoomThumbnail
+        newRoomURLs: this._getEditedURLs()
       }));
     },
 
+    /**
+     * Starts editing a new link, keeping the changes made to the current one.
+     */
+    handleAddURLClick: function(event) {
+      event.preventDefault();
+
+      var urls = this._getEditedURLs();
+      this.setState(this._getSelectionState(urls, urls.length));
+    },
+
+    /**
+     * Selects a link of the list to edit it in the form fields.
+     *
+     * @param {Number} index The position of the link in the list.
+     */
+    handleSelectURLClick: function(index, event) {
+      event.preventDefault();
+
+      this.setState(this._getSelectionState(this._getEditedURLs(), index));
+    },
+
+    /**
+     * Moves a link up or down the list. The first link is the primary one,
+     * which is the only one older clients show.
+     *
+     * @param {Number} index  The position of the link in the list.
+     * @param {Number} offset -1 to move the link up, 1 to move it down.
+     */
+    handleMoveURLClick: function(index, offset, event) {
+      event.preventDefault();
+
+      var urls = this._getEditedURLs();
+      var target = index + offset;
+      if (target < 0 || target >= urls.length) {
+        return;
+      }
+
+      var url = urls[index];
+      urls[index] = urls[target];
+      urls[target] = url;
+
+      var selected = this.state.selectedURLIndex;
+      if (selected === index) {
+        selected = target;
+      } else if (selected === target) {
+        selected = index;
+      }
+      this.setState(this._getSelectionState(urls, selected));
+    },
+
+    /**
+     * Removes a link from the list.
+     *
+     * @param {Number} index The position of the link in the list.
+     */
+    handleRemoveURLClick: function(index, event) {
+      event.preventDefault();
+
+      var urls = this._getEditedURLs();
+      urls.splice(index, 1);
+
+      var selected = this.state.selectedURLIndex;
+      if (selected > index) {
+        selected--;
+      }
+      this.setState(this._getSelectionState(urls, Math.min(selected, urls.length)));
+    },
+
     handleTextareaKeyDown: function(event) {
       // Submit the form as soon as the user press Enter in that field
       // Note: We're using a textarea instead of a simple text input to display
@@ -523,17 +589,109 @@ loop.roomViews = (function(mozL10n) {
     },
 
     /**
-     * Utility function to extract URL context data from the `roomData` property
-     * that can also be supplied as an argument.
+     * Utility function to extract the context URLs from the `roomData`
+     * property that can also be supplied as an argument.
      *
      * @param  {Object} roomData Optional room data object to use, equivalent to
      *                           the activeRoomStore state.
-     * @return {Object} The first context URL found on the `roomData` object.
+     * @return {Array} The context URLs found on the `roomData` object.
      */
-    _getURL: function(roomData) {
+    _getURLs: function(roomData) {
       roomData = roomData || this.props.roomData;
-      return this.props.roomData.roomContextUrls &&
-        this.props.roomData.roomContextUrls[0];
+      return roomData.roomContextUrls || [];
+    },
+
+    /**
+     * Utility function to extract the primary URL context data from the
+     * `roomData` property.
+     *
+     * @return {Object} The first context URL found on the `roomData` object.
+     */
+    _getURL: function() {
+      return this._getURLs()[0];
+    },
+
+    /**
+     * Returns the list of links being edited, with the changes made in the
+     * form fields applied to the selected link. A new link is only added when
+     * it has a location.
+     *
+     * @return {Array} A new array of context URLs.
+     */
+    _getEditedURLs: function() {
+      var urls = [].concat(this.state.newRoomURLs);
+      var editedURL = {
+        location: this.state.newRoomURL,
+        description: this.state.newRoomDescription,
+        thumbnail: this.state.newRoomThumbnail
+      };
+      if (this.state.selectedURLIndex < urls.length) {
+        urls[this.state.selectedURLIndex] = editedURL;
+      } else if (editedURL.location) {
+        urls.push(editedURL);
+      }
+      return urls;
+    },
+
+    /**
+     * Builds the state for editing a link of the list in the form fields.
+     *
+     * @param  {Array}  urls  The list of links being edited.
+     * @param  {Number} index The position of the link to edit; the length of
+     *                        the list for a new link.
+     * @return {Object} The new state.
+     */
+    _getSelectionState: function(urls, index) {
+      var url = urls[index] || {};
+      return {
+        newRoomURLs: urls,
+        selectedURLIndex: index,
+        newRoomURL: url.location || "",
+        newRoomDescription: url.description || "",
+        newRoomThumbnail: url.thumbnail || ""
+      };
+    },
+
+    _renderURLList: function() {
+      var urls = this._getEditedURLs();
+      if (!urls.length) {
+        return null;
+      }
+
+      return (
+        React.createElement("ul", {className: "room-context-url-list"}, 
+          urls.map(function(url, i) {
+            var entryClasses = classNames({
+              "room-context-url-entry": true,
+              "selected": i === this.state.selectedURLIndex
+            });
+            return (
+              React.createElement("li", {className: entryClasses, key: i}, 
+                React.createElement("a", {className: "room-context-url-entry-title", 
+                  href: "#", 
+                  onClick: this.handleSelectURLClick.bind(this, i), 
+                  title: url.location}, 
+                  url.description || url.location
+                ), 
+                React.createElement("button", {className: "room-context-url-move-up", 
+                  disabled: i === 0, 
+                  onClick: this.handleMoveURLClick.bind(this, i, -1), 
+                  title: mozL10n.get("context_move_link_up_button"), 
+                  type: "button"}), 
+                React.createElement("button", {className: "room-context-url-move-down", 
+                  disabled: i === urls.length - 1, 
+                  onClick: this.handleMoveURLClick.bind(this, i, 1), 
+                  title: mozL10n.get("context_move_link_down_button"), 
+                  type: "button"}), 
+                React.createElement("button", {className: "room-context-url-remove", 
+                  onClick: this.handleRemoveURLClick.bind(this, i), 
+                  title: mozL10n.get("context_remove_link_button"), 
+                  type: "button"})
+              )
+            );
+          }, this)
+        )
+      );
     },
 
     render: function() {
@@ -562,6 +720,7 @@ loop.roomViews = (function(mozL10n) {
               placeholder: mozL10n.get("context_edit_name_placeholder"), 
               type: "text", 
               valueLink: this.linkState("newRoomName")}), 
+            this._renderURLList(), 
             React.createElement("input", {className: "room-context-url", 
               disabled: availableContext && availableContext.url === this.state.newRoomURL, 
               onKeyDown: this.handleTextareaKeyDown, 
@@ -573,6 +732,12 @@ loop.roomViews = (function(mozL10n) {
               placeholder: mozL10n.get("context_edit_comments_placeholder"), 
               rows: "2", type: "text", 
               valueLink: this.linkState("newRoomDescription")}), 
+            React.createElement("button", {className: "room-context-add-url", 
+              disabled: !this.state.newRoomURL, 
+              onClick: this.handleAddURLClick, 
+              type: "button"}, 
+              mozL10n.get("context_add_link_button")
+            ), 
             React.createElement(sharedViews.ButtonGroup, null, 
               React.createElement(sharedViews.Button, {additionalClass: "button-cancel", 
                 caption: mozL10n.get("context_cancel_label"), 
@@ -588,12 +753,51 @@ loop.roomViews = (function(mozL10n) {
     }
   });
 
+  /**
+   * Returns the title to display for the room, if it has a name or context.
+   */
+  var getRoomTitle = loop.store.createSelector(["roomName", "roomContextUrls"],
+    function(roomName, roomContextUrls) {
+      if (roomName) {
+        return roomName;
+      }
+      if (roomContextUrls && roomContextUrls.length) {
+        return roomContextUrls[0].description || roomContextUrls[0].location;
+      }
+      return null;
+    });
+
   /**
    * Desktop room conversation view.
    */
   var DesktopRoomConversationView = React.createClass({displayName: "DesktopRoomConversationView",
     mixins: [
-      ActiveRoomStoreMixin,
+      // Only the parts of the active room state that are rendered, so that
+      // the view doesn't update for other changes, e.g. video dimensions.
+      loop.store.StoreSelectorMixin(function(props) {
+        return props.roomStore.activeRoomStore;
+      }, {
+        audioMuted: "audioMuted",
+        failureReason: "failureReason",
+        localSrcMediaElement: "localSrcMediaElement",
+        mediaConnected: "mediaConnected",
+        participants: "participants",
+        remoteStreams: loop.store.ActiveRoomStore.getRemoteStreams,
+        roomContextUrls: "roomContextUrls",
+        roomName: "roomName",
+        roomState: "roomState",
+        roomToken: "roomToken",
+        roomUrl: "roomUrl",
+        screenShareMediaElement: "screenShareMediaElement",
+        screenSharingState: "screenSharingState",
+        socialShareProviders: "socialShareProviders",
+        used: "used",
+        videoMuted: "videoMuted"
+      }),
+      loop.store.StoreSelectorMixin("roomStore", {
+        error: "error",
+        savingContext: "savingContext"
+      }),
       sharedMixins.DocumentTitleMixin,
       sharedMixins.MediaSetupMixin,
       sharedMixins.RoomsAudioMixin,
@@ -606,6 +810,8 @@ loop.roomViews = (function(mozL10n) {
       // The poster URLs are for UI-showcase testing and development.
       localPosterUrl: React.PropTypes.string,
       mozLoop: React.PropTypes.object.isRequired,
+      // Used to display errors, such as a store failing to handle an action.
+      notifications: React.PropTypes.object,
       onCallTerminated: React.PropTypes.func.isRequired,
       remotePosterUrl: React.PropTypes.string,
       roomStore: React.PropTypes.instanceOf(loop.store.RoomStore).isRequired
@@ -684,7 +890,7 @@ loop.roomViews = (function(mozL10n) {
     shouldRenderRemoteVideo: function() {
       switch (this.state.roomState) {
         case ROOM_STATES.HAS_PARTICIPANTS:
-          if (this.state.remoteVideoEnabled) {
+          if (this._getFirstRemoteStream().videoEnabled) {
             return true;
           }
 
@@ -738,10 +944,22 @@ loop.roomViews = (function(mozL10n) {
      */
     _isRemoteLoading: function() {
       return !!(this.state.roomState === ROOM_STATES.HAS_PARTICIPANTS &&
-                !this.state.remoteSrcMediaElement &&
+                !this._getFirstRemoteStream().srcMediaElement &&
                 !this.state.mediaConnected);
     },
 
+    /**
+     * Returns the media of the first remote participant, which is displayed
+     * when there aren't several participants to display in a grid.
+     *
+     * @returns {Object} The stream, see ActiveRoomStore.getRemoteStreams, or
+     *                   an empty object if there isn't one.
+     * @private
+     */
+    _getFirstRemoteStream: function() {
+      return this.state.remoteStreams[0] || {};
+    },
+
     handleAddContextClick: function() {
       this.setState({ showEditContext: true });
     },
@@ -754,6 +972,17 @@ loop.roomViews = (function(mozL10n) {
       this.setState({ showEditContext: false });
     },
 
+    /**
+     * Saves a transcript of the text chat.
+     *
+     * @param {String} format One of CHAT_TRANSCRIPT_FORMATS.
+     */
+    handleExportTranscript: function(format) {
+      this.props.dispatcher.dispatch(new sharedActions.ExportChatTranscript({
+        format: format
+      }));
+    },
+
     componentDidUpdate: function(prevProps, prevState) {
       // Handle timestamp and window closing only when the call has terminated.
       if (prevState.roomState === ROOM_STATES.ENDED &&
@@ -767,10 +996,8 @@ loop.roomViews = (function(mozL10n) {
     },
 
     render: function() {
-      if (this.state.roomName || this.state.roomContextUrls) {
-        var roomTitle = this.state.roomName ||
-                        this.state.roomContextUrls[0].description ||
-                        this.state.roomContextUrls[0].location;
+      var roomTitle = getRoomTitle(this.state);
+      if (roomTitle) {
         this.setTitle(roomTitle);
       }
 
@@ -786,7 +1013,7 @@ loop.roomViews = (function(mozL10n) {
       switch (this.state.roomState) {
         case ROOM_STATES.FAILED:
         case ROOM_STATES.FULL: {
-          // Note: While rooms are set to hold a maximum of 2 participants, the
+          // Note: While rooms are set to hold a maximum number of participants, the
           //       FULL case should never happen on desktop.
           return (
             React.createElement(RoomFailureView, {
@@ -808,11 +1035,17 @@ loop.roomViews = (function(mozL10n) {
               visible: true,
               onClick: this.handleEditContextClick
             },
+            { id: "export-text", onClick: this.handleExportTranscript },
+            { id: "export-html", onClick: this.handleExportTranscript },
+            { id: "export-json", onClick: this.handleExportTranscript },
             { id: "help" }
           ];
           return (
             React.createElement("div", {className: "room-conversation-wrapper desktop-room-wrapper", 
               onContextMenu: this.handleContextMenu}, 
+              this.props.notifications ?
+                React.createElement(sharedViews.NotificationListView, {
+                  notifications: this.props.notifications}) : null, 
               React.createElement(sharedViews.MediaLayoutView, {
                 dispatcher: this.props.dispatcher, 
                 displayScreenShare: false, 
@@ -824,7 +1057,8 @@ loop.roomViews = (function(mozL10n) {
                 localVideoMuted: this.state.videoMuted, 
                 matchMedia: this.state.matchMedia || window.matchMedia.bind(window), 
                 remotePosterUrl: this.props.remotePosterUrl, 
-                remoteSrcMediaElement: this.state.remoteSrcMediaElement, 
+                remoteSrcMediaElement: this._getFirstRemoteStream().srcMediaElement, 
+                remoteStreams: this.state.remoteStreams, 
                 renderRemoteVideo: this.shouldRenderRemoteVideo(), 
                 screenShareMediaElement: this.state.screenShareMediaElement, 
                 screenSharePosterUrl: null, 
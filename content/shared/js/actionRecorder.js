@@ -0,0 +1,410 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this file,
+ * You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var loop = loop || {};
+loop.actionRecorder = (function() {
+  "use strict";
+
+  var sharedActions = loop.shared.actions;
+
+  /**
+   * The version of the session log format. This should be incremented if the
+   * format changes in an incompatible way.
+   *
+   * @type {Number}
+   */
+  var LOG_VERSION = 1;
+
+  /**
+   * The property used to mark a value in the session log that has replaced
+   * a DOM element.
+   *
+   * @type {String}
+   */
+  var PLACEHOLDER_KEY = "__placeholderElement";
+
+  /**
+   * The property used to mark a value in the session log that has replaced
+   * a Blob or File. The contents of files aren't recorded.
+   *
+   * @type {String}
+   */
+  var BLOB_PLACEHOLDER_KEY = "__placeholderBlob";
+
+  /**
+   * The action fields whose values aren't recorded, wherever they appear in
+   * an action, as session logs are attached to public bugs. These are the
+   * keys, tokens and urls that give access to a room, and the contents of
+   * chat messages.
+   *
+   * @type {Array}
+   */
+  var SENSITIVE_FIELDS = [
+    "apiKey",
+    "cryptoKey",
+    "location",
+    "message",
+    "roomToken",
+    "roomUrl",
+    "sessionId",
+    "sessionToken",
+    "thumbnail",
+    "token",
+    "url",
+    "windowHash",
+    "windowPath"
+  ];
+
+  /**
+   * The value that replaces sensitive strings in the session log. It's still
+   * a string, so that the replayed actions remain valid.
+   *
+   * @type {String}
+   */
+  var REDACTED_VALUE = "__redacted";
+
+  /**
+   * Returns a map of action names to the names of the constructors for
+   * those actions in loop.shared.actions, e.g. "getWindowData" to
+   * "GetWindowData".
+   *
+   * @return {Object}
+   */
+  function getActionTypes() {
+    var types = {};
+    Object.keys(sharedActions).forEach(function(type) {
+      if (sharedActions[type].actionName) {
+        types[sharedActions[type].actionName] = type;
+      }
+    });
+    return types;
+  }
+
+  /**
+   * Deep copies a value so that it can be serialized into a session log,
+   * swapping any DOM elements and Blobs for placeholders. Errors are reduced to their
+   * name and message. Other class instances (e.g. stores) can't be recreated
+   * and may contain cycles, so they are replaced by empty objects. Strings in
+   * any of the SENSITIVE_FIELDS are redacted.
+   *
+   * @param  {Mixed} value The value to copy.
+   * @return {Mixed}       The copy.
+   */
+  function toSerializable(value) {
+    if (value === null || typeof value !== "object") {
+      return value;
+    }
+
+    if (value.nodeType === Node.ELEMENT_NODE) {
+      var placeholder = {};
+      placeholder[PLACEHOLDER_KEY] = value.tagName.toLowerCase();
+      return placeholder;
+    }
+
+    if (value instanceof Blob) {
+      var blobPlaceholder = {};
+      blobPlaceholder[BLOB_PLACEHOLDER_KEY] = {
+        type: value.type,
+        size: value.size
+      };
+      return blobPlaceholder;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(toSerializable);
+    }
+
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message };
+    }
+
+    var proto = Object.getPrototypeOf(value);
+    if (proto !== null && proto !== Object.prototype &&
+        !(value instanceof sharedActions.Action)) {
+      return {};
+    }
+
+    var copy = {};
+    Object.keys(value).forEach(function(key) {
+      if (typeof value[key] === "function") {
+        return;
+      }
+
+      if (typeof value[key] === "string" && value[key] &&
+          SENSITIVE_FIELDS.indexOf(key) !== -1) {
+        copy[key] = REDACTED_VALUE;
+      } else {
+        copy[key] = toSerializable(value[key]);
+      }
+    });
+    return copy;
+  }
+
+  /**
+   * Reverses toSerializable, swapping placeholders for new, empty DOM
+   * elements or Blobs of the same type.
+   *
+   * @param  {Mixed} value The value from the session log.
+   * @return {Mixed}       The value with placeholders replaced.
+   */
+  function fromSerializable(value) {
+    if (value === null || typeof value !== "object") {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(fromSerializable);
+    }
+
+    if (PLACEHOLDER_KEY in value) {
+      return document.createElement(value[PLACEHOLDER_KEY]);
+    }
+
+    if (BLOB_PLACEHOLDER_KEY in value) {
+      return new Blob([], { type: value[BLOB_PLACEHOLDER_KEY].type });
+    }
+
+    var copy = {};
+    Object.keys(value).forEach(function(key) {
+      copy[key] = fromSerializable(value[key]);
+    });
+    return copy;
+  }
+
+  /**
+   * Records every action passing through a dispatcher into a session log
+   * that can be serialized and later replayed with an ActionReplayer.
+   *
+   * @param {loop.Dispatcher} dispatcher The dispatcher to record actions from.
+   */
+  function ActionRecorder(dispatcher) {
+    if (!dispatcher) {
+      throw new Error("Missing required dispatcher");
+    }
+
+    this._dispatcher = dispatcher;
+    this._actionTypes = getActionTypes();
+    this._entries = [];
+    this._startTime = null;
+    this._recording = false;
+  }
+
+  ActionRecorder.prototype = {
+    /**
+     * Starts recording actions. Any previously recorded actions are kept.
+     */
+    start: function() {
+      if (this._recording) {
+        return;
+      }
+
+      if (!this._startTime) {
+        this._startTime = Date.now();
+      }
+      this._recording = true;
+      this._dispatcher.addMiddleware(this);
+    },
+
+    /**
+     * Stops recording actions.
+     */
+    stop: function() {
+      if (!this._recording) {
+        return;
+      }
+
+      this._recording = false;
+      this._dispatcher.removeMiddleware(this);
+    },
+
+    /**
+     * Clears all recorded actions.
+     */
+    clear: function() {
+      this._entries = [];
+      this._startTime = this._recording ? Date.now() : null;
+    },
+
+    /**
+     * Dispatcher middleware hook, records the action and passes it on.
+     *
+     * @param {sharedActions.Action} action The action being dispatched.
+     * @param {Function}             next   Passes the action on.
+     */
+    beforeDispatch: function(action, next) {
+      var payload = {};
+      Object.keys(action).forEach(function(key) {
+        if (key !== "name") {
+          payload[key] = action[key];
+        }
+      });
+
+      this._entries.push({
+        type: this._actionTypes[action.name] || null,
+        name: action.name,
+        timestamp: Date.now(),
+        payload: toSerializable(payload)
+      });
+
+      next(action);
+    },
+
+    /**
+     * Returns the session log for the recorded actions.
+     *
+     * @return {Object} The session log.
+     */
+    getLog: function() {
+      return {
+        version: LOG_VERSION,
+        startTime: this._startTime,
+        actions: this._entries.slice()
+      };
+    },
+
+    /**
+     * Returns the session log serialized as a JSON string, ready to be
+     * attached to a bug.
+     *
+     * @return {String}
+     */
+    serialize: function() {
+      return JSON.stringify(this.getLog());
+    }
+  };
+
+  /**
+   * Replays a session log recorded by an ActionRecorder into a dispatcher.
+   * The dispatcher is expected to have a fresh set of stores registered.
+   *
+   * The replay session starts with the first replayed action and lasts until
+   * `stop` is called. During it, any actions that the stores dispatch
+   * themselves are dropped, including those dispatched later on from
+   * callbacks or timers, as the session log already contains the actions that
+   * resulted from them at the time of recording.
+   *
+   * @param {loop.Dispatcher} dispatcher The dispatcher to replay actions into.
+   * @param {Object|String}   log        The session log, either as returned
+   *                                     from ActionRecorder#getLog or as
+   *                                     serialized by ActionRecorder#serialize.
+   */
+  function ActionReplayer(dispatcher, log) {
+    if (!dispatcher) {
+      throw new Error("Missing required dispatcher");
+    }
+    if (!log) {
+      throw new Error("Missing required log");
+    }
+
+    if (typeof log === "string") {
+      log = JSON.parse(log);
+    }
+
+    if (log.version !== LOG_VERSION) {
+      throw new Error("Unsupported session log version " + log.version);
+    }
+
+    this._dispatcher = dispatcher;
+    this._entries = log.actions;
+    this._position = 0;
+    this._replayedActions = [];
+    this._replaying = false;
+  }
+
+  ActionReplayer.prototype = {
+    /**
+     * Starts the replay session. This is done automatically when the first
+     * action is replayed.
+     */
+    start: function() {
+      if (this._replaying) {
+        return;
+      }
+
+      this._replaying = true;
+      this._dispatcher.addMiddleware(this);
+    },
+
+    /**
+     * Stops the replay session, so that actions dispatched by the stores are
+     * handled again.
+     */
+    stop: function() {
+      if (!this._replaying) {
+        return;
+      }
+
+      this._replaying = false;
+      this._replayedActions = [];
+      this._dispatcher.removeMiddleware(this);
+    },
+
+    /**
+     * Dispatcher middleware hook, only passes on replayed actions.
+     *
+     * @param {sharedActions.Action} action The action being dispatched.
+     * @param {Function}             next   Passes the action on.
+     */
+    beforeDispatch: function(action, next) {
+      var index = this._replayedActions.indexOf(action);
+      if (index !== -1) {
+        this._replayedActions.splice(index, 1);
+        next(action);
+      }
+    },
+
+    /**
+     * Returns true if there are more actions to be replayed.
+     *
+     * @return {Boolean}
+     */
+    hasNext: function() {
+      return this._position < this._entries.length;
+    },
+
+    /**
+     * Replays the next action from the session log.
+     *
+     * @return {sharedActions.Action} The replayed action.
+     */
+    replayNext: function() {
+      if (!this.hasNext()) {
+        throw new Error("No more actions to replay");
+      }
+
+      var entry = this._entries[this._position++];
+      var payload = fromSerializable(entry.payload);
+      var action;
+
+      if (entry.type && sharedActions[entry.type]) {
+        action = new sharedActions[entry.type](payload);
+      } else {
+        // This is an action that isn't defined in this version, so just
+        // replay it as-is.
+        console.warn("[ActionReplayer] Unknown action type for", entry.name);
+        action = _.extend(payload, { name: entry.name });
+      }
+
+      this.start();
+      this._replayedActions.push(action);
+      this._dispatcher.dispatch(action);
+
+      return action;
+    },
+
+    /**
+     * Replays all the remaining actions from the session log.
+     */
+    replay: function() {
+      while (this.hasNext()) {
+        this.replayNext();
+      }
+    }
+  };
+
+  return {
+    ActionRecorder: ActionRecorder,
+    ActionReplayer: ActionReplayer
+  };
+})();
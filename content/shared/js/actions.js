@@ -7,6 +7,27 @@ loop.shared = loop.shared || {};
 loop.shared.actions = (function() {
   "use strict";
 
+  var arrayOf = loop.validate.arrayOf;
+  var oneOf = loop.validate.oneOf;
+  var optional = loop.validate.optional;
+  var shape = loop.validate.shape;
+  var CHAT_CONTENT_TYPES = loop.shared.utils.CHAT_CONTENT_TYPES;
+  var CHAT_TRANSCRIPT_FORMATS = loop.shared.utils.CHAT_TRANSCRIPT_FORMATS;
+  var ROOM_FILTERS = loop.shared.utils.ROOM_FILTERS;
+  var ROOM_INFO_FAILURES = loop.shared.utils.ROOM_INFO_FAILURES;
+  var ROOM_SORT_ORDERS = loop.shared.utils.ROOM_SORT_ORDERS;
+  var SCREEN_SHARE_STATES = loop.shared.utils.SCREEN_SHARE_STATES;
+
+  /**
+   * The shape of a context url attached to a room.
+   * See https://wiki.mozilla.org/Loop/Architecture/Context#Format_of_context.value
+   */
+  var contextUrlShape = shape({
+    location: String,
+    description: optional(String),
+    thumbnail: optional(String)
+  });
+
   /**
    * Actions are events that are triggered by the user, e.g. clicking a button,
    * or by an async event, e.g. status received.
@@ -24,7 +45,11 @@ loop.shared.actions = (function() {
   }
 
   Action.define = function(name, schema) {
-    return Action.bind(null, name, schema);
+    var ActionType = Action.bind(null, name, schema);
+    // Keep the name so that the action type can be found from an instance,
+    // e.g. when replaying recorded actions.
+    ActionType.actionName = name;
+    return ActionType;
   };
 
   return {
@@ -51,11 +76,12 @@ loop.shared.actions = (function() {
      */
     SetupWindowData: Action.define("setupWindowData", {
       windowId: String,
-      type: String
+      type: String,
+      roomToken: optional(String)
 
-      // Optional Items. There are other optional items typically sent
-      // around with this action. They are for the setup of calls and rooms and
-      // depend on the type. See LoopRooms for the details of this data.
+      // There are other optional items typically sent around with this
+      // action. They are for the setup of rooms and depend on the type.
+      // See LoopRooms for the details of this data.
     }),
 
     /**
@@ -63,7 +89,7 @@ loop.shared.actions = (function() {
      * token.
      */
     FetchServerData: Action.define("fetchServerData", {
-      // cryptoKey: String - Optional.
+      cryptoKey: optional([String, null]),
       token: String,
       windowType: String
     }),
@@ -80,7 +106,9 @@ loop.shared.actions = (function() {
      * peerHungup is true if the peer intentionally disconnected, false otherwise.
      */
     RemotePeerDisconnected: Action.define("remotePeerDisconnected", {
-      peerHungup: Boolean
+      peerHungup: Boolean,
+      // The number of other remote peers still connected to the session.
+      remainingPeers: Number
     }),
 
     /**
@@ -114,19 +142,127 @@ loop.shared.actions = (function() {
      * Used to send a message to the other peer.
      */
     SendTextChatMessage: Action.define("sendTextChatMessage", {
-      contentType: String,
+      contentType: oneOf(CHAT_CONTENT_TYPES),
       message: String,
-      sentTimestamp: String
+      sentTimestamp: String,
+      // Assigned by the store if not specified.
+      messageId: optional(String),
+      extraData: optional(Object)
     }),
 
     /**
      * Notifies that a message has been received from the other peer.
      */
     ReceivedTextChatMessage: Action.define("receivedTextChatMessage", {
+      // Not checked against CHAT_CONTENT_TYPES, as newer peers may send
+      // types that we don't know about yet. The stores ignore those.
       contentType: String,
       message: String,
-      receivedTimestamp: String
-      // sentTimestamp: String (optional)
+      receivedTimestamp: String,
+      sentTimestamp: optional(String),
+      // Not sent by older peers, in which case no receipts are returned.
+      messageId: optional(String),
+      extraData: optional(Object)
+    }),
+
+    /**
+     * Used to let the other peer know that the received messages have been
+     * read, i.e. displayed whilst the conversation window was visible.
+     */
+    MarkChatMessagesRead: Action.define("markChatMessagesRead", {
+    }),
+
+    /**
+     * Used to send again a message that the other peer didn't acknowledge.
+     */
+    ResendTextChatMessage: Action.define("resendTextChatMessage", {
+      messageId: String
+    }),
+
+    /**
+     * Used to let the other peer know that the user has started or stopped
+     * composing a text chat message.
+     */
+    SendTypingState: Action.define("sendTypingState", {
+      typing: Boolean
+    }),
+
+    /**
+     * Used to change the text of a message the user sent.
+     */
+    EditTextChatMessage: Action.define("editTextChatMessage", {
+      messageId: String,
+      message: String
+    }),
+
+    /**
+     * Used to retract a message the user sent.
+     */
+    DeleteTextChatMessage: Action.define("deleteTextChatMessage", {
+      messageId: String
+    }),
+
+    /**
+     * Saves a transcript of the text chat in the current room.
+     */
+    ExportChatTranscript: Action.define("exportChatTranscript", {
+      format: oneOf(CHAT_TRANSCRIPT_FORMATS)
+    }),
+
+    /**
+     * Turns the notifications for received text chat messages in the current
+     * room off or on.
+     */
+    SetChatNotificationsMuted: Action.define("setChatNotificationsMuted", {
+      muted: Boolean
+    }),
+
+    /**
+     * Used to add or remove the user's reaction to a message.
+     */
+    ToggleChatReaction: Action.define("toggleChatReaction", {
+      messageId: String,
+      // The emoji to react with.
+      reaction: String
+    }),
+
+    /**
+     * Used to offer a file to the other peer.
+     */
+    SendFile: Action.define("sendFile", {
+      file: Blob
+    }),
+
+    /**
+     * Used to accept a file offered by the other peer.
+     */
+    AcceptFileTransfer: Action.define("acceptFileTransfer", {
+      transferId: String
+    }),
+
+    /**
+     * Used to decline a file offered by the other peer.
+     */
+    DeclineFileTransfer: Action.define("declineFileTransfer", {
+      transferId: String
+    }),
+
+    /**
+     * Used to stop a file transfer, either before or whilst the file is being
+     * sent.
+     */
+    CancelFileTransfer: Action.define("cancelFileTransfer", {
+      transferId: String
+    }),
+
+    /**
+     * Notifies that the saved text chat messages for a room have been loaded.
+     */
+    ChatHistoryLoaded: Action.define("chatHistoryLoaded", {
+      roomToken: String,
+      // The messages, oldest first, in the same format as the store's
+      // message list.
+      messages: arrayOf(Object)
     }),
 
     /**
@@ -163,7 +299,10 @@ loop.shared.actions = (function() {
     VideoDimensionsChanged: Action.define("videoDimensionsChanged", {
       isLocal: Boolean,
       videoType: String,
-      dimensions: Object
+      dimensions: shape({
+        width: Number,
+        height: Number
+      })
     }),
 
     /**
@@ -172,14 +311,18 @@ loop.shared.actions = (function() {
     MediaStreamCreated: Action.define("mediaStreamCreated", {
       hasVideo: Boolean,
       isLocal: Boolean,
-      srcMediaElement: Object
+      srcMediaElement: Object,
+      // The id of the remote participant's connection, for remote streams.
+      connectionId: optional(String)
     }),
 
     /**
-     * A stream from local or remote media has been destroyed.
+     * A stream from local or remote media has been destroyed. If a remote
+     * stream has no connectionId, all the remote streams have been destroyed.
      */
     MediaStreamDestroyed: Action.define("mediaStreamDestroyed", {
-      isLocal: Boolean
+      isLocal: Boolean,
+      connectionId: optional(String)
     }),
 
     /**
@@ -191,6 +334,8 @@ loop.shared.actions = (function() {
      *       https://tokbox.com/opentok/libraries/client/js/reference/VideoEnabledChangedEvent.html
      */
     RemoteVideoStatus: Action.define("remoteVideoStatus", {
+      // The id of the remote participant's connection.
+      connectionId: String,
       videoEnabled: Boolean
     }),
 
@@ -198,8 +343,8 @@ loop.shared.actions = (function() {
      * Used to mute or unmute a stream
      */
     SetMute: Action.define("setMute", {
-      // The part of the stream to enable, e.g. "audio" or "video"
-      type: String,
+      // The part of the stream to enable.
+      type: oneOf(["audio", "video"]),
       // Whether or not to enable the stream.
       enabled: Boolean
     }),
@@ -208,8 +353,8 @@ loop.shared.actions = (function() {
      * Used to start a screen share.
      */
     StartScreenShare: Action.define("startScreenShare", {
-      // The part of the screen to share, e.g. "window" or "browser".
-      type: String
+      // The part of the screen to share.
+      type: oneOf(["window", "browser"])
     }),
 
     /**
@@ -222,8 +367,7 @@ loop.shared.actions = (function() {
      * Used to notify that screen sharing is active or not.
      */
     ScreenSharingState: Action.define("screenSharingState", {
-      // One of loop.shared.utils.SCREEN_SHARE_STATES.
-      state: String
+      state: oneOf(SCREEN_SHARE_STATES)
     }),
 
     /**
@@ -232,8 +376,9 @@ loop.shared.actions = (function() {
      * XXX this should be split into multiple actions to make the code clearer.
      */
     ReceivingScreenShare: Action.define("receivingScreenShare", {
-      receiving: Boolean
-      // srcMediaElement: Object (only present if receiving is true)
+      receiving: Boolean,
+      // Only present if receiving is true.
+      srcMediaElement: optional([Object, null])
     }),
 
     /**
@@ -241,8 +386,7 @@ loop.shared.actions = (function() {
      * XXX: should move to some roomActions module - refs bug 1079284
      */
     CreateRoom: Action.define("createRoom", {
-      // See https://wiki.mozilla.org/Loop/Architecture/Context#Format_of_context.value
-      // urls: Object - Optional
+      urls: optional(arrayOf(contextUrlShape))
     }),
 
     /**
@@ -272,6 +416,23 @@ loop.shared.actions = (function() {
       roomToken: String
     }),
 
+    /**
+     * Removes the saved text chat messages for a room.
+     * XXX: should move to some roomActions module - refs bug 1079284
+     */
+    ClearChatHistory: Action.define("clearChatHistory", {
+      roomToken: String
+    }),
+
+    /**
+     * Saves the saved text chat messages for a room as a transcript.
+     * XXX: should move to some roomActions module - refs bug 1079284
+     */
+    ExportChatHistory: Action.define("exportChatHistory", {
+      roomToken: String,
+      format: oneOf(CHAT_TRANSCRIPT_FORMATS)
+    }),
+
     /**
      * Room deletion error.
      * XXX: should move to some roomActions module - refs bug 1079284
@@ -306,7 +467,61 @@ loop.shared.actions = (function() {
      * XXX: should move to some roomActions module - refs bug 1079284
      */
     UpdateRoomList: Action.define("updateRoomList", {
-      roomList: Array
+      roomList: arrayOf(Object)
+    }),
+
+    /**
+     * Searches the room list for rooms whose name or context matches a query.
+     * XXX: should move to some roomActions module - refs bug 1079284
+     */
+    SearchRooms: Action.define("searchRooms", {
+      query: String
+    }),
+
+    /**
+     * Changes the order of the room list.
+     * XXX: should move to some roomActions module - refs bug 1079284
+     */
+    SortRooms: Action.define("sortRooms", {
+      sortOrder: oneOf(ROOM_SORT_ORDERS)
+    }),
+
+    /**
+     * Restricts the room list to the rooms matching a filter, or removes that
+     * restriction.
+     * XXX: should move to some roomActions module - refs bug 1079284
+     */
+    FilterRooms: Action.define("filterRooms", {
+      filter: oneOf(ROOM_FILTERS),
+      enabled: Boolean
+    }),
+
+    /**
+     * Pins a room to the top of the room list, or unpins it.
+     * XXX: should move to some roomActions module - refs bug 1079284
+     */
+    PinRoom: Action.define("pinRoom", {
+      roomToken: String,
+      pinned: Boolean
+    }),
+
+    /**
+     * Moves a room to a folder of the room list.
+     * XXX: should move to some roomActions module - refs bug 1079284
+     */
+    MoveRoomToFolder: Action.define("moveRoomToFolder", {
+      roomToken: String,
+      // The name of the folder, or an empty string to take the room out of
+      // its folder.
+      folder: String
+    }),
+
+    /**
+     * Collapses a folder of the room list, or expands it.
+     * XXX: should move to some roomActions module - refs bug 1079284
+     */
+    ToggleRoomFolder: Action.define("toggleRoomFolder", {
+      folder: String
     }),
 
     /**
@@ -320,13 +535,33 @@ loop.shared.actions = (function() {
     /**
      * Updates the context data attached to a room.
      * XXX: should move to some roomActions module - refs bug 1079284
+     *
+     * `newRoomURLs` is the complete, ordered list of links to share in the
+     * room; the first one is the primary link.
      */
     UpdateRoomContext: Action.define("updateRoomContext", {
       roomToken: String,
-      newRoomName: String
-      // newRoomDescription: String, Optional.
-      // newRoomThumbnail: String, Optional.
-      // newRoomURL: String Optional.
+      newRoomName: String,
+      newRoomURLs: optional(arrayOf(contextUrlShape))
+    }),
+
+    /**
+     * Renews the expiry time of a room, so that its link keeps working.
+     * XXX: should move to some roomActions module - refs bug 1079284
+     */
+    RenewRoom: Action.define("renewRoom", {
+      roomToken: String
+    }),
+
+    /**
+     * Renewing the expiry time of a room failed.
+     * XXX: should move to some roomActions module - refs bug 1079284
+     */
+    RenewRoomError: Action.define("renewRoomError", {
+      // There's two types of error possible - one thrown by our code (and Error)
+      // and the other is an Object about the error codes from the server as
+      // returned by the Hawk request.
+      error: [Error, Object]
     }),
 
     /**
@@ -347,7 +582,7 @@ loop.shared.actions = (function() {
      * XXX: should move to some roomActions module - refs bug 1079284
      */
     CopyRoomUrl: Action.define("copyRoomUrl", {
-      from: String,
+      from: oneOf(["conversation", "panel"]),
       roomUrl: String
     }),
 
@@ -356,9 +591,9 @@ loop.shared.actions = (function() {
      * XXX: should move to some roomActions module - refs bug 1079284
      */
     EmailRoomUrl: Action.define("emailRoomUrl", {
-      from: String,
-      roomUrl: String
-      // roomDescription: String, Optional.
+      from: oneOf(["conversation", "panel"]),
+      roomUrl: String,
+      roomDescription: optional(String)
     }),
 
     /**
@@ -366,7 +601,9 @@ loop.shared.actions = (function() {
      * XXX: should move to some roomActions module - refs bug 1079284
      */
     ShareRoomUrl: Action.define("shareRoomUrl", {
-      provider: Object,
+      provider: shape({
+        origin: String
+      }),
       roomUrl: String
     }),
 
@@ -393,15 +630,15 @@ loop.shared.actions = (function() {
      * @see https://wiki.mozilla.org/Loop/Architecture/Rooms#GET_.2Frooms.2F.7Btoken.7D
      */
     UpdateRoomInfo: Action.define("updateRoomInfo", {
-      // participants: Array - Optional.
-      // roomContextUrls: Array - Optional.
-      // See https://wiki.mozilla.org/Loop/Architecture/Context#Format_of_context.value
-      // roomDescription: String - Optional.
-      // roomInfoFailure: String - Optional.
-      // roomName: String - Optional.
-      // roomState: String - Optional.
-      roomUrl: String
-      // socialShareProviders: Array - Optional.
+      participants: optional(arrayOf(Object)),
+      roomContextUrls: optional(arrayOf(contextUrlShape)),
+      roomDescription: optional(String),
+      roomInfoFailure: optional(oneOf(ROOM_INFO_FAILURES)),
+      roomName: optional(String),
+      // One of loop.store.ROOM_STATES, which isn't available here.
+      roomState: optional(String),
+      roomUrl: String,
+      socialShareProviders: optional(arrayOf(Object))
     }),
 
     /**
@@ -416,7 +653,7 @@ loop.shared.actions = (function() {
      * XXX: should move to some roomActions module - refs bug 1079284
      */
     UpdateSocialShareInfo: Action.define("updateSocialShareInfo", {
-      socialShareProviders: Array
+      socialShareProviders: arrayOf(Object)
     }),
 
     /**
@@ -432,8 +669,9 @@ loop.shared.actions = (function() {
      * XXX: should move to some roomActions module - refs bug 1079284
      */
     MetricsLogJoinRoom: Action.define("metricsLogJoinRoom", {
-      userAgentHandledRoom: Boolean
-      // ownRoom: Boolean - Optional. Expected if firefoxHandledRoom is true.
+      userAgentHandledRoom: Boolean,
+      // Expected if userAgentHandledRoom is true.
+      ownRoom: optional(Boolean)
     }),
 
     /**
@@ -462,6 +700,38 @@ loop.shared.actions = (function() {
     LeaveRoom: Action.define("leaveRoom", {
     }),
 
+    /**
+     * Used to share the call state of the room open in a conversation window
+     * with the other windows, e.g. so that the panel can display it.
+     */
+    ActiveRoomCallState: Action.define("activeRoomCallState", {
+      roomToken: String,
+      // True whilst the user is connected to the room.
+      joined: Boolean,
+      audioMuted: Boolean,
+      videoMuted: Boolean,
+      screenSharingState: oneOf(SCREEN_SHARE_STATES),
+      participantCount: Number
+    }),
+
+    /**
+     * Used to ask the conversation windows to share their call state.
+     */
+    GetActiveRoomCallState: Action.define("getActiveRoomCallState", {
+    }),
+
+    /**
+     * Used to send an action to the conversation windows, e.g. so that the
+     * panel can mute a call. The action isn't dispatched in the current
+     * window. Handled by the ActionBridge.
+     */
+    SendToConversationWindow: Action.define("sendToConversationWindow", {
+      action: Object,
+      // The room whose window the action is for. If not specified, the action
+      // is sent to all the conversation windows.
+      roomToken: optional(String)
+    }),
+
     /**
      * Signals that the feedback view should be rendered.
      */
@@ -479,6 +749,22 @@ loop.shared.actions = (function() {
       linkInfo: String
     }),
 
+    /**
+     * Used to notify that a store threw an exception whilst handling an
+     * action. Dispatched by the dispatcher, and only if a store is registered
+     * to receive it.
+     */
+    StoreError: Action.define("storeError", {
+      // The name of the action that was being handled.
+      actionName: String,
+      // The action that was being handled, so that it can be retried.
+      failedAction: Object,
+      // The store that threw the exception.
+      store: Object,
+      // The exception that was thrown.
+      error: [Error, Object]
+    }),
+
     /**
      * Used to inform of the current session, publisher and connection
      * status.
@@ -59,6 +59,41 @@ loop.store.ActiveRoomStore = (function() {
     socialShareProviders: "socialShareProviders"
   };
 
+  /**
+   * Picks the room details out of the decrypted context of a room. The context
+   * is written by other clients, so values that don't fit the UpdateRoomInfo
+   * action are left out, rather than failing to show the room at all.
+   *
+   * @param  {Object} context The decrypted context.
+   * @return {Object} The roomContextUrls, roomDescription and roomName.
+   */
+  function getContextDetails(context) {
+    context = context || {};
+
+    function getString(value) {
+      return typeof value === "string" ? value : undefined;
+    }
+
+    var urls;
+    if (Array.isArray(context.urls)) {
+      urls = context.urls.filter(function(url) {
+        return url && typeof url.location === "string";
+      }).map(function(url) {
+        return loop.shared.utils.stripFalsyValues({
+          location: url.location,
+          description: getString(url.description),
+          thumbnail: getString(url.thumbnail)
+        });
+      });
+    }
+
+    return {
+      roomContextUrls: urls,
+      roomDescription: getString(context.description),
+      roomName: getString(context.roomName)
+    };
+  }
+
   /**
    * Active room store.
    *
@@ -81,7 +116,8 @@ loop.store.ActiveRoomStore = (function() {
     // means the stores would only be created when we want them.
     actions: [
       "setupWindowData",
-      "fetchServerData"
+      "fetchServerData",
+      "storeError"
     ],
 
     initialize: function(options) {
@@ -113,9 +149,8 @@ loop.store.ActiveRoomStore = (function() {
       "localVideoDimensions",
       "mediaConnected",
       "receivingScreenShare",
-      "remoteSrcMediaElement",
+      "remoteMedia",
       "remoteVideoDimensions",
-      "remoteVideoEnabled",
       "screenSharingState",
       "screenShareMediaElement",
       "videoMuted"
@@ -132,7 +167,10 @@ loop.store.ActiveRoomStore = (function() {
         roomState: ROOM_STATES.INIT,
         audioMuted: false,
         videoMuted: false,
-        remoteVideoEnabled: false,
+        // The media of the remote participants, by the id of their
+        // connection. Each has the srcMediaElement and videoEnabled state of
+        // their stream.
+        remoteMedia: {},
         failureReason: undefined,
         // Whether or not Firefox can handle this room in the conversation
         // window, rather than us handling it in the standalone.
@@ -227,6 +265,34 @@ loop.store.ActiveRoomStore = (function() {
       }
     },
 
+    /**
+     * Handles an exception thrown by this store whilst handling an action. The
+     * room is moved into the failed state, so that the user can retry rather
+     * than the room being stuck in a pending state.
+     *
+     * @param {sharedActions.StoreError} actionData
+     */
+    storeError: function(actionData) {
+      if (actionData.store !== this) {
+        return;
+      }
+
+      switch (this._storeState.roomState) {
+        case ROOM_STATES.INIT:
+        case ROOM_STATES.FAILED:
+        case ROOM_STATES.FULL:
+        case ROOM_STATES.ENDED:
+        case ROOM_STATES.CLOSING:
+          // There's nothing pending to recover from in these states.
+          return;
+      }
+
+      this.dispatchAction(new sharedActions.RoomFailure({
+        error: actionData.error,
+        failedJoinRequest: false
+      }));
+    },
+
     /**
      * Registers the actions with the dispatcher that this store is interested
      * in after the initial setup has been performed.
@@ -320,15 +386,12 @@ loop.store.ActiveRoomStore = (function() {
             return;
           }
 
-          this.dispatchAction(new sharedActions.UpdateRoomInfo({
+          this.dispatchAction(new sharedActions.UpdateRoomInfo(_.extend({
             participants: roomData.participants,
-            roomContextUrls: roomData.decryptedContext.urls,
-            roomDescription: roomData.decryptedContext.description,
-            roomName: roomData.decryptedContext.roomName,
             roomState: ROOM_STATES.READY,
             roomUrl: roomData.roomUrl,
             socialShareProviders: this._mozLoop.getSocialShareProviders()
-          }));
+          }, getContextDetails(roomData.decryptedContext))));
 
           // For the conversation window, we need to automatically
           // join the room.
@@ -426,11 +489,7 @@ loop.store.ActiveRoomStore = (function() {
 
           crypto.decryptBytes(roomCryptoKey, result.context.value)
                 .then(function(decryptedResult) {
-            var realResult = JSON.parse(decryptedResult);
-
-            roomInfoData.roomDescription = realResult.description;
-            roomInfoData.roomContextUrls = realResult.urls;
-            roomInfoData.roomName = realResult.roomName;
+            _.extend(roomInfoData, getContextDetails(JSON.parse(decryptedResult)));
 
             resolve(roomInfoData);
           }, function(error) {
@@ -552,13 +611,10 @@ loop.store.ActiveRoomStore = (function() {
      * @param {Object} roomData  The new roomData.
      */
     _handleRoomUpdate: function(eventName, roomData) {
-      this.dispatchAction(new sharedActions.UpdateRoomInfo({
-        roomContextUrls: roomData.decryptedContext.urls,
-        roomDescription: roomData.decryptedContext.description,
+      this.dispatchAction(new sharedActions.UpdateRoomInfo(_.extend({
         participants: roomData.participants,
-        roomName: roomData.decryptedContext.roomName,
         roomUrl: roomData.roomUrl
-      }));
+      }, getContextDetails(roomData.decryptedContext))));
     },
 
     /**
@@ -802,9 +858,9 @@ loop.store.ActiveRoomStore = (function() {
         return;
       }
 
-      this.setStoreState({
-        remoteVideoEnabled: actionData.hasVideo,
-        remoteSrcMediaElement: actionData.srcMediaElement
+      this._updateRemoteMedia(actionData.connectionId, {
+        srcMediaElement: actionData.srcMediaElement,
+        videoEnabled: actionData.hasVideo
       });
     },
 
@@ -821,8 +877,14 @@ loop.store.ActiveRoomStore = (function() {
         return;
       }
 
+      if (!actionData.connectionId) {
+        this.setStoreState({ remoteMedia: {} });
+        return;
+      }
+
       this.setStoreState({
-        remoteSrcMediaElement: null
+        remoteMedia: _.omit(this.getStoreState("remoteMedia"),
+                            actionData.connectionId)
       });
     },
 
@@ -832,11 +894,28 @@ loop.store.ActiveRoomStore = (function() {
      * @param {sharedActions.RemoteVideoStatus} actionData
      */
     remoteVideoStatus: function(actionData) {
-      this.setStoreState({
-        remoteVideoEnabled: actionData.videoEnabled
+      if (!(actionData.connectionId in this.getStoreState("remoteMedia"))) {
+        return;
+      }
+
+      this._updateRemoteMedia(actionData.connectionId, {
+        videoEnabled: actionData.videoEnabled
       });
     },
 
+    /**
+     * Updates the media state of a remote participant. A new remoteMedia
+     * object is always stored, so that views can tell it has changed.
+     *
+     * @param {String} connectionId The id of the participant's connection.
+     * @param {Object} media        The media state properties to update.
+     */
+    _updateRemoteMedia: function(connectionId, media) {
+      var remoteMedia = _.extend({}, this.getStoreState("remoteMedia"));
+      remoteMedia[connectionId] = _.extend({}, remoteMedia[connectionId], media);
+      this.setStoreState({ remoteMedia: remoteMedia });
+    },
+
     /**
      * Records when the remote media has been connected.
      */
@@ -865,7 +944,7 @@ loop.store.ActiveRoomStore = (function() {
           this.getStoreState().remoteVideoDimensions.screen) {
         // Remove the remote video dimensions for type screen as we're not
         // getting the share anymore.
-        var newDimensions = _.extend(this.getStoreState().remoteVideoDimensions);
+        var newDimensions = _.extend({}, this.getStoreState().remoteVideoDimensions);
         delete newDimensions.screen;
         this.setStoreState({
           receivingScreenShare: actionData.receiving,
@@ -969,11 +1048,17 @@ loop.store.ActiveRoomStore = (function() {
     },
 
     /**
-     * Handles a remote peer disconnecting from the session. As we currently only
-     * support 2 participants, we declare the room as SESSION_CONNECTED as soon as
-     * one participantleaves.
+     * Handles a remote peer disconnecting from the session. Once the last
+     * remote peer has left, we declare the room as SESSION_CONNECTED.
+     *
+     * @param {sharedActions.RemotePeerDisconnected} actionData
      */
-    remotePeerDisconnected: function() {
+    remotePeerDisconnected: function(actionData) {
+      if (actionData.remainingPeers) {
+        // Others are still in the room, so there's nothing to change.
+        return;
+      }
+
       // Update the participants to just the owner.
       var participants = this.getStoreState("participants");
       if (participants) {
@@ -986,7 +1071,7 @@ loop.store.ActiveRoomStore = (function() {
         mediaConnected: false,
         participants: participants,
         roomState: ROOM_STATES.SESSION_CONNECTED,
-        remoteSrcMediaElement: null
+        remoteMedia: {}
       });
     },
 
@@ -1142,13 +1227,14 @@ loop.store.ActiveRoomStore = (function() {
      * @param {sharedActions.VideoDimensionsChanged} actionData
      */
     videoDimensionsChanged: function(actionData) {
-      // NOTE: in the future, when multiple remote video streams are supported,
-      //       we'll need to make this support multiple remotes as well. Good
-      //       starting point for video tiling.
+      // NOTE: the remote dimensions are only kept per video type, the grid
+      //       layout for multiple remote streams doesn't need them.
       var storeProp = (actionData.isLocal ? "local" : "remote") + "VideoDimensions";
+      var dimensions = {};
+      dimensions[actionData.videoType] = actionData.dimensions;
       var nextState = {};
-      nextState[storeProp] = this.getStoreState()[storeProp];
-      nextState[storeProp][actionData.videoType] = actionData.dimensions;
+      nextState[storeProp] = _.extend({}, this.getStoreState()[storeProp],
+        dimensions);
       this.setStoreState(nextState);
     },
 
@@ -1197,5 +1283,19 @@ loop.store.ActiveRoomStore = (function() {
     }
   });
 
+  /**
+   * Selects the media of the remote participants as a list, in the order
+   * their streams were created, e.g. for use with StoreSelectorMixin. Each
+   * item has the connectionId, srcMediaElement and videoEnabled of a stream.
+   *
+   * @type {Function}
+   */
+  ActiveRoomStore.getRemoteStreams = loop.store.createSelector(["remoteMedia"],
+    function(remoteMedia) {
+      return Object.keys(remoteMedia).map(function(connectionId) {
+        return _.extend({ connectionId: connectionId }, remoteMedia[connectionId]);
+      });
+    });
+
   return ActiveRoomStore;
 })();
@@ -10,6 +10,25 @@
  * straight away, and set up a new action for the changes if necessary.
  *
  * It is an error if a returned promise rejects - they should always pass.
+ *
+ * Middleware can be added to the dispatcher to handle cross-cutting concerns
+ * (logging, telemetry, validation) in one place. Each middleware is an object
+ * that may implement either or both of:
+ *
+ * - beforeDispatch(action, next): Called before any store sees the action.
+ *   The middleware must call `next(action)` to pass the action on to the next
+ *   middleware and ultimately to the stores. It may pass a different action to
+ *   transform it, call `next` later to delay it, or not call `next` at all to
+ *   drop it.
+ * - afterDispatch(action): Called once every registered store has handled
+ *   the action.
+ *
+ * Stores are called in the order they were registered. If a store depends on
+ * another store having handled an action first, it can call `waitFor` from
+ * within its action handler.
+ *
+ * A store that failed to handle an action can have it handled again with
+ * `retry`, which only calls that store, bypassing the middleware.
  */
 var loop = loop || {};
 loop.Dispatcher = (function() {
@@ -18,6 +37,10 @@ loop.Dispatcher = (function() {
   function Dispatcher() {
     this._eventData = {};
     this._actionQueue = [];
+    this._middleware = [];
+    this._currentAction = null;
+    this._pendingStores = [];
+    this._handledStores = [];
     this._debug = loop.shared.utils.getBoolPreference("debug.dispatcher");
   }
 
@@ -60,12 +83,92 @@ loop.Dispatcher = (function() {
       }.bind(this));
     },
 
+    /**
+     * Adds a middleware to the end of the middleware chain. See the comments
+     * at the top of this file for the middleware interface.
+     *
+     * @param {Object} middleware The middleware to add.
+     */
+    addMiddleware: function(middleware) {
+      if (typeof middleware.beforeDispatch !== "function" &&
+          typeof middleware.afterDispatch !== "function") {
+        throw new Error("Middleware should implement beforeDispatch or afterDispatch");
+      }
+      this._middleware.push(middleware);
+    },
+
+    /**
+     * Removes a middleware from the middleware chain.
+     *
+     * @param {Object} middleware The middleware to remove.
+     */
+    removeMiddleware: function(middleware) {
+      var idx = this._middleware.indexOf(middleware);
+      if (idx !== -1) {
+        this._middleware.splice(idx, 1);
+      }
+    },
+
+    /**
+     * Called by a store from within an action handler to ensure that the
+     * given stores have handled the current action before it continues.
+     * Stores that aren't registered for the current action are skipped.
+     * Exceptions thrown by the awaited stores are reported for those stores,
+     * and don't stop the calling store.
+     *
+     * @param {Object|Array} stores The store, or an array of stores, to wait
+     *                              for.
+     * @throws {Error} If called outside of an action handler, or if there is
+     *                 a circular dependency between the stores.
+     */
+    waitFor: function(stores) {
+      var action = this._currentAction;
+      if (!action) {
+        throw new Error("waitFor must be called whilst dispatching an action");
+      }
+
+      var registeredStores = this._eventData[action.name] || [];
+
+      [].concat(stores).forEach(function(store) {
+        if (this._pendingStores.indexOf(store) !== -1) {
+          throw new Error("Circular dependency detected whilst waiting for a " +
+                          "store to handle " + action.name);
+        }
+
+        if (this._handledStores.indexOf(store) !== -1 ||
+            registeredStores.indexOf(store) === -1) {
+          return;
+        }
+
+        try {
+          this._invokeStore(store, action);
+        } catch (x) {
+          console.error("[Dispatcher] Dispatching action caused an exception: ", x);
+          this._dispatchStoreError(action, store, x);
+        }
+      }, this);
+    },
+
     /**
      * Dispatches an action to all registered stores.
      */
     dispatch: function(action) {
       // Always put it on the queue, to make it simpler.
-      this._actionQueue.push(action);
+      this._actionQueue.push({ action: action, middlewareIndex: 0 });
+      this._dispatchNextAction();
+    },
+
+    /**
+     * Dispatches an action again to a single store, e.g. after the store
+     * threw whilst handling it. The middleware and the other stores don't see
+     * the action, so that the side effects of handling it aren't repeated.
+     * The other stores count as having handled the action for `waitFor`.
+     *
+     * @param {Object}               store  The store to dispatch to.
+     * @param {sharedActions.Action} action The action to dispatch.
+     */
+    retry: function(store, action) {
+      this._actionQueue.push({ action: action, store: store });
       this._dispatchNextAction();
     },
 
@@ -77,31 +180,189 @@ loop.Dispatcher = (function() {
         return;
       }
 
-      var action = this._actionQueue.shift();
+      var entry = this._actionQueue.shift();
+
+      this._active = true;
+
+      if (entry.store) {
+        this._retryInStore(entry.store, entry.action);
+      } else if (entry.middlewareIndex < this._middleware.length) {
+        this._runMiddleware(entry.action, entry.middlewareIndex);
+      } else {
+        this._dispatchToStores(entry.action);
+      }
+
+      this._active = false;
+      this._dispatchNextAction();
+    },
+
+    /**
+     * Passes an action to the beforeDispatch hook of the middleware at the
+     * given index. When the middleware passes the action on, it is queued for
+     * the next middleware. If that happens synchronously, it goes to the front
+     * of the queue so that it is handled before any other pending actions;
+     * actions passed on several times keep the order `next` was called in.
+     *
+     * @param {sharedActions.Action} action The action to pass on.
+     * @param {Number} index The index of the middleware to run.
+     */
+    _runMiddleware: function(action, index) {
+      var middleware = this._middleware[index];
+
+      if (typeof middleware.beforeDispatch !== "function") {
+        this._actionQueue.unshift({ action: action, middlewareIndex: index + 1 });
+        return;
+      }
+
+      var synchronous = true;
+      var synchronousEntries = [];
+      var next = function(nextAction) {
+        var entry = { action: nextAction, middlewareIndex: index + 1 };
+        if (synchronous) {
+          synchronousEntries.push(entry);
+        } else {
+          this._actionQueue.push(entry);
+          this._dispatchNextAction();
+        }
+      }.bind(this);
+
+      try {
+        middleware.beforeDispatch(action, next);
+      } catch (x) {
+        console.error("[Dispatcher] Middleware caused an exception: ", x);
+      }
+
+      synchronous = false;
+      this._actionQueue.unshift.apply(this._actionQueue, synchronousEntries);
+    },
+
+    /**
+     * Calls a store's handler for an action, keeping track of which stores
+     * are in the process of handling it and which have finished.
+     *
+     * @param {Object}               store  The store to call.
+     * @param {sharedActions.Action} action The action to pass to the store.
+     */
+    _invokeStore: function(store, action) {
+      this._pendingStores.push(store);
+      try {
+        store[action.name](action);
+      } finally {
+        this._pendingStores.splice(this._pendingStores.indexOf(store), 1);
+        this._handledStores.push(store);
+      }
+    },
+
+    /**
+     * Dispatches a StoreError action to let interested stores recover from an
+     * exception thrown by a store. Errors thrown whilst handling a StoreError
+     * are not reported again, to avoid loops.
+     *
+     * @param {sharedActions.Action} action The action that was being handled.
+     * @param {Object}               store  The store that threw.
+     * @param {Mixed}                error  The exception that was thrown.
+     */
+    _dispatchStoreError: function(action, store, error) {
+      if (action.name === "storeError" ||
+          !this._eventData.hasOwnProperty("storeError")) {
+        return;
+      }
+
+      if (!error || typeof error !== "object") {
+        error = new Error(String(error));
+      }
+
+      this.dispatch(new loop.shared.actions.StoreError({
+        actionName: action.name,
+        failedAction: action,
+        store: store,
+        error: error
+      }));
+    },
+
+    /**
+     * Dispatches an action to all the stores registered for it, and then
+     * notifies the middleware that it has been handled. The middleware is
+     * notified even if no store is registered for the action.
+     *
+     * @param {sharedActions.Action} action The action to dispatch.
+     */
+    _dispatchToStores: function(action) {
       var type = action.name;
 
       var registeredStores = this._eventData[type];
-      if (!registeredStores) {
+      if (registeredStores) {
+        this._invokeStores(action, registeredStores);
+      } else {
         console.warn("No stores registered for event type ", type);
+      }
+
+      this._middleware.forEach(function(middleware) {
+        if (typeof middleware.afterDispatch !== "function") {
+          return;
+        }
+        try {
+          middleware.afterDispatch(action);
+        } catch (x) {
+          console.error("[Dispatcher] Middleware caused an exception: ", x);
+        }
+      });
+    },
+
+    /**
+     * Dispatches an action to a single store, see `retry`.
+     *
+     * @param {Object}               store  The store to dispatch to.
+     * @param {sharedActions.Action} action The action to dispatch.
+     */
+    _retryInStore: function(store, action) {
+      var registeredStores = this._eventData[action.name] || [];
+      if (registeredStores.indexOf(store) === -1) {
+        console.warn("Store isn't registered for event type ", action.name);
         return;
       }
 
-      this._active = true;
+      this._invokeStores(action, [store], registeredStores.filter(function(registeredStore) {
+        return registeredStore !== store;
+      }));
+    },
 
+    /**
+     * Calls the handlers of the given stores for an action, reporting any
+     * exception they throw.
+     *
+     * @param {sharedActions.Action} action        The action to dispatch.
+     * @param {Array}                stores        The stores to call, in order.
+     * @param {Array}                handledStores Optional, stores to consider
+     *                                             as having already handled
+     *                                             the action.
+     */
+    _invokeStores: function(action, stores, handledStores) {
       if (this._debug) {
         console.log("[Dispatcher] Dispatching action", action);
       }
 
-      registeredStores.forEach(function(store) {
+      this._currentAction = action;
+      this._pendingStores = [];
+      this._handledStores = handledStores || [];
+
+      stores.forEach(function(store) {
+        if (this._handledStores.indexOf(store) !== -1) {
+          // The store has already been called via waitFor.
+          return;
+        }
+
         try {
-          store[type](action);
+          this._invokeStore(store, action);
         } catch (x) {
           console.error("[Dispatcher] Dispatching action caused an exception: ", x);
+          this._dispatchStoreError(action, store, x);
         }
-      });
+      }, this);
 
-      this._active = false;
-      this._dispatchNextAction();
+      this._currentAction = null;
+      this._pendingStores = [];
+      this._handledStores = [];
     }
   };
 
@@ -8,6 +8,26 @@ loop.shared.views = loop.shared.views || {};
 loop.shared.views.LinkifiedTextView = (function(mozL10n) {
   "use strict";
 
+  /**
+   * Matches the inline formatting, in order of precedence: `code`, **bold**,
+   * *italics* and _italics_. The delimited text may not start or end with
+   * white space, so that e.g. "2 * 3 * 4" is left alone.
+   */
+  var INLINE_FORMAT_REGEXP =
+    /`([^`\n]+)`|\*\*(?!\s)([\s\S]*?\S)\*\*|\*(?!\s)([^*]*?[^*\s])\*|_(?!\s)([^_]*?[^_\s])_/g;
+
+  /**
+   * Matches fenced code blocks. The fences may be on the same line as the code.
+   */
+  var CODE_BLOCK_REGEXP = /```([\s\S]*?)```/;
+
+  /**
+   * Matches the start of a line that is part of a block quote.
+   */
+  var QUOTE_LINE_REGEXP = /^>[ ]?/;
+
+  var WORD_CHARACTER_REGEXP = /\w/;
+
   /**
    * Given a rawText property, renderer a version of that text with any
    * links starting with http://, https://, or ftp:// as actual clickable
@@ -15,6 +35,9 @@ loop.shared.views.LinkifiedTextView = (function(mozL10n) {
    */
   var LinkifiedTextView = React.createClass({displayName: "LinkifiedTextView",
     propTypes: {
+      // Should markdown-style formatting (bold, italics, inline code, fenced
+      // code blocks and block quotes) be rendered? Defaults to false.
+      formatted: React.PropTypes.bool,
       // Call this instead of allowing the default <a> click semantics, if
       // given.  Also causes sendReferrer and suppressTarget attributes to be
       // ignored.
@@ -104,9 +127,173 @@ loop.shared.views.LinkifiedTextView = (function(mozL10n) {
       return elements;
     },
 
+    /**
+     * Finds the first inline formatting in the given string. Underscores only
+     * count at word boundaries, so that snake_case_names are left alone.
+     *
+     * @param {String} s the string to search
+     *
+     * @returns {Array|null} the regular expression match, or null if there is
+     *                       no formatting.
+     */
+    _findInlineFormat: function(s) {
+      INLINE_FORMAT_REGEXP.lastIndex = 0;
+      var result = INLINE_FORMAT_REGEXP.exec(s);
+
+      while (result && result[4] !== undefined) {
+        var end = result.index + result[0].length;
+        if (!WORD_CHARACTER_REGEXP.test(s.charAt(result.index - 1)) &&
+            !WORD_CHARACTER_REGEXP.test(s.charAt(end))) {
+          break;
+        }
+
+        INLINE_FORMAT_REGEXP.lastIndex = result.index + 1;
+        result = INLINE_FORMAT_REGEXP.exec(s);
+      }
+
+      return result;
+    },
+
+    /**
+     * Parse the given string into an array of strings and React elements for
+     * the inline formatting and links, in the order in which they should be
+     * rendered. Formatting that starts inside a link is ignored, so that URLs
+     * containing e.g. underscores are kept intact.
+     *
+     * @param {String} s the raw string to be parsed
+     *
+     * @returns {Array} of strings and React elements in order.
+     */
+    parseInlineFormatting: function(s) {
+      var elements = [];
+      var reactElementsCounter = 0; // For giving keys to each ReactElement.
+
+      while (s) {
+        var format = this._findInlineFormat(s);
+        var link = loop.shared.urlRegExps.fullUrlMatch.exec(s);
+
+        if (!format) {
+          elements.push(this.parseStringToElements(s));
+          break;
+        }
+
+        if (link && link.index < format.index &&
+            link.index + link[0].length > format.index) {
+          elements.push(this.parseStringToElements(
+            s.substr(0, link.index + link[0].length)));
+          s = s.substr(link.index + link[0].length);
+          continue;
+        }
+
+        if (format.index) {
+          elements.push(this.parseStringToElements(s.substr(0, format.index)));
+        }
+
+        if (format[1] !== undefined) {
+          elements.push(React.createElement("code", {key: reactElementsCounter++}, format[1]));
+        } else if (format[2] !== undefined) {
+          elements.push(
+            React.createElement("strong", {key: reactElementsCounter++}, 
+              this.parseInlineFormatting(format[2])
+            )
+          );
+        } else {
+          elements.push(
+            React.createElement("em", {key: reactElementsCounter++}, 
+              this.parseInlineFormatting(format[3] || format[4])
+            )
+          );
+        }
+
+        s = s.substr(format.index + format[0].length);
+      }
+
+      return elements;
+    },
+
+    /**
+     * Parse the given string into an array of strings and React elements for
+     * the block quotes and inline formatting. Consecutive lines starting with
+     * ">" make up a block quote.
+     *
+     * @param {String} s the raw string to be parsed
+     *
+     * @returns {Array} of strings and React elements in order.
+     */
+    _parseQuotes: function(s) {
+      var elements = [];
+      var reactElementsCounter = 0; // For giving keys to each ReactElement.
+      var lines = s.split("\n");
+
+      while (lines.length) {
+        var quoted = QUOTE_LINE_REGEXP.test(lines[0]);
+        var run = [];
+        while (lines.length && QUOTE_LINE_REGEXP.test(lines[0]) === quoted) {
+          run.push(lines.shift().replace(QUOTE_LINE_REGEXP, ""));
+        }
+
+        if (quoted) {
+          elements.push(
+            React.createElement("span", {className: "formatted-quote", key: reactElementsCounter++}, 
+              this.parseInlineFormatting(run.join("\n"))
+            )
+          );
+        } else {
+          elements.push(this.parseInlineFormatting(run.join("\n")));
+        }
+      }
+
+      return elements;
+    },
+
+    /**
+     * Parse the given string into an array of strings and React elements for
+     * all of the supported formatting, in the order in which they should be
+     * rendered. The contents of code blocks aren't formatted or linkified.
+     *
+     * Block level formatting is rendered with inline elements that are styled
+     * as blocks, as it must fit within the <p> container.
+     *
+     * @param {String} s the raw string to be parsed
+     *
+     * @returns {Array} of strings and React elements in order.
+     */
+    parseFormattedStringToElements: function(s) {
+      var elements = [];
+      var reactElementsCounter = 0; // For giving keys to each ReactElement.
+      var result = CODE_BLOCK_REGEXP.exec(s);
+
+      while (result) {
+        // The code block starts on a new line, so drop the line break before it.
+        var before = s.substr(0, result.index).replace(/\n$/, "");
+        if (before) {
+          elements.push(this._parseQuotes(before));
+        }
+
+        elements.push(
+          React.createElement("code", {className: "formatted-code-block", key: reactElementsCounter++}, 
+            result[1].replace(/^\n/, "").replace(/\n$/, "")
+          )
+        );
+
+        s = s.substr(result.index + result[0].length).replace(/^\n/, "");
+        result = CODE_BLOCK_REGEXP.exec(s);
+      }
+
+      if (s) {
+        elements.push(this._parseQuotes(s));
+      }
+
+      return elements;
+    },
+
     render: function() {
       return (
-        React.createElement("p", null, this.parseStringToElements(this.props.rawText))
+        React.createElement("p", null, 
+          this.props.formatted ?
+            this.parseFormattedStringToElements(this.props.rawText) :
+            this.parseStringToElements(this.props.rawText)
+        )
       );
     }
   });
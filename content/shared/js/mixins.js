@@ -57,13 +57,39 @@ loop.shared.mixins = (function() {
   };
 
   /**
-   * Document title mixin.
+   * The title set by DocumentTitleMixin, and the number of unread messages to
+   * show in front of it.
+   */
+  var documentTitle = "";
+  var unreadCount = 0;
+
+  function updateDocumentTitle() {
+    rootObject.document.title = unreadCount ?
+      "(" + unreadCount + ") " + documentTitle : documentTitle;
+  }
+
+  /**
+   * Document title mixin. The title and the unread count may be set by
+   * different components, e.g. the room view sets the title and the text chat
+   * view sets the unread count.
    *
    * @type {Object}
    */
   var DocumentTitleMixin = {
     setTitle: function(newTitle) {
-      rootObject.document.title = newTitle;
+      documentTitle = newTitle;
+      updateDocumentTitle();
+    },
+
+    /**
+     * Shows the number of unread messages in front of the title.
+     *
+     * @param {Number} count The number of unread messages, or 0 to just show
+     *                       the title.
+     */
+    setTitleUnreadCount: function(count) {
+      unreadCount = count;
+      updateDocumentTitle();
     }
   };
 
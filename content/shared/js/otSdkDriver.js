@@ -11,6 +11,34 @@ loop.OTSdkDriver = (function() {
   var STREAM_PROPERTIES = loop.shared.utils.STREAM_PROPERTIES;
   var SCREEN_SHARE_STATES = loop.shared.utils.SCREEN_SHARE_STATES;
 
+  /**
+   * The number of characters of a text chat message sent in each signal, when
+   * signals are used instead of data channels. Signals can carry at most 8KB
+   * of data, so this leaves room for escaping, multi-byte characters and the
+   * details of the chunk.
+   *
+   * @type {Number}
+   */
+  var SIGNAL_CHUNK_SIZE = 2000;
+
+  /**
+   * The maximum number of signals a text chat message may be split into.
+   * Larger messages are dropped rather than flooding the session with
+   * signals.
+   *
+   * @type {Number}
+   */
+  var MAX_SIGNAL_CHUNKS = 32;
+
+  /**
+   * The maximum number of partly received text chat messages kept for each
+   * remote peer. Parts of further messages are dropped until one of the
+   * pending messages is complete.
+   *
+   * @type {Number}
+   */
+  var MAX_PENDING_SIGNAL_MESSAGES = 8;
+
   /**
    * This is a wrapper for the OT sdk. It is used to translate the SDK events into
    * actions, and instruct the SDK what to do as a result of actions.
@@ -38,6 +66,26 @@ loop.OTSdkDriver = (function() {
 
     this.connections = {};
 
+    // The subscribers for the remote participants' streams, and the elements
+    // the sdk renders them into, by connection id.
+    this.subscribers = {};
+    this._mockSubscribeEls = {};
+
+    // The connections of the remote participants that text chat messages can
+    // be exchanged with, by connection id. Those that can't use data channels
+    // are also in _chatSignalConnections.
+    this._chatConnections = {};
+    this._chatSignalConnections = {};
+
+    // The publisher and subscriber data channels for each remote participant,
+    // by connection id.
+    this._dataChannels = {};
+
+    // The partly received text chat messages sent over signals, by sender
+    // connection id, then message id.
+    this._signalChunks = {};
+    this._signalMessageCount = 0;
+
     // Setup the metrics object to keep track of the number of connections we have
     // and the amount of streams.
     this._resetMetrics();
@@ -262,6 +310,8 @@ loop.OTSdkDriver = (function() {
       this.session.on("streamDestroyed", this._onRemoteStreamDestroyed.bind(this));
       this.session.on("streamPropertyChanged", this._onStreamPropertyChanged.bind(this));
       this.session.on("signal:readyForDataChannel", this._onReadyForDataChannel.bind(this));
+      this.session.on("signal:readyForChatSignals", this._onReadyForChatSignals.bind(this));
+      this.session.on("signal:textChat", this._onTextChatSignal.bind(this));
 
       // This starts the actual session connection.
       this.session.connect(sessionData.apiKey, sessionData.sessionToken,
@@ -287,7 +337,8 @@ loop.OTSdkDriver = (function() {
       if (this.session) {
         this.session.off("sessionDisconnected streamCreated streamDestroyed " +
                          "connectionCreated connectionDestroyed " +
-                         "streamPropertyChanged signal:readyForDataChannel");
+                         "streamPropertyChanged signal:readyForDataChannel " +
+                         "signal:readyForChatSignals signal:textChat");
         this.session.disconnect();
         delete this.session;
 
@@ -311,9 +362,13 @@ loop.OTSdkDriver = (function() {
       delete this._publishedLocalStream;
       delete this._subscribedRemoteStream;
       delete this._mockPublisherEl;
-      delete this._publisherChannel;
-      delete this._subscriberChannel;
       this.connections = {};
+      this.subscribers = {};
+      this._mockSubscribeEls = {};
+      this._chatConnections = {};
+      this._chatSignalConnections = {};
+      this._dataChannels = {};
+      this._signalChunks = {};
       this._setTwoWayMediaStartTime(this.CONNECTION_START_TIME_UNINITIALIZED);
     },
 
@@ -383,13 +438,17 @@ loop.OTSdkDriver = (function() {
       if (connection && (connection.id in this.connections)) {
         delete this.connections[connection.id];
       }
+      if (connection) {
+        delete this._signalChunks[connection.connectionId];
+      }
 
       this._notifyMetricsEvent("Session.connectionDestroyed", "peer");
 
       this._noteConnectionLengthIfNeeded(this._getTwoWayMediaStartTime(), performance.now());
 
       this.dispatcher.dispatch(new sharedActions.RemotePeerDisconnected({
-        peerHungup: event.reason === "clientDisconnected"
+        peerHungup: event.reason === "clientDisconnected",
+        remainingPeers: Object.keys(this.connections).length
       }));
     },
 
@@ -573,14 +632,16 @@ loop.OTSdkDriver = (function() {
       // _onSubscribeCompleted. However, this seems to work fine at the moment,
       // so we haven't felt the need to move it.
 
-      // XXX This mock element currently handles playing audio for the session.
+      // XXX These mock elements currently handle playing audio for the session.
       // We might want to consider making the react tree responsible for playing
       // the audio, so that the incoming audio could be disable/tracked easly from
       // the UI (bug 1171896).
-      this._mockSubscribeEl = document.createElement("div");
+      var connectionId = event.stream.connection.connectionId;
+      var mockSubscribeEl = this._mockSubscribeEls[connectionId] =
+        document.createElement("div");
 
-      this.subscriber = this.session.subscribe(event.stream,
-        this._mockSubscribeEl, this._getCopyPublisherConfig,
+      this.subscribers[connectionId] = this.session.subscribe(event.stream,
+        mockSubscribeEl, this._getCopyPublisherConfig,
         this._onSubscribeCompleted.bind(this));
     },
 
@@ -599,16 +660,25 @@ loop.OTSdkDriver = (function() {
         return;
       }
 
+      var connectionId = sdkSubscriberObject.stream.connection.connectionId;
+      if (!(connectionId in this._mockSubscribeEls)) {
+        // The participant left whilst we were subscribing.
+        return;
+      }
+
       var sdkSubscriberVideo = subscriberVideo ? subscriberVideo :
-        this._mockSubscribeEl.querySelector("video");
+        this._mockSubscribeEls[connectionId].querySelector("video");
       if (!sdkSubscriberVideo) {
         console.error("sdkSubscriberVideo unexpectedly falsy!");
       }
 
-      sdkSubscriberObject.on("videoEnabled", this._onVideoEnabled.bind(this));
-      sdkSubscriberObject.on("videoDisabled", this._onVideoDisabled.bind(this));
+      sdkSubscriberObject.on("videoEnabled",
+        this._onVideoEnabled.bind(this, connectionId));
+      sdkSubscriberObject.on("videoDisabled",
+        this._onVideoDisabled.bind(this, connectionId));
 
       this.dispatcher.dispatch(new sharedActions.MediaStreamCreated({
+        connectionId: connectionId,
         hasVideo: sdkSubscriberObject.stream[STREAM_PROPERTIES.HAS_VIDEO],
         isLocal: false,
         srcMediaElement: sdkSubscriberVideo
@@ -655,9 +725,10 @@ loop.OTSdkDriver = (function() {
      * channel set-up routines. A data channel cannot be requested before this
      * time as the peer connection is not set up.
      *
-     * @param {OT.Connection} connection The OT connection class object.paul
-     * sched
+     * If the data channels can't be opened, text chat falls back to using
+     * signals, see _onReadyForChatSignals.
      *
+     * @param {OT.Connection} connection The OT connection class object.
      */
     _setupDataChannelIfNeeded: function(connection) {
       if (this._useDataChannels) {
@@ -681,6 +752,10 @@ loop.OTSdkDriver = (function() {
      * channels, and b) that subscribing of streams has definitely completed
      * for both clients.
      *
+     * Each remote peer has its own pair of data channels: the publisher one,
+     * on the peer connection the peer subscribes to our stream with, for
+     * sending, and the subscriber one for receiving.
+     *
      * @param {OT.SignalEvent} event Details of the signal received.
      */
     _onReadyForDataChannel: function(event) {
@@ -690,76 +765,325 @@ loop.OTSdkDriver = (function() {
         return;
       }
 
-      // This won't work until a subscriber exists for this publisher
-      this.publisher._.getDataChannel("text", {}, function(err, channel) {
-        if (err) {
-          console.error(err);
+      var connection = event.from;
+      var connectionId = connection.connectionId;
+      var subscriber = this.subscribers[connectionId];
+      if (!subscriber) {
+        console.error("No subscriber for the data channel's connection");
+        return;
+      }
+
+      var channels = this._dataChannels[connectionId] =
+        this._dataChannels[connectionId] || {};
+
+      // This won't work until the peer has subscribed to our stream.
+      if (!channels.publisher) {
+        // The data channel API is private to the SDK, so it may throw or be
+        // missing altogether; in which case we fall back to signals.
+        try {
+          this.publisher._.getDataChannel("text", { connection: connection },
+            function(err, channel) {
+              if (err) {
+                console.error(err);
+                this._sendReadyForChatSignals(connection);
+                return;
+              }
+
+              channels.publisher = channel;
+
+              channel.on({
+                close: function(e) {
+                  console.log("Published data channel closed!");
+                  this._removeDataChannel(connectionId, "publisher");
+                }.bind(this)
+              });
+
+              this._checkDataChannelsAvailable(connection);
+            }.bind(this));
+        } catch (ex) {
+          console.error("Failed to get the publisher data channel", ex);
+          this._sendReadyForChatSignals(connection);
           return;
         }
+      }
 
-        this._publisherChannel = channel;
-
-        channel.on({
-          close: function(e) {
-            // XXX We probably want to dispatch and handle this somehow.
-            console.log("Published data channel closed!");
+      try {
+        subscriber._.getDataChannel("text", {}, function(err, channel) {
+          // Sends will queue until the channel is fully open.
+          if (err) {
+            console.error(err);
+            this._sendReadyForChatSignals(connection);
+            return;
           }
-        });
 
-        this._checkDataChannelsAvailable();
-      }.bind(this));
+          channel.on({
+            message: function(ev) {
+              try {
+                var message = JSON.parse(ev.data);
+                /* Append the timestamp. This is the time that gets shown. */
+                message.receivedTimestamp = (new Date()).toISOString();
+
+                this.dispatcher.dispatch(
+                  new sharedActions.ReceivedTextChatMessage(message));
+              } catch (ex) {
+                console.error("Failed to process incoming chat message", ex);
+              }
+            }.bind(this),
+
+            close: function(e) {
+              console.log("Subscribed data channel closed!");
+              this._removeDataChannel(connectionId, "subscriber");
+            }.bind(this)
+          });
 
-      this.subscriber._.getDataChannel("text", {}, function(err, channel) {
-        // Sends will queue until the channel is fully open.
-        if (err) {
-          console.error(err);
-          return;
+          channels.subscriber = channel;
+          this._checkDataChannelsAvailable(connection);
+        }.bind(this));
+      } catch (ex) {
+        console.error("Failed to get the subscriber data channel", ex);
+        this._sendReadyForChatSignals(connection);
+      }
+    },
+
+    /**
+     * Checks to see if both data channels have been obtained for a remote
+     * peer, and if so records that text chat messages can be exchanged with
+     * it.
+     *
+     * @param {OT.Connection} connection The connection of the remote peer.
+     */
+    _checkDataChannelsAvailable: function(connection) {
+      var channels = this._dataChannels[connection.connectionId];
+      if (channels && channels.publisher && channels.subscriber) {
+        this._addChatConnection(connection);
+      }
+    },
+
+    /**
+     * Forgets a data channel of a remote peer once it has closed. Text chat
+     * with the peer stops, unless it uses signals.
+     *
+     * @param {String} connectionId The connection id of the remote peer.
+     * @param {String} type         "publisher" or "subscriber".
+     */
+    _removeDataChannel: function(connectionId, type) {
+      var channels = this._dataChannels[connectionId];
+      if (channels) {
+        delete channels[type];
+      }
+
+      if (!(connectionId in this._chatSignalConnections)) {
+        delete this._chatConnections[connectionId];
+      }
+      // Lets the stores know that unacknowledged messages may not have been
+      // delivered.
+      this._notifyIfTextChatUnavailable();
+    },
+
+    /**
+     * Records that text chat messages can be exchanged with a remote peer, and
+     * lets the stores know that text chat is available.
+     *
+     * @param {OT.Connection} connection The connection of the remote peer.
+     */
+    _addChatConnection: function(connection) {
+      this._chatConnections[connection.connectionId] = connection;
+
+      this.dispatcher.dispatch(new sharedActions.DataChannelsAvailable({
+        available: true
+      }));
+    },
+
+    /**
+     * Lets the stores know if text chat has become unavailable, i.e. if there
+     * are no remote peers left to exchange messages with.
+     */
+    _notifyIfTextChatUnavailable: function() {
+      if (Object.keys(this._chatConnections).length) {
+        return;
+      }
+
+      this.dispatcher.dispatch(new sharedActions.DataChannelsAvailable({
+        available: false
+      }));
+    },
+
+    /**
+     * Tells the other peer that we can't use data channels for text chat, so
+     * that signals are used instead.
+     *
+     * @param {OT.Connection} connection The connection of the other peer.
+     */
+    _sendReadyForChatSignals: function(connection) {
+      if (connection.connectionId in this._chatSignalConnections) {
+        return;
+      }
+
+      this.session.signal({
+        type: "readyForChatSignals",
+        to: connection
+      }, function(signalError) {
+        if (signalError) {
+          console.error(signalError);
         }
+      });
+    },
 
-        channel.on({
-          message: function(ev) {
-            try {
-              var message = JSON.parse(ev.data);
-              /* Append the timestamp. This is the time that gets shown. */
-              message.receivedTimestamp = (new Date()).toISOString();
-
-              this.dispatcher.dispatch(
-                new sharedActions.ReceivedTextChatMessage(message));
-            } catch (ex) {
-              console.error("Failed to process incoming chat message", ex);
-            }
-          }.bind(this),
+    /**
+     * Handles receiving the signal that the other peer can't use data channels
+     * for text chat. We reply, in case it was us that could use them, and then
+     * send and receive the text chat messages for that peer over signals from
+     * now on.
+     *
+     * @param {OT.SignalEvent} event Details of the signal received.
+     */
+    _onReadyForChatSignals: function(event) {
+      if (!this._useDataChannels) {
+        return;
+      }
 
-          close: function(e) {
-            // XXX We probably want to dispatch and handle this somehow.
-            console.log("Subscribed data channel closed!");
-          }
-        });
+      this._sendReadyForChatSignals(event.from);
+      this._chatSignalConnections[event.from.connectionId] = event.from;
 
-        this._subscriberChannel = channel;
-        this._checkDataChannelsAvailable();
-      }.bind(this));
+      this._addChatConnection(event.from);
     },
 
     /**
-     * Checks to see if all channels have been obtained, and if so it dispatches
-     * a notification to the stores to inform them.
+     * Sends a text chat message to a peer over signals, split into as many
+     * signals as needed to keep within the size limit of each.
+     *
+     * @param {String}        data       The message, encoded as JSON.
+     * @param {OT.Connection} connection The connection of the peer.
      */
-    _checkDataChannelsAvailable: function() {
-      if (this._publisherChannel && this._subscriberChannel) {
-        this.dispatcher.dispatch(new sharedActions.DataChannelsAvailable({
-          available: true
-        }));
+    _sendTextChatSignals: function(data, connection) {
+      var count = Math.max(Math.ceil(data.length / SIGNAL_CHUNK_SIZE), 1);
+      if (count > MAX_SIGNAL_CHUNKS) {
+        console.error("Text chat message too large to send, length:", data.length);
+        return;
+      }
+
+      var id = (this._signalMessageCount++).toString(36);
+      for (var index = 0; index < count; index++) {
+        this.session.signal({
+          type: "textChat",
+          to: connection,
+          data: JSON.stringify({
+            id: id,
+            index: index,
+            count: count,
+            data: data.substr(index * SIGNAL_CHUNK_SIZE, SIGNAL_CHUNK_SIZE)
+          })
+        }, this._onTextChatSignalSent);
+      }
+    },
+
+    /**
+     * Called when a text chat signal has been sent.
+     *
+     * @param {Error} signalError The error if the signal wasn't sent.
+     */
+    _onTextChatSignalSent: function(signalError) {
+      if (signalError) {
+        console.error("Failed to send text chat signal", signalError);
       }
     },
 
     /**
-     * Sends a text chat message on the data channel.
+     * Handles receiving part of a text chat message sent over signals. Once
+     * all the parts have been received, the message is passed to the stores
+     * in the same way as messages received on the data channel.
+     *
+     * @param {OT.SignalEvent} event Details of the signal received.
+     */
+    _onTextChatSignal: function(event) {
+      if (!this._useDataChannels) {
+        return;
+      }
+
+      try {
+        var chunk = JSON.parse(event.data);
+        if (typeof chunk.count !== "number" || chunk.count % 1 !== 0 ||
+            chunk.count < 1 || chunk.count > MAX_SIGNAL_CHUNKS ||
+            typeof chunk.index !== "number" || chunk.index % 1 !== 0 ||
+            chunk.index < 0 || chunk.index >= chunk.count) {
+          return;
+        }
+
+        var connectionId = event.from.connectionId;
+        var messages = this._signalChunks[connectionId] =
+          this._signalChunks[connectionId] || {};
+        var pending = messages[chunk.id];
+        if (!pending) {
+          if (Object.keys(messages).length >= MAX_PENDING_SIGNAL_MESSAGES) {
+            console.error("Too many partly received chat signals, dropping part");
+            return;
+          }
+          pending = messages[chunk.id] = {
+            count: chunk.count,
+            parts: [],
+            received: 0
+          };
+        } else if (pending.count !== chunk.count) {
+          return;
+        }
+
+        if (!(chunk.index in pending.parts)) {
+          pending.received++;
+        }
+        pending.parts[chunk.index] = chunk.data;
+        if (pending.received < pending.count) {
+          return;
+        }
+
+        delete messages[chunk.id];
+        var message = JSON.parse(pending.parts.join(""));
+        /* Append the timestamp. This is the time that gets shown. */
+        message.receivedTimestamp = (new Date()).toISOString();
+
+        this.dispatcher.dispatch(
+          new sharedActions.ReceivedTextChatMessage(message));
+      } catch (ex) {
+        console.error("Failed to process incoming chat signal", ex);
+      }
+    },
+
+    /**
+     * Returns the number of remote peers that text chat messages are sent to.
+     *
+     * @return {Number}
+     */
+    getTextChatPeerCount: function() {
+      return Object.keys(this._chatConnections).length;
+    },
+
+    /**
+     * Sends a text chat message to each of the remote peers, over the
+     * publisher data channel for that peer, or over signals if the peer
+     * negotiated using them instead.
      *
      * @param {String} message The message to send.
+     * @throws {Error} If there are no peers to send the message to.
      */
     sendTextChatMessage: function(message) {
-      this._publisherChannel.send(JSON.stringify(message));
+      var connectionIds = Object.keys(this._chatConnections);
+      if (!connectionIds.length) {
+        throw new Error("The data channel is not available");
+      }
+
+      var data = JSON.stringify(message);
+      connectionIds.forEach(function(connectionId) {
+        if (connectionId in this._chatSignalConnections) {
+          this._sendTextChatSignals(data, this._chatConnections[connectionId]);
+          return;
+        }
+
+        var channels = this._dataChannels[connectionId];
+        if (!channels || !channels.publisher) {
+          console.error("No data channel to send the message to", connectionId);
+          return;
+        }
+        channels.publisher.send(data);
+      }, this);
     },
 
     /**
@@ -851,14 +1175,18 @@ loop.OTSdkDriver = (function() {
       this._notifyMetricsEvent("Session.streamDestroyed");
 
       if (event.stream.videoType !== "screen") {
-        this.dispatcher.dispatch(new sharedActions.DataChannelsAvailable({
-          available: false
-        }));
+        var connectionId = event.stream.connection.connectionId;
+        delete this.subscribers[connectionId];
+        delete this._mockSubscribeEls[connectionId];
+        delete this._chatConnections[connectionId];
+        delete this._chatSignalConnections[connectionId];
+        delete this._dataChannels[connectionId];
+
+        this._notifyIfTextChatUnavailable();
         this.dispatcher.dispatch(new sharedActions.MediaStreamDestroyed({
+          connectionId: connectionId,
           isLocal: false
         }));
-        delete this._subscriberChannel;
-        delete this._mockSubscribeEl;
         return;
       }
 
@@ -881,7 +1209,9 @@ loop.OTSdkDriver = (function() {
       this.dispatcher.dispatch(new sharedActions.MediaStreamDestroyed({
         isLocal: true
       }));
-      delete this._publisherChannel;
+      _.each(this._dataChannels, function(channels) {
+        delete channels.publisher;
+      });
       delete this._mockPublisherEl;
     },
 
@@ -988,18 +1318,20 @@ loop.OTSdkDriver = (function() {
      * which to copy the stream when attaching it to visible video element
      * that the views control directly.
      *
+     * @param connectionId {String} the id of the participant's connection
      * @param event {OT.VideoEnabledChangedEvent} from the SDK
      *
      * @see https://tokbox.com/opentok/libraries/client/js/reference/VideoEnabledChangedEvent.html
      * @private
      */
-    _onVideoEnabled: function(event) {
-      var sdkSubscriberVideo = this._mockSubscribeEl.querySelector("video");
-      if (!sdkSubscriberVideo) {
+    _onVideoEnabled: function(connectionId, event) {
+      var mockSubscribeEl = this._mockSubscribeEls[connectionId];
+      if (!mockSubscribeEl || !mockSubscribeEl.querySelector("video")) {
         console.error("sdkSubscriberVideo unexpectedly falsy!");
       }
 
       this.dispatcher.dispatch(new sharedActions.RemoteVideoStatus({
+        connectionId: connectionId,
         videoEnabled: true
       }));
     },
@@ -1008,13 +1340,15 @@ loop.OTSdkDriver = (function() {
      * Handle the SDK disabling of remote video by dispatching the
      * appropriate event.
      *
+     * @param connectionId {String} the id of the participant's connection
      * @param event {OT.VideoEnabledChangedEvent) from the SDK
      *
      * @see https://tokbox.com/opentok/libraries/client/js/reference/VideoEnabledChangedEvent.html
      * @private
      */
-    _onVideoDisabled: function(event) {
+    _onVideoDisabled: function(connectionId, event) {
       this.dispatcher.dispatch(new sharedActions.RemoteVideoStatus({
+        connectionId: connectionId,
         videoEnabled: false
       }));
     },
@@ -29,6 +29,17 @@ loop.store.createStore = (function() {
       this.dispatcher.dispatch(action);
     },
 
+    /**
+     * Proxy helper for waiting for other stores to handle the action currently
+     * being dispatched before this store continues handling it.
+     *
+     * @param {Object|Array} stores The store, or an array of stores, to wait
+     *                              for.
+     */
+    waitFor: function(stores) {
+      this.dispatcher.waitFor(stores);
+    },
+
     /**
      * Returns current store state. You can request a given state property by
      * providing the `key` argument.
@@ -41,17 +52,31 @@ loop.store.createStore = (function() {
     },
 
     /**
-     * Updates store state and trigger a global "change" event, plus one for
-     * each provided newState property.
+     * Updates store state and triggers a "change:<key>" event for each
+     * property whose value has actually changed, followed by a global "change"
+     * event that is passed the list of changed keys. No events are triggered
+     * if nothing has changed.
+     *
+     * Values are compared by identity, so objects and arrays in the state
+     * should be replaced rather than modified in place.
      *
      * @param {Object} newState The new store state object.
      */
     setStoreState: function(newState) {
-      for (var key in newState) {
-        this._storeState[key] = newState[key];
-        this.trigger("change:" + key);
+      var currentState = _.pick(this._storeState, Object.keys(newState));
+      var diff = loop.shared.utils.objectDiff(currentState, newState);
+      var changedKeys = diff.updated.concat(diff.added);
+
+      _.extend(this._storeState, newState);
+
+      if (!changedKeys.length) {
+        return;
       }
-      this.trigger("change");
+
+      changedKeys.forEach(function(key) {
+        this.trigger("change:" + key);
+      }, this);
+      this.trigger("change", changedKeys);
     },
 
     /**
@@ -104,6 +129,147 @@ loop.store.createStore = (function() {
   return createStore;
 })();
 
+/**
+ * Creates a selector for deriving a value from a store's state. The value is
+ * memoized, and only computed again once one of the state properties it
+ * depends on has changed. Usage:
+ *
+ *     var getRoomTitle = loop.store.createSelector(
+ *       ["roomName", "roomContextUrls"],
+ *       function(roomName, roomContextUrls) {…});
+ *     var title = getRoomTitle(activeRoomStore.getStoreState());
+ *
+ * @param  {Array}    keys    The store state properties the value depends on.
+ * @param  {Function} compute Computes the value, it is passed the values of
+ *                            the state properties in the order of `keys`.
+ * @return {Function}         The selector, which takes a store state object.
+ *                            Its `keys` property lists the dependencies.
+ */
+loop.store.createSelector = (function() {
+  "use strict";
+
+  function createSelector(keys, compute) {
+    var lastValues = null;
+    var lastResult;
+
+    function selector(state) {
+      var values = keys.map(function(key) {
+        return state[key];
+      });
+
+      var unchanged = lastValues && values.every(function(value, i) {
+        return value === lastValues[i];
+      });
+      if (!unchanged) {
+        lastResult = compute.apply(null, values);
+        lastValues = values;
+      }
+      return lastResult;
+    }
+    selector.keys = keys;
+
+    return selector;
+  }
+
+  return createSelector;
+})();
+
+/**
+ * Store selector mixin generator. Copies values selected from a store's state
+ * into the component's state, and only updates the component when one of
+ * those values changes. Usage:
+ *
+ *     var Comp = React.createClass({
+ *       mixins: [StoreSelectorMixin("activeRoomStore", {
+ *         roomState: "roomState",
+ *         roomTitle: getRoomTitle
+ *       })]
+ *     });
+ *
+ * Initial values can be overridden with props of the same name, which is
+ * used by the ui-showcase.
+ *
+ * @param  {String|Function} storeProp The name of the prop holding the store,
+ *                                     or a function that returns the store
+ *                                     from the props.
+ * @param  {Object}          selectors Maps component state names to either a
+ *                                     store state property name, or a
+ *                                     selector created by createSelector.
+ * @return {Object}                    The mixin.
+ */
+loop.store.StoreSelectorMixin = (function() {
+  "use strict";
+
+  function keySelector(key) {
+    var selector = function(state) {
+      return state[key];
+    };
+    selector.keys = [key];
+    return selector;
+  }
+
+  function StoreSelectorMixin(storeProp, selectors) {
+    var names = Object.keys(selectors);
+    var selectorFns = {};
+    names.forEach(function(name) {
+      var selector = selectors[name];
+      selectorFns[name] = typeof selector === "string" ?
+        keySelector(selector) : selector;
+    });
+
+    function getStore(props) {
+      return typeof storeProp === "function" ? storeProp(props) : props[storeProp];
+    }
+
+    function select(storeState, changedKeys) {
+      var selected = {};
+      names.forEach(function(name) {
+        var selector = selectorFns[name];
+        if (!changedKeys || _.intersection(selector.keys, changedKeys).length) {
+          selected[name] = selector(storeState);
+        }
+      });
+      return selected;
+    }
+
+    return {
+      getInitialState: function() {
+        var selected = select(getStore(this.props).getStoreState());
+        names.forEach(function(name) {
+          if (typeof this.props[name] !== "undefined") {
+            selected[name] = this.props[name];
+          }
+        }, this);
+        return selected;
+      },
+
+      componentWillMount: function() {
+        getStore(this.props).on("change", function(changedKeys) {
+          // Only update the state if we're mounted, to avoid the problem where
+          // off doesn't remove the active listeners during event processing.
+          if (!this.isMounted()) {
+            return;
+          }
+
+          var selected = select(getStore(this.props).getStoreState(), changedKeys);
+          var changed = _.some(selected, function(value, name) {
+            return value !== this.state[name];
+          }, this);
+          if (changed) {
+            this.setState(selected);
+          }
+        }, this);
+      },
+
+      componentWillUnmount: function() {
+        getStore(this.props).off("change", null, this);
+      }
+    };
+  }
+
+  return StoreSelectorMixin;
+})();
+
 /**
  * Store mixin generator. Usage:
  *
@@ -16,18 +16,149 @@ loop.store.TextChatStore = (function() {
     SPECIAL: "special"
   };
 
+  /**
+   * The delivery states of sent messages. Messages are "pending" whilst they
+   * wait in the outbox for the data channels, "sent" until the other peer
+   * acknowledges them, and "failed" if the data channels close first or the
+   * room is left before they could be sent.
+   */
+  var CHAT_MESSAGE_STATES = loop.store.CHAT_MESSAGE_STATES = {
+    PENDING: "pending",
+    SENT: "sent",
+    DELIVERED: "delivered",
+    READ: "read",
+    FAILED: "failed"
+  };
+
+  /**
+   * The states of file transfers, kept in the extraData of the file messages.
+   */
+  var FILE_TRANSFER_STATES = loop.store.FILE_TRANSFER_STATES = {
+    // Waiting for the receiver to accept or decline.
+    OFFERED: "offered",
+    TRANSFERRING: "transferring",
+    COMPLETE: "complete",
+    DECLINED: "declined",
+    CANCELLED: "cancelled",
+    FAILED: "failed",
+    // The file is larger than the maximum size, so wasn't sent or accepted.
+    TOO_LARGE: "too-large",
+    // There's more than one other peer in the room. Messages are sent to
+    // every peer, so files can only be transferred in two-party rooms.
+    GROUP_ROOM: "group-room"
+  };
+
   var CHAT_CONTENT_TYPES = loop.shared.utils.CHAT_CONTENT_TYPES;
 
+  /**
+   * How long to wait, in milliseconds, before assuming the other peer has
+   * stopped typing if we don't hear from them. Peers re-send their typing
+   * state more often than this whilst they are typing.
+   *
+   * @type {Number}
+   */
+  var PEER_TYPING_TIMEOUT = 6000;
+
+  /**
+   * The default maximum size of files that can be sent or received, in bytes.
+   *
+   * @type {Number}
+   */
+  var DEFAULT_MAX_FILE_SIZE = 20 * 1024 * 1024;
+
+  /**
+   * The size of the chunks files are split into, in bytes. Chunks are sent
+   * base64 encoded inside a JSON message, so this leaves room for the rest of
+   * the message whilst keeping it within 16KiB, which all implementations of
+   * data channels can handle.
+   *
+   * @type {Number}
+   */
+  var FILE_CHUNK_SIZE = 11 * 1024;
+
+  /**
+   * Works out how many chunks a file is split into.
+   *
+   * @param  {Number} size The size of the file, in bytes.
+   * @return {Number}
+   */
+  function getFileChunkCount(size) {
+    return Math.max(Math.ceil(size / FILE_CHUNK_SIZE), 1);
+  }
+
+  /**
+   * The maximum number of chunks that may be sent before the receiver has
+   * acknowledged them. This stops large files from filling up the data
+   * channel's buffer, which would also delay any text messages.
+   *
+   * @type {Number}
+   */
+  var MAX_CHUNKS_IN_FLIGHT = 8;
+
+  /**
+   * The maximum length of a received reaction. This allows for emoji made up
+   * of several code points, such as flags and skin tones.
+   *
+   * @type {Number}
+   */
+  var MAX_REACTION_LENGTH = 16;
+
+  /**
+   * The pref holding the tokens of the rooms whose notifications are muted,
+   * as a JSON array.
+   *
+   * @type {String}
+   */
+  var MUTED_ROOMS_PREF = "textChat.mutedRooms";
+
+  /**
+   * The handlers for the content types of received messages, by content type.
+   * See TextChatStore.registerContentType.
+   *
+   * @type {Object}
+   */
+  var contentTypeHandlers = {};
+
+  /**
+   * Generates an identifier for a sent message, unique enough to match the
+   * other peer's receipts to it.
+   *
+   * @return {String}
+   */
+  function generateMessageId() {
+    return Date.now().toString(36) + "-" +
+      Math.floor(Math.random() * 0x100000000).toString(36);
+  }
+
   /**
    * A store to handle text chats. The store has a message list that may
    * contain different types of messages and data.
    */
   var TextChatStore = loop.store.createStore({
     actions: [
+      "acceptFileTransfer",
+      "cancelFileTransfer",
+      "chatHistoryLoaded",
       "dataChannelsAvailable",
+      "declineFileTransfer",
+      "deleteTextChatMessage",
+      "editTextChatMessage",
+      "exportChatTranscript",
+      "leaveRoom",
+      "markChatMessagesRead",
       "receivedTextChatMessage",
+      "receivingScreenShare",
+      "remotePeerDisconnected",
+      "resendTextChatMessage",
+      "roomFailure",
+      "sendFile",
       "sendTextChatMessage",
-      "updateRoomInfo"
+      "sendTypingState",
+      "setChatNotificationsMuted",
+      "setupWindowData",
+      "toggleChatReaction",
+      "updateRoomInfo",
+      "windowUnload"
     ],
 
     /**
@@ -37,6 +168,16 @@ loop.store.TextChatStore = (function() {
      *                          It should consist of:
      *                          - sdkDriver: The sdkDriver to use for sending
      *                                       messages.
+     *                          - mozLoop:   Optional, the MozLoop API. If
+     *                                       specified, the messages are saved
+     *                                       and restored when the room is
+     *                                       reopened.
+     *                          - maxFileSize: Optional, the maximum size of
+     *                                       files that can be sent or
+     *                                       received, in bytes.
+     *                          - displayName: Optional, the name of the user,
+     *                                       shown to the other peer whilst
+     *                                       the user is typing.
      */
     initialize: function(options) {
       options = options || {};
@@ -46,6 +187,27 @@ loop.store.TextChatStore = (function() {
       }
 
       this._sdkDriver = options.sdkDriver;
+      this._mozLoop = options.mozLoop || null;
+      this._roomToken = null;
+      this._windowId = null;
+      this._displayName = options.displayName || null;
+      this._peerTypingTimer = null;
+      // Ids of the received messages that we haven't sent read receipts for.
+      this._unreadMessageIds = [];
+      // True once the other peer has sent a receipt. Peers on older versions
+      // never do, so their messages can't be told apart from lost ones.
+      this._peerSendsReceipts = false;
+      this._maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+      // The details of the file transfers in progress, by transfer id.
+      this._fileTransfers = {};
+      // The object URLs of the received files, which are revoked once the
+      // files can no longer be downloaded.
+      this._fileURLs = [];
+      this._receivingScreenShare = false;
+      // The messages waiting for the data channels to be available, oldest
+      // first.
+      this._outbox = [];
+      this._onChatHistoryCleared = this._onChatHistoryCleared.bind(this);
     },
 
     /**
@@ -58,7 +220,17 @@ loop.store.TextChatStore = (function() {
         // this - do not update the in-store array directly, but use a clone or
         // separate array and then use setStoreState().
         messageList: [],
-        length: 0
+        length: 0,
+        // True whilst the other peer is composing a message.
+        peerTyping: false,
+        // The name of the other peer whilst they are typing, or null if they
+        // didn't send it.
+        peerTypingName: null,
+        // The number of received messages the user hasn't seen yet.
+        unreadCount: 0,
+        // True if the user doesn't want to be notified of received messages
+        // in this room.
+        notificationsMuted: false
       };
     },
 
@@ -73,6 +245,144 @@ loop.store.TextChatStore = (function() {
 
       if (actionData.available) {
         window.dispatchEvent(new CustomEvent("LoopChatEnabled"));
+        this._flushOutbox();
+        this._stopFileTransfersIfGroupRoom();
+        return;
+      }
+
+      // Messages that haven't been acknowledged by now may never have reached
+      // the other peer.
+      if (this._peerSendsReceipts) {
+        this._updateSentMessages(function(message) {
+          return message.state === CHAT_MESSAGE_STATES.SENT;
+        }, CHAT_MESSAGE_STATES.FAILED);
+      }
+
+      this._storeState.messageList.forEach(function(message) {
+        if (message.contentType === CHAT_CONTENT_TYPES.FILE) {
+          this._endFileTransfer(message.extraData.transferId,
+                                FILE_TRANSFER_STATES.FAILED);
+        }
+      }, this);
+    },
+
+    /**
+     * Checks if there is more than one other peer to exchange messages with,
+     * in which case files can't be transferred.
+     *
+     * @return {Boolean}
+     */
+    _isGroupRoom: function() {
+      return this._sdkDriver.getTextChatPeerCount() > 1;
+    },
+
+    /**
+     * Stops the file transfers that haven't completed if another peer has
+     * joined the room, and lets the peer we were transferring with know.
+     */
+    _stopFileTransfersIfGroupRoom: function() {
+      var activeTransferIds = this._storeState.messageList.filter(function(message) {
+        return message.contentType === CHAT_CONTENT_TYPES.FILE &&
+          (message.extraData.state === FILE_TRANSFER_STATES.OFFERED ||
+           message.extraData.state === FILE_TRANSFER_STATES.TRANSFERRING);
+      }).map(function(message) {
+        return message.extraData.transferId;
+      });
+
+      if (!activeTransferIds.length || !this._isGroupRoom()) {
+        return;
+      }
+
+      activeTransferIds.forEach(function(transferId) {
+        this._endFileTransfer(transferId, FILE_TRANSFER_STATES.GROUP_ROOM);
+        this._sendFileTransferMessage(transferId, "cancel");
+      }, this);
+    },
+
+    /**
+     * Sends a message on the data channels.
+     *
+     * @param  {Object} messageData The message to send.
+     * @return {Boolean} True if the message was sent, false if the data
+     *                   channels aren't available.
+     */
+    _sendMessage: function(messageData) {
+      try {
+        this._sdkDriver.sendTextChatMessage(messageData);
+        return true;
+      } catch (ex) {
+        console.error("Failed to send the chat message", ex);
+        return false;
+      }
+    },
+
+    /**
+     * Sends the messages in the outbox, in the order they were written. If the
+     * data channels close again part way through, the rest are kept for next
+     * time.
+     */
+    _flushOutbox: function() {
+      var messageIds = [];
+      while (this._outbox.length && this._sendMessage(this._outbox[0])) {
+        messageIds.push(this._outbox.shift().messageId);
+      }
+
+      this._updateSentMessages(function(message) {
+        return message.state === CHAT_MESSAGE_STATES.PENDING &&
+          messageIds.indexOf(message.messageId) !== -1;
+      }, CHAT_MESSAGE_STATES.SENT);
+    },
+
+    /**
+     * Marks the messages still in the outbox as failed, as they can't be sent
+     * once the room has been left. They can still be resent by the user.
+     */
+    _failOutbox: function() {
+      var messageIds = _.pluck(this._outbox, "messageId");
+      this._outbox = [];
+
+      this._updateSentMessages(function(message) {
+        return message.state === CHAT_MESSAGE_STATES.PENDING &&
+          messageIds.indexOf(message.messageId) !== -1;
+      }, CHAT_MESSAGE_STATES.FAILED);
+    },
+
+    /**
+     * Fails any messages waiting to be sent when the user leaves the room.
+     */
+    leaveRoom: function() {
+      this._failOutbox();
+    },
+
+    /**
+     * Fails any messages waiting to be sent when the room can't be joined or
+     * the connection to it is lost.
+     */
+    roomFailure: function() {
+      this._failOutbox();
+    },
+
+    /**
+     * Updates the delivery state of the sent messages matching a filter.
+     *
+     * @param {Function}            filter Called with each sent message,
+     *                                     returns true to update it.
+     * @param {CHAT_MESSAGE_STATES} state  The new state.
+     */
+    _updateSentMessages: function(filter, state) {
+      var updated = false;
+      var newList = this._storeState.messageList.map(function(message) {
+        if (message.type !== CHAT_MESSAGE_TYPES.SENT || !message.messageId ||
+            !filter(message)) {
+          return message;
+        }
+
+        updated = true;
+        return _.extend({}, message, { state: state });
+      });
+
+      if (updated) {
+        this.setStoreState({ messageList: newList });
       }
     },
 
@@ -84,6 +394,9 @@ loop.store.TextChatStore = (function() {
      * - {CHAT_CONTENT_TYPES} contentType
      * - {String}             message     The message detail.
      * - {Object}             extraData   Extra data associated with the message.
+     * - {String}             messageId   Optional, the id of the message.
+     * - {CHAT_MESSAGE_STATES} state      Optional, the delivery state of a sent
+     *                                    message.
      */
     _appendTextChatMessage: function(type, messageData) {
       // We create a new list to avoid updating the store's state directly,
@@ -96,6 +409,12 @@ loop.store.TextChatStore = (function() {
         sentTimestamp: messageData.sentTimestamp,
         receivedTimestamp: messageData.receivedTimestamp
       };
+      if (messageData.messageId) {
+        message.messageId = messageData.messageId;
+      }
+      if (messageData.state) {
+        message.state = messageData.state;
+      }
       var newList = [].concat(this._storeState.messageList);
       var isContext = message.contentType === CHAT_CONTENT_TYPES.CONTEXT;
       if (isContext) {
@@ -116,10 +435,14 @@ loop.store.TextChatStore = (function() {
       }
       this.setStoreState({ messageList: newList });
 
+      // Files can't be downloaded again, so only text messages are saved.
+      if (message.contentType === CHAT_CONTENT_TYPES.TEXT) {
+        this._saveMessage(message);
+      }
+
       // Notify MozLoopService if appropriate that a message has been appended
       // and it should therefore check if we need a different sized window or not.
-      if (message.contentType !== CHAT_CONTENT_TYPES.ROOM_NAME &&
-          message.contentType !== CHAT_CONTENT_TYPES.CONTEXT) {
+      if (type !== CHAT_MESSAGE_TYPES.SPECIAL) {
         if (this._storeState.textChatEnabled) {
           window.dispatchEvent(new CustomEvent("LoopChatMessageAppended"));
         } else {
@@ -128,67 +451,1251 @@ loop.store.TextChatStore = (function() {
       }
     },
 
+    /**
+     * Saves a message to the chat history of the room, if there is one.
+     *
+     * @param {Object} message The message, as added to the message list.
+     */
+    _saveMessage: function(message) {
+      if (!this._mozLoop || !this._roomToken) {
+        return;
+      }
+
+      // The delivery state is only meaningful for the current conversation.
+      message = _.omit(message, "state");
+
+      this._mozLoop.rooms.saveChatMessage(this._roomToken, message, function(error) {
+        if (error) {
+          console.error("Failed to save the chat message", error);
+        }
+      });
+    },
+
+    /**
+     * Replaces a saved message with its new version, if there is a chat
+     * history for the room.
+     *
+     * @param {Object} message The new version of the message.
+     */
+    _updateSavedMessage: function(message) {
+      if (!this._mozLoop || !this._roomToken ||
+          message.contentType !== CHAT_CONTENT_TYPES.TEXT) {
+        return;
+      }
+
+      this._mozLoop.rooms.updateChatMessage(this._roomToken,
+        _.omit(message, "state"), function(error) {
+          if (error) {
+            console.error("Failed to update the saved chat message", error);
+          }
+        });
+    },
+
+    /**
+     * Removes the sent and received messages from the list, leaving the room
+     * details, when the chat history of the room is cleared.
+     */
+    _onChatHistoryCleared: function() {
+      this._revokeFileURLs();
+      this.setStoreState({
+        messageList: this._storeState.messageList.filter(function(message) {
+          return message.type === CHAT_MESSAGE_TYPES.SPECIAL;
+        })
+      });
+    },
+
+    /**
+     * Releases the received files, as the window is closing.
+     */
+    windowUnload: function() {
+      this._revokeFileURLs();
+    },
+
+    /**
+     * Releases the data of the received files, which can't be downloaded any
+     * more.
+     */
+    _revokeFileURLs: function() {
+      this._fileURLs.forEach(function(url) {
+        URL.revokeObjectURL(url);
+      });
+      this._fileURLs = [];
+    },
+
+    /**
+     * Loads the chat history for the room, if the messages are to be saved.
+     *
+     * @param {sharedActions.SetupWindowData} actionData
+     */
+    setupWindowData: function(actionData) {
+      if (!this._mozLoop || !actionData.roomToken) {
+        return;
+      }
+
+      var roomToken = this._roomToken = actionData.roomToken;
+      this._windowId = actionData.windowId;
+      this.setStoreState({
+        notificationsMuted: this._getMutedRooms().indexOf(roomToken) !== -1
+      });
+      this._mozLoop.rooms.on("chatHistoryCleared:" + roomToken,
+        this._onChatHistoryCleared);
+
+      this._mozLoop.rooms.getChatHistory(roomToken, function(error, messages) {
+        if (error) {
+          console.error("Failed to load the chat history", error);
+          return;
+        }
+
+        this.dispatchAction(new sharedActions.ChatHistoryLoaded({
+          roomToken: roomToken,
+          messages: messages
+        }));
+      }.bind(this));
+    },
+
+    /**
+     * Adds the saved messages for the room to the list. They are placed after
+     * the room details but before any messages of the current conversation.
+     *
+     * @param {sharedActions.ChatHistoryLoaded} actionData
+     */
+    chatHistoryLoaded: function(actionData) {
+      if (actionData.roomToken !== this._roomToken ||
+          !actionData.messages.length) {
+        return;
+      }
+
+      var messageList = this._storeState.messageList;
+      var index = 0;
+      while (index < messageList.length &&
+             messageList[index].type === CHAT_MESSAGE_TYPES.SPECIAL) {
+        index++;
+      }
+
+      this.setStoreState({
+        messageList: messageList.slice(0, index)
+          .concat(actionData.messages, messageList.slice(index))
+      });
+    },
+
     /**
      * Handles received text chat messages.
      *
      * @param {sharedActions.ReceivedTextChatMessage} actionData
      */
     receivedTextChatMessage: function(actionData) {
-      // If we don't know how to deal with this content, then skip it
-      // as this version doesn't support it.
-      if (actionData.contentType !== CHAT_CONTENT_TYPES.TEXT) {
+      var messageData = actionData;
+      var handler = contentTypeHandlers[actionData.contentType];
+
+      if (handler) {
+        if (handler.received) {
+          messageData = handler.received.call(this, actionData);
+        }
+      } else if (!actionData.message) {
+        // This version doesn't know about this content type. Messages meant to
+        // be displayed carry some text, so the views can at least show that
+        // there is something that needs a newer version, but messages without
+        // any are only meaningful to newer versions.
+        messageData = null;
+      }
+
+      if (!messageData) {
         return;
       }
 
-      this._appendTextChatMessage(CHAT_MESSAGE_TYPES.RECEIVED, actionData);
+      this._appendTextChatMessage(CHAT_MESSAGE_TYPES.RECEIVED, messageData);
+      this._setUnreadCount(this._storeState.unreadCount + 1);
+
+      if (actionData.messageId) {
+        this._unreadMessageIds.push(actionData.messageId);
+        this._sendReceipt(actionData.messageId, CHAT_MESSAGE_STATES.DELIVERED);
+      }
     },
 
     /**
-     * Handles sending of a chat message.
+     * Finds a text message in the list by its id. Special messages, such as
+     * the room name and context, have no ids so are never found.
      *
-     * @param {sharedActions.SendTextChatMessage} actionData
+     * @param  {String}             messageId The id of the message.
+     * @param  {CHAT_MESSAGE_TYPES} type      Optional, the type of the message.
+     * @return {Object} The message, or undefined if there isn't one.
      */
-    sendTextChatMessage: function(actionData) {
-      this._appendTextChatMessage(CHAT_MESSAGE_TYPES.SENT, actionData);
-      this._sdkDriver.sendTextChatMessage(actionData);
+    _findTextMessage: function(messageId, type) {
+      return _.find(this._storeState.messageList, function(message) {
+        return (!type || message.type === type) &&
+          message.contentType === CHAT_CONTENT_TYPES.TEXT &&
+          message.messageId === messageId;
+      });
     },
 
     /**
-     * Handles receiving information about the room - specifically the room name
-     * so it can be added to the list.
+     * Replaces a message in the list with an updated copy, and saves the new
+     * version.
      *
-     * @param  {sharedActions.UpdateRoomInfo} actionData
+     * @param {Object} message The message, as currently in the list.
+     * @param {Object} changes The properties to update.
      */
-    updateRoomInfo: function(actionData) {
-      // XXX When we add special messages to desktop, we'll need to not post
-      // multiple changes of room name, only the first. Bug 1171940 should fix this.
-      if (actionData.roomName) {
-        var roomName = actionData.roomName;
-        if (!roomName && actionData.roomContextUrls && actionData.roomContextUrls.length) {
-          roomName = actionData.roomContextUrls[0].description ||
-                     actionData.roomContextUrls[0].url;
+    _updateTextMessage: function(message, changes) {
+      var updated = _.extend({}, message, changes);
+
+      this.setStoreState({
+        messageList: this._storeState.messageList.map(function(entry) {
+          return entry === message ? updated : entry;
+        })
+      });
+      this._updateSavedMessage(updated);
+    },
+
+    /**
+     * Changes the text of a message the user sent, and lets the other peer
+     * know.
+     *
+     * @param {sharedActions.EditTextChatMessage} actionData
+     */
+    editTextChatMessage: function(actionData) {
+      var message = this._findTextMessage(actionData.messageId,
+                                          CHAT_MESSAGE_TYPES.SENT);
+      if (!this._storeState.textChatEnabled || !message || message.deleted ||
+          !actionData.message || actionData.message === message.message) {
+        return;
+      }
+
+      this._updateTextMessage(message, {
+        message: actionData.message,
+        edited: true
+      });
+      this._sendMessage({
+        contentType: CHAT_CONTENT_TYPES.EDIT,
+        message: actionData.message,
+        extraData: { messageId: actionData.messageId }
+      });
+    },
+
+    /**
+     * Retracts a message the user sent, leaving a placeholder in its place,
+     * and lets the other peer know.
+     *
+     * @param {sharedActions.DeleteTextChatMessage} actionData
+     */
+    deleteTextChatMessage: function(actionData) {
+      var message = this._findTextMessage(actionData.messageId,
+                                          CHAT_MESSAGE_TYPES.SENT);
+      if (!this._storeState.textChatEnabled || !message || message.deleted) {
+        return;
+      }
+
+      this._updateTextMessage(message, {
+        message: "",
+        deleted: true
+      });
+      this._sendMessage({
+        contentType: CHAT_CONTENT_TYPES.DELETE,
+        message: "",
+        extraData: { messageId: actionData.messageId }
+      });
+    },
+
+    /**
+     * Applies an edit or deletion by the other peer to a message they sent.
+     *
+     * @param {String} messageId The id of the message.
+     * @param {Object} changes   The properties to update.
+     */
+    _receivedTextMessageUpdate: function(messageId, changes) {
+      var message = this._findTextMessage(messageId, CHAT_MESSAGE_TYPES.RECEIVED);
+      if (!message || message.deleted) {
+        return;
+      }
+
+      this._updateTextMessage(message, changes);
+    },
+
+    /**
+     * Saves a transcript of the messages, including the room name and
+     * context.
+     *
+     * @param {sharedActions.ExportChatTranscript} actionData
+     */
+    exportChatTranscript: function(actionData) {
+      loop.shared.utils.saveChatTranscript(this._storeState.messageList,
+                                           actionData.format, this._mozLoop);
+    },
+
+    /**
+     * Adds or removes the user's reaction to a message, and lets the other
+     * peer know.
+     *
+     * @param {sharedActions.ToggleChatReaction} actionData
+     */
+    toggleChatReaction: function(actionData) {
+      var message = this._findTextMessage(actionData.messageId);
+      if (!this._storeState.textChatEnabled || !message || message.deleted) {
+        return;
+      }
+
+      var current = message.reactions && message.reactions[actionData.reaction];
+      var added = !(current && current.reacted);
+
+      this._updateReaction(message, actionData.reaction, added, true);
+      this._sendMessage({
+        contentType: CHAT_CONTENT_TYPES.REACTION,
+        message: actionData.reaction,
+        extraData: {
+          messageId: actionData.messageId,
+          added: added
         }
-        this._appendTextChatMessage(CHAT_MESSAGE_TYPES.SPECIAL, {
-          contentType: CHAT_CONTENT_TYPES.ROOM_NAME,
-          message: roomName
-        });
+      });
+    },
+
+    /**
+     * Updates the reactions of a message. These are kept in the reactions
+     * property of the message, keyed by emoji, with the number of people who
+     * reacted and whether the user is one of them, e.g.:
+     *
+     *   { "\uD83D\uDC4D": { count: 2, reacted: true } }
+     *
+     * @param {Object}  message  The message, as currently in the list.
+     * @param {String}  reaction The emoji.
+     * @param {Boolean} added    True if the reaction was added, false if it was
+     *                           removed.
+     * @param {Boolean} local    True if the user reacted, false if it was the
+     *                           other peer.
+     */
+    _updateReaction: function(message, reaction, added, local) {
+      var current = (message.reactions && message.reactions[reaction]) ||
+                    { count: 0, reacted: false };
+      var reacted = local ? added : current.reacted;
+      // Never count fewer people than the user's own reaction.
+      var count = Math.max(current.count + (added ? 1 : -1), reacted ? 1 : 0);
+
+      var reactions = _.extend({}, message.reactions);
+      if (count) {
+        reactions[reaction] = { count: count, reacted: reacted };
+      } else {
+        delete reactions[reaction];
       }
 
-      // Append the context if we have any.
-      if (("roomContextUrls" in actionData) && actionData.roomContextUrls &&
-          actionData.roomContextUrls.length) {
-        // We only support the first url at the moment.
-        var urlData = actionData.roomContextUrls[0];
+      this._updateTextMessage(message, { reactions: reactions });
+    },
 
-        this._appendTextChatMessage(CHAT_MESSAGE_TYPES.SPECIAL, {
-          contentType: CHAT_CONTENT_TYPES.CONTEXT,
-          message: urlData.description,
-          extraData: {
-            location: urlData.location,
-            thumbnail: urlData.thumbnail
-          }
-        });
+    /**
+     * Adds a notice about the conversation to the message list.
+     *
+     * @param {String} notice The type of notice, e.g. "peer-left".
+     */
+    _appendNotice: function(notice) {
+      this._appendTextChatMessage(CHAT_MESSAGE_TYPES.SPECIAL, {
+        contentType: CHAT_CONTENT_TYPES.NOTICE,
+        message: "",
+        extraData: { notice: notice },
+        receivedTimestamp: (new Date()).toISOString()
+      });
+    },
+
+    /**
+     * Adds a notice when the other peer leaves the room.
+     */
+    remotePeerDisconnected: function() {
+      this._appendNotice("peer-left");
+    },
+
+    /**
+     * Adds a notice when the other peer starts or stops sharing their screen.
+     *
+     * @param {sharedActions.ReceivingScreenShare} actionData
+     */
+    receivingScreenShare: function(actionData) {
+      if (actionData.receiving === this._receivingScreenShare) {
+        return;
+      }
+
+      this._receivingScreenShare = actionData.receiving;
+      this._appendNotice(actionData.receiving ? "screen-share-started" :
+                                                "screen-share-stopped");
+    },
+
+    /**
+     * Updates the state of a sent message once the other peer acknowledges it.
+     * A message that has been read is never marked as just delivered, in case
+     * the receipts arrive out of order.
+     *
+     * @param {Object} receipt The extra data of the receipt, containing:
+     * - {String}              messageId The id of the acknowledged message.
+     * - {CHAT_MESSAGE_STATES} state     Either DELIVERED or READ.
+     */
+    _receivedReceipt: function(receipt) {
+      if (receipt.state !== CHAT_MESSAGE_STATES.DELIVERED &&
+          receipt.state !== CHAT_MESSAGE_STATES.READ) {
+        return;
+      }
+
+      this._peerSendsReceipts = true;
+      this._updateSentMessages(function(message) {
+        return message.messageId === receipt.messageId &&
+          message.state !== CHAT_MESSAGE_STATES.READ;
+      }, receipt.state);
+    },
+
+    /**
+     * Acknowledges a received message to the other peer.
+     *
+     * @param {String}              messageId The id of the message.
+     * @param {CHAT_MESSAGE_STATES} state     Either DELIVERED or READ.
+     */
+    _sendReceipt: function(messageId, state) {
+      if (!this._storeState.textChatEnabled) {
+        return;
       }
+
+      this._sendMessage({
+        contentType: CHAT_CONTENT_TYPES.RECEIPT,
+        message: "",
+        extraData: {
+          messageId: messageId,
+          state: state
+        }
+      });
+    },
+
+    /**
+     * Updates the number of unread messages, and shows it on the toolbar
+     * button unless the notifications are muted.
+     *
+     * @param {Number} count The number of unread messages.
+     */
+    _setUnreadCount: function(count) {
+      this.setStoreState({ unreadCount: count });
+      this._updateToolbarUnreadCount();
+    },
+
+    _updateToolbarUnreadCount: function() {
+      if (!this._mozLoop || !this._windowId) {
+        return;
+      }
+
+      this._mozLoop.setUnreadChatCount(this._windowId,
+        this._storeState.notificationsMuted ? 0 : this._storeState.unreadCount);
+    },
+
+    /**
+     * Returns the tokens of the rooms whose notifications are muted.
+     *
+     * @return {Array}
+     */
+    _getMutedRooms: function() {
+      try {
+        return JSON.parse(this._mozLoop.getLoopPref(MUTED_ROOMS_PREF)) || [];
+      } catch (ex) {
+        return [];
+      }
+    },
+
+    /**
+     * Turns the notifications for the room off or on. On desktop, the setting
+     * is remembered for the room.
+     *
+     * @param {sharedActions.SetChatNotificationsMuted} actionData
+     */
+    setChatNotificationsMuted: function(actionData) {
+      this.setStoreState({ notificationsMuted: actionData.muted });
+      this._updateToolbarUnreadCount();
+
+      if (!this._mozLoop || !this._roomToken) {
+        return;
+      }
+
+      var mutedRooms = _.without(this._getMutedRooms(), this._roomToken);
+      if (actionData.muted) {
+        mutedRooms.push(this._roomToken);
+      }
+      this._mozLoop.setLoopPref(MUTED_ROOMS_PREF, JSON.stringify(mutedRooms));
+    },
+
+    /**
+     * Sends read receipts for the messages received since the last time, and
+     * clears the unread count.
+     */
+    markChatMessagesRead: function() {
+      if (this._storeState.unreadCount) {
+        this._setUnreadCount(0);
+      }
+
+      if (!this._storeState.textChatEnabled) {
+        return;
+      }
+
+      this._unreadMessageIds.forEach(function(messageId) {
+        this._sendReceipt(messageId, CHAT_MESSAGE_STATES.READ);
+      }, this);
+      this._unreadMessageIds = [];
+    },
+
+    /**
+     * Offers a file to the other peer. The file is only sent once they accept
+     * it.
+     *
+     * @param {sharedActions.SendFile} actionData
+     */
+    sendFile: function(actionData) {
+      var file = actionData.file;
+      var transferId = generateMessageId();
+      var details = {
+        transferId: transferId,
+        name: file.name || "",
+        size: file.size,
+        mimeType: file.type || "application/octet-stream",
+        chunkCount: getFileChunkCount(file.size)
+      };
+      var sentTimestamp = (new Date()).toISOString();
+
+      var unavailableState = null;
+      if (file.size > this._maxFileSize) {
+        unavailableState = FILE_TRANSFER_STATES.TOO_LARGE;
+      } else if (this._isGroupRoom()) {
+        unavailableState = FILE_TRANSFER_STATES.GROUP_ROOM;
+      }
+
+      if (!unavailableState) {
+        this._fileTransfers[transferId] = {
+          file: file,
+          chunkCount: details.chunkCount,
+          nextChunk: 0,
+          // The indexes of the chunks that have been acknowledged, so that
+          // repeated acknowledgements aren't counted.
+          ackedChunks: {},
+          ackedCount: 0
+        };
+      }
+
+      this._appendTextChatMessage(CHAT_MESSAGE_TYPES.SENT, {
+        contentType: CHAT_CONTENT_TYPES.FILE,
+        message: details.name,
+        sentTimestamp: sentTimestamp,
+        extraData: _.extend({
+          state: unavailableState || FILE_TRANSFER_STATES.OFFERED,
+          progress: 0
+        }, details)
+      });
+
+      if (unavailableState) {
+        return;
+      }
+
+      var offered = this._sendMessage({
+        contentType: CHAT_CONTENT_TYPES.FILE,
+        message: details.name,
+        sentTimestamp: sentTimestamp,
+        extraData: details
+      });
+      if (!offered) {
+        this._endFileTransfer(transferId, FILE_TRANSFER_STATES.FAILED);
+      }
+    },
+
+    /**
+     * Handles a file being offered by the other peer. Files that are too large,
+     * or offered in a group room, are declined straight away.
+     *
+     * @param {sharedActions.ReceivedTextChatMessage} actionData
+     */
+    _receivedFileOffer: function(actionData) {
+      var details = actionData.extraData || {};
+      if (!details.transferId || typeof details.size !== "number" ||
+          details.size < 0) {
+        return;
+      }
+
+      // The chunks are checked against these details as they arrive, so they
+      // must agree with each other.
+      if (details.chunkCount !== getFileChunkCount(details.size)) {
+        console.error("Ignoring a file offer with an invalid chunk count");
+        return;
+      }
+
+      var unavailableState = null;
+      if (details.size > this._maxFileSize) {
+        unavailableState = FILE_TRANSFER_STATES.TOO_LARGE;
+      } else if (this._isGroupRoom()) {
+        unavailableState = FILE_TRANSFER_STATES.GROUP_ROOM;
+      }
+
+      this._appendTextChatMessage(CHAT_MESSAGE_TYPES.RECEIVED, {
+        contentType: CHAT_CONTENT_TYPES.FILE,
+        message: actionData.message,
+        sentTimestamp: actionData.sentTimestamp,
+        receivedTimestamp: actionData.receivedTimestamp,
+        extraData: {
+          transferId: details.transferId,
+          name: details.name,
+          size: details.size,
+          mimeType: details.mimeType,
+          chunkCount: details.chunkCount,
+          state: unavailableState || FILE_TRANSFER_STATES.OFFERED,
+          progress: 0
+        }
+      });
+
+      if (unavailableState) {
+        this._sendFileTransferMessage(details.transferId, "decline");
+      }
+    },
+
+    /**
+     * Accepts a file offered by the other peer, and gets ready to receive it.
+     *
+     * @param {sharedActions.AcceptFileTransfer} actionData
+     */
+    acceptFileTransfer: function(actionData) {
+      var message = this._findFileMessage(actionData.transferId,
+                                          CHAT_MESSAGE_TYPES.RECEIVED);
+      if (!message || message.extraData.state !== FILE_TRANSFER_STATES.OFFERED) {
+        return;
+      }
+
+      this._fileTransfers[actionData.transferId] = {
+        chunks: [],
+        chunkCount: message.extraData.chunkCount,
+        receivedCount: 0,
+        size: message.extraData.size,
+        receivedBytes: 0,
+        mimeType: message.extraData.mimeType
+      };
+
+      this._updateFileTransfer(actionData.transferId, {
+        state: FILE_TRANSFER_STATES.TRANSFERRING
+      });
+      this._sendFileTransferMessage(actionData.transferId, "accept");
+    },
+
+    /**
+     * Declines a file offered by the other peer.
+     *
+     * @param {sharedActions.DeclineFileTransfer} actionData
+     */
+    declineFileTransfer: function(actionData) {
+      var message = this._findFileMessage(actionData.transferId,
+                                          CHAT_MESSAGE_TYPES.RECEIVED);
+      if (!message || message.extraData.state !== FILE_TRANSFER_STATES.OFFERED) {
+        return;
+      }
+
+      this._updateFileTransfer(actionData.transferId, {
+        state: FILE_TRANSFER_STATES.DECLINED
+      });
+      this._sendFileTransferMessage(actionData.transferId, "decline");
+    },
+
+    /**
+     * Stops a file transfer that hasn't completed yet, and lets the other
+     * peer know.
+     *
+     * @param {sharedActions.CancelFileTransfer} actionData
+     */
+    cancelFileTransfer: function(actionData) {
+      var message = this._findFileMessage(actionData.transferId);
+      if (!message ||
+          (message.extraData.state !== FILE_TRANSFER_STATES.OFFERED &&
+           message.extraData.state !== FILE_TRANSFER_STATES.TRANSFERRING)) {
+        return;
+      }
+
+      this._endFileTransfer(actionData.transferId, FILE_TRANSFER_STATES.CANCELLED);
+      this._sendFileTransferMessage(actionData.transferId, "cancel");
+    },
+
+    /**
+     * Handles the control and data messages of a file transfer.
+     *
+     * @param {Object} data The extra data of the message, containing:
+     * - {String} transferId The id of the transfer.
+     * - {String} action     The type of the message.
+     * - {Number} index      For chunks and their acknowledgements, the index
+     *                       of the chunk.
+     * - {String} data       For chunks, the base64 encoded data.
+     */
+    _receivedFileTransferMessage: function(data) {
+      var transfer = this._fileTransfers[data.transferId];
+
+      switch (data.action) {
+        case "accept":
+          if (transfer && transfer.file) {
+            this._updateFileTransfer(data.transferId, {
+              state: FILE_TRANSFER_STATES.TRANSFERRING
+            });
+            this._sendNextFileChunks(data.transferId);
+          }
+          break;
+        case "decline":
+          this._endFileTransfer(data.transferId, FILE_TRANSFER_STATES.DECLINED);
+          break;
+        case "cancel":
+          this._endFileTransfer(data.transferId, FILE_TRANSFER_STATES.CANCELLED);
+          break;
+        case "chunk":
+          if (transfer && transfer.chunks) {
+            this._receivedFileChunk(data.transferId, data.index, data.data);
+          }
+          break;
+        case "ack":
+          if (transfer && transfer.file) {
+            this._receivedFileChunkAck(data.transferId, data.index);
+          }
+          break;
+      }
+    },
+
+    /**
+     * Sends the next chunks of a file, as long as not too many are waiting to
+     * be acknowledged.
+     *
+     * @param {String} transferId The id of the transfer.
+     */
+    _sendNextFileChunks: function(transferId) {
+      var transfer = this._fileTransfers[transferId];
+
+      while (transfer.nextChunk < transfer.chunkCount &&
+             transfer.nextChunk - transfer.ackedCount < MAX_CHUNKS_IN_FLIGHT) {
+        this._sendFileChunk(transferId, transfer.nextChunk++);
+      }
+    },
+
+    /**
+     * Reads a chunk of a file and sends it to the other peer, unless the
+     * transfer has ended in the meantime.
+     *
+     * @param {String} transferId The id of the transfer.
+     * @param {Number} index      The index of the chunk.
+     */
+    _sendFileChunk: function(transferId, index) {
+      var file = this._fileTransfers[transferId].file;
+      var start = index * FILE_CHUNK_SIZE;
+      var reader = new FileReader();
+
+      reader.onload = function() {
+        if (!this._fileTransfers[transferId]) {
+          return;
+        }
+
+        // Strip the "data:<type>;base64," prefix.
+        var data = reader.result.substr(reader.result.indexOf(",") + 1);
+        this._sendFileTransferMessage(transferId, "chunk", {
+          index: index,
+          data: data
+        });
+      }.bind(this);
+
+      reader.onerror = function() {
+        console.error("Failed to read the file", reader.error);
+        if (this._fileTransfers[transferId]) {
+          this._endFileTransfer(transferId, FILE_TRANSFER_STATES.FAILED);
+          this._sendFileTransferMessage(transferId, "cancel");
+        }
+      }.bind(this);
+
+      reader.readAsDataURL(file.slice(start, start + FILE_CHUNK_SIZE));
+    },
+
+    /**
+     * Handles the receiver acknowledging a chunk, completing the transfer
+     * once all the chunks have been acknowledged.
+     *
+     * @param {String} transferId The id of the transfer.
+     * @param {Number} index      The index of the chunk.
+     */
+    _receivedFileChunkAck: function(transferId, index) {
+      var transfer = this._fileTransfers[transferId];
+      // Only chunks that have been sent can be acknowledged, and only once.
+      if (typeof index !== "number" || Math.floor(index) !== index ||
+          index < 0 || index >= transfer.nextChunk ||
+          transfer.ackedChunks[index]) {
+        return;
+      }
+
+      transfer.ackedChunks[index] = true;
+      transfer.ackedCount++;
+
+      if (transfer.ackedCount >= transfer.chunkCount) {
+        this._endFileTransfer(transferId, FILE_TRANSFER_STATES.COMPLETE);
+        return;
+      }
+
+      this._updateFileTransfer(transferId, {
+        progress: transfer.ackedCount / transfer.chunkCount
+      });
+      this._sendNextFileChunks(transferId);
+    },
+
+    /**
+     * Stores a received chunk of a file and acknowledges it. Once all the
+     * chunks have been received, the file is made available for download.
+     *
+     * @param {String} transferId The id of the transfer.
+     * @param {Number} index      The index of the chunk.
+     * @param {String} data       The base64 encoded data of the chunk.
+     */
+    _receivedFileChunk: function(transferId, index, data) {
+      var transfer = this._fileTransfers[transferId];
+      if (typeof index !== "number" || Math.floor(index) !== index ||
+          index < 0 || index >= transfer.chunkCount || typeof data !== "string") {
+        return;
+      }
+
+      if (!transfer.chunks[index]) {
+        var bytes;
+        try {
+          bytes = atob(data);
+        } catch (ex) {
+          this._failReceivedFileTransfer(transferId,
+            "Failed to decode the file chunk");
+          return;
+        }
+
+        // Don't let the other peer send more than the size it offered.
+        transfer.receivedBytes += bytes.length;
+        if (bytes.length > FILE_CHUNK_SIZE ||
+            transfer.receivedBytes > transfer.size) {
+          this._failReceivedFileTransfer(transferId,
+            "Received more of the file than was offered");
+          return;
+        }
+
+        var chunk = new Uint8Array(bytes.length);
+        for (var i = 0; i < bytes.length; i++) {
+          chunk[i] = bytes.charCodeAt(i);
+        }
+        transfer.chunks[index] = chunk;
+        transfer.receivedCount++;
+      }
+
+      this._sendFileTransferMessage(transferId, "ack", { index: index });
+
+      if (transfer.receivedCount < transfer.chunkCount) {
+        this._updateFileTransfer(transferId, {
+          progress: transfer.receivedCount / transfer.chunkCount
+        });
+        return;
+      }
+
+      if (transfer.receivedBytes !== transfer.size) {
+        this._failReceivedFileTransfer(transferId,
+          "Received less of the file than was offered");
+        return;
+      }
+
+      var blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+      var url = URL.createObjectURL(blob);
+      this._fileURLs.push(url);
+      this._endFileTransfer(transferId, FILE_TRANSFER_STATES.COMPLETE, {
+        url: url
+      });
+    },
+
+    /**
+     * Fails a file transfer from the other peer that can't be completed, and
+     * lets them know.
+     *
+     * @param {String} transferId The id of the transfer.
+     * @param {String} reason     Why the transfer failed, for the console.
+     */
+    _failReceivedFileTransfer: function(transferId, reason) {
+      console.error(reason);
+      this._endFileTransfer(transferId, FILE_TRANSFER_STATES.FAILED);
+      this._sendFileTransferMessage(transferId, "cancel");
+    },
+
+    /**
+     * Sends a control or data message for a file transfer.
+     *
+     * @param {String} transferId The id of the transfer.
+     * @param {String} action     The type of the message.
+     * @param {Object} extraData  Optional, additional data for the message.
+     */
+    _sendFileTransferMessage: function(transferId, action, extraData) {
+      if (!this._storeState.textChatEnabled) {
+        return;
+      }
+
+      this._sendMessage({
+        contentType: CHAT_CONTENT_TYPES.FILE_TRANSFER,
+        message: "",
+        extraData: _.extend({
+          transferId: transferId,
+          action: action
+        }, extraData)
+      });
+    },
+
+    /**
+     * Finds the message of a file transfer.
+     *
+     * @param  {String}             transferId The id of the transfer.
+     * @param  {CHAT_MESSAGE_TYPES} type       Optional, the type of message to
+     *                                         look for.
+     * @return {Object} The message, or undefined if there isn't one.
+     */
+    _findFileMessage: function(transferId, type) {
+      return _.find(this._storeState.messageList, function(message) {
+        return message.contentType === CHAT_CONTENT_TYPES.FILE &&
+          message.extraData.transferId === transferId &&
+          (!type || message.type === type);
+      });
+    },
+
+    /**
+     * Updates the details of a file transfer in the message list.
+     *
+     * @param {String} transferId The id of the transfer.
+     * @param {Object} changes    The details to update.
+     */
+    _updateFileTransfer: function(transferId, changes) {
+      var message = this._findFileMessage(transferId);
+      if (!message) {
+        return;
+      }
+
+      var newList = this._storeState.messageList.map(function(entry) {
+        if (entry !== message) {
+          return entry;
+        }
+
+        return _.extend({}, entry, {
+          extraData: _.extend({}, entry.extraData, changes)
+        });
+      });
+      this.setStoreState({ messageList: newList });
+    },
+
+    /**
+     * Ends a file transfer if it hasn't ended already, releasing its data.
+     *
+     * @param {String}               transferId The id of the transfer.
+     * @param {FILE_TRANSFER_STATES} state      The final state of the transfer.
+     * @param {Object}               changes    Optional, other details to update.
+     */
+    _endFileTransfer: function(transferId, state, changes) {
+      var message = this._findFileMessage(transferId);
+      if (!message ||
+          (message.extraData.state !== FILE_TRANSFER_STATES.OFFERED &&
+           message.extraData.state !== FILE_TRANSFER_STATES.TRANSFERRING)) {
+        return;
+      }
+
+      delete this._fileTransfers[transferId];
+      this._updateFileTransfer(transferId, _.extend({
+        state: state,
+        progress: state === FILE_TRANSFER_STATES.COMPLETE ? 1 :
+                                                           message.extraData.progress
+      }, changes));
+    },
+
+    /**
+     * Handles sending of a chat message. If the data channels aren't
+     * available, the message is kept in the outbox until they are.
+     *
+     * @param {sharedActions.SendTextChatMessage} actionData
+     */
+    sendTextChatMessage: function(actionData) {
+      var messageData = _.extend(_.omit(actionData, "name"), {
+        messageId: actionData.messageId || generateMessageId()
+      });
+
+      var sent = this._storeState.textChatEnabled &&
+                 this._sendMessage(messageData);
+      if (!sent) {
+        this._outbox.push(messageData);
+      }
+
+      this._appendTextChatMessage(CHAT_MESSAGE_TYPES.SENT, _.extend({
+        state: sent ? CHAT_MESSAGE_STATES.SENT : CHAT_MESSAGE_STATES.PENDING
+      }, messageData));
+    },
+
+    /**
+     * Sends a failed message again, keeping its id so that the receipts still
+     * match it. If the data channels aren't available, the message goes back
+     * in the outbox.
+     *
+     * @param {sharedActions.ResendTextChatMessage} actionData
+     */
+    resendTextChatMessage: function(actionData) {
+      var message = _.find(this._storeState.messageList, function(entry) {
+        return entry.type === CHAT_MESSAGE_TYPES.SENT &&
+          entry.messageId === actionData.messageId &&
+          entry.state === CHAT_MESSAGE_STATES.FAILED;
+      });
+      if (!message) {
+        return;
+      }
+
+      var messageData = {
+        contentType: message.contentType,
+        message: message.message,
+        sentTimestamp: message.sentTimestamp,
+        messageId: message.messageId,
+        extraData: message.extraData
+      };
+      var sent = this._storeState.textChatEnabled &&
+                 this._sendMessage(messageData);
+      if (!sent) {
+        this._outbox.push(messageData);
+      }
+
+      this._updateSentMessages(function(entry) {
+        return entry === message;
+      }, sent ? CHAT_MESSAGE_STATES.SENT : CHAT_MESSAGE_STATES.PENDING);
+    },
+
+    /**
+     * Sends the user's typing state to the other peer.
+     *
+     * @param {sharedActions.SendTypingState} actionData
+     */
+    sendTypingState: function(actionData) {
+      if (!this._storeState.textChatEnabled) {
+        return;
+      }
+
+      var extraData = { typing: actionData.typing };
+      if (this._displayName) {
+        extraData.displayName = this._displayName;
+      }
+
+      this._sendMessage({
+        contentType: CHAT_CONTENT_TYPES.TYPING,
+        message: "",
+        extraData: extraData
+      });
+    },
+
+    /**
+     * Updates the typing state of the other peer. If they are typing, it is
+     * reset after a timeout in case we don't hear from them again, e.g. if
+     * they leave.
+     *
+     * @param {Boolean} typing True if the peer is typing.
+     * @param {String}  name   Optional, the name of the peer.
+     */
+    _setPeerTyping: function(typing, name) {
+      clearTimeout(this._peerTypingTimer);
+      this._peerTypingTimer = null;
+
+      if (typing) {
+        this._peerTypingTimer = setTimeout(function() {
+          this._peerTypingTimer = null;
+          this.setStoreState({ peerTyping: false, peerTypingName: null });
+        }.bind(this), PEER_TYPING_TIMEOUT);
+      }
+
+      this.setStoreState({
+        peerTyping: typing,
+        peerTypingName: typing && name || null
+      });
+    },
+
+    /**
+     * Handles receiving information about the room - specifically the room name
+     * so it can be added to the list.
+     *
+     * @param  {sharedActions.UpdateRoomInfo} actionData
+     */
+    updateRoomInfo: function(actionData) {
+      // XXX When we add special messages to desktop, we'll need to not post
+      // multiple changes of room name, only the first. Bug 1171940 should fix this.
+      if (actionData.roomName) {
+        var roomName = actionData.roomName;
+        if (!roomName && actionData.roomContextUrls && actionData.roomContextUrls.length) {
+          roomName = actionData.roomContextUrls[0].description ||
+                     actionData.roomContextUrls[0].url;
+        }
+        this._appendTextChatMessage(CHAT_MESSAGE_TYPES.SPECIAL, {
+          contentType: CHAT_CONTENT_TYPES.ROOM_NAME,
+          message: roomName
+        });
+      }
+
+      // Show the context if we have any, with a tile for every link.
+      if (("roomContextUrls" in actionData) && actionData.roomContextUrls &&
+          actionData.roomContextUrls.length) {
+        this._setContextMessages(actionData.roomContextUrls);
+      }
+    },
+
+    /**
+     * Replaces the context messages in the list with one for each of the
+     * given links, keeping them where the previous context was shown.
+     *
+     * @param {Array} urls The context urls of the room, in order.
+     */
+    _setContextMessages: function(urls) {
+      var contextMessages = urls.map(function(urlData) {
+        return {
+          type: CHAT_MESSAGE_TYPES.SPECIAL,
+          contentType: CHAT_CONTENT_TYPES.CONTEXT,
+          message: urlData.description,
+          extraData: {
+            location: urlData.location,
+            thumbnail: urlData.thumbnail
+          },
+          sentTimestamp: undefined,
+          receivedTimestamp: undefined
+        };
+      });
+
+      var newList = [];
+      var contextAdded = false;
+      this._storeState.messageList.forEach(function(message) {
+        if (message.contentType !== CHAT_CONTENT_TYPES.CONTEXT) {
+          newList.push(message);
+        } else if (!contextAdded) {
+          newList = newList.concat(contextMessages);
+          contextAdded = true;
+        }
+      });
+      if (!contextAdded) {
+        newList = newList.concat(contextMessages);
+      }
+      this.setStoreState({ messageList: newList });
+    }
+  });
+
+  /**
+   * Registers how received messages of a content type are handled. Messages
+   * of types that aren't registered are only added to the message list if
+   * they have some text, so that the views can show they need a newer version.
+   *
+   * @param {String} contentType The content type.
+   * @param {Object} handler     An object containing:
+   * - {Function} received Optional. Called with the store as `this` and the
+   *                       received action data. Returns the data of the
+   *                       message to add to the list, or null to not add a
+   *                       message. If not specified, received messages are
+   *                       added unchanged.
+   */
+  TextChatStore.registerContentType = function(contentType, handler) {
+    contentTypeHandlers[contentType] = handler;
+  };
+
+  TextChatStore.registerContentType(CHAT_CONTENT_TYPES.TEXT, {
+    received: function(actionData) {
+      // The peer has finished typing this message.
+      this._setPeerTyping(false);
+      return actionData;
+    }
+  });
+
+  TextChatStore.registerContentType(CHAT_CONTENT_TYPES.EDIT, {
+    received: function(actionData) {
+      var messageId = actionData.extraData && actionData.extraData.messageId;
+      if (messageId && actionData.message) {
+        this._receivedTextMessageUpdate(messageId, {
+          message: actionData.message,
+          edited: true
+        });
+      }
+      return null;
+    }
+  });
+
+  TextChatStore.registerContentType(CHAT_CONTENT_TYPES.REACTION, {
+    received: function(actionData) {
+      var details = actionData.extraData || {};
+      var message = details.messageId &&
+        this._findTextMessage(details.messageId);
+
+      // Reactions are a single emoji, so anything long is ignored.
+      if (message && !message.deleted && actionData.message &&
+          actionData.message.length <= MAX_REACTION_LENGTH) {
+        this._updateReaction(message, actionData.message, !!details.added, false);
+      }
+      return null;
+    }
+  });
+
+  TextChatStore.registerContentType(CHAT_CONTENT_TYPES.DELETE, {
+    received: function(actionData) {
+      var messageId = actionData.extraData && actionData.extraData.messageId;
+      if (messageId) {
+        this._receivedTextMessageUpdate(messageId, {
+          message: "",
+          deleted: true
+        });
+      }
+      return null;
+    }
+  });
+
+  TextChatStore.registerContentType(CHAT_CONTENT_TYPES.TYPING, {
+    received: function(actionData) {
+      var extraData = actionData.extraData || {};
+      // Older peers don't send their name.
+      this._setPeerTyping(!!extraData.typing,
+        typeof extraData.displayName === "string" ? extraData.displayName : null);
+      return null;
+    }
+  });
+
+  TextChatStore.registerContentType(CHAT_CONTENT_TYPES.RECEIPT, {
+    received: function(actionData) {
+      this._receivedReceipt(actionData.extraData || {});
+      return null;
+    }
+  });
+
+  TextChatStore.registerContentType(CHAT_CONTENT_TYPES.FILE, {
+    received: function(actionData) {
+      this._receivedFileOffer(actionData);
+      return null;
+    }
+  });
+
+  TextChatStore.registerContentType(CHAT_CONTENT_TYPES.FILE_TRANSFER, {
+    received: function(actionData) {
+      this._receivedFileTransferMessage(actionData.extraData || {});
+      return null;
+    }
+  });
+
+  // Images are only displayed from data URLs, so that displaying them doesn't
+  // make requests to other sites.
+  TextChatStore.registerContentType(CHAT_CONTENT_TYPES.IMAGE, {
+    received: function(actionData) {
+      var src = actionData.extraData && actionData.extraData.src;
+      if (typeof src !== "string" || !/^data:image\//.test(src)) {
+        return null;
+      }
+
+      return actionData;
+    }
+  });
+
+  // The peer updated the context of the room, which replaces the first
+  // context tile, as older clients only send the primary link.
+  TextChatStore.registerContentType(CHAT_CONTENT_TYPES.CONTEXT, {
+    received: function(actionData) {
+      var extraData = actionData.extraData || {};
+      if (typeof extraData.location !== "string" ||
+          !/^https?:\/\//i.test(extraData.location)) {
+        return null;
+      }
+
+      var thumbnail = extraData.thumbnail;
+      this._appendTextChatMessage(CHAT_MESSAGE_TYPES.SPECIAL, {
+        contentType: CHAT_CONTENT_TYPES.CONTEXT,
+        message: actionData.message,
+        extraData: {
+          location: extraData.location,
+          thumbnail: typeof thumbnail === "string" &&
+                     /^data:image\//.test(thumbnail) ? thumbnail : undefined
+        }
+      });
+      return null;
+    }
+  });
+
+  // Notices are generated locally, so any sent by the peer are ignored.
+  TextChatStore.registerContentType(CHAT_CONTENT_TYPES.NOTICE, {
+    received: function() {
+      return null;
     }
   });
 
@@ -12,8 +12,248 @@ loop.shared.views.chat = (function(mozL10n) {
   var sharedMixins = loop.shared.mixins;
   var sharedViews = loop.shared.views;
   var CHAT_MESSAGE_TYPES = loop.store.CHAT_MESSAGE_TYPES;
+  var CHAT_MESSAGE_STATES = loop.store.CHAT_MESSAGE_STATES;
+  var FILE_TRANSFER_STATES = loop.store.FILE_TRANSFER_STATES;
   var CHAT_CONTENT_TYPES = loop.shared.utils.CHAT_CONTENT_TYPES;
 
+  /**
+   * The emoji that can be typed as shortcodes, e.g. ":thumbsup:".
+   *
+   * @type {Object}
+   */
+  var EMOJI_SHORTCODES = {
+    "+1": "\uD83D\uDC4D",
+    "-1": "\uD83D\uDC4E",
+    "clap": "\uD83D\uDC4F",
+    "cry": "\uD83D\uDE22",
+    "eyes": "\uD83D\uDC40",
+    "fire": "\uD83D\uDD25",
+    "heart": "\u2764\uFE0F",
+    "joy": "\uD83D\uDE02",
+    "laughing": "\uD83D\uDE06",
+    "ok_hand": "\uD83D\uDC4C",
+    "open_mouth": "\uD83D\uDE2E",
+    "pray": "\uD83D\uDE4F",
+    "smile": "\uD83D\uDE04",
+    "tada": "\uD83C\uDF89",
+    "thinking": "\uD83E\uDD14",
+    "thumbsdown": "\uD83D\uDC4E",
+    "thumbsup": "\uD83D\uDC4D",
+    "wink": "\uD83D\uDE09"
+  };
+
+  /**
+   * The shortcodes of the emoji offered when reacting to a message.
+   *
+   * @type {Array}
+   */
+  var REACTION_CHOICES = ["thumbsup", "heart", "joy", "open_mouth", "cry", "tada"];
+
+  /**
+   * Replaces the emoji shortcodes in some text with the emoji themselves.
+   * Unknown shortcodes are left as they are.
+   *
+   * @param  {String} text The text to expand.
+   * @return {String}
+   */
+  function expandEmojiShortcodes(text) {
+    return text.replace(/:([a-z0-9_+\-]+):/g, function(match, name) {
+      return EMOJI_SHORTCODES.hasOwnProperty(name) ? EMOJI_SHORTCODES[name] : match;
+    });
+  }
+
+  /**
+   * Formats the size of a file for display, in kilobytes or megabytes.
+   *
+   * @param  {Number} size The size in bytes.
+   * @return {String}
+   */
+  function formatFileSize(size) {
+    if (size < 1024 * 1024) {
+      return mozL10n.get("file_size_kilobytes", {
+        size: Math.max(Math.round(size / 1024), 1)
+      });
+    }
+
+    return mozL10n.get("file_size_megabytes", {
+      size: (size / (1024 * 1024)).toFixed(1)
+    });
+  }
+
+  /**
+   * Renders a file that is being sent or received, with the actions that are
+   * available for the current state of the transfer.
+   */
+  var TextChatFileCard = React.createClass({
+    mixins: [React.addons.PureRenderMixin],
+
+    propTypes: {
+      dispatcher: React.PropTypes.instanceOf(loop.Dispatcher).isRequired,
+      // The extraData of the file message.
+      file: React.PropTypes.shape({
+        transferId: React.PropTypes.string.isRequired,
+        name: React.PropTypes.string,
+        size: React.PropTypes.number.isRequired,
+        state: React.PropTypes.string.isRequired,
+        progress: React.PropTypes.number,
+        url: React.PropTypes.string
+      }).isRequired,
+      type: React.PropTypes.string.isRequired
+    },
+
+    handleAcceptClick: function() {
+      this.props.dispatcher.dispatch(new sharedActions.AcceptFileTransfer({
+        transferId: this.props.file.transferId
+      }));
+    },
+
+    handleDeclineClick: function() {
+      this.props.dispatcher.dispatch(new sharedActions.DeclineFileTransfer({
+        transferId: this.props.file.transferId
+      }));
+    },
+
+    handleCancelClick: function() {
+      this.props.dispatcher.dispatch(new sharedActions.CancelFileTransfer({
+        transferId: this.props.file.transferId
+      }));
+    },
+
+    _renderStatus: function() {
+      var sent = this.props.type === CHAT_MESSAGE_TYPES.SENT;
+      var statusId;
+
+      switch (this.props.file.state) {
+        case FILE_TRANSFER_STATES.OFFERED:
+          statusId = sent ? "file_transfer_waiting" : null;
+          break;
+        case FILE_TRANSFER_STATES.COMPLETE:
+          statusId = sent ? "file_transfer_complete" : null;
+          break;
+        case FILE_TRANSFER_STATES.DECLINED:
+          statusId = "file_transfer_declined";
+          break;
+        case FILE_TRANSFER_STATES.CANCELLED:
+          statusId = "file_transfer_cancelled";
+          break;
+        case FILE_TRANSFER_STATES.FAILED:
+          statusId = "file_transfer_failed";
+          break;
+        case FILE_TRANSFER_STATES.TOO_LARGE:
+          statusId = "file_transfer_too_large";
+          break;
+        case FILE_TRANSFER_STATES.GROUP_ROOM:
+          statusId = "file_transfer_group_room";
+          break;
+      }
+
+      if (!statusId) {
+        return null;
+      }
+
+      return (
+        <span className="text-chat-file-status">{mozL10n.get(statusId)}</span>
+      );
+    },
+
+    _renderActions: function() {
+      var file = this.props.file;
+      var received = this.props.type === CHAT_MESSAGE_TYPES.RECEIVED;
+
+      if (received && file.state === FILE_TRANSFER_STATES.OFFERED) {
+        return (
+          <div className="text-chat-file-actions">
+            <button className="btn btn-accept"
+                    onClick={this.handleAcceptClick}>
+              {mozL10n.get("file_transfer_accept_button")}
+            </button>
+            <button className="btn btn-cancel"
+                    onClick={this.handleDeclineClick}>
+              {mozL10n.get("file_transfer_decline_button")}
+            </button>
+          </div>
+        );
+      }
+
+      if (file.state === FILE_TRANSFER_STATES.OFFERED ||
+          file.state === FILE_TRANSFER_STATES.TRANSFERRING) {
+        return (
+          <div className="text-chat-file-actions">
+            <button className="btn btn-cancel"
+                    onClick={this.handleCancelClick}>
+              {mozL10n.get("file_transfer_cancel_button")}
+            </button>
+          </div>
+        );
+      }
+
+      if (received && file.state === FILE_TRANSFER_STATES.COMPLETE) {
+        return (
+          <div className="text-chat-file-actions">
+            <a className="btn btn-accept text-chat-file-download"
+               download={file.name}
+               href={file.url}>
+              {mozL10n.get("file_transfer_download_button")}
+            </a>
+          </div>
+        );
+      }
+
+      return null;
+    },
+
+    render: function() {
+      var file = this.props.file;
+
+      return (
+        <div className="text-chat-file">
+          <div className="text-chat-file-details">
+            <span className="text-chat-file-name">{file.name}</span>
+            <span className="text-chat-file-size">{formatFileSize(file.size)}</span>
+          </div>
+          {file.state === FILE_TRANSFER_STATES.TRANSFERRING ?
+            <progress className="text-chat-file-progress"
+                      max="1"
+                      value={file.progress} /> : null}
+          {this._renderStatus()}
+          {this._renderActions()}
+        </div>
+      );
+    }
+  });
+
+  /**
+   * The renderers for the content of the chat entries, by content type. See
+   * registerContentRenderer.
+   *
+   * @type {Object}
+   */
+  var contentRenderers = {};
+
+  /**
+   * Registers how the content of a type of message is rendered in the chat
+   * entries. Messages of types without a renderer are shown as needing a newer
+   * version.
+   *
+   * @param {String}   contentType The content type.
+   * @param {Function} renderer    Called with the props of the TextChatEntry,
+   *                               returns the React element for the content.
+   */
+  function registerContentRenderer(contentType, renderer) {
+    contentRenderers[contentType] = renderer;
+  }
+
+  /**
+   * Renders the placeholder for messages that this version doesn't support.
+   */
+  function renderUnsupportedContent() {
+    return (
+      <p className="text-chat-unsupported">
+        {mozL10n.get("chat_unsupported_message")}
+      </p>
+    );
+  }
+
   /**
    * Renders an individual entry for the text chat entries view.
    */
@@ -22,12 +262,240 @@ loop.shared.views.chat = (function(mozL10n) {
 
     propTypes: {
       contentType: React.PropTypes.string.isRequired,
+      deleted: React.PropTypes.bool,
+      dispatcher: React.PropTypes.instanceOf(loop.Dispatcher),
+      edited: React.PropTypes.bool,
+      extraData: React.PropTypes.object,
       message: React.PropTypes.string.isRequired,
+      messageId: React.PropTypes.string,
+      // The reactions to the message, keyed by emoji, see
+      // TextChatStore#_updateReaction.
+      reactions: React.PropTypes.object,
+      // Set to true if the message is the search result being shown.
+      searchCurrent: React.PropTypes.bool,
+      // Set to true if the message matches the current search.
+      searchMatch: React.PropTypes.bool,
       showTimestamp: React.PropTypes.bool.isRequired,
+      // The delivery state of a sent message, one of CHAT_MESSAGE_STATES.
+      state: React.PropTypes.string,
       timestamp: React.PropTypes.string.isRequired,
       type: React.PropTypes.string.isRequired
     },
 
+    getDefaultProps: function() {
+      return {
+        deleted: false,
+        edited: false,
+        searchCurrent: false,
+        searchMatch: false
+      };
+    },
+
+    getInitialState: function() {
+      return {
+        editing: false,
+        editedMessage: "",
+        showReactionPicker: false
+      };
+    },
+
+    handleResendClick: function() {
+      this.props.dispatcher.dispatch(new sharedActions.ResendTextChatMessage({
+        messageId: this.props.messageId
+      }));
+    },
+
+    handleEditClick: function() {
+      this.setState({
+        editing: true,
+        editedMessage: this.props.message
+      });
+    },
+
+    handleDeleteClick: function() {
+      this.props.dispatcher.dispatch(new sharedActions.DeleteTextChatMessage({
+        messageId: this.props.messageId
+      }));
+    },
+
+    handleEditChange: function(event) {
+      this.setState({ editedMessage: event.target.value });
+    },
+
+    /**
+     * Handles a key being pressed whilst editing - the escape key stops
+     * editing without changing the message.
+     *
+     * @param {Object} event The DOM event.
+     */
+    handleEditKeyDown: function(event) {
+      if (event.which === 27) {
+        this.setState({ editing: false });
+      }
+    },
+
+    handleEditSubmit: function(event) {
+      event.preventDefault();
+
+      if (this.state.editedMessage) {
+        this.props.dispatcher.dispatch(new sharedActions.EditTextChatMessage({
+          messageId: this.props.messageId,
+          message: expandEmojiShortcodes(this.state.editedMessage)
+        }));
+      }
+
+      this.setState({ editing: false });
+    },
+
+    handleReactClick: function() {
+      this.setState({ showReactionPicker: !this.state.showReactionPicker });
+    },
+
+    /**
+     * Adds or removes the user's reaction to the message.
+     *
+     * @param {String} reaction The emoji.
+     */
+    handleReactionClick: function(reaction) {
+      this.props.dispatcher.dispatch(new sharedActions.ToggleChatReaction({
+        messageId: this.props.messageId,
+        reaction: reaction
+      }));
+      this.setState({ showReactionPicker: false });
+    },
+
+    /**
+     * Both peers can react to any text message, until it is deleted.
+     */
+    _canReact: function() {
+      return this.props.type !== CHAT_MESSAGE_TYPES.SPECIAL &&
+        this.props.contentType === CHAT_CONTENT_TYPES.TEXT &&
+        !!this.props.messageId && !!this.props.dispatcher &&
+        !this.props.deleted;
+    },
+
+    /**
+     * Only the text messages that the user sent can be changed, and only until
+     * they are deleted.
+     */
+    _canEdit: function() {
+      return this.props.type === CHAT_MESSAGE_TYPES.SENT &&
+        this.props.contentType === CHAT_CONTENT_TYPES.TEXT &&
+        !!this.props.messageId && !!this.props.dispatcher &&
+        !this.props.deleted;
+    },
+
+    _renderContent: function() {
+      if (this.props.deleted) {
+        return (
+          <p className="text-chat-deleted">
+            {mozL10n.get("chat_message_deleted")}
+          </p>
+        );
+      }
+
+      if (this.state.editing) {
+        return (
+          <form className="text-chat-entry-edit-form"
+                onSubmit={this.handleEditSubmit}>
+            <input autoFocus={true}
+                   onChange={this.handleEditChange}
+                   onKeyDown={this.handleEditKeyDown}
+                   type="text"
+                   value={this.state.editedMessage} />
+          </form>
+        );
+      }
+
+      var renderer = contentRenderers[this.props.contentType] ||
+                     renderUnsupportedContent;
+
+      return renderer(this.props);
+    },
+
+    _renderEditControls: function() {
+      if (!this._canEdit() || this.state.editing) {
+        return null;
+      }
+
+      return (
+        <span className="text-chat-entry-controls">
+          <button className="text-chat-entry-edit"
+                  onClick={this.handleEditClick}
+                  title={mozL10n.get("chat_message_edit_button_title")} />
+          <button className="text-chat-entry-delete"
+                  onClick={this.handleDeleteClick}
+                  title={mozL10n.get("chat_message_delete_button_title")} />
+        </span>
+      );
+    },
+
+    _renderReactButton: function() {
+      if (!this._canReact()) {
+        return null;
+      }
+
+      return (
+        <button className="text-chat-entry-react"
+                onClick={this.handleReactClick}
+                title={mozL10n.get("chat_message_react_button_title")} />
+      );
+    },
+
+    /**
+     * Renders the emoji the user can pick from to react to the message.
+     */
+    _renderReactionPicker: function() {
+      if (!this.state.showReactionPicker || !this._canReact()) {
+        return null;
+      }
+
+      return (
+        <div className="text-chat-reaction-picker">
+          {REACTION_CHOICES.map(function(name) {
+            var reaction = EMOJI_SHORTCODES[name];
+            return (
+              <button key={name}
+                      onClick={this.handleReactionClick.bind(this, reaction)}
+                      title={":" + name + ":"}>
+                {reaction}
+              </button>
+            );
+          }, this)}
+        </div>
+      );
+    },
+
+    /**
+     * Renders a chip for each reaction to the message, which the user can
+     * click to add or remove their own reaction.
+     */
+    _renderReactions: function() {
+      var reactions = this.props.reactions;
+      if (!reactions || !Object.keys(reactions).length || this.props.deleted) {
+        return null;
+      }
+
+      var canReact = this._canReact();
+
+      return (
+        <div className="text-chat-reactions">
+          {Object.keys(reactions).map(function(reaction) {
+            var details = reactions[reaction];
+            return (
+              <button className={"text-chat-reaction" +
+                                 (details.reacted ? " reacted" : "")}
+                      disabled={!canReact}
+                      key={reaction}
+                      onClick={this.handleReactionClick.bind(this, reaction)}>
+                {reaction + " " + details.count}
+              </button>
+            );
+          }, this)}
+        </div>
+      );
+    },
+
     /**
      * Pretty print timestamp. From time in milliseconds to HH:MM
      * (or L10N equivalent).
@@ -47,31 +515,115 @@ loop.shared.views.chat = (function(mozL10n) {
       );
     },
 
+    /**
+     * Renders the delivery state of a sent message, with a button to send it
+     * again if it failed.
+     */
+    _renderState: function() {
+      var state = this.props.state;
+      if (this.props.type !== CHAT_MESSAGE_TYPES.SENT || !state) {
+        return null;
+      }
+
+      var stateClasses = "text-chat-entry-state " + state;
+
+      if (state !== CHAT_MESSAGE_STATES.FAILED) {
+        return (
+          <span className={stateClasses}
+                title={mozL10n.get("chat_message_" + state)} />
+        );
+      }
+
+      return (
+        <span className={stateClasses}>
+          {mozL10n.get("chat_message_failed")}
+          <button className="text-chat-entry-resend"
+                  onClick={this.handleResendClick}>
+            {mozL10n.get("chat_message_resend_button")}
+          </button>
+        </span>
+      );
+    },
+
     render: function() {
+      var reactions = this._renderReactions();
+      var reactionPicker = this._renderReactionPicker();
       var classes = classNames({
         "text-chat-entry": true,
         "received": this.props.type === CHAT_MESSAGE_TYPES.RECEIVED,
         "sent": this.props.type === CHAT_MESSAGE_TYPES.SENT,
         "special": this.props.type === CHAT_MESSAGE_TYPES.SPECIAL,
-        "room-name": this.props.contentType === CHAT_CONTENT_TYPES.ROOM_NAME
+        "room-name": this.props.contentType === CHAT_CONTENT_TYPES.ROOM_NAME,
+        "file": this.props.contentType === CHAT_CONTENT_TYPES.FILE,
+        "notice": this.props.contentType === CHAT_CONTENT_TYPES.NOTICE,
+        "deleted": this.props.deleted,
+        "has-reactions": !!(reactions || reactionPicker),
+        "search-match": this.props.searchMatch,
+        "search-current": this.props.searchCurrent
       });
 
-      var optionalProps = {};
-      if (navigator.mozLoop) {
-        optionalProps.linkClickHandler = navigator.mozLoop.openURL;
-      }
-
       return (
         <div className={classes}>
-          <sharedViews.LinkifiedTextView {...optionalProps}
-            rawText={this.props.message} />
+          {this._renderContent()}
           <span className="text-chat-arrow" />
+          {this.props.edited && !this.props.deleted ?
+            <span className="text-chat-entry-edited">
+              {mozL10n.get("chat_message_edited")}
+            </span> : null}
           {this.props.showTimestamp ? this._renderTimestamp() : null}
+          {this._renderState()}
+          {this._renderReactButton()}
+          {this._renderEditControls()}
+          {reactionPicker}
+          {reactions}
         </div>
       );
     }
   });
 
+  registerContentRenderer(CHAT_CONTENT_TYPES.TEXT, function(props) {
+    var optionalProps = {};
+    if (navigator.mozLoop) {
+      optionalProps.linkClickHandler = navigator.mozLoop.openURL;
+    }
+
+    // Messages sent with formatting turned off are shown as they were typed.
+    var raw = !!(props.extraData && props.extraData.raw);
+
+    return (
+      <sharedViews.LinkifiedTextView {...optionalProps}
+        formatted={!raw}
+        rawText={props.message} />
+    );
+  });
+
+  registerContentRenderer(CHAT_CONTENT_TYPES.FILE, function(props) {
+    return (
+      <TextChatFileCard dispatcher={props.dispatcher}
+                        file={props.extraData}
+                        type={props.type} />
+    );
+  });
+
+  registerContentRenderer(CHAT_CONTENT_TYPES.IMAGE, function(props) {
+    return (
+      <img alt={props.message}
+           className="text-chat-image"
+           src={props.extraData.src} />
+    );
+  });
+
+  registerContentRenderer(CHAT_CONTENT_TYPES.NOTICE, function(props) {
+    // e.g. "peer-left" is displayed with the string "chat_notice_peer_left".
+    var notice = props.extraData.notice.replace(/-/g, "_");
+
+    return (
+      <div className="text-chat-notice">
+        {mozL10n.get("chat_notice_" + notice)}
+      </div>
+    );
+  });
+
   var TextChatRoomName = React.createClass({
     mixins: [React.addons.PureRenderMixin],
 
@@ -106,10 +658,31 @@ loop.shared.views.chat = (function(mozL10n) {
     propTypes: {
       dispatcher: React.PropTypes.instanceOf(loop.Dispatcher).isRequired,
       messageList: React.PropTypes.arrayOf(React.PropTypes.object).isRequired,
+      // Set to true to not play a sound when messages are received.
+      muted: React.PropTypes.bool,
+      peerTyping: React.PropTypes.bool,
+      // The name of the peer that is typing, if known.
+      peerTypingName: React.PropTypes.string,
+      // The index in the messageList of the search result being shown, or -1.
+      searchCurrent: React.PropTypes.number,
+      // The indexes in the messageList of the messages that match the search.
+      searchHits: React.PropTypes.arrayOf(React.PropTypes.number),
+      // Set to true whilst the user is searching the messages.
+      searching: React.PropTypes.bool,
       showInitialContext: React.PropTypes.bool.isRequired,
       useDesktopPaths: React.PropTypes.bool.isRequired
     },
 
+    getDefaultProps: function() {
+      return {
+        muted: false,
+        peerTyping: false,
+        searchCurrent: -1,
+        searchHits: [],
+        searching: false
+      };
+    },
+
     getInitialState: function() {
       return {
         receivedMessageCount: 0
@@ -118,34 +691,64 @@ loop.shared.views.chat = (function(mozL10n) {
 
     _hasChatMessages: function() {
       return this.props.messageList.some(function(message) {
-        return message.contentType === CHAT_CONTENT_TYPES.TEXT;
+        return message.type !== CHAT_MESSAGE_TYPES.SPECIAL;
       });
     },
 
-    componentWillUpdate: function() {
+    _isScrolledToBottom: function() {
+      var node = this.getDOMNode();
+      return node.scrollHeight === node.scrollTop + node.clientHeight;
+    },
+
+    componentWillUpdate: function(nextProps) {
       var node = this.getDOMNode();
       if (!node) {
         return;
       }
+
+      // Whilst searching, the search results are scrolled to instead. Once the
+      // search is closed, go back to the bottom if that's where we were.
+      if (nextProps.searching) {
+        this.shouldScroll = false;
+        return;
+      }
+      if (this.props.searching) {
+        this.shouldScroll = this._wasScrolledToBottom;
+        return;
+      }
+
       // Scroll only if we're right at the bottom of the display, or if we've
       // not had any chat messages so far.
-      this.shouldScroll = !this._hasChatMessages() ||
-        node.scrollHeight === node.scrollTop + node.clientHeight;
+      this.shouldScroll = !this._hasChatMessages() || this._isScrolledToBottom();
     },
 
     componentWillReceiveProps: function(nextProps) {
+      if (nextProps.searching && !this.props.searching) {
+        this._wasScrolledToBottom = !this._hasChatMessages() ||
+          this._isScrolledToBottom();
+      }
+
       var receivedMessageCount = nextProps.messageList.filter(function(message) {
         return message.type === CHAT_MESSAGE_TYPES.RECEIVED;
       }).length;
 
       // If the number of received messages has increased, we play a sound.
       if (receivedMessageCount > this.state.receivedMessageCount) {
-        this.play("message");
+        if (!nextProps.muted) {
+          this.play("message");
+        }
         this.setState({ receivedMessageCount: receivedMessageCount });
       }
     },
 
-    componentDidUpdate: function() {
+    componentDidUpdate: function(prevProps) {
+      if (this.props.searching &&
+          (this.props.searchCurrent !== prevProps.searchCurrent ||
+           !prevProps.searching)) {
+        this._scrollToSearchResult();
+        return;
+      }
+
       // Don't scroll if we haven't got any chat messages yet - e.g. for context
       // display, we want to display starting at the top.
       if (this.shouldScroll && this._hasChatMessages()) {
@@ -161,6 +764,25 @@ loop.shared.views.chat = (function(mozL10n) {
       }
     },
 
+    /**
+     * Scrolls the search result being shown to the middle of the display.
+     */
+    _scrollToSearchResult: function() {
+      // This ensures the paint is complete.
+      window.requestAnimationFrame(function() {
+        var node = this.getDOMNode();
+        var resultNode = node && node.querySelector(".search-current");
+        if (!resultNode) {
+          return;
+        }
+
+        var nodeRect = node.getBoundingClientRect();
+        var resultRect = resultNode.getBoundingClientRect();
+        node.scrollTop += resultRect.top - nodeRect.top -
+          (node.clientHeight - resultRect.height) / 2;
+      }.bind(this));
+    },
+
     render: function() {
       /* Keep track of the last printed timestamp. */
       var lastTimestamp = 0;
@@ -174,7 +796,8 @@ loop.shared.views.chat = (function(mozL10n) {
           <div className="text-chat-scroller">
             {
               this.props.messageList.map(function(entry, i) {
-                if (entry.type === CHAT_MESSAGE_TYPES.SPECIAL) {
+                if (entry.contentType === CHAT_CONTENT_TYPES.ROOM_NAME ||
+                    entry.contentType === CHAT_CONTENT_TYPES.CONTEXT) {
                   if (!this.props.showInitialContext) { return null; }
                   switch (entry.contentType) {
                     case CHAT_CONTENT_TYPES.ROOM_NAME:
@@ -195,10 +818,6 @@ loop.shared.views.chat = (function(mozL10n) {
                             useDesktopPaths={this.props.useDesktopPaths} />
                         </div>
                       );
-                    default:
-                      console.error("Unsupported contentType",
-                                    entry.contentType);
-                      return null;
                   }
                 }
 
@@ -215,14 +834,31 @@ loop.shared.views.chat = (function(mozL10n) {
 
                 return (
                   <TextChatEntry contentType={entry.contentType}
-                                 key={i}
+                                 deleted={!!entry.deleted}
+                                 dispatcher={this.props.dispatcher}
+                                 edited={!!entry.edited}
+                                 extraData={entry.extraData}
+                                 key={entry.messageId || i}
                                  message={entry.message}
+                                 messageId={entry.messageId}
+                                 reactions={entry.reactions}
+                                 searchCurrent={i === this.props.searchCurrent}
+                                 searchMatch={this.props.searchHits.indexOf(i) !== -1}
                                  showTimestamp={shouldShowTimestamp}
+                                 state={entry.state}
                                  timestamp={timestamp}
                                  type={entry.type} />
                   );
               }, this)
             }
+            {this.props.peerTyping ?
+              <div className="text-chat-typing">
+                {this.props.peerTypingName ?
+                  mozL10n.get("peer_typing_indicator_name", {
+                    name: this.props.peerTypingName
+                  }) :
+                  mozL10n.get("peer_typing_indicator")}
+              </div> : null}
           </div>
         </div>
       );
@@ -278,15 +914,21 @@ loop.shared.views.chat = (function(mozL10n) {
    *
    * @property {loop.Dispatcher} dispatcher
    * @property {Boolean} showPlaceholder    Set to true to show the placeholder message.
-   * @property {Boolean} textChatEnabled    Set to true to enable the box. If false, the
-   *                                        text chat box won't be displayed.
+   * @property {Boolean} textChatEnabled    Set to true when the data channels are
+   *                                        available. If false, messages wait in
+   *                                        the outbox and files can't be sent.
    */
   var TextChatInputView = React.createClass({
     mixins: [
-      React.addons.LinkedStateMixin,
       React.addons.PureRenderMixin
     ],
 
+    statics: {
+      // How often, in milliseconds, to remind the other peer that the user is
+      // still typing. Must be less than the peer's typing timeout.
+      TYPING_REFRESH_INTERVAL: 3000
+    },
+
     propTypes: {
       dispatcher: React.PropTypes.instanceOf(loop.Dispatcher).isRequired,
       showPlaceholder: React.PropTypes.bool.isRequired,
@@ -295,10 +937,77 @@ loop.shared.views.chat = (function(mozL10n) {
 
     getInitialState: function() {
       return {
-        messageDetail: ""
+        messageDetail: "",
+        sendRaw: false
       };
     },
 
+    componentWillMount: function() {
+      this._typing = false;
+      this._lastTypingSent = 0;
+    },
+
+    /**
+     * Handles the message being edited, letting the other peer know if the
+     * user has started or stopped typing. Whilst typing, the state is only
+     * re-sent every TYPING_REFRESH_INTERVAL so as not to flood the channel.
+     *
+     * @param {Object} event The DOM event.
+     */
+    handleChange: function(event) {
+      var messageDetail = event.target.value;
+      this.setState({ messageDetail: messageDetail });
+
+      var now = Date.now();
+      if (messageDetail) {
+        if (!this._typing ||
+            now - this._lastTypingSent >= this.constructor.TYPING_REFRESH_INTERVAL) {
+          this._typing = true;
+          this._lastTypingSent = now;
+          this.props.dispatcher.dispatch(new sharedActions.SendTypingState({
+            typing: true
+          }));
+        }
+      } else if (this._typing) {
+        this._typing = false;
+        this.props.dispatcher.dispatch(new sharedActions.SendTypingState({
+          typing: false
+        }));
+      }
+    },
+
+    /**
+     * Opens the file picker, so that the user can choose files to send.
+     */
+    handleAttachClick: function() {
+      this.refs.fileInput.getDOMNode().click();
+    },
+
+    /**
+     * Offers the files chosen by the user to the other peer.
+     *
+     * @param {Object} event The DOM event.
+     */
+    handleFileChange: function(event) {
+      var files = event.target.files;
+      for (var i = 0; i < files.length; i++) {
+        this.props.dispatcher.dispatch(new sharedActions.SendFile({
+          file: files[i]
+        }));
+      }
+
+      // Allow the same file to be chosen again.
+      event.target.value = "";
+    },
+
+    /**
+     * Toggles whether the messages the user sends have their formatting
+     * rendered, or are shown as they were typed.
+     */
+    handleFormatClick: function() {
+      this.setState({ sendRaw: !this.state.sendRaw });
+    },
+
     /**
      * Handles a key being pressed - looking for the return key for submitting
      * the form.
@@ -324,30 +1033,150 @@ loop.shared.views.chat = (function(mozL10n) {
         return;
       }
 
-      this.props.dispatcher.dispatch(new sharedActions.SendTextChatMessage({
+      var messageData = {
         contentType: CHAT_CONTENT_TYPES.TEXT,
-        message: this.state.messageDetail,
+        message: expandEmojiShortcodes(this.state.messageDetail),
         sentTimestamp: (new Date()).toISOString()
-      }));
+      };
+      if (this.state.sendRaw) {
+        messageData.extraData = { raw: true };
+      }
 
-      // Reset the form to empty, ready for the next message.
+      this.props.dispatcher.dispatch(
+        new sharedActions.SendTextChatMessage(messageData));
+
+      // Reset the form to empty, ready for the next message. The other peer
+      // stops showing us as typing when it receives the message.
       this.setState({ messageDetail: "" });
+      this._typing = false;
     },
 
     render: function() {
-      if (!this.props.textChatEnabled) {
-        return null;
-      }
-
       return (
         <div className="text-chat-box">
           <form onSubmit={this.handleFormSubmit}>
             <input
+              onChange={this.handleChange}
               onKeyDown={this.handleKeyDown}
               placeholder={this.props.showPlaceholder ? mozL10n.get("chat_textbox_placeholder") : ""}
               type="text"
-              valueLink={this.linkState("messageDetail")} />
+              value={this.state.messageDetail} />
           </form>
+          <button className={"text-chat-format-button" +
+                             (this.state.sendRaw ? " raw" : "")}
+                  onClick={this.handleFormatClick}
+                  title={mozL10n.get(this.state.sendRaw ?
+                    "chat_formatting_off_button_title" :
+                    "chat_formatting_on_button_title")} />
+          <button className="text-chat-attach-button"
+                  disabled={!this.props.textChatEnabled}
+                  onClick={this.handleAttachClick}
+                  title={mozL10n.get("file_transfer_send_button_title")} />
+          <input className="text-chat-file-input"
+                 multiple={true}
+                 onChange={this.handleFileChange}
+                 ref="fileInput"
+                 type="file" />
+        </div>
+      );
+    }
+  });
+
+  /**
+   * Displays the field for searching the text chat messages, with the number
+   * of results and buttons for moving between them.
+   */
+  var TextChatSearchView = React.createClass({
+    mixins: [React.addons.PureRenderMixin],
+
+    propTypes: {
+      // The position of the result being shown, starting from 1, or 0 if
+      // there are no results.
+      current: React.PropTypes.number.isRequired,
+      onChange: React.PropTypes.func.isRequired,
+      onClose: React.PropTypes.func.isRequired,
+      onNext: React.PropTypes.func.isRequired,
+      onPrevious: React.PropTypes.func.isRequired,
+      query: React.PropTypes.string.isRequired,
+      total: React.PropTypes.number.isRequired
+    },
+
+    handleChange: function(event) {
+      this.props.onChange(event.target.value);
+    },
+
+    /**
+     * Handles the keyboard shortcuts for the search: return and the up arrow
+     * go to the previous (older) result, shift+return and the down arrow go to
+     * the next one, and escape closes the search.
+     *
+     * @param {Object} event The DOM event.
+     */
+    handleKeyDown: function(event) {
+      switch (event.which) {
+        case 13:
+          event.preventDefault();
+          if (event.shiftKey) {
+            this.props.onNext();
+          } else {
+            this.props.onPrevious();
+          }
+          break;
+        case 27:
+          event.preventDefault();
+          this.props.onClose();
+          break;
+        case 38:
+          event.preventDefault();
+          this.props.onPrevious();
+          break;
+        case 40:
+          event.preventDefault();
+          this.props.onNext();
+          break;
+      }
+    },
+
+    _renderCount: function() {
+      if (!this.props.query) {
+        return null;
+      }
+
+      return (
+        <span className="text-chat-search-count">
+          {this.props.total ?
+            mozL10n.get("chat_search_result_count", {
+              current: this.props.current,
+              total: this.props.total
+            }) :
+            mozL10n.get("chat_search_no_results")}
+        </span>
+      );
+    },
+
+    render: function() {
+      var noResults = !this.props.total;
+
+      return (
+        <div className="text-chat-search">
+          <input autoFocus={true}
+                 onChange={this.handleChange}
+                 onKeyDown={this.handleKeyDown}
+                 placeholder={mozL10n.get("chat_search_placeholder")}
+                 type="text"
+                 value={this.props.query} />
+          {this._renderCount()}
+          <button className="text-chat-search-previous"
+                  disabled={noResults}
+                  onClick={this.props.onPrevious}
+                  title={mozL10n.get("chat_search_previous_button_title")} />
+          <button className="text-chat-search-next"
+                  disabled={noResults}
+                  onClick={this.props.onNext}
+                  title={mozL10n.get("chat_search_next_button_title")} />
+          <button className="text-chat-search-close"
+                  onClick={this.props.onClose}
+                  title={mozL10n.get("chat_search_close_button_title")} />
         </div>
       );
     }
@@ -364,6 +1193,8 @@ loop.shared.views.chat = (function(mozL10n) {
   var TextChatView = React.createClass({
     mixins: [
       React.addons.LinkedStateMixin,
+      sharedMixins.DocumentTitleMixin,
+      sharedMixins.DocumentVisibilityMixin,
       loop.store.StoreMixin("textChatStore")
     ],
 
@@ -374,10 +1205,70 @@ loop.shared.views.chat = (function(mozL10n) {
     },
 
     getInitialState: function() {
-      return this.getStoreState();
+      return _.extend({
+        searching: false,
+        searchQuery: "",
+        // The position in the search results of the one being shown.
+        searchResult: -1
+      }, this.getStoreState());
     },
 
-    render: function() {
+    componentWillMount: function() {
+      this._documentVisible = false;
+      this._readMessageCount = 0;
+    },
+
+    /**
+     * Provided by DocumentVisibilityMixin. The received messages are only
+     * considered read once they have been displayed in a visible window.
+     */
+    onDocumentVisible: function() {
+      this._documentVisible = true;
+      this._markMessagesRead();
+    },
+
+    /**
+     * Provided by DocumentVisibilityMixin.
+     */
+    onDocumentHidden: function() {
+      this._documentVisible = false;
+    },
+
+    componentDidUpdate: function(prevProps, prevState) {
+      if (this._documentVisible) {
+        this._markMessagesRead();
+      }
+
+      if (this.state.unreadCount !== prevState.unreadCount) {
+        this.setTitleUnreadCount(this.state.unreadCount);
+      }
+    },
+
+    componentWillUnmount: function() {
+      if (this.state.unreadCount) {
+        this.setTitleUnreadCount(0);
+      }
+    },
+
+    /**
+     * Lets the store know that the received messages have been read, if any
+     * have been received since the last time.
+     */
+    _markMessagesRead: function() {
+      var receivedCount = this.state.messageList.filter(function(message) {
+        return message.type === CHAT_MESSAGE_TYPES.RECEIVED;
+      }).length;
+
+      if (receivedCount > this._readMessageCount) {
+        this.props.dispatcher.dispatch(new sharedActions.MarkChatMessagesRead());
+      }
+      this._readMessageCount = receivedCount;
+    },
+
+    /**
+     * Returns the messages to display.
+     */
+    _getMessageList: function() {
       var messageList = this.state.messageList;
 
       // Filter out items not displayed when showing initial context.
@@ -390,6 +1281,112 @@ loop.shared.views.chat = (function(mozL10n) {
         });
       }
 
+      return messageList;
+    },
+
+    /**
+     * Finds the text messages that contain the search query, ignoring case.
+     *
+     * @param  {Array}  messageList The messages to search.
+     * @param  {String} query       The text to search for.
+     * @return {Array} The indexes of the matching messages, oldest first.
+     */
+    _getSearchHits: function(messageList, query) {
+      var hits = [];
+      query = query.toLocaleLowerCase();
+      if (!query) {
+        return hits;
+      }
+
+      messageList.forEach(function(message, i) {
+        if (message.contentType === CHAT_CONTENT_TYPES.TEXT && !message.deleted &&
+            message.message.toLocaleLowerCase().indexOf(query) !== -1) {
+          hits.push(i);
+        }
+      });
+      return hits;
+    },
+
+    /**
+     * Opens the search with ctrl+F, or cmd+F on Mac.
+     *
+     * @param {Object} event The DOM event.
+     */
+    handleKeyDown: function(event) {
+      if ((event.ctrlKey || event.metaKey) && event.key === "f") {
+        event.preventDefault();
+        this.setState({ searching: true });
+      }
+    },
+
+    handleMuteClick: function() {
+      this.props.dispatcher.dispatch(new sharedActions.SetChatNotificationsMuted({
+        muted: !this.state.notificationsMuted
+      }));
+    },
+
+    handleSearchClick: function() {
+      if (this.state.searching) {
+        this.handleSearchClose();
+      } else {
+        this.setState({ searching: true });
+      }
+    },
+
+    /**
+     * Shows the most recent message that matches the new search.
+     *
+     * @param {String} query The text to search for.
+     */
+    handleSearchChange: function(query) {
+      var hits = this._getSearchHits(this._getMessageList(), query);
+      this.setState({
+        searchQuery: query,
+        searchResult: hits.length - 1
+      });
+    },
+
+    handleSearchClose: function() {
+      this.setState({
+        searching: false,
+        searchQuery: "",
+        searchResult: -1
+      });
+    },
+
+    /**
+     * Moves between the search results, wrapping around at either end.
+     *
+     * @param {Number} step -1 to move to the previous (older) result, 1 to
+     *                      move to the next one.
+     */
+    _moveSearchResult: function(step) {
+      var total = this._getSearchHits(this._getMessageList(),
+                                      this.state.searchQuery).length;
+      if (!total) {
+        return;
+      }
+
+      this.setState({
+        searchResult: (this.state.searchResult + step + total) % total
+      });
+    },
+
+    handleSearchPrevious: function() {
+      this._moveSearchResult(-1);
+    },
+
+    handleSearchNext: function() {
+      this._moveSearchResult(1);
+    },
+
+    render: function() {
+      var messageList = this._getMessageList();
+      var searchHits = this.state.searching ?
+        this._getSearchHits(messageList, this.state.searchQuery) : [];
+      // Keep showing a valid result if the messages have changed.
+      var searchResult = Math.min(this.state.searchResult, searchHits.length - 1);
+
       // Only show the placeholder if we've sent messages.
       var hasSentMessages = messageList.some(function(item) {
         return item.type === CHAT_MESSAGE_TYPES.SENT;
@@ -402,10 +1399,36 @@ loop.shared.views.chat = (function(mozL10n) {
       });
 
       return (
-        <div className={textChatViewClasses}>
+        <div className={textChatViewClasses}
+             onKeyDown={this.handleKeyDown}>
+          <button className={"text-chat-search-button" +
+                             (this.state.searching ? " active" : "")}
+                  onClick={this.handleSearchClick}
+                  title={mozL10n.get("chat_search_button_title")} />
+          <button className={"text-chat-mute-button" +
+                             (this.state.notificationsMuted ? " muted" : "")}
+                  onClick={this.handleMuteClick}
+                  title={mozL10n.get(this.state.notificationsMuted ?
+                    "chat_notifications_unmute_button_title" :
+                    "chat_notifications_mute_button_title")} />
+          {this.state.searching ?
+            <TextChatSearchView
+              current={searchResult + 1}
+              onChange={this.handleSearchChange}
+              onClose={this.handleSearchClose}
+              onNext={this.handleSearchNext}
+              onPrevious={this.handleSearchPrevious}
+              query={this.state.searchQuery}
+              total={searchHits.length} /> : null}
           <TextChatEntriesView
             dispatcher={this.props.dispatcher}
             messageList={messageList}
+            muted={this.state.notificationsMuted}
+            peerTyping={this.state.peerTyping}
+            peerTypingName={this.state.peerTypingName}
+            searchCurrent={searchResult === -1 ? -1 : searchHits[searchResult]}
+            searchHits={searchHits}
+            searching={this.state.searching}
             showInitialContext={this.props.showInitialContext}
             useDesktopPaths={this.props.useDesktopPaths} />
           <TextChatInputView
@@ -418,8 +1441,13 @@ loop.shared.views.chat = (function(mozL10n) {
   });
 
   return {
+    expandEmojiShortcodes: expandEmojiShortcodes,
+    registerContentRenderer: registerContentRenderer,
+    TextChatFileCard: TextChatFileCard,
     TextChatEntriesView: TextChatEntriesView,
     TextChatEntry: TextChatEntry,
+    TextChatInputView: TextChatInputView,
+    TextChatSearchView: TextChatSearchView,
     TextChatView: TextChatView
   };
 })(navigator.mozL10n || document.mozL10n);
@@ -105,7 +105,78 @@ var inChrome = typeof Components != "undefined" && "utils" in Components;
   var CHAT_CONTENT_TYPES = {
     CONTEXT: "chat-context",
     TEXT: "chat-text",
-    ROOM_NAME: "room-name"
+    ROOM_NAME: "room-name",
+    // Sent whilst the user is composing a message, with extraData.typing set
+    // to true, and with it set to false once they stop. Not displayed as a
+    // message, so older peers ignore it.
+    TYPING: "chat-typing",
+    // Acknowledges a text message, with extraData.messageId set to the id of
+    // the message, and extraData.state set to "delivered" or "read".
+    RECEIPT: "chat-receipt",
+    // Offers a file to the other peer, with extraData containing the details
+    // of the file. Displayed as a file card.
+    FILE: "chat-file",
+    // Controls a file transfer and carries its data, with extraData.action
+    // set to "accept", "decline", "cancel", "chunk" or "ack".
+    FILE_TRANSFER: "chat-file-transfer",
+    // An image, with extraData.src set to a data URL of the image and the
+    // message set to a description of it.
+    IMAGE: "chat-image",
+    // A notice about the conversation, e.g. the peer leaving, with
+    // extraData.notice set to the type of notice. Generated locally.
+    NOTICE: "chat-notice",
+    // Replaces the text of a message the sender sent earlier, with
+    // extraData.messageId set to the id of the message, and the message set
+    // to the new text.
+    EDIT: "chat-edit",
+    // Retracts a message the sender sent earlier, with extraData.messageId set
+    // to the id of the message.
+    DELETE: "chat-delete",
+    // Adds or removes a reaction to a message, with the message set to the
+    // emoji, and extraData.messageId and extraData.added set to the id of the
+    // message and whether the reaction was added or removed.
+    REACTION: "chat-reaction"
+  };
+
+  /**
+   * The formats that chat transcripts can be exported in.
+   */
+  var CHAT_TRANSCRIPT_FORMATS = {
+    TEXT: "text",
+    HTML: "html",
+    JSON: "json"
+  };
+
+  /**
+   * The orders that the panel's room list can be sorted in.
+   */
+  var ROOM_SORT_ORDERS = {
+    // Most recently used first, as given by the room's ctime.
+    LAST_USED: "lastUsed",
+    // Most recently created first.
+    CREATED: "created",
+    NAME: "name",
+    // Rooms with the most people in them first.
+    PARTICIPANTS: "participants"
+  };
+
+  /**
+   * The filters that can be applied to the panel's room list.
+   */
+  var ROOM_FILTERS = {
+    // Only rooms with people in them.
+    ACTIVE: "active",
+    // Only rooms with a context URL.
+    CONTEXT: "context"
+  };
+
+  /**
+   * The file extensions and MIME types of the chat transcript formats.
+   */
+  var CHAT_TRANSCRIPT_FILE_TYPES = {
+    text: { extension: "txt", mimeType: "text/plain" },
+    html: { extension: "html", mimeType: "text/html" },
+    json: { extension: "json", mimeType: "application/json" }
   };
 
   /**
@@ -420,6 +491,194 @@ var inChrome = typeof Components != "undefined" && "utils" in Components;
     mozLoop.telemetryAddValue("LOOP_SHARING_ROOM_URL", bucket);
   }
 
+  /**
+   * Escapes text for including in HTML, both as content and as attribute
+   * values.
+   *
+   * @param  {String} text The text to escape.
+   * @return {String}
+   */
+  function escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Picks the messages of a chat that belong in its transcript - the room
+   * name, the context and what was said - and the details of them that are
+   * worth keeping.
+   *
+   * @param  {Array} messageList The messages, as kept by the TextChatStore.
+   * @return {Array}
+   */
+  function getTranscriptMessages(messageList) {
+    return messageList.filter(function(message) {
+      return !message.deleted &&
+        (message.contentType === CHAT_CONTENT_TYPES.ROOM_NAME && message.message ||
+         message.contentType === CHAT_CONTENT_TYPES.CONTEXT ||
+         message.contentType === CHAT_CONTENT_TYPES.TEXT ||
+         message.contentType === CHAT_CONTENT_TYPES.FILE);
+    }).map(function(message) {
+      var entry = {
+        type: message.type,
+        contentType: message.contentType,
+        message: message.message,
+        sentTimestamp: message.sentTimestamp,
+        receivedTimestamp: message.receivedTimestamp
+      };
+
+      if (message.contentType === CHAT_CONTENT_TYPES.CONTEXT) {
+        entry.extraData = { location: message.extraData.location };
+      } else if (message.contentType === CHAT_CONTENT_TYPES.FILE) {
+        // The file itself isn't part of the transcript.
+        entry.extraData = {
+          name: message.extraData.name,
+          size: message.extraData.size
+        };
+      }
+
+      return entry;
+    });
+  }
+
+  /**
+   * Checks if a link may be written into an HTML transcript, i.e. that it uses
+   * a scheme which is safe to open from a saved file.
+   *
+   * @param  {String}  location The link.
+   * @return {Boolean} True if the link is safe.
+   */
+  function isSafeTranscriptLink(location) {
+    try {
+      return ["http:", "https:", "ftp:"].indexOf(new URL(location).protocol) !== -1;
+    } catch (ex) {
+      // URL throws for invalid links.
+      return false;
+    }
+  }
+
+  /**
+   * Formats a chat as a transcript in the given format.
+   *
+   * @param  {Array}  messageList The messages, as kept by the TextChatStore.
+   * @param  {String} format      One of CHAT_TRANSCRIPT_FORMATS.
+   * @return {String} The transcript.
+   */
+  function formatChatTranscript(messageList, format) {
+    var messages = getTranscriptMessages(messageList);
+    var roomName = "";
+    messages.forEach(function(message) {
+      if (message.contentType === CHAT_CONTENT_TYPES.ROOM_NAME) {
+        roomName = message.message;
+      }
+    });
+
+    if (format === CHAT_TRANSCRIPT_FORMATS.JSON) {
+      return JSON.stringify({
+        roomName: roomName,
+        messages: messages
+      }, null, 2);
+    }
+
+    var html = format === CHAT_TRANSCRIPT_FORMATS.HTML;
+    var lines = messages.map(function(message) {
+      var text = message.message;
+      switch (message.contentType) {
+        case CHAT_CONTENT_TYPES.ROOM_NAME:
+          return html ? "<h1>" + escapeHTML(text) + "</h1>" : text;
+        case CHAT_CONTENT_TYPES.CONTEXT:
+          var location = message.extraData.location;
+          var plainLink = (text ? text + " - " : "") + location;
+          if (!html) {
+            return plainLink;
+          }
+
+          return isSafeTranscriptLink(location) ?
+            '<p class="context"><a href="' + escapeHTML(location) + '">' +
+              escapeHTML(text || location) + "</a></p>" :
+            '<p class="context">' + escapeHTML(plainLink) + "</p>";
+        case CHAT_CONTENT_TYPES.FILE:
+          text = mozL10n.get("chat_transcript_file", {
+            fileName: message.extraData.name
+          });
+          break;
+      }
+
+      // The types are those of loop.store.CHAT_MESSAGE_TYPES, which isn't
+      // available in the panel.
+      var sent = message.type === "sent";
+      var sender = mozL10n.get(sent ? "chat_transcript_sender_you" :
+                                      "chat_transcript_sender_peer");
+      var timestamp = message.receivedTimestamp || message.sentTimestamp || "";
+
+      if (!html) {
+        return "[" + timestamp + "] " + sender + ": " + text;
+      }
+
+      return '<p class="' + (sent ? "sent" : "received") + '">' +
+        '<time datetime="' + escapeHTML(timestamp) + '">' +
+        escapeHTML(timestamp) + "</time> " +
+        "<b>" + escapeHTML(sender) + ":</b> " + escapeHTML(text) + "</p>";
+    });
+
+    if (!html) {
+      return lines.join("\n") + "\n";
+    }
+
+    return "<!DOCTYPE html>\n" +
+      '<html><head><meta charset="utf-8"><title>' + escapeHTML(roomName) +
+      "</title></head>\n<body>\n" + lines.join("\n") + "\n</body></html>\n";
+  }
+
+  /**
+   * Saves the transcript of a chat to a file. On desktop the user chooses
+   * where to save it, on standalone it is downloaded.
+   *
+   * @param {Array}  messageList The messages, as kept by the TextChatStore.
+   * @param {String} format      One of CHAT_TRANSCRIPT_FORMATS.
+   * @param {Object} mozLoop     The MozLoop API, or null if not available.
+   */
+  function saveChatTranscript(messageList, format, mozLoop) {
+    var fileType = CHAT_TRANSCRIPT_FILE_TYPES[format];
+    var contents = formatChatTranscript(messageList, format);
+    var roomName;
+    messageList.forEach(function(message) {
+      if (message.contentType === CHAT_CONTENT_TYPES.ROOM_NAME) {
+        roomName = message.message;
+      }
+    });
+
+    // Avoid the characters that aren't allowed in file names.
+    var fileName = (roomName || mozL10n.get("chat_transcript_file_name"))
+      .replace(/[\\\/:*?"<>|]/g, "_") + "." + fileType.extension;
+
+    if (mozLoop) {
+      mozLoop.saveFile(fileName, contents, function(error) {
+        if (error) {
+          console.error("Failed to save the chat transcript", error);
+        }
+      });
+      return;
+    }
+
+    var blob = new rootObject.Blob([contents], { type: fileType.mimeType });
+    var url = rootObject.URL.createObjectURL(blob);
+    var link = rootObject.document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    rootObject.document.body.appendChild(link);
+    link.click();
+    rootObject.document.body.removeChild(link);
+    // Give the download a chance to start before the URL goes away.
+    rootObject.setTimeout(function() {
+      rootObject.URL.revokeObjectURL(url);
+    }, 0);
+  }
+
   // We can alias `subarray` to `slice` when the latter is not available, because
   // they're semantically identical.
   if (!Uint8Array.prototype.slice) {
@@ -773,14 +1032,18 @@ var inChrome = typeof Components != "undefined" && "utils" in Components;
   this.utils = {
     CALL_TYPES: CALL_TYPES,
     CHAT_CONTENT_TYPES: CHAT_CONTENT_TYPES,
+    CHAT_TRANSCRIPT_FORMATS: CHAT_TRANSCRIPT_FORMATS,
     FAILURE_DETAILS: FAILURE_DETAILS,
     REST_ERRNOS: REST_ERRNOS,
+    ROOM_FILTERS: ROOM_FILTERS,
+    ROOM_SORT_ORDERS: ROOM_SORT_ORDERS,
     STREAM_PROPERTIES: STREAM_PROPERTIES,
     SCREEN_SHARE_STATES: SCREEN_SHARE_STATES,
     ROOM_INFO_FAILURES: ROOM_INFO_FAILURES,
     setRootObjects: setRootObjects,
     composeCallUrlEmail: composeCallUrlEmail,
     findParentNode: findParentNode,
+    formatChatTranscript: formatChatTranscript,
     formatDate: formatDate,
     formatURL: formatURL,
     getBoolPreference: getBoolPreference,
@@ -798,6 +1061,7 @@ var inChrome = typeof Components != "undefined" && "utils" in Components;
     strToUint8Array: strToUint8Array,
     Uint8ArrayToStr: Uint8ArrayToStr,
     objectDiff: objectDiff,
+    saveChatTranscript: saveChatTranscript,
     stripFalsyValues: stripFalsyValues,
     truncate: truncate
   };
@@ -31,6 +31,10 @@ loop.validate = (function() {
       return "null";
     }
 
+    if (obj instanceof SchemaType) {
+      return obj.description;
+    }
+
     if (typeof obj === "function") {
       return obj.name || obj.toString().match(/^function\s?([^\s(]*)/)[1];
     }
@@ -42,9 +46,217 @@ loop.validate = (function() {
     return "unknown";
   }
 
+  /**
+   * A schema type that can't be expressed by a constructor, e.g. an optional
+   * property or a nested object shape. Use the factory functions below to
+   * create these rather than this constructor.
+   *
+   * @constructor
+   * @param {String}   description Describes the type in error messages.
+   * @param {Function} check       Called with the value and its path; should
+   *                               throw a TypeError if the value is invalid.
+   * @param {Boolean}  isOptional  True if the value may be omitted.
+   */
+  function SchemaType(description, check, isOptional) {
+    this.description = description;
+    this.check = check;
+    this.isOptional = !!isOptional;
+  }
+
+  /**
+   * Marks a property as optional. It is only checked against the types if it
+   * is defined.
+   *
+   * @param  {Mixed} types The type, or array of types, of the property.
+   * @return {SchemaType}
+   */
+  function optional(types) {
+    return new SchemaType(toTypeList(types).map(typeName).join(", "),
+      function(value, path) {
+        checkTypes(value, toTypeList(types), path);
+      }, true);
+  }
+
+  /**
+   * Requires a value to be an object matching a nested schema.
+   *
+   * @param  {Object} schema The validation schema for the object.
+   * @return {SchemaType}
+   */
+  function shape(schema) {
+    return new SchemaType("Object", function(value, path) {
+      if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        throw new TypeError("invalid dependency: " + path +
+                            "; expected Object, got " + typeName(value));
+      }
+      validateSchema(schema, value, path + ".");
+    });
+  }
+
+  /**
+   * Requires a value to be an array where every element matches the given
+   * types.
+   *
+   * @param  {Mixed} types The type, or array of types, of the elements.
+   * @return {SchemaType}
+   */
+  function arrayOf(types) {
+    var typeList = toTypeList(types);
+    return new SchemaType("Array of " + typeList.map(typeName).join(", "),
+      function(value, path) {
+        if (!Array.isArray(value)) {
+          throw new TypeError("invalid dependency: " + path +
+                              "; expected Array, got " + typeName(value));
+        }
+        value.forEach(function(element, index) {
+          checkTypes(element, typeList, path + "[" + index + "]");
+        });
+      });
+  }
+
+  /**
+   * Requires a value to be one of a set of values.
+   *
+   * @param  {Array|Object} values The allowed values. If an object is passed,
+   *                               e.g. CHAT_CONTENT_TYPES, its values are used.
+   * @return {SchemaType}
+   */
+  function oneOf(values) {
+    if (!Array.isArray(values)) {
+      values = Object.keys(values).map(function(key) {
+        return values[key];
+      });
+    }
+    var description = "one of " + values.map(function(value) {
+      return JSON.stringify(value);
+    }).join(", ");
+
+    return new SchemaType(description, function(value, path) {
+      if (values.indexOf(value) === -1) {
+        throw new TypeError("invalid dependency: " + path + "; expected " +
+                            description + ", got " + JSON.stringify(value));
+      }
+    });
+  }
+
+  /**
+   * Normalises a type, or an array of types, into an array of types.
+   *
+   * @param  {Mixed} types
+   * @return {Array}
+   */
+  function toTypeList(types) {
+    return Array.isArray(types) ? types : [types];
+  }
+
+  /**
+   * Checks if a given value matches a constructor type requirement.
+   *
+   * @param  {Object} value The value to check
+   * @param  {Mixed}  Type  The type to check the value against
+   * @return {Boolean}
+   */
+  function matchesConstructor(value, Type) {
+    try {
+      return typeof Type === "undefined" || // skip checking
+             Type === null && value === null || // null type
+             value.constructor === Type || // native type
+             Type.prototype.isPrototypeOf(value) || // custom type
+             typeName(value) === typeName(Type);    // type string eq.
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Checks that a value matches at least one of the types. If there's only
+   * one type and it is a schema type, its own error is thrown so that the
+   * path to the invalid nested value is reported.
+   *
+   * @param  {Object} value The value to check
+   * @param  {Array}  types The list of types to check the value against
+   * @param  {String} path  The path to the value, for error messages
+   * @throws {TypeError} If the value doesn't match any types.
+   */
+  function checkTypes(value, types, path) {
+    var schemaErrors = [];
+    var matched = types.some(function(Type) {
+      if (!(Type instanceof SchemaType)) {
+        return matchesConstructor(value, Type);
+      }
+
+      try {
+        Type.check(value, path);
+        return true;
+      } catch (e) {
+        schemaErrors.push(e);
+        return false;
+      }
+    });
+
+    if (matched) {
+      return;
+    }
+
+    if (types.length === 1 && schemaErrors.length === 1) {
+      throw schemaErrors[0];
+    }
+
+    throw new TypeError("invalid dependency: " + path +
+                        "; expected " + types.map(typeName).join(", ") +
+                        ", got " + typeName(value));
+  }
+
+  /**
+   * Validates all passed values against a schema, first checking that all
+   * required properties are present, then checking their types.
+   *
+   * @param  {Object} schema The validation schema
+   * @param  {Object} values The values object
+   * @param  {String} prefix The path of the values object, for error
+   *                         messages, e.g. "roomContextUrls[0]."
+   * @throws {TypeError} If validation fails
+   */
+  function validateSchema(schema, values, prefix) {
+    var definedProperties = Object.keys(values).filter(function(name) {
+      return typeof values[name] !== "undefined";
+    });
+    var requiredProperties = Object.keys(schema).filter(function(name) {
+      return !(schema[name] instanceof SchemaType && schema[name].isOptional);
+    });
+    var diff = difference(requiredProperties, definedProperties);
+    if (diff.length > 0) {
+      throw new TypeError("missing required " + diff.map(function(name) {
+        return prefix + name;
+      }).join(", "));
+    }
+
+    Object.keys(schema).forEach(function(name) {
+      var types = schema[name];
+      if (types instanceof SchemaType && types.isOptional &&
+          typeof values[name] === "undefined") {
+        return;
+      }
+      checkTypes(values[name], toTypeList(types), prefix + name);
+    });
+  }
+
   /**
    * Simple typed values validator.
    *
+   * Schemas map property names to the expected types of their values. A type
+   * may be a constructor (e.g. String or a custom type), null, an array of
+   * possible types, or one of the schema types created by `optional`,
+   * `shape`, `arrayOf` and `oneOf`:
+   *
+   *   {
+   *     roomUrl: String,
+   *     roomContextUrls: optional(arrayOf(shape({
+   *       location: String,
+   *       description: optional(String)
+   *     })))
+   *   }
+   *
    * @constructor
    * @param  {Object} schema Validation schema
    */
@@ -61,71 +273,16 @@ loop.validate = (function() {
      * @throws {TypeError}      If validation fails
      */
     validate: function(values) {
-      this._checkRequiredProperties(values);
-      this._checkRequiredTypes(values);
+      validateSchema(this.schema, values, "");
       return values;
-    },
-
-    /**
-     * Checks if any of Object values matches any of current dependency type
-     * requirements.
-     *
-     * @param  {Object} values The values object
-     * @throws {TypeError}
-     */
-    _checkRequiredTypes: function(values) {
-      Object.keys(this.schema).forEach(function(name) {
-        var types = this.schema[name];
-        types = Array.isArray(types) ? types : [types];
-        if (!this._dependencyMatchTypes(values[name], types)) {
-          throw new TypeError("invalid dependency: " + name +
-                              "; expected " + types.map(typeName).join(", ") +
-                              ", got " + typeName(values[name]));
-        }
-      }, this);
-    },
-
-    /**
-     * Checks if a values object owns the required keys defined in dependencies.
-     * Values attached to these properties shouldn't be null nor undefined.
-     *
-     * @param  {Object} values The values object
-     * @throws {TypeError} If any dependency is missing.
-     */
-    _checkRequiredProperties: function(values) {
-      var definedProperties = Object.keys(values).filter(function(name) {
-        return typeof values[name] !== "undefined";
-      });
-      var diff = difference(Object.keys(this.schema), definedProperties);
-      if (diff.length > 0) {
-        throw new TypeError("missing required " + diff.join(", "));
-      }
-    },
-
-    /**
-     * Checks if a given value matches any of the provided type requirements.
-     *
-     * @param  {Object} value  The value to check
-     * @param  {Array}  types  The list of types to check the value against
-     * @return {Boolean}
-     * @throws {TypeError} If the value doesn't match any types.
-     */
-    _dependencyMatchTypes: function(value, types) {
-      return types.some(function(Type) {
-        try {
-          return typeof Type === "undefined" || // skip checking
-                 Type === null && value === null || // null type
-                 value.constructor === Type || // native type
-                 Type.prototype.isPrototypeOf(value) || // custom type
-                 typeName(value) === typeName(Type);    // type string eq.
-        } catch (e) {
-          return false;
-        }
-      });
     }
   };
 
   return {
-    Validator: Validator
+    Validator: Validator,
+    arrayOf: arrayOf,
+    oneOf: oneOf,
+    optional: optional,
+    shape: shape
   };
 })();
@@ -291,6 +291,18 @@ loop.shared.views = (function(_, mozL10n) {
         };
     },
 
+    /**
+     * Return the function that exports the chat transcript in the format of
+     * the given item, e.g. "html" for the "export-html" item.
+     */
+    getHandleExport: function(exportItem) {
+      var format = exportItem.id.replace("export-", "");
+      return function _handleExport(event) {
+        event.preventDefault();
+        exportItem.onClick(format);
+      };
+    },
+
     /**
      * Load on the browser the help (support) url from prefs
      */
@@ -326,6 +338,15 @@ loop.shared.views = (function(_, mozL10n) {
             scope: "local",
             type: "edit"
           };
+        case "export-text":
+        case "export-html":
+        case "export-json":
+          return {
+            cssClasses: "dropdown-menu-item",
+            handler: this.getHandleExport(menuItem),
+            label: mozL10n.get("conversation_settings_menu_" +
+                               menuItem.id.replace("-", "_"))
+          };
         default:
           console.error("Invalid menu item", menuItem);
           return null;
@@ -1014,6 +1035,14 @@ loop.shared.views = (function(_, mozL10n) {
       matchMedia: React.PropTypes.func.isRequired,
       remotePosterUrl: React.PropTypes.string,
       remoteSrcMediaElement: React.PropTypes.object,
+      // The media of all the remote participants, see
+      // ActiveRoomStore.getRemoteStreams. If there are several, they are shown
+      // in a grid rather than as a single remote stream.
+      remoteStreams: React.PropTypes.arrayOf(React.PropTypes.shape({
+        connectionId: React.PropTypes.string.isRequired,
+        srcMediaElement: React.PropTypes.object,
+        videoEnabled: React.PropTypes.bool
+      })),
       renderRemoteVideo: React.PropTypes.bool.isRequired,
       screenShareMediaElement: React.PropTypes.object,
       screenSharePosterUrl: React.PropTypes.string,
@@ -1075,7 +1104,34 @@ loop.shared.views = (function(_, mozL10n) {
       );
     },
 
+    renderRemoteGrid: function() {
+      var remoteStreams = this.props.remoteStreams;
+      var gridClasses = classNames({
+        "remote-grid": true,
+        "grid-columns-2": remoteStreams.length <= 4,
+        "grid-columns-3": remoteStreams.length > 4
+      });
+
+      return (
+        <div className={gridClasses}>
+          {remoteStreams.map(function(remoteStream) {
+            return (
+              <div className="remote-grid-item" key={remoteStream.connectionId}>
+                <MediaView displayAvatar={!remoteStream.videoEnabled}
+                  isLoading={false}
+                  mediaType="remote"
+                  srcMediaElement={remoteStream.srcMediaElement} />
+              </div>
+            );
+          })}
+        </div>
+      );
+    },
+
     render: function() {
+      var gridLayout = !!(this.props.remoteStreams &&
+                          this.props.remoteStreams.length > 1);
+
       var remoteStreamClasses = classNames({
         "remote": true,
         "focus-stream": !this.props.displayScreenShare
@@ -1088,6 +1144,7 @@ loop.shared.views = (function(_, mozL10n) {
 
       var mediaWrapperClasses = classNames({
         "media-wrapper": true,
+        "grid-layout": gridLayout,
         "receiving-screen-share": this.props.displayScreenShare,
         "showing-local-streams": this.props.localSrcMediaElement ||
           this.props.localPosterUrl,
@@ -1102,11 +1159,12 @@ loop.shared.views = (function(_, mozL10n) {
               {mozL10n.get("self_view_hidden_message")}
             </span>
             <div className={remoteStreamClasses}>
-              <MediaView displayAvatar={!this.props.renderRemoteVideo}
-                isLoading={this.props.isRemoteLoading}
-                mediaType="remote"
-                posterUrl={this.props.remotePosterUrl}
-                srcMediaElement={this.props.remoteSrcMediaElement} />
+              {gridLayout ? this.renderRemoteGrid() :
+                <MediaView displayAvatar={!this.props.renderRemoteVideo}
+                  isLoading={this.props.isRemoteLoading}
+                  mediaType="remote"
+                  posterUrl={this.props.remotePosterUrl}
+                  srcMediaElement={this.props.remoteSrcMediaElement} />}
               {this.state.localMediaAboslutelyPositioned ?
                 this.renderLocalVideo() : null}
               {this.props.displayScreenShare ? null : this.props.children}
@@ -13,7 +13,7 @@ loop.StandaloneMozLoop = (function(mozL10n) {
   /**
    * The maximum number of clients that we currently support.
    */
-  var ROOM_MAX_CLIENTS = 2;
+  var ROOM_MAX_CLIENTS = 6;
 
   /**
    * Validates a data object to confirm it has the specified properties.
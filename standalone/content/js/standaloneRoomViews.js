@@ -208,6 +208,7 @@ loop.standaloneRoomViews = (function(mozL10n) {
       failureReason: React.PropTypes.string,
       isFirefox: React.PropTypes.bool.isRequired,
       joinRoom: React.PropTypes.func.isRequired,
+      roomContextUrls: React.PropTypes.array,
       roomState: React.PropTypes.string.isRequired,
       roomUsed: React.PropTypes.bool.isRequired
     },
@@ -304,12 +305,41 @@ loop.standaloneRoomViews = (function(mozL10n) {
       );
     },
 
+    /**
+     * Renders a context tile for every link shared in the room, so that the
+     * user can see what the room is about before joining it.
+     */
+    _renderContextUrls: function() {
+      var urls = this.props.roomContextUrls;
+      if (!urls || !urls.length) {
+        return null;
+      }
+
+      return (
+        React.createElement("div", {className: "room-context-urls"}, 
+          urls.map(function(url, i) {
+            return (
+              React.createElement(sharedViews.ContextUrlView, {
+                allowClick: true, 
+                description: url.description || "", 
+                dispatcher: this.props.dispatcher, 
+                key: i, 
+                thumbnail: url.thumbnail, 
+                url: url.location, 
+                useDesktopPaths: false})
+            );
+          }, this)
+        )
+      );
+    },
+
     render: function() {
       switch (this.props.roomState) {
         case ROOM_STATES.ENDED:
         case ROOM_STATES.READY: {
           return (
             React.createElement("div", {className: "room-inner-info-area"}, 
+              this._renderContextUrls(), 
               React.createElement("button", {className: "btn btn-join btn-info", 
                       onClick: this.props.joinRoom}, 
                 mozL10n.get("rooms_room_join_label")
@@ -396,6 +426,23 @@ loop.standaloneRoomViews = (function(mozL10n) {
   var StandaloneRoomView = React.createClass({displayName: "StandaloneRoomView",
     mixins: [
       Backbone.Events,
+      // Only the parts of the active room state that are rendered, so that
+      // the view doesn't update for other changes, e.g. video dimensions.
+      loop.store.StoreSelectorMixin("activeRoomStore", {
+        audioMuted: "audioMuted",
+        failureReason: "failureReason",
+        localSrcMediaElement: "localSrcMediaElement",
+        mediaConnected: "mediaConnected",
+        receivingScreenShare: "receivingScreenShare",
+        remoteStreams: loop.store.ActiveRoomStore.getRemoteStreams,
+        roomContextUrls: "roomContextUrls",
+        roomInfoFailure: "roomInfoFailure",
+        roomName: "roomName",
+        roomState: "roomState",
+        screenShareMediaElement: "screenShareMediaElement",
+        used: "used",
+        videoMuted: "videoMuted"
+      }),
       sharedMixins.MediaSetupMixin,
       sharedMixins.RoomsAudioMixin,
       sharedMixins.DocumentTitleMixin
@@ -414,24 +461,6 @@ loop.standaloneRoomViews = (function(mozL10n) {
       screenSharePosterUrl: React.PropTypes.string
     },
 
-    getInitialState: function() {
-      var storeState = this.props.activeRoomStore.getStoreState();
-      return _.extend({}, storeState, {
-        // Used by the UI showcase.
-        roomState: this.props.roomState || storeState.roomState
-      });
-    },
-
-    componentWillMount: function() {
-      this.props.activeRoomStore.on("change", function() {
-        this.setState(this.props.activeRoomStore.getStoreState());
-      }, this);
-    },
-
-    componentWillUnmount: function() {
-      this.props.activeRoomStore.off("change", null, this);
-    },
-
     componentDidMount: function() {
       // Adding a class to the document body element from here to ease styling it.
       document.body.classList.add("is-standalone-room");
@@ -522,7 +551,7 @@ loop.standaloneRoomViews = (function(mozL10n) {
     shouldRenderRemoteVideo: function() {
       switch (this.state.roomState) {
         case ROOM_STATES.HAS_PARTICIPANTS:
-          if (this.state.remoteVideoEnabled) {
+          if (this._getFirstRemoteStream().videoEnabled) {
             return true;
           }
 
@@ -581,10 +610,22 @@ loop.standaloneRoomViews = (function(mozL10n) {
      */
     _isRemoteLoading: function() {
       return !!(this.state.roomState === ROOM_STATES.HAS_PARTICIPANTS &&
-                !this.state.remoteSrcMediaElement &&
+                !this._getFirstRemoteStream().srcMediaElement &&
                 !this.state.mediaConnected);
     },
 
+    /**
+     * Returns the media of the first remote participant, which is displayed
+     * when there aren't several participants to display in a grid.
+     *
+     * @returns {Object} The stream, see ActiveRoomStore.getRemoteStreams, or
+     *                   an empty object if there isn't one.
+     * @private
+     */
+    _getFirstRemoteStream: function() {
+      return this.state.remoteStreams[0] || {};
+    },
+
     /**
      * Should we render a visual cue to the user (e.g. a spinner) that a remote
      * screen-share is on its way from the other user?
@@ -598,9 +639,25 @@ loop.standaloneRoomViews = (function(mozL10n) {
              !this.props.screenSharePosterUrl;
     },
 
+    /**
+     * Saves a transcript of the text chat.
+     *
+     * @param {String} format One of CHAT_TRANSCRIPT_FORMATS.
+     */
+    handleExportTranscript: function(format) {
+      this.props.dispatcher.dispatch(new sharedActions.ExportChatTranscript({
+        format: format
+      }));
+    },
+
     render: function() {
       var displayScreenShare = !!(this.state.receivingScreenShare ||
         this.props.screenSharePosterUrl);
+      var settingsMenuItems = [
+        { id: "export-text", onClick: this.handleExportTranscript },
+        { id: "export-html", onClick: this.handleExportTranscript },
+        { id: "export-json", onClick: this.handleExportTranscript }
+      ];
 
       return (
         React.createElement("div", {className: "room-conversation-wrapper standalone-room-wrapper"}, 
@@ -615,7 +672,8 @@ loop.standaloneRoomViews = (function(mozL10n) {
             localVideoMuted: this.state.videoMuted, 
             matchMedia: this.state.matchMedia || window.matchMedia.bind(window), 
             remotePosterUrl: this.props.remotePosterUrl, 
-            remoteSrcMediaElement: this.state.remoteSrcMediaElement, 
+            remoteSrcMediaElement: this._getFirstRemoteStream().srcMediaElement, 
+            remoteStreams: this.state.remoteStreams, 
             renderRemoteVideo: this.shouldRenderRemoteVideo(), 
             screenShareMediaElement: this.state.screenShareMediaElement, 
             screenSharePosterUrl: this.props.screenSharePosterUrl, 
@@ -627,6 +685,7 @@ loop.standaloneRoomViews = (function(mozL10n) {
               failureReason: this.state.failureReason, 
               isFirefox: this.props.isFirefox, 
               joinRoom: this.joinRoom, 
+              roomContextUrls: this.state.roomContextUrls, 
               roomState: this.state.roomState, 
               roomUsed: this.state.used}), 
             React.createElement(sharedViews.ConversationToolbar, {
@@ -635,6 +694,7 @@ loop.standaloneRoomViews = (function(mozL10n) {
               dispatcher: this.props.dispatcher, 
               hangup: this.leaveRoom, 
               publishStream: this.publishStream, 
+              settingsMenuItems: settingsMenuItems, 
               show: true, 
               video: { enabled: !this.state.videoMuted,
                       visible: this._roomIsActive()}})
@@ -181,6 +181,16 @@ loop.webapp = (function(_, OT, mozL10n) {
 
     // New flux items.
     var dispatcher = new loop.Dispatcher();
+
+    // Use localStorage.setItem("debug.actionRecorder", true) to record all
+    // the actions for this page, so that they can be attached to a bug and
+    // replayed.
+    if (sharedUtils.getBoolPreference("debug.actionRecorder")) {
+      loop.webapp.actionRecorder =
+        new loop.actionRecorder.ActionRecorder(dispatcher);
+      loop.webapp.actionRecorder.start();
+    }
+
     var sdkDriver = new loop.OTSdkDriver({
       // For the standalone, always request data channels. If they aren't
       // implemented on the client, there won't be a similar message to us, and
@@ -238,6 +248,13 @@ loop.webapp = (function(_, OT, mozL10n) {
   }
 
   return {
+    /**
+     * Exposed so that the recorded session log can be obtained from the
+     * console when the debug.actionRecorder preference is set.
+     *
+     * @type loop.actionRecorder.ActionRecorder
+     */
+    actionRecorder: null,
     HomeView: HomeView,
     UnsupportedBrowserView: UnsupportedBrowserView,
     UnsupportedDeviceView: UnsupportedDeviceView,
@@ -72,9 +72,10 @@ if (typeof __PROD__ !== "undefined") {
 require("imports?loop=>window.loop!exports?loop!shared/js/utils.js");
 require("imports?this=>window,loop=>window.loop!exports?loop!shared/js/crypto.js");
 require("imports?loop=>window.loop!exports?loop!shared/js/mixins.js");
-require("imports?loop=>window.loop!exports?loop!shared/js/actions.js");
 require("imports?loop=>window.loop!exports?loop!shared/js/validate.js");
+require("imports?loop=>window.loop!exports?loop!shared/js/actions.js");
 require("imports?loop=>window.loop!exports?loop!shared/js/dispatcher.js");
+require("imports?loop=>window.loop!exports?loop!shared/js/actionRecorder.js");
 require("imports?loop=>window.loop!exports?loop!shared/js/otSdkDriver.js");
 require("imports?loop=>window.loop!exports?loop!shared/js/store.js");
 require("imports?loop=>window.loop!exports?loop!shared/js/activeRoomStore.js");
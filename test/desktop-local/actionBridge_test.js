@@ -0,0 +1,231 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+describe("loop.ActionBridge", function() {
+  "use strict";
+
+  var expect = chai.expect;
+  var sharedActions = loop.shared.actions;
+  var sandbox, dispatcher, fakeMozLoop, fakeWindow, store, roomToken;
+
+  function createBridge(options) {
+    return new loop.ActionBridge(_.extend({
+      dispatcher: dispatcher,
+      mozLoop: fakeMozLoop,
+      rootObject: fakeWindow,
+      outgoing: ["activeRoomCallState"],
+      incoming: ["setMute", "leaveRoom"],
+      getRoomToken: function() {
+        return roomToken;
+      }
+    }, options));
+  }
+
+  function receive(data) {
+    fakeWindow.addEventListener.getCall(0).args[1]({ detail: data });
+  }
+
+  beforeEach(function() {
+    sandbox = sinon.sandbox.create();
+    dispatcher = new loop.Dispatcher();
+    fakeMozLoop = {
+      broadcastAction: sinon.stub()
+    };
+    fakeWindow = {
+      addEventListener: sinon.stub(),
+      removeEventListener: sinon.stub()
+    };
+    store = {
+      activeRoomCallState: sinon.stub(),
+      leaveRoom: sinon.stub(),
+      setMute: sinon.stub()
+    };
+    dispatcher.register(store, ["activeRoomCallState", "leaveRoom", "setMute"]);
+    roomToken = "fakeToken";
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe("#constructor", function() {
+    it("should throw an error if the dispatcher is missing", function() {
+      expect(function() {
+        new loop.ActionBridge({ mozLoop: fakeMozLoop });
+      }).to.Throw(/dispatcher/);
+    });
+
+    it("should throw an error if mozLoop is missing", function() {
+      expect(function() {
+        new loop.ActionBridge({ dispatcher: dispatcher });
+      }).to.Throw(/mozLoop/);
+    });
+  });
+
+  describe("#start", function() {
+    it("should listen for bridged actions", function() {
+      createBridge().start();
+
+      sinon.assert.calledOnce(fakeWindow.addEventListener);
+      sinon.assert.calledWith(fakeWindow.addEventListener, "LoopBridgedAction");
+    });
+  });
+
+  describe("#stop", function() {
+    it("should stop forwarding actions", function() {
+      var bridge = createBridge();
+      bridge.start();
+      bridge.stop();
+
+      dispatcher.dispatch(new sharedActions.ActiveRoomCallState({
+        roomToken: "fakeToken",
+        joined: true,
+        audioMuted: false,
+        videoMuted: false,
+        screenSharingState: "ss-inactive",
+        participantCount: 1
+      }));
+
+      sinon.assert.notCalled(fakeMozLoop.broadcastAction);
+      sinon.assert.calledOnce(fakeWindow.removeEventListener);
+    });
+  });
+
+  describe("Outgoing actions", function() {
+    beforeEach(function() {
+      createBridge().start();
+    });
+
+    it("should broadcast outgoing actions once they are dispatched", function() {
+      dispatcher.dispatch(new sharedActions.ActiveRoomCallState({
+        roomToken: "fakeToken",
+        joined: true,
+        audioMuted: true,
+        videoMuted: false,
+        screenSharingState: "ss-inactive",
+        participantCount: 2
+      }));
+
+      sinon.assert.calledOnce(store.activeRoomCallState);
+      sinon.assert.calledOnce(fakeMozLoop.broadcastAction);
+      sinon.assert.calledWithExactly(fakeMozLoop.broadcastAction, {
+        name: "activeRoomCallState",
+        payload: {
+          roomToken: "fakeToken",
+          joined: true,
+          audioMuted: true,
+          videoMuted: false,
+          screenSharingState: "ss-inactive",
+          participantCount: 2
+        },
+        roomToken: "fakeToken"
+      });
+    });
+
+    it("should not broadcast other actions", function() {
+      dispatcher.dispatch(new sharedActions.LeaveRoom());
+
+      sinon.assert.notCalled(fakeMozLoop.broadcastAction);
+    });
+
+    it("should send the action of a SendToConversationWindow action", function() {
+      dispatcher.dispatch(new sharedActions.SendToConversationWindow({
+        action: new sharedActions.LeaveRoom(),
+        roomToken: "otherToken"
+      }));
+
+      sinon.assert.calledOnce(fakeMozLoop.broadcastAction);
+      sinon.assert.calledWithExactly(fakeMozLoop.broadcastAction, {
+        name: "leaveRoom",
+        payload: {},
+        roomToken: "otherToken"
+      });
+    });
+
+    it("should not dispatch SendToConversationWindow actions to the stores", function() {
+      sandbox.stub(console, "warn");
+
+      dispatcher.dispatch(new sharedActions.SendToConversationWindow({
+        action: new sharedActions.LeaveRoom()
+      }));
+
+      sinon.assert.notCalled(store.leaveRoom);
+      sinon.assert.notCalled(console.warn);
+    });
+  });
+
+  describe("Incoming actions", function() {
+    beforeEach(function() {
+      createBridge().start();
+    });
+
+    it("should dispatch incoming actions", function() {
+      receive({
+        name: "setMute",
+        payload: { type: "audio", enabled: false },
+        roomToken: "fakeToken"
+      });
+
+      sinon.assert.calledOnce(store.setMute);
+      sinon.assert.calledWithExactly(store.setMute,
+        new sharedActions.SetMute({ type: "audio", enabled: false }));
+    });
+
+    it("should dispatch incoming actions without a room token", function() {
+      receive({ name: "leaveRoom", payload: {}, roomToken: null });
+
+      sinon.assert.calledOnce(store.leaveRoom);
+    });
+
+    it("should ignore actions that aren't incoming actions", function() {
+      receive({
+        name: "activeRoomCallState",
+        payload: {
+          roomToken: "fakeToken",
+          joined: true,
+          audioMuted: false,
+          videoMuted: false,
+          screenSharingState: "ss-inactive",
+          participantCount: 1
+        },
+        roomToken: "fakeToken"
+      });
+
+      sinon.assert.notCalled(store.activeRoomCallState);
+    });
+
+    it("should ignore actions for other rooms", function() {
+      receive({ name: "leaveRoom", payload: {}, roomToken: "otherToken" });
+
+      sinon.assert.notCalled(store.leaveRoom);
+    });
+
+    it("should log an error and ignore invalid actions", function() {
+      sandbox.stub(console, "error");
+
+      receive({ name: "setMute", payload: { type: "screen" }, roomToken: null });
+
+      sinon.assert.notCalled(store.setMute);
+      sinon.assert.calledOnce(console.error);
+    });
+  });
+
+  describe("Actions that are both incoming and outgoing", function() {
+    it("should not broadcast received actions back", function() {
+      createBridge({ outgoing: ["leaveRoom"] }).start();
+
+      receive({ name: "leaveRoom", payload: {}, roomToken: null });
+
+      sinon.assert.calledOnce(store.leaveRoom);
+      sinon.assert.notCalled(fakeMozLoop.broadcastAction);
+    });
+
+    it("should still broadcast the action when dispatched locally", function() {
+      createBridge({ outgoing: ["leaveRoom"] }).start();
+
+      dispatcher.dispatch(new sharedActions.LeaveRoom());
+
+      sinon.assert.calledOnce(fakeMozLoop.broadcastAction);
+    });
+  });
+});
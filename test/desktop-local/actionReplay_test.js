@@ -0,0 +1,144 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+describe("Replaying session logs", function() {
+  "use strict";
+
+  var expect = chai.expect;
+  var sharedActions = loop.shared.actions;
+  var CHAT_CONTENT_TYPES = loop.shared.utils.CHAT_CONTENT_TYPES;
+  var sandbox, stores, log;
+
+  /**
+   * Builds the stores of a conversation window and the room list, with stub
+   * mozLoop and SDK driver objects, so that session logs can be replayed
+   * through them.
+   *
+   * @param  {loop.Dispatcher} dispatcher The dispatcher for the stores.
+   * @return {Object} The activeRoomStore, textChatStore and roomStore, and
+   *                  the mozLoop and sdkDriver stubs.
+   */
+  function createReplayStores(dispatcher) {
+    var prefs = {};
+    var mozLoop = {
+      getLoopPref: function(pref) {
+        return pref in prefs ? prefs[pref] : null;
+      },
+      setLoopPref: sinon.spy(function(pref, value) {
+        prefs[pref] = value;
+      }),
+      rooms: {
+        get: sinon.stub(),
+        on: sinon.stub(),
+        update: sinon.stub()
+      }
+    };
+    var sdkDriver = {
+      connectSession: sinon.stub(),
+      disconnectSession: sinon.stub(),
+      forceDisconnectAll: sinon.stub(),
+      getTextChatPeerCount: sinon.stub().returns(1),
+      sendTextChatMessage: sinon.stub()
+    };
+    var activeRoomStore = new loop.store.ActiveRoomStore(dispatcher, {
+      mozLoop: mozLoop,
+      sdkDriver: sdkDriver
+    });
+
+    return {
+      activeRoomStore: activeRoomStore,
+      mozLoop: mozLoop,
+      roomStore: new loop.store.RoomStore(dispatcher, {
+        activeRoomStore: activeRoomStore,
+        mozLoop: mozLoop
+      }),
+      sdkDriver: sdkDriver,
+      textChatStore: new loop.store.TextChatStore(dispatcher, {
+        sdkDriver: sdkDriver
+      })
+    };
+  }
+
+  beforeEach(function() {
+    sandbox = sinon.sandbox.create();
+    sandbox.useFakeTimers();
+
+    var dispatcher = new loop.Dispatcher();
+    stores = createReplayStores(dispatcher);
+    var recorder = new loop.actionRecorder.ActionRecorder(dispatcher);
+    recorder.start();
+
+    dispatcher.dispatch(new sharedActions.SetupWindowData({
+      roomToken: "fakeToken",
+      type: "room",
+      windowId: "42"
+    }));
+    dispatcher.dispatch(new sharedActions.UpdateRoomInfo({
+      roomName: "Fake Room",
+      roomUrl: "http://invalid/fakeToken#fakeKey"
+    }));
+    dispatcher.dispatch(new sharedActions.DataChannelsAvailable({
+      available: true
+    }));
+    dispatcher.dispatch(new sharedActions.SendTextChatMessage({
+      contentType: CHAT_CONTENT_TYPES.TEXT,
+      message: "Are you there?",
+      messageId: "fakeId",
+      sentTimestamp: "1970-01-01T00:00:00.000Z"
+    }));
+    dispatcher.dispatch(new sharedActions.SortRooms({
+      sortOrder: loop.shared.utils.ROOM_SORT_ORDERS.NAME
+    }));
+    dispatcher.dispatch(new sharedActions.ToggleRoomFolder({
+      folder: "Work"
+    }));
+
+    log = recorder.serialize();
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it("should not include the room url or the chat messages in the log", function() {
+    expect(log).not.to.contain("fakeToken");
+    expect(log).not.to.contain("Are you there?");
+  });
+
+  it("should reproduce the recorded state of the stores", function() {
+    var dispatcher = new loop.Dispatcher();
+    var replayedStores = createReplayStores(dispatcher);
+
+    new loop.actionRecorder.ActionReplayer(dispatcher, log).replay();
+
+    expect(replayedStores.activeRoomStore.getStoreState("roomName"))
+      .eql("Fake Room");
+    expect(replayedStores.activeRoomStore.getStoreState("roomState"))
+      .eql(stores.activeRoomStore.getStoreState("roomState"));
+    expect(replayedStores.roomStore.getStoreState("sortOrder"))
+      .eql(stores.roomStore.getStoreState("sortOrder"));
+    expect(replayedStores.roomStore.getStoreState("collapsedFolders"))
+      .eql(stores.roomStore.getStoreState("collapsedFolders"));
+    expect(_.pluck(replayedStores.textChatStore.getStoreState("messageList"),
+                   "contentType"))
+      .eql(_.pluck(stores.textChatStore.getStoreState("messageList"),
+                   "contentType"));
+  });
+
+  it("should replay the redacted values in place of the sensitive ones", function() {
+    var dispatcher = new loop.Dispatcher();
+    var replayedStores = createReplayStores(dispatcher);
+
+    new loop.actionRecorder.ActionReplayer(dispatcher, log).replay();
+
+    expect(replayedStores.activeRoomStore.getStoreState("roomToken"))
+      .eql("__redacted");
+    expect(replayedStores.activeRoomStore.getStoreState("roomUrl"))
+      .eql("__redacted");
+    sinon.assert.calledOnce(replayedStores.sdkDriver.sendTextChatMessage);
+    sinon.assert.calledWithMatch(replayedStores.sdkDriver.sendTextChatMessage, {
+      message: "__redacted",
+      messageId: "fakeId"
+    });
+  });
+});
@@ -59,7 +59,10 @@ describe("loop.conversation", function() {
     fakeWindow = {
       navigator: { mozLoop: navigator.mozLoop },
       close: sinon.stub(),
-      document: {},
+      document: {
+        addEventListener: function() {},
+        removeEventListener: function() {}
+      },
       addEventListener: function() {},
       removeEventListener: function() {}
     };
@@ -42,6 +42,7 @@ describe("loop.panel", function() {
     notifications = new loop.shared.models.NotificationCollection();
 
     fakeMozLoop = navigator.mozLoop = {
+      broadcastAction: sinon.stub(),
       doNotDisturb: true,
       fxAEnabled: true,
       getStrings: function() {
@@ -148,6 +149,17 @@ describe("loop.panel", function() {
       }));
     });
 
+    it("should ask the conversation windows for their call state", function() {
+      loop.panel.init();
+
+      sinon.assert.calledOnce(fakeMozLoop.broadcastAction);
+      sinon.assert.calledWithExactly(fakeMozLoop.broadcastAction, {
+        name: "getActiveRoomCallState",
+        payload: {},
+        roomToken: null
+      });
+    });
+
     it("should dispatch an loopPanelInitialized", function(done) {
       function listener() {
         done();
@@ -761,6 +773,122 @@ describe("loop.panel", function() {
       });
     });
 
+    describe("New folder", function() {
+      var roomEntry;
+
+      beforeEach(function() {
+        sandbox.stub(dispatcher, "dispatch");
+
+        roomEntry = mountRoomEntry({
+          folders: ["Work"],
+          isOpenedRoom: false,
+          room: new loop.store.Room(roomData)
+        });
+        roomEntry.handleNewFolder();
+      });
+
+      it("should show the folder name field", function() {
+        expect(roomEntry.refs.folderInput).to.not.eql(undefined);
+      });
+
+      it("should move the room to the new folder when Enter is pressed", function() {
+        TestUtils.Simulate.keyDown(roomEntry.refs.folderInput.getDOMNode(), {
+          key: "Enter",
+          target: { value: " Holidays " }
+        });
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.MoveRoomToFolder({
+            roomToken: roomData.roomToken,
+            folder: "Holidays"
+          }));
+        expect(roomEntry.refs.folderInput).to.eql(undefined);
+      });
+
+      it("should not move the room without a folder name", function() {
+        TestUtils.Simulate.keyDown(roomEntry.refs.folderInput.getDOMNode(), {
+          key: "Enter",
+          target: { value: " " }
+        });
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+      });
+
+      it("should hide the folder name field when Escape is pressed", function() {
+        TestUtils.Simulate.keyDown(roomEntry.refs.folderInput.getDOMNode(), {
+          key: "Escape"
+        });
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+        expect(roomEntry.refs.folderInput).to.eql(undefined);
+      });
+
+      it("should not open the room when the field is clicked", function() {
+        TestUtils.Simulate.click(roomEntry.refs.folderInput.getDOMNode());
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+      });
+    });
+
+    describe("Expiry", function() {
+      var DAY_SECONDS = 24 * 60 * 60;
+
+      function mountEntryExpiringIn(seconds) {
+        return mountRoomEntry({
+          isOpenedRoom: false,
+          room: new loop.store.Room(_.extend({}, roomData, {
+            expiresAt: Math.floor(Date.now() / 1000) + seconds
+          }))
+        });
+      }
+
+      it("should not display the expiry if the room doesn't have one", function() {
+        var roomEntry = mountRoomEntry({
+          isOpenedRoom: false,
+          room: new loop.store.Room(roomData)
+        });
+
+        expect(roomEntry.refs.expiry).to.eql(undefined);
+      });
+
+      it("should display the number of days left", function() {
+        var roomEntry = mountEntryExpiringIn(10.5 * DAY_SECONDS);
+
+        expect(roomEntry.refs.expiry).to.not.eql(undefined);
+        sinon.assert.calledWithExactly(document.mozL10n.get,
+          "rooms_expires_in_days_label", { num: 10 });
+      });
+
+      it("should display the number of hours left on the last day", function() {
+        mountEntryExpiringIn(5.5 * 60 * 60);
+
+        sinon.assert.calledWithExactly(document.mozL10n.get,
+          "rooms_expires_in_hours_label", { num: 5 });
+      });
+
+      it("should display that the room has expired", function() {
+        mountEntryExpiringIn(-DAY_SECONDS);
+
+        sinon.assert.calledWithExactly(document.mozL10n.get,
+          "rooms_expired_label");
+      });
+
+      it("should highlight rooms that are about to expire", function() {
+        var roomEntry = mountEntryExpiringIn(DAY_SECONDS);
+
+        expect(roomEntry.refs.expiry.getDOMNode().classList
+          .contains("room-entry-expiring")).eql(true);
+      });
+
+      it("should not highlight rooms that aren't about to expire", function() {
+        var roomEntry = mountEntryExpiringIn(10 * DAY_SECONDS);
+
+        expect(roomEntry.refs.expiry.getDOMNode().classList
+          .contains("room-entry-expiring")).eql(false);
+      });
+    });
+
     describe("Room Entry click", function() {
       var roomEntry, roomEntryNode;
 
@@ -861,6 +989,112 @@ describe("loop.panel", function() {
         expect(roomEntry.getDOMNode().textContent).eql("https://fakeurl.com");
       });
     });
+
+    describe("Call controls", function() {
+      var callState;
+
+      beforeEach(function() {
+        sandbox.stub(dispatcher, "dispatch");
+
+        callState = {
+          roomToken: roomData.roomToken,
+          joined: true,
+          audioMuted: false,
+          videoMuted: true,
+          screenSharingState: loop.shared.utils.SCREEN_SHARE_STATES.INACTIVE,
+          participantCount: 2
+        };
+      });
+
+      it("should not render the controls if the room isn't opened", function() {
+        var roomEntry = mountRoomEntry({
+          callState: callState,
+          isOpenedRoom: false,
+          room: new loop.store.Room(roomData)
+        });
+
+        expect(roomEntry.getDOMNode().querySelector(
+          ".room-entry-call-controls")).eql(null);
+      });
+
+      it("should not render the controls without a call state", function() {
+        var roomEntry = mountRoomEntry({
+          isOpenedRoom: true,
+          room: new loop.store.Room(roomData)
+        });
+
+        expect(roomEntry.getDOMNode().querySelector(
+          ".room-entry-call-controls")).eql(null);
+      });
+
+      describe("Opened room", function() {
+        var node;
+
+        beforeEach(function() {
+          node = mountRoomEntry({
+            callState: callState,
+            isOpenedRoom: true,
+            room: new loop.store.Room(roomData)
+          }).getDOMNode();
+        });
+
+        function assertSent(action) {
+          sinon.assert.calledOnce(dispatcher.dispatch);
+          sinon.assert.calledWithExactly(dispatcher.dispatch,
+            new sharedActions.SendToConversationWindow({
+              action: action,
+              roomToken: roomData.roomToken
+            }));
+        }
+
+        it("should reflect the muted state of the call", function() {
+          expect(node.querySelector(".btn-mute-audio").classList
+            .contains("muted")).eql(false);
+          expect(node.querySelector(".btn-mute-video").classList
+            .contains("muted")).eql(true);
+        });
+
+        it("should mute the audio when the audio button is clicked", function() {
+          TestUtils.Simulate.click(node.querySelector(".btn-mute-audio"));
+
+          assertSent(new sharedActions.SetMute({ type: "audio", enabled: false }));
+        });
+
+        it("should unmute the video when the video button is clicked", function() {
+          TestUtils.Simulate.click(node.querySelector(".btn-mute-video"));
+
+          assertSent(new sharedActions.SetMute({ type: "video", enabled: true }));
+        });
+
+        it("should leave the room when the hangup button is clicked", function() {
+          TestUtils.Simulate.click(node.querySelector(".btn-hangup"));
+
+          assertSent(new sharedActions.LeaveRoom());
+        });
+
+        it("should not render the screen share button if not sharing", function() {
+          expect(node.querySelector(".btn-screen-share")).eql(null);
+        });
+      });
+
+      it("should stop screen sharing when the screen share button is clicked", function() {
+        callState.screenSharingState = loop.shared.utils.SCREEN_SHARE_STATES.ACTIVE;
+        var node = mountRoomEntry({
+          callState: callState,
+          isOpenedRoom: true,
+          room: new loop.store.Room(roomData)
+        }).getDOMNode();
+
+        TestUtils.Simulate.click(node.querySelector(".btn-screen-share"));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.SendToConversationWindow({
+            action: new sharedActions.EndScreenShare(),
+            roomToken: roomData.roomToken
+          }));
+      });
+    });
   });
 
   describe("loop.panel.RoomList", function() {
@@ -956,6 +1190,207 @@ describe("loop.panel", function() {
       expect(node.querySelectorAll(".room-entry").length).to.eql(1);
       expect(node.querySelectorAll(".room-opened h2")[0].textContent).to.equal(roomName);
     });
+
+    it("should render the room list controls", function() {
+      roomStore.setStoreState({ rooms: roomList });
+
+      var view = createTestComponent();
+
+      expect(view.getDOMNode().querySelectorAll(".room-list-controls").length)
+        .to.eql(1);
+    });
+
+    it("should not render the room list controls when you're in a room", function() {
+      roomStore.setStoreState({ rooms: roomList, openedRoom: roomList[0].roomToken });
+
+      var view = createTestComponent();
+
+      expect(view.getDOMNode().querySelectorAll(".room-list-controls").length)
+        .to.eql(0);
+    });
+
+    it("should only show the rooms matching the search", function() {
+      roomStore.setStoreState({ rooms: roomList, searchQuery: "second" });
+
+      var view = createTestComponent();
+
+      var node = view.getDOMNode();
+      expect(node.querySelectorAll(".room-entry").length).to.eql(1);
+      expect(node.querySelector(".room-entry h2").textContent)
+        .to.eql("Second Room Name");
+    });
+
+    it("should render the no results view when no rooms match", function() {
+      roomStore.setStoreState({ rooms: roomList, searchQuery: "nothing" });
+
+      var view = createTestComponent();
+
+      var node = view.getDOMNode();
+      expect(node.querySelectorAll(".room-entry").length).to.eql(0);
+      expect(node.querySelector(".room-list-no-results > img").getAttribute("src"))
+        .to.eql("loop/shared/img/empty_search.svg");
+    });
+
+    describe("Pinned rooms and folders", function() {
+      function getListItems(view) {
+        var children = view.getDOMNode().querySelector(".room-list").children;
+        return Array.prototype.map.call(children, function(node) {
+          return node.classList.contains("room-entry") ?
+            node.querySelector("h2").textContent : node.className;
+        });
+      }
+
+      beforeEach(function() {
+        roomData.decryptedContext.folder = "Work";
+        roomData2.decryptedContext.pinned = true;
+        var roomData3 = _.extend({}, roomData, {
+          roomToken: "3jKS_Els9IU",
+          decryptedContext: { roomName: "Third Room Name" },
+          ctime: 1405517416
+        });
+        roomStore.setStoreState({
+          rooms: [
+            new loop.store.Room(roomData),
+            new loop.store.Room(roomData2),
+            new loop.store.Room(roomData3)
+          ]
+        });
+      });
+
+      it("should show the pinned rooms, then the folders, then the other rooms",
+        function() {
+          var view = createTestComponent();
+
+          expect(getListItems(view)).eql([
+            "room-list-section-header",
+            "Second Room Name",
+            "room-list-section-header room-folder-header",
+            "First Room Name",
+            "room-list-section-header",
+            "Third Room Name"
+          ]);
+        });
+
+      it("should mark pinned rooms", function() {
+        var view = createTestComponent();
+
+        expect(view.getDOMNode().querySelectorAll(".room-pinned").length).eql(1);
+      });
+
+      it("should hide the rooms of collapsed folders", function() {
+        roomStore.setStoreState({ collapsedFolders: { Work: true } });
+
+        var view = createTestComponent();
+
+        expect(getListItems(view)).eql([
+          "room-list-section-header",
+          "Second Room Name",
+          "room-list-section-header room-folder-header room-folder-collapsed",
+          "room-list-section-header",
+          "Third Room Name"
+        ]);
+      });
+
+      it("should dispatch a ToggleRoomFolder action when a folder header is clicked",
+        function() {
+          var view = createTestComponent();
+
+          TestUtils.Simulate.click(
+            view.getDOMNode().querySelector(".room-folder-header"));
+
+          sinon.assert.calledWithExactly(dispatch,
+            new sharedActions.ToggleRoomFolder({ folder: "Work" }));
+        });
+
+      it("should not show section headers without pinned rooms or folders",
+        function() {
+          delete roomData.decryptedContext.folder;
+          delete roomData2.decryptedContext.pinned;
+          roomStore.setStoreState({ rooms: roomList });
+
+          var view = createTestComponent();
+
+          expect(view.getDOMNode().querySelectorAll(".room-list-section-header").length)
+            .eql(0);
+        });
+    });
+
+    it("should warn when rooms are about to expire", function() {
+      roomList[1].expiresAt = Math.floor(Date.now() / 1000) + 60 * 60;
+      roomStore.setStoreState({ rooms: roomList });
+
+      var view = createTestComponent();
+
+      expect(view.getDOMNode().querySelectorAll(".room-list-expiry-warning").length)
+        .to.eql(1);
+      sinon.assert.calledWithExactly(document.mozL10n.get,
+        "rooms_expiring_warning", { num: 1 });
+    });
+
+    it("should not warn when no rooms are about to expire", function() {
+      roomList[1].expiresAt = Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
+      roomStore.setStoreState({ rooms: roomList });
+
+      var view = createTestComponent();
+
+      expect(view.getDOMNode().querySelectorAll(".room-list-expiry-warning").length)
+        .to.eql(0);
+    });
+  });
+
+  describe("loop.panel.RoomListControls", function() {
+    var dispatcher, view;
+
+    beforeEach(function() {
+      dispatcher = new loop.Dispatcher();
+      sandbox.stub(dispatcher, "dispatch");
+
+      view = TestUtils.renderIntoDocument(
+        React.createElement(loop.panel.RoomListControls, {
+          dispatcher: dispatcher,
+          filters: { active: false, context: true },
+          searchQuery: "",
+          sortOrder: "lastUsed"
+        }));
+    });
+
+    it("should dispatch a SearchRooms action when the search changes", function() {
+      TestUtils.Simulate.change(view.refs.search.getDOMNode(), {
+        target: { value: "Room" }
+      });
+
+      sinon.assert.calledOnce(dispatcher.dispatch);
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.SearchRooms({ query: "Room" }));
+    });
+
+    it("should dispatch a SortRooms action when the sort order changes", function() {
+      TestUtils.Simulate.change(view.refs.sort.getDOMNode(), {
+        target: { value: "participants" }
+      });
+
+      sinon.assert.calledOnce(dispatcher.dispatch);
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.SortRooms({ sortOrder: "participants" }));
+    });
+
+    it("should show the applied filters as checked", function() {
+      var node = view.getDOMNode();
+
+      expect(node.querySelector(".room-list-filter-active > .checkbox")
+        .classList.contains("checked")).eql(false);
+      expect(node.querySelector(".room-list-filter-context > .checkbox")
+        .classList.contains("checked")).eql(true);
+    });
+
+    it("should dispatch a FilterRooms action when a filter is toggled", function() {
+      TestUtils.Simulate.click(
+        view.getDOMNode().querySelector(".room-list-filter-active"));
+
+      sinon.assert.calledOnce(dispatcher.dispatch);
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.FilterRooms({ filter: "active", enabled: true }));
+    });
   });
 
   describe("loop.panel.NewRoomView", function() {
@@ -1096,14 +1531,22 @@ describe("loop.panel", function() {
   describe("ConversationDropdown", function() {
     var view;
 
-    function createTestComponent() {
+    function createTestComponent(extraProps) {
       return TestUtils.renderIntoDocument(
-        React.createElement(loop.panel.ConversationDropdown, {
+        React.createElement(loop.panel.ConversationDropdown, _.extend({
+          folders: ["Home", "Work"],
+          handleClearHistoryButtonClick: sandbox.stub(),
           handleCopyButtonClick: sandbox.stub(),
           handleDeleteButtonClick: sandbox.stub(),
           handleEmailButtonClick: sandbox.stub(),
-          eventPosY: 0
-        }));
+          handleExportButtonClick: sandbox.stub(),
+          handleMoveToFolderClick: sandbox.stub(),
+          handleNewFolderButtonClick: sandbox.stub(),
+          handlePinButtonClick: sandbox.stub(),
+          handleRenewButtonClick: sandbox.stub(),
+          eventPosY: 0,
+          pinned: false
+        }, extraProps)));
     }
 
     beforeEach(function() {
@@ -1130,6 +1573,79 @@ describe("loop.panel", function() {
 
          sinon.assert.calledOnce(view.props.handleDeleteButtonClick);
        });
+
+    it("should trigger handlePinButtonClick when pin is clicked", function() {
+      TestUtils.Simulate.click(view.refs.pinButton.getDOMNode());
+
+      sinon.assert.calledOnce(view.props.handlePinButtonClick);
+    });
+
+    it("should offer to unpin a pinned room", function() {
+      view = createTestComponent({ pinned: true });
+
+      sinon.assert.calledWithExactly(document.mozL10n.get, "unpin_room_menuitem");
+    });
+
+    it("should trigger handleMoveToFolderClick with the folder when a folder is clicked",
+       function() {
+         TestUtils.Simulate.click(view.refs["folder-Work"].getDOMNode());
+
+         sinon.assert.calledOnce(view.props.handleMoveToFolderClick);
+         sinon.assert.calledWith(view.props.handleMoveToFolderClick,
+           sinon.match.object, "Work");
+       });
+
+    it("should not offer to move the room to its current folder", function() {
+      view = createTestComponent({ currentFolder: "Work" });
+
+      expect(view.refs["folder-Work"]).to.eql(undefined);
+      expect(view.refs["folder-Home"]).to.not.eql(undefined);
+    });
+
+    it("should trigger handleMoveToFolderClick without a folder when remove from folder is clicked",
+       function() {
+         view = createTestComponent({ currentFolder: "Work" });
+
+         TestUtils.Simulate.click(view.refs.removeFromFolderButton.getDOMNode());
+
+         sinon.assert.calledWith(view.props.handleMoveToFolderClick,
+           sinon.match.object, "");
+       });
+
+    it("should not offer to remove a room that isn't in a folder from its folder",
+       function() {
+         expect(view.refs.removeFromFolderButton).to.eql(undefined);
+       });
+
+    it("should trigger handleNewFolderButtonClick when new folder is clicked",
+       function() {
+         TestUtils.Simulate.click(view.refs.newFolderButton.getDOMNode());
+
+         sinon.assert.calledOnce(view.props.handleNewFolderButtonClick);
+       });
+
+    it("should trigger handleRenewButtonClick when keep room is clicked",
+       function() {
+         TestUtils.Simulate.click(view.refs.renewButton.getDOMNode());
+
+         sinon.assert.calledOnce(view.props.handleRenewButtonClick);
+       });
+
+    it("should trigger handleClearHistoryButtonClick when clear history is clicked",
+       function() {
+         TestUtils.Simulate.click(view.refs.clearHistoryButton.getDOMNode());
+
+         sinon.assert.calledOnce(view.props.handleClearHistoryButtonClick);
+       });
+
+    it("should trigger handleExportButtonClick with the format when an export item is clicked",
+       function() {
+         TestUtils.Simulate.click(view.refs["export-html-button"].getDOMNode());
+
+         sinon.assert.calledOnce(view.props.handleExportButtonClick);
+         sinon.assert.calledWith(view.props.handleExportButtonClick,
+           sinon.match.object, "html");
+       });
   });
 
   describe("RoomEntryContextButtons", function() {
@@ -1139,10 +1655,12 @@ describe("loop.panel", function() {
       var props = _.extend({
         dispatcher: dispatcher,
         eventPosY: 0,
+        folders: [],
         showMenu: false,
         room: roomData,
         toggleDropdownMenu: sandbox.stub(),
-        handleClick: sandbox.stub()
+        handleClick: sandbox.stub(),
+        handleNewFolder: sandbox.stub()
       }, extraProps);
       return TestUtils.renderIntoDocument(
         React.createElement(loop.panel.RoomEntryContextButtons, props));
@@ -1201,5 +1719,67 @@ describe("loop.panel", function() {
       sinon.assert.calledWithExactly(dispatcher.dispatch,
         new sharedActions.DeleteRoom({ roomToken: roomData.roomToken }));
     });
+
+    it("should dispatch a clear history action when callback is called", function() {
+      view.handleClearHistoryButtonClick(fakeEvent);
+
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.ClearChatHistory({ roomToken: roomData.roomToken }));
+      sinon.assert.calledOnce(view.props.toggleDropdownMenu);
+    });
+
+    it("should dispatch a pin action when callback is called", function() {
+      view.handlePinButtonClick(fakeEvent);
+
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.PinRoom({ roomToken: roomData.roomToken, pinned: true }));
+      sinon.assert.calledOnce(view.props.toggleDropdownMenu);
+    });
+
+    it("should dispatch an unpin action for a pinned room", function() {
+      roomData.decryptedContext.pinned = true;
+
+      view.handlePinButtonClick(fakeEvent);
+
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.PinRoom({ roomToken: roomData.roomToken, pinned: false }));
+    });
+
+    it("should dispatch a move to folder action when callback is called", function() {
+      view.handleMoveToFolderClick(fakeEvent, "Work");
+
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.MoveRoomToFolder({
+          roomToken: roomData.roomToken,
+          folder: "Work"
+        }));
+      sinon.assert.calledOnce(view.props.toggleDropdownMenu);
+    });
+
+    it("should call handleNewFolder when new folder is chosen", function() {
+      view.handleNewFolderButtonClick(fakeEvent);
+
+      sinon.assert.calledOnce(view.props.handleNewFolder);
+      sinon.assert.calledOnce(view.props.toggleDropdownMenu);
+    });
+
+    it("should dispatch a renew action when callback is called", function() {
+      view.handleRenewButtonClick(fakeEvent);
+
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.RenewRoom({ roomToken: roomData.roomToken }));
+      sinon.assert.calledOnce(view.props.toggleDropdownMenu);
+    });
+
+    it("should dispatch an export history action when callback is called", function() {
+      view.handleExportButtonClick(fakeEvent, "json");
+
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.ExportChatHistory({
+          roomToken: roomData.roomToken,
+          format: "json"
+        }));
+      sinon.assert.calledOnce(view.props.toggleDropdownMenu);
+    });
   });
 });
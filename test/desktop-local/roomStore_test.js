@@ -20,6 +20,7 @@ describe("loop.store.RoomStore", function() {
 
   var sharedActions = loop.shared.actions;
   var sharedUtils = loop.shared.utils;
+  var CHAT_CONTENT_TYPES = loop.shared.utils.CHAT_CONTENT_TYPES;
   var sandbox, dispatcher;
   var fakeRoomList;
 
@@ -100,11 +101,13 @@ describe("loop.store.RoomStore", function() {
         },
         notifyUITour: function() {},
         rooms: {
+          clearChatHistory: function() {},
           create: function() {},
           delete: function() {},
           getAll: function() {},
           open: function() {},
           rename: function() {},
+          update: function() {},
           on: sandbox.stub()
         },
         telemetryAddValue: sinon.stub()
@@ -405,6 +408,177 @@ describe("loop.store.RoomStore", function() {
       });
     });
 
+    describe("#storeError", function() {
+      var failedAction;
+
+      beforeEach(function() {
+        sandbox.stub(dispatcher, "dispatch");
+        failedAction = new sharedActions.CreateRoom({});
+      });
+
+      it("should ignore errors from other stores", function() {
+        store.setStoreState({ pendingCreation: true });
+
+        store.storeError(new sharedActions.StoreError({
+          actionName: "createRoom",
+          failedAction: failedAction,
+          store: {},
+          error: new Error("fake")
+        }));
+
+        expect(store.getStoreState().pendingCreation).eql(true);
+        sinon.assert.notCalled(fakeNotifications.set);
+      });
+
+      it("should clear the pending states and save the error", function() {
+        var error = new Error("fake");
+        store.setStoreState({ pendingCreation: true, savingContext: true });
+
+        store.storeError(new sharedActions.StoreError({
+          actionName: "createRoom",
+          failedAction: failedAction,
+          store: store,
+          error: error
+        }));
+
+        expect(store.getStoreState().pendingCreation).eql(false);
+        expect(store.getStoreState().savingContext).eql(false);
+        expect(store.getStoreState().error).eql(error);
+      });
+
+      it("should set a notification with a retry button", function() {
+        store.storeError(new sharedActions.StoreError({
+          actionName: "createRoom",
+          failedAction: failedAction,
+          store: store,
+          error: new Error("fake")
+        }));
+
+        sinon.assert.calledOnce(fakeNotifications.set);
+        sinon.assert.calledWithMatch(fakeNotifications.set, {
+          id: "store-error",
+          level: "error",
+          detailsButtonLabel: "retry_call_button",
+          detailsButtonCallback: sinon.match.func
+        });
+      });
+
+      it("should retry the failed action in this store when retry is clicked", function() {
+        sandbox.stub(dispatcher, "retry");
+        store.storeError(new sharedActions.StoreError({
+          actionName: "createRoom",
+          failedAction: failedAction,
+          store: store,
+          error: new Error("fake")
+        }));
+
+        fakeNotifications.set.getCall(0).args[0].detailsButtonCallback();
+
+        sinon.assert.calledOnce(fakeNotifications.remove);
+        sinon.assert.calledWithExactly(fakeNotifications.remove, "store-error");
+        sinon.assert.notCalled(dispatcher.dispatch);
+        sinon.assert.calledOnce(dispatcher.retry);
+        sinon.assert.calledWithExactly(dispatcher.retry, store, failedAction);
+      });
+
+      it("should handle not having notifications", function() {
+        store = new loop.store.RoomStore(dispatcher, { mozLoop: fakeMozLoop });
+
+        store.storeError(new sharedActions.StoreError({
+          actionName: "createRoom",
+          failedAction: failedAction,
+          store: store,
+          error: new Error("fake")
+        }));
+
+        sinon.assert.notCalled(fakeNotifications.set);
+      });
+    });
+
+    describe("#clearChatHistory", function() {
+      it("should request the chat history of the room is cleared", function() {
+        sandbox.stub(fakeMozLoop.rooms, "clearChatHistory");
+
+        store.clearChatHistory(new sharedActions.ClearChatHistory({
+          roomToken: "42abc"
+        }));
+
+        sinon.assert.calledOnce(fakeMozLoop.rooms.clearChatHistory);
+        sinon.assert.calledWith(fakeMozLoop.rooms.clearChatHistory, "42abc");
+      });
+
+      it("should log an error if the history can't be cleared", function() {
+        sandbox.stub(console, "error");
+        sandbox.stub(fakeMozLoop.rooms, "clearChatHistory", function(roomToken, cb) {
+          cb(new Error("fake"));
+        });
+
+        store.clearChatHistory(new sharedActions.ClearChatHistory({
+          roomToken: "42abc"
+        }));
+
+        sinon.assert.calledOnce(console.error);
+      });
+    });
+
+    describe("#exportChatHistory", function() {
+      var history;
+
+      beforeEach(function() {
+        history = [{
+          type: "sent",
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello",
+          sentTimestamp: "1970-01-01T00:00:00.000Z"
+        }];
+        fakeMozLoop.rooms.get = sinon.stub().callsArgWith(1, null, {
+          decryptedContext: {
+            roomName: "Fake Room",
+            urls: [{
+              description: "A page",
+              location: "http://example.com/"
+            }]
+          }
+        });
+        fakeMozLoop.rooms.getChatHistory = sinon.stub().callsArgWith(1, null, history);
+        sandbox.stub(loop.shared.utils, "saveChatTranscript");
+      });
+
+      it("should save the room details and the chat history", function() {
+        store.exportChatHistory(new sharedActions.ExportChatHistory({
+          roomToken: "42abc",
+          format: "text"
+        }));
+
+        sinon.assert.calledWith(fakeMozLoop.rooms.getChatHistory, "42abc");
+        sinon.assert.calledOnce(loop.shared.utils.saveChatTranscript);
+        sinon.assert.calledWithExactly(loop.shared.utils.saveChatTranscript, [{
+          type: "special",
+          contentType: CHAT_CONTENT_TYPES.ROOM_NAME,
+          message: "Fake Room"
+        }, {
+          type: "special",
+          contentType: CHAT_CONTENT_TYPES.CONTEXT,
+          message: "A page",
+          extraData: { location: "http://example.com/" }
+        }].concat(history), "text", fakeMozLoop);
+      });
+
+      it("should log an error if the history can't be loaded", function() {
+        sandbox.stub(console, "error");
+        fakeMozLoop.rooms.getChatHistory = sinon.stub().callsArgWith(1,
+          new Error("fake"));
+
+        store.exportChatHistory(new sharedActions.ExportChatHistory({
+          roomToken: "42abc",
+          format: "text"
+        }));
+
+        sinon.assert.calledOnce(console.error);
+        sinon.assert.notCalled(loop.shared.utils.saveChatTranscript);
+      });
+    });
+
     describe("#deleteRoom", function() {
       var fakeRoomToken = "42abc";
 
@@ -469,6 +643,147 @@ describe("loop.store.RoomStore", function() {
       });
     });
 
+    describe("#renewRoom", function() {
+      var fakeRoomToken = "_nxD4V4FflQ";
+
+      beforeEach(function() {
+        sandbox.stub(dispatcher, "dispatch");
+        store.setStoreState({ rooms: store._processRoomList(fakeRoomList) });
+      });
+
+      it("should request a new expiry time for the room", function() {
+        sandbox.stub(fakeMozLoop.rooms, "update");
+
+        store.renewRoom(new sharedActions.RenewRoom({
+          roomToken: fakeRoomToken
+        }));
+
+        sinon.assert.calledOnce(fakeMozLoop.rooms.update);
+        sinon.assert.calledWith(fakeMozLoop.rooms.update, fakeRoomToken, {
+          expiresIn: loop.store.ROOM_RENEWAL_EXPIRES_IN
+        });
+      });
+
+      it("should remove any previous renewal error notification", function() {
+        store.renewRoom(new sharedActions.RenewRoom({
+          roomToken: fakeRoomToken
+        }));
+
+        sinon.assert.calledWithExactly(fakeNotifications.remove,
+          "renew-room-error");
+      });
+
+      it("should update the room list with the renewed room", function() {
+        var renewedRoom = _.extend({}, fakeRoomList[0], { expiresAt: 1410000000 });
+        sandbox.stub(fakeMozLoop.rooms, "update", function(roomToken, roomData, cb) {
+          cb(null, renewedRoom);
+        });
+
+        store.renewRoom(new sharedActions.RenewRoom({
+          roomToken: fakeRoomToken
+        }));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithMatch(dispatcher.dispatch, {
+          name: "updateRoomList"
+        });
+        var roomList = dispatcher.dispatch.getCall(0).args[0].roomList;
+        expect(_.findWhere(roomList, { roomToken: fakeRoomToken }))
+          .eql(renewedRoom);
+      });
+
+      it("should dispatch a RenewRoomError action if the operation fails", function() {
+        var err = new Error("fake");
+        sandbox.stub(fakeMozLoop.rooms, "update", function(roomToken, roomData, cb) {
+          cb(err);
+        });
+
+        store.renewRoom(new sharedActions.RenewRoom({
+          roomToken: fakeRoomToken
+        }));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.RenewRoomError({
+            error: err
+          }));
+      });
+    });
+
+    describe("#renewRoomError", function() {
+      beforeEach(function() {
+        sandbox.stub(document.mozL10n, "get", function(x) {
+          return x;
+        });
+      });
+
+      it("should save the error", function() {
+        var err = new Error("fake");
+
+        store.renewRoomError(new sharedActions.RenewRoomError({ error: err }));
+
+        expect(store.getStoreState().error).eql(err);
+      });
+
+      it("should notify the user that the room couldn't be kept", function() {
+        store.renewRoomError(new sharedActions.RenewRoomError({
+          error: { code: 503, errno: 201 }
+        }));
+
+        sinon.assert.calledOnce(fakeNotifications.set);
+        sinon.assert.calledWithExactly(fakeNotifications.set, {
+          id: "renew-room-error",
+          level: "error",
+          message: "rooms_renew_failure_message"
+        });
+      });
+
+      it("should notify the user when the room has already expired", function() {
+        store.renewRoomError(new sharedActions.RenewRoomError({
+          error: { code: 404, errno: sharedUtils.REST_ERRNOS.INVALID_TOKEN }
+        }));
+
+        sinon.assert.calledOnce(fakeNotifications.set);
+        sinon.assert.calledWithMatch(fakeNotifications.set, {
+          id: "renew-room-error",
+          message: "rooms_renew_expired_error"
+        });
+      });
+    });
+
+    describe("#updateRoomContextError", function() {
+      beforeEach(function() {
+        sandbox.stub(document.mozL10n, "get", function(x) {
+          return x;
+        });
+      });
+
+      it("should save the error and stop saving the context", function() {
+        var err = new Error("fake");
+        store.setStoreState({ savingContext: true });
+
+        store.updateRoomContextError(new sharedActions.UpdateRoomContextError({
+          error: err
+        }));
+
+        expect(store.getStoreState().error).eql(err);
+        expect(store.getStoreState().savingContext).eql(false);
+      });
+
+      it("should notify the user that the context couldn't be saved", function() {
+        store.updateRoomContextError(new sharedActions.UpdateRoomContextError({
+          error: new Error("fake")
+        }));
+
+        sinon.assert.calledOnce(fakeNotifications.set);
+        sinon.assert.calledWithExactly(fakeNotifications.set, {
+          id: "update-room-context-error",
+          level: "error",
+          message: "rooms_change_failed_label"
+        });
+      });
+    });
+
     describe("#copyRoomUrl", function() {
       it("should copy the room URL", function() {
         var copyString = sandbox.stub(fakeMozLoop, "copyString");
@@ -704,6 +1019,440 @@ describe("loop.store.RoomStore", function() {
 
           activeRoomStore.setStoreState({ serverData: {} });
         });
+
+      describe("Call state", function() {
+        var ROOM_STATES = loop.store.ROOM_STATES;
+
+        beforeEach(function() {
+          sandbox.stub(dispatcher, "dispatch");
+        });
+
+        it("should dispatch the call state when the active room changes", function() {
+          activeRoomStore.setStoreState({
+            audioMuted: true,
+            participants: [{}, {}],
+            roomState: ROOM_STATES.HAS_PARTICIPANTS,
+            roomToken: "fakeToken"
+          });
+
+          sinon.assert.calledOnce(dispatcher.dispatch);
+          sinon.assert.calledWithExactly(dispatcher.dispatch,
+            new sharedActions.ActiveRoomCallState({
+              roomToken: "fakeToken",
+              joined: true,
+              audioMuted: true,
+              videoMuted: false,
+              screenSharingState: sharedUtils.SCREEN_SHARE_STATES.INACTIVE,
+              participantCount: 2
+            }));
+        });
+
+        it("should not dispatch the call state if it hasn't changed", function() {
+          activeRoomStore.setStoreState({
+            roomState: ROOM_STATES.JOINED,
+            roomToken: "fakeToken"
+          });
+          dispatcher.dispatch.reset();
+
+          activeRoomStore.setStoreState({ serverData: {} });
+
+          sinon.assert.notCalled(dispatcher.dispatch);
+        });
+
+        it("should not dispatch the call state without a room token", function() {
+          activeRoomStore.setStoreState({ roomState: ROOM_STATES.GATHER });
+
+          sinon.assert.notCalled(dispatcher.dispatch);
+        });
+
+        it("should dispatch the call state when requested", function() {
+          activeRoomStore.setStoreState({
+            roomState: ROOM_STATES.READY,
+            roomToken: "fakeToken"
+          });
+          dispatcher.dispatch.reset();
+
+          fakeStore.getActiveRoomCallState();
+
+          sinon.assert.calledOnce(dispatcher.dispatch);
+          sinon.assert.calledWithMatch(dispatcher.dispatch, {
+            name: "activeRoomCallState",
+            joined: false
+          });
+        });
+      });
+    });
+
+    describe("Room list prefs", function() {
+      it("should default to listing the most recently used rooms unfiltered", function() {
+        expect(store.getStoreState().sortOrder)
+          .eql(sharedUtils.ROOM_SORT_ORDERS.LAST_USED);
+        expect(store.getStoreState().filters).eql({
+          active: false,
+          context: false
+        });
+      });
+
+      it("should restore the sort order and filters from the prefs", function() {
+        fakeMozLoop.getLoopPref = function(pref) {
+          return {
+            "rooms.sortOrder": "name",
+            "rooms.filter.context": true
+          }[pref] || null;
+        };
+
+        store = new loop.store.RoomStore(dispatcher, { mozLoop: fakeMozLoop });
+
+        expect(store.getStoreState().sortOrder).eql("name");
+        expect(store.getStoreState().filters).eql({
+          active: false,
+          context: true
+        });
+      });
+
+      it("should restore the collapsed folders from the prefs", function() {
+        fakeMozLoop.getLoopPref = function(pref) {
+          return {
+            "rooms.collapsedFolders": JSON.stringify(["Work", 1, "Home"])
+          }[pref] || null;
+        };
+
+        store = new loop.store.RoomStore(dispatcher, { mozLoop: fakeMozLoop });
+
+        expect(store.getStoreState().collapsedFolders).eql({
+          Home: true,
+          Work: true
+        });
+      });
+
+      it("should not collapse any folders if the pref isn't valid", function() {
+        fakeMozLoop.getLoopPref = function(pref) {
+          return {
+            "rooms.collapsedFolders": "{"
+          }[pref] || null;
+        };
+
+        store = new loop.store.RoomStore(dispatcher, { mozLoop: fakeMozLoop });
+
+        expect(store.getStoreState().collapsedFolders).eql({});
+      });
+    });
+
+    describe("#searchRooms", function() {
+      it("should save the search query", function() {
+        store.searchRooms(new sharedActions.SearchRooms({ query: "Room" }));
+
+        expect(store.getStoreState().searchQuery).eql("Room");
+      });
+    });
+
+    describe("#sortRooms", function() {
+      beforeEach(function() {
+        fakeMozLoop.setLoopPref = sinon.stub();
+      });
+
+      it("should save the sort order", function() {
+        store.sortRooms(new sharedActions.SortRooms({ sortOrder: "created" }));
+
+        expect(store.getStoreState().sortOrder).eql("created");
+      });
+
+      it("should persist the sort order", function() {
+        store.sortRooms(new sharedActions.SortRooms({ sortOrder: "created" }));
+
+        sinon.assert.calledOnce(fakeMozLoop.setLoopPref);
+        sinon.assert.calledWithExactly(fakeMozLoop.setLoopPref,
+          "rooms.sortOrder", "created", 32);
+      });
+    });
+
+    describe("#filterRooms", function() {
+      beforeEach(function() {
+        fakeMozLoop.setLoopPref = sinon.stub();
+      });
+
+      it("should apply the filter", function() {
+        store.filterRooms(new sharedActions.FilterRooms({
+          filter: "active",
+          enabled: true
+        }));
+
+        expect(store.getStoreState().filters).eql({
+          active: true,
+          context: false
+        });
+      });
+
+      it("should persist the filter", function() {
+        store.filterRooms(new sharedActions.FilterRooms({
+          filter: "context",
+          enabled: true
+        }));
+
+        sinon.assert.calledOnce(fakeMozLoop.setLoopPref);
+        sinon.assert.calledWithExactly(fakeMozLoop.setLoopPref,
+          "rooms.filter.context", true, 128);
+      });
+    });
+
+    describe("#pinRoom", function() {
+      beforeEach(function() {
+        sandbox.stub(dispatcher, "dispatch");
+        store.setStoreState({ rooms: store._processRoomList(fakeRoomList) });
+      });
+
+      it("should save the pinned state of the room", function() {
+        sandbox.stub(fakeMozLoop.rooms, "update");
+
+        store.pinRoom(new sharedActions.PinRoom({
+          roomToken: "_nxD4V4FflQ",
+          pinned: true
+        }));
+
+        sinon.assert.calledOnce(fakeMozLoop.rooms.update);
+        sinon.assert.calledWith(fakeMozLoop.rooms.update, "_nxD4V4FflQ", {
+          pinned: true
+        });
+      });
+
+      it("should update the room list with the pinned room", function() {
+        var pinnedRoom = _.extend({}, fakeRoomList[0], {
+          decryptedContext: { pinned: true }
+        });
+        sandbox.stub(fakeMozLoop.rooms, "update", function(roomToken, roomData, cb) {
+          cb(null, pinnedRoom);
+        });
+
+        store.pinRoom(new sharedActions.PinRoom({
+          roomToken: "_nxD4V4FflQ",
+          pinned: true
+        }));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        var roomList = dispatcher.dispatch.getCall(0).args[0].roomList;
+        expect(_.findWhere(roomList, { roomToken: "_nxD4V4FflQ" })).eql(pinnedRoom);
+      });
+
+      it("should dispatch an UpdateRoomContextError action if the operation fails",
+        function() {
+          var err = new Error("fake");
+          sandbox.stub(fakeMozLoop.rooms, "update", function(roomToken, roomData, cb) {
+            cb(err);
+          });
+
+          store.pinRoom(new sharedActions.PinRoom({
+            roomToken: "_nxD4V4FflQ",
+            pinned: true
+          }));
+
+          sinon.assert.calledOnce(dispatcher.dispatch);
+          sinon.assert.calledWithExactly(dispatcher.dispatch,
+            new sharedActions.UpdateRoomContextError({ error: err }));
+        });
+    });
+
+    describe("#moveRoomToFolder", function() {
+      it("should save the folder of the room", function() {
+        sandbox.stub(fakeMozLoop.rooms, "update");
+
+        store.moveRoomToFolder(new sharedActions.MoveRoomToFolder({
+          roomToken: "_nxD4V4FflQ",
+          folder: " Work "
+        }));
+
+        sinon.assert.calledOnce(fakeMozLoop.rooms.update);
+        sinon.assert.calledWith(fakeMozLoop.rooms.update, "_nxD4V4FflQ", {
+          folder: "Work"
+        });
+      });
+    });
+
+    describe("#toggleRoomFolder", function() {
+      beforeEach(function() {
+        fakeMozLoop.setLoopPref = sinon.stub();
+      });
+
+      it("should collapse an expanded folder", function() {
+        store.toggleRoomFolder(new sharedActions.ToggleRoomFolder({
+          folder: "Work"
+        }));
+
+        expect(store.getStoreState().collapsedFolders).eql({ Work: true });
+      });
+
+      it("should expand a collapsed folder", function() {
+        store.setStoreState({ collapsedFolders: { Home: true, Work: true } });
+
+        store.toggleRoomFolder(new sharedActions.ToggleRoomFolder({
+          folder: "Work"
+        }));
+
+        expect(store.getStoreState().collapsedFolders).eql({ Home: true });
+      });
+
+      it("should persist the collapsed folders", function() {
+        store.setStoreState({ collapsedFolders: { Home: true } });
+
+        store.toggleRoomFolder(new sharedActions.ToggleRoomFolder({
+          folder: "Work"
+        }));
+
+        sinon.assert.calledOnce(fakeMozLoop.setLoopPref);
+        sinon.assert.calledWithExactly(fakeMozLoop.setLoopPref,
+          "rooms.collapsedFolders", JSON.stringify(["Home", "Work"]), 32);
+      });
+    });
+
+    describe("RoomStore.getRoomFolders", function() {
+      it("should list the folders of the rooms once, in alphabetical order",
+        function() {
+          var folders = loop.store.RoomStore.getRoomFolders({
+            rooms: [
+              { decryptedContext: { folder: "Work" } },
+              { decryptedContext: {} },
+              { decryptedContext: { folder: "Home" } },
+              { decryptedContext: { folder: "Work" } }
+            ]
+          });
+
+          expect(folders).eql(["Home", "Work"]);
+        });
+    });
+
+    describe("RoomStore.getVisibleRooms", function() {
+      var getVisibleRooms = loop.store.RoomStore.getVisibleRooms;
+
+      function getVisibleTokens() {
+        return getVisibleRooms(store.getStoreState()).map(function(room) {
+          return room.roomToken;
+        });
+      }
+
+      beforeEach(function() {
+        store.setStoreState({
+          filters: { active: false, context: false },
+          rooms: [{
+            roomToken: "a",
+            decryptedContext: { roomName: "Bravo" },
+            participants: [],
+            creationTime: 100,
+            ctime: 300
+          }, {
+            roomToken: "b",
+            decryptedContext: {
+              roomName: "Alpha",
+              urls: [{
+                description: "Hello World",
+                location: "https://example.com/"
+              }]
+            },
+            participants: [{}, {}],
+            creationTime: 300,
+            ctime: 200
+          }, {
+            roomToken: "c",
+            decryptedContext: { roomName: "Charlie" },
+            participants: [{}],
+            creationTime: 200,
+            ctime: 100
+          }],
+          searchQuery: "",
+          sortOrder: sharedUtils.ROOM_SORT_ORDERS.LAST_USED
+        });
+      });
+
+      it("should list the most recently used rooms first", function() {
+        expect(getVisibleTokens()).eql(["a", "b", "c"]);
+      });
+
+      it("should list the most recently created rooms first", function() {
+        store.setStoreState({ sortOrder: "created" });
+
+        expect(getVisibleTokens()).eql(["b", "c", "a"]);
+      });
+
+      it("should list the rooms by name", function() {
+        store.setStoreState({ sortOrder: "name" });
+
+        expect(getVisibleTokens()).eql(["b", "a", "c"]);
+      });
+
+      it("should list the rooms with the most participants first", function() {
+        store.setStoreState({ sortOrder: "participants" });
+
+        expect(getVisibleTokens()).eql(["b", "c", "a"]);
+      });
+
+      it("should match the search query against the room name", function() {
+        store.setStoreState({ searchQuery: "charl" });
+
+        expect(getVisibleTokens()).eql(["c"]);
+      });
+
+      it("should match the search query against the context description", function() {
+        store.setStoreState({ searchQuery: "hello" });
+
+        expect(getVisibleTokens()).eql(["b"]);
+      });
+
+      it("should match the search query against the context location", function() {
+        store.setStoreState({ searchQuery: "example.com" });
+
+        expect(getVisibleTokens()).eql(["b"]);
+      });
+
+      it("should only list rooms with people in them", function() {
+        store.setStoreState({ filters: { active: true, context: false } });
+
+        expect(getVisibleTokens()).eql(["b", "c"]);
+      });
+
+      it("should only list rooms with context", function() {
+        store.setStoreState({ filters: { active: false, context: true } });
+
+        expect(getVisibleTokens()).eql(["b"]);
+      });
+    });
+
+    describe("#getActiveRoomCallState", function() {
+      it("should do nothing without an active room store", function() {
+        sandbox.stub(dispatcher, "dispatch");
+
+        store.getActiveRoomCallState();
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+      });
+    });
+
+    describe("#activeRoomCallState", function() {
+      var callState;
+
+      beforeEach(function() {
+        callState = {
+          roomToken: "fakeToken",
+          joined: true,
+          audioMuted: false,
+          videoMuted: true,
+          screenSharingState: sharedUtils.SCREEN_SHARE_STATES.ACTIVE,
+          participantCount: 1
+        };
+        store.setStoreState({ callStates: {} });
+      });
+
+      it("should store the call state of joined rooms", function() {
+        store.activeRoomCallState(new sharedActions.ActiveRoomCallState(callState));
+
+        expect(store.getStoreState("callStates")).eql({ fakeToken: callState });
+      });
+
+      it("should remove the call state of rooms that aren't joined", function() {
+        store.activeRoomCallState(new sharedActions.ActiveRoomCallState(callState));
+
+        store.activeRoomCallState(new sharedActions.ActiveRoomCallState(
+          _.extend({}, callState, { joined: false })));
+
+        expect(store.getStoreState("callStates")).eql({});
+      });
     });
   });
 
@@ -712,6 +1461,7 @@ describe("loop.store.RoomStore", function() {
 
     beforeEach(function() {
       fakeMozLoop = {
+        getLoopPref: function() {},
         rooms: {
           open: sinon.spy()
         }
@@ -733,6 +1483,7 @@ describe("loop.store.RoomStore", function() {
     beforeEach(function() {
       clock = sinon.useFakeTimers();
       fakeMozLoop = {
+        getLoopPref: function() {},
         rooms: {
           get: sinon.stub().callsArgWith(1, null, {
             roomToken: "42abc",
@@ -817,9 +1568,11 @@ describe("loop.store.RoomStore", function() {
         roomToken: "42abc",
         // Room name doesn't need to change.
         newRoomName: "sillier name",
-        newRoomDescription: "Hello, is it me you're looking for?",
-        newRoomThumbnail: "http://example.com/empty.gif",
-        newRoomURL: "http://example.com"
+        newRoomURLs: [{
+          description: "Hello, is it me you're looking for?",
+          location: "http://example.com",
+          thumbnail: "http://example.com/empty.gif"
+        }]
       }));
 
       sinon.assert.calledOnce(fakeMozLoop.rooms.update);
@@ -832,6 +1585,124 @@ describe("loop.store.RoomStore", function() {
       });
     });
 
+    it("should save all the links in order", function() {
+      fakeMozLoop.rooms.update = sinon.spy();
+
+      dispatcher.dispatch(new sharedActions.UpdateRoomContext({
+        roomToken: "42abc",
+        newRoomName: "sillier name",
+        newRoomURLs: [{
+          description: " Second ",
+          location: " http://example.com/second "
+        }, {
+          description: "",
+          location: "",
+          thumbnail: ""
+        }, {
+          description: "First",
+          location: "http://example.com/first",
+          thumbnail: ""
+        }]
+      }));
+
+      sinon.assert.calledOnce(fakeMozLoop.rooms.update);
+      sinon.assert.calledWith(fakeMozLoop.rooms.update, "42abc", {
+        urls: [{
+          description: "Second",
+          location: "http://example.com/second"
+        }, {
+          description: "First",
+          location: "http://example.com/first"
+        }]
+      });
+    });
+
+    it("should save a reordered list of links", function() {
+      fakeMozLoop.rooms.get = sinon.stub().callsArgWith(1, null, {
+        roomToken: "42abc",
+        decryptedContext: {
+          roomName: "sillier name",
+          urls: [{
+            location: "http://example.com/first"
+          }, {
+            location: "http://example.com/second"
+          }]
+        }
+      });
+      fakeMozLoop.rooms.update = sinon.spy();
+
+      dispatcher.dispatch(new sharedActions.UpdateRoomContext({
+        roomToken: "42abc",
+        newRoomName: "sillier name",
+        newRoomURLs: [{
+          location: "http://example.com/second"
+        }, {
+          location: "http://example.com/first"
+        }]
+      }));
+
+      sinon.assert.calledOnce(fakeMozLoop.rooms.update);
+      sinon.assert.calledWith(fakeMozLoop.rooms.update, "42abc", {
+        urls: [{
+          location: "http://example.com/second"
+        }, {
+          location: "http://example.com/first"
+        }]
+      });
+    });
+
+    it("should remove all the links when an empty list is provided", function() {
+      fakeMozLoop.rooms.get = sinon.stub().callsArgWith(1, null, {
+        roomToken: "42abc",
+        decryptedContext: {
+          roomName: "sillier name",
+          urls: [{
+            location: "http://example.com/first"
+          }]
+        }
+      });
+      fakeMozLoop.rooms.update = sinon.spy();
+
+      dispatcher.dispatch(new sharedActions.UpdateRoomContext({
+        roomToken: "42abc",
+        newRoomName: "sillier name",
+        newRoomURLs: []
+      }));
+
+      sinon.assert.calledOnce(fakeMozLoop.rooms.update);
+      sinon.assert.calledWith(fakeMozLoop.rooms.update, "42abc", {
+        urls: []
+      });
+    });
+
+    it("should not save the links when they haven't changed", function() {
+      fakeMozLoop.rooms.get = sinon.stub().callsArgWith(1, null, {
+        roomToken: "42abc",
+        decryptedContext: {
+          roomName: "sillier name",
+          urls: [{
+            description: "First",
+            location: "http://example.com/first"
+          }]
+        }
+      });
+      fakeMozLoop.rooms.update = sinon.spy();
+
+      dispatcher.dispatch(new sharedActions.UpdateRoomContext({
+        roomToken: "42abc",
+        newRoomName: "sillier name",
+        newRoomURLs: [{
+          description: "First",
+          location: "http://example.com/first",
+          thumbnail: ""
+        }]
+      }));
+      clock.tick(1);
+
+      sinon.assert.notCalled(fakeMozLoop.rooms.update);
+      expect(store.getStoreState().savingContext).to.eql(false);
+    });
+
     it("should not save context information with an invalid URL", function() {
       fakeMozLoop.rooms.update = sinon.spy();
 
@@ -839,17 +1710,51 @@ describe("loop.store.RoomStore", function() {
         roomToken: "42abc",
         // Room name doesn't need to change.
         newRoomName: "sillier name",
-        newRoomDescription: "Hello, is it me you're looking for?",
-        newRoomThumbnail: "http://example.com/empty.gif",
-        // NOTE: there are many variation we could test here, but the URL object
-        // constructor also fails on empty strings and is using the Gecko URL
-        // parser. Therefore we ought to rely on it working properly.
-        newRoomURL: "http/example.com"
+        newRoomURLs: [{
+          description: "Hello, is it me you're looking for?",
+          location: "http://example.com",
+          thumbnail: "http://example.com/empty.gif"
+        }, {
+          description: "Hello, is it me you're looking for?",
+          // NOTE: there are many variation we could test here, but the URL object
+          // constructor also fails on empty strings and is using the Gecko URL
+          // parser. Therefore we ought to rely on it working properly.
+          location: "http/example.com"
+        }]
       }));
 
       sinon.assert.notCalled(fakeMozLoop.rooms.update);
     });
 
+    it("should not save the room name either if a link is invalid", function() {
+      fakeMozLoop.rooms.update = sinon.spy();
+
+      dispatcher.dispatch(new sharedActions.UpdateRoomContext({
+        roomToken: "42abc",
+        newRoomName: "silly name",
+        newRoomURLs: [{
+          location: "http/example.com"
+        }]
+      }));
+
+      sinon.assert.notCalled(fakeMozLoop.rooms.update);
+    });
+
+    it("should report an error if a link is invalid", function() {
+      fakeMozLoop.rooms.update = sinon.spy();
+
+      dispatcher.dispatch(new sharedActions.UpdateRoomContext({
+        roomToken: "42abc",
+        newRoomName: "silly name",
+        newRoomURLs: [{
+          location: "http/example.com"
+        }]
+      }));
+
+      expect(store.getStoreState().error).to.be.an.instanceOf(Error);
+      expect(store.getStoreState().savingContext).eql(false);
+    });
+
     it("should not save context information when no context information is provided",
       function() {
         fakeMozLoop.rooms.update = sinon.spy();
@@ -858,9 +1763,11 @@ describe("loop.store.RoomStore", function() {
           roomToken: "42abc",
           // Room name doesn't need to change.
           newRoomName: "sillier name",
-          newRoomDescription: "",
-          newRoomThumbnail: "",
-          newRoomURL: ""
+          newRoomURLs: [{
+            description: "",
+            location: "",
+            thumbnail: ""
+          }]
         }));
         clock.tick(1);
 
@@ -52,7 +52,10 @@ describe("loop.roomViews", function() {
 
     fakeWindow = {
       close: sinon.stub(),
-      document: {},
+      document: {
+        addEventListener: function() {},
+        removeEventListener: function() {}
+      },
       navigator: {
         mozLoop: fakeMozLoop
       },
@@ -342,6 +345,38 @@ describe("loop.roomViews", function() {
         React.createElement(loop.roomViews.DesktopRoomConversationView, props));
     }
 
+    it("should render the notification list when notifications are passed", function() {
+      fakeWindow.document.addEventListener = sandbox.stub();
+      fakeWindow.document.removeEventListener = sandbox.stub();
+
+      view = mountTestComponent({
+        notifications: new loop.shared.models.NotificationCollection()
+      });
+
+      TestUtils.findRenderedComponentWithType(view,
+        loop.shared.views.NotificationListView);
+    });
+
+    it("should not render for store changes it doesn't use", function() {
+      view = mountTestComponent();
+      sandbox.spy(view, "render");
+
+      activeRoomStore.setStoreState({
+        remoteVideoDimensions: { camera: { width: 640, height: 480 } }
+      });
+
+      sinon.assert.notCalled(view.render);
+    });
+
+    it("should render for store changes it uses", function() {
+      view = mountTestComponent();
+      sandbox.spy(view, "render");
+
+      activeRoomStore.setStoreState({ roomName: "fakeName" });
+
+      sinon.assert.calledOnce(view.render);
+    });
+
     it("should NOT show the context menu on right click", function() {
       var prevent = sandbox.stub();
       view = mountTestComponent();
@@ -590,7 +625,7 @@ describe("loop.roomViews", function() {
          function() {
            activeRoomStore.setStoreState({
              roomState: ROOM_STATES.HAS_PARTICIPANTS,
-             remoteSrcMediaElement: null
+             remoteMedia: {}
            });
 
            view = mountTestComponent();
@@ -603,7 +638,9 @@ describe("loop.roomViews", function() {
          function() {
            activeRoomStore.setStoreState({
              roomState: ROOM_STATES.HAS_PARTICIPANTS,
-             remoteSrcMediaElement: { fake: "video" }
+             remoteMedia: {
+               remoteUser: { srcMediaElement: { fake: "video" }, videoEnabled: false }
+             }
            });
 
            view = mountTestComponent();
@@ -617,7 +654,9 @@ describe("loop.roomViews", function() {
           activeRoomStore.setStoreState({
             roomState: ROOM_STATES.HAS_PARTICIPANTS,
             mediaConnected: true,
-            remoteVideoEnabled: false
+            remoteMedia: {
+              remoteUser: { srcMediaElement: null, videoEnabled: false }
+            }
           });
 
           view = mountTestComponent();
@@ -629,8 +668,9 @@ describe("loop.roomViews", function() {
         activeRoomStore.setStoreState({
           roomState: ROOM_STATES.HAS_PARTICIPANTS,
           mediaConnected: true,
-          remoteVideoEnabled: true,
-          remoteSrcMediaElement: { fake: 1 }
+          remoteMedia: {
+            remoteUser: { srcMediaElement: { fake: 1 }, videoEnabled: true }
+          }
         });
 
         view = mountTestComponent();
@@ -638,6 +678,22 @@ describe("loop.roomViews", function() {
         expect(view.getDOMNode().querySelector(".remote video")).not.eql(null);
       });
 
+      it("should display the remote streams in a grid when there are several participants", function() {
+        activeRoomStore.setStoreState({
+          roomState: ROOM_STATES.HAS_PARTICIPANTS,
+          mediaConnected: true,
+          remoteMedia: {
+            remoteUser: { srcMediaElement: { fake: 1 }, videoEnabled: true },
+            remoteUser2: { srcMediaElement: { fake: 2 }, videoEnabled: false }
+          }
+        });
+
+        view = mountTestComponent();
+
+        expect(view.getDOMNode().querySelectorAll(".remote-grid-item"))
+          .to.have.length.of(2);
+      });
+
       it("should display an avatar for local video when the stream is muted", function() {
         activeRoomStore.setStoreState({
           videoMuted: true
@@ -901,9 +957,11 @@ describe("loop.roomViews", function() {
             new sharedActions.UpdateRoomContext({
               roomToken: "fakeToken",
               newRoomName: "reallyFake",
-              newRoomDescription: fakeContextURL.description,
-              newRoomURL: fakeContextURL.location,
-              newRoomThumbnail: fakeContextURL.thumbnail
+              newRoomURLs: [{
+                description: fakeContextURL.description,
+                location: fakeContextURL.location,
+                thumbnail: fakeContextURL.thumbnail
+              }]
             }));
         });
 
@@ -920,12 +978,78 @@ describe("loop.roomViews", function() {
             new sharedActions.UpdateRoomContext({
               roomToken: "fakeToken",
               newRoomName: "reallyFake",
-              newRoomDescription: fakeContextURL.description,
-              newRoomURL: fakeContextURL.location,
-              newRoomThumbnail: fakeContextURL.thumbnail
+              newRoomURLs: [{
+                description: fakeContextURL.description,
+                location: fakeContextURL.location,
+                thumbnail: fakeContextURL.thumbnail
+              }]
             }));
         });
 
+      it("should add a new link to the list", function() {
+        var node = view.getDOMNode();
+        TestUtils.Simulate.click(node.querySelector(".room-context-add-url"));
+        TestUtils.Simulate.change(node.querySelector(".room-context-url"), {
+          target: { value: "http://example.com/second" }
+        });
+
+        TestUtils.Simulate.click(node.querySelector(".button-accept"));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        expect(dispatcher.dispatch.lastCall.args[0].newRoomURLs).eql([{
+          description: fakeContextURL.description,
+          location: fakeContextURL.location,
+          thumbnail: fakeContextURL.thumbnail
+        }, {
+          description: "",
+          location: "http://example.com/second",
+          thumbnail: ""
+        }]);
+      });
+
+      it("should render an entry for every link", function() {
+        var node = view.getDOMNode();
+        TestUtils.Simulate.click(node.querySelector(".room-context-add-url"));
+        TestUtils.Simulate.change(node.querySelector(".room-context-url"), {
+          target: { value: "http://example.com/second" }
+        });
+
+        var entries = node.querySelectorAll(".room-context-url-entry");
+        expect(entries.length).eql(2);
+        expect(entries[1].classList.contains("selected")).eql(true);
+        expect(entries[1].querySelector(".room-context-url-entry-title").textContent)
+          .eql("http://example.com/second");
+      });
+
+      it("should move a link up the list", function() {
+        var node = view.getDOMNode();
+        TestUtils.Simulate.click(node.querySelector(".room-context-add-url"));
+        TestUtils.Simulate.change(node.querySelector(".room-context-url"), {
+          target: { value: "http://example.com/second" }
+        });
+
+        var entries = node.querySelectorAll(".room-context-url-entry");
+        TestUtils.Simulate.click(entries[1].querySelector(".room-context-url-move-up"));
+        TestUtils.Simulate.click(node.querySelector(".button-accept"));
+
+        var newRoomURLs = dispatcher.dispatch.lastCall.args[0].newRoomURLs;
+        expect(newRoomURLs[0].location).eql("http://example.com/second");
+        expect(newRoomURLs[1].location).eql(fakeContextURL.location);
+        // The moved link stays selected.
+        expect(node.querySelector(".room-context-url").value)
+          .eql("http://example.com/second");
+      });
+
+      it("should remove a link from the list", function() {
+        var node = view.getDOMNode();
+        TestUtils.Simulate.click(node.querySelector(".room-context-url-remove"));
+        TestUtils.Simulate.click(node.querySelector(".button-accept"));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        expect(dispatcher.dispatch.lastCall.args[0].newRoomURLs).eql([]);
+        expect(node.querySelector(".room-context-url-list")).eql(null);
+      });
+
       it("should close the edit form when context was saved successfully", function(done) {
         view.setProps({ savingContext: true }, function() {
           var node = view.getDOMNode();
@@ -20,10 +20,11 @@ module.exports = function(config) {
     "content/shared/js/utils.js",
     "content/shared/js/models.js",
     "content/shared/js/mixins.js",
-    "content/shared/js/actions.js",
     "content/shared/js/otSdkDriver.js",
     "content/shared/js/validate.js",
+    "content/shared/js/actions.js",
     "content/shared/js/dispatcher.js",
+    "content/shared/js/actionRecorder.js",
     "content/shared/js/store.js",
     "content/shared/js/activeRoomStore.js",
     "content/shared/js/views.js",
@@ -31,6 +32,7 @@ module.exports = function(config) {
     "content/shared/js/textChatView.js",
     "content/js/feedbackViews.js",
     "content/js/conversationAppStore.js",
+    "content/js/actionBridge.js",
     "content/js/roomStore.js",
     "content/js/roomViews.js",
     "content/js/conversation.js",
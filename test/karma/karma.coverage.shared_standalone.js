@@ -26,6 +26,7 @@ module.exports = function(config) {
     "content/shared/js/validate.js",
     "content/shared/js/actions.js",
     "content/shared/js/dispatcher.js",
+    "content/shared/js/actionRecorder.js",
     "content/shared/js/otSdkDriver.js",
     "content/shared/js/activeRoomStore.js",
     "content/shared/js/views.js",
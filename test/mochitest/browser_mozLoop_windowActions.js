@@ -0,0 +1,132 @@
+/* Any copyright is dedicated to the Public Domain.
+   http://creativecommons.org/publicdomain/zero/1.0/ */
+
+/*
+ * This file contains tests for the MozLoopAPI helpers used by the conversation
+ * windows to share actions, save files and report unread messages.
+ */
+"use strict";
+
+const { injectLoopAPI } = Cu.import("resource:///modules/loop/MozLoopAPI.jsm", {});
+const { OS } = Cu.import("resource://gre/modules/osfile.jsm", {});
+
+var MockFilePicker = SpecialPowers.MockFilePicker;
+MockFilePicker.init(window);
+
+var gFrames = [];
+
+/**
+ * Opens a frame with the Loop API injected into it.
+ *
+ * @return {Promise} A promise that is resolved with the window of the frame.
+ */
+function promiseLoopWindow() {
+  return new Promise(resolve => {
+    let frame = document.createElement("iframe");
+    frame.addEventListener("load", function onLoad() {
+      frame.removeEventListener("load", onLoad, true);
+      injectLoopAPI(frame.contentWindow);
+      resolve(frame.contentWindow);
+    }, true);
+    frame.setAttribute("src", "about:blank");
+    document.documentElement.appendChild(frame);
+    gFrames.push(frame);
+  });
+}
+
+function getMozLoop(win) {
+  return win.navigator.wrappedJSObject.mozLoop;
+}
+
+function promiseBridgedAction(win) {
+  return new Promise(resolve => {
+    win.addEventListener("LoopBridgedAction", function onAction(event) {
+      win.removeEventListener("LoopBridgedAction", onAction);
+      resolve(event.detail);
+    });
+  });
+}
+
+function promiseSaveFile(win, fileName, contents) {
+  return new Promise((resolve, reject) => {
+    getMozLoop(win).saveFile(fileName, contents, (error, saved) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(saved);
+    });
+  });
+}
+
+registerCleanupFunction(function() {
+  MockFilePicker.cleanup();
+  MozLoopService.setUnreadChatCount("fakeWindow", 0);
+  for (let frame of gFrames) {
+    frame.remove();
+  }
+});
+
+add_task(function* test_mozLoop_broadcastAction() {
+  let sender = yield promiseLoopWindow();
+  let receivers = [];
+  receivers.push(yield promiseLoopWindow());
+  receivers.push(yield promiseLoopWindow());
+  let senderActions = [];
+  sender.addEventListener("LoopBridgedAction", event => senderActions.push(event.detail));
+
+  let received = Promise.all(receivers.map(promiseBridgedAction));
+  getMozLoop(sender).broadcastAction({ name: "fakeAction", roomToken: "fake1234" });
+  let actions = yield received;
+
+  for (let action of actions) {
+    Assert.equal(action.name, "fakeAction", "should receive the action name");
+    Assert.equal(action.roomToken, "fake1234", "should receive the action data");
+  }
+  Assert.equal(senderActions.length, 0, "should not send the action back to the sender");
+});
+
+add_task(function* test_mozLoop_saveFile() {
+  let win = yield promiseLoopWindow();
+  let file = Services.dirsvc.get("TmpD", Ci.nsIFile);
+  file.append("loop-saveFile-test.txt");
+  let defaultString;
+  MockFilePicker.showCallback = filePicker => {
+    defaultString = filePicker.defaultString;
+  };
+  MockFilePicker.returnValue = MockFilePicker.returnOK;
+  MockFilePicker.returnFiles = [file];
+
+  let saved = yield promiseSaveFile(win, "chat.txt", "Hello");
+
+  Assert.ok(saved, "should report the file as saved");
+  Assert.equal(defaultString, "chat.txt", "should suggest the file name");
+  let contents = yield OS.File.read(file.path, { encoding: "utf-8" });
+  Assert.equal(contents, "Hello", "should write the contents to the file");
+
+  MockFilePicker.showCallback = null;
+  yield OS.File.remove(file.path);
+});
+
+add_task(function* test_mozLoop_saveFile_cancelled() {
+  let win = yield promiseLoopWindow();
+  MockFilePicker.returnValue = MockFilePicker.returnCancel;
+
+  let saved = yield promiseSaveFile(win, "chat.txt", "Hello");
+
+  Assert.ok(!saved, "should report the file as not saved");
+});
+
+add_task(function* test_mozLoop_setUnreadChatCount() {
+  let win = yield promiseLoopWindow();
+  let statusChanged = promiseObserverNotified("loop-status-changed", "chat-unread");
+
+  getMozLoop(win).setUnreadChatCount("fakeWindow", 3);
+
+  yield statusChanged;
+  Assert.equal(MozLoopService.unreadChatCount, 3, "should record the unread messages");
+
+  getMozLoop(win).setUnreadChatCount("fakeWindow", 0);
+
+  Assert.equal(MozLoopService.unreadChatCount, 0, "should clear the unread messages");
+});
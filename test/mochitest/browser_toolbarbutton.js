@@ -176,6 +176,18 @@ add_task(function* test_screen_share() {
   Assert.strictEqual(LoopUI.toolbarButton.node.getAttribute("tooltiptext"), "Start a conversation", "Check button has default tooltiptext");
 });
 
+add_task(function* test_unread_chat_count() {
+  Assert.ok(!LoopUI.toolbarButton.node.hasAttribute("badge"), "Check button has no badge");
+  MozLoopService.setUnreadChatCount("1", 2);
+  MozLoopService.setUnreadChatCount("2", 1);
+  Assert.strictEqual(LoopUI.toolbarButton.node.getAttribute("badge"), "3", "Check button shows the unread messages of all the windows");
+  MozLoopService.setUnreadChatCount("1", 0);
+  Assert.strictEqual(LoopUI.toolbarButton.node.getAttribute("badge"), "1", "Check button badge is updated when messages are read");
+  MozLoopService.setUnreadChatCount("2", 0);
+  Assert.ok(!LoopUI.toolbarButton.node.hasAttribute("badge"), "Check button has no badge once all messages are read");
+  Assert.strictEqual(LoopUI.toolbarButton.node.getAttribute("state"), "", "Check button is in default state");
+});
+
 add_task(function* test_private_browsing_window() {
   let win = OpenBrowserWindow({ private: true });
   yield new Promise(resolve => {
@@ -0,0 +1,408 @@
+/* Any copyright is dedicated to the Public Domain.
+ * http://creativecommons.org/publicdomain/zero/1.0/ */
+
+describe("loop.actionRecorder", function() {
+  "use strict";
+
+  var expect = chai.expect;
+  var sharedActions = loop.shared.actions;
+  var ActionRecorder = loop.actionRecorder.ActionRecorder;
+  var ActionReplayer = loop.actionRecorder.ActionReplayer;
+  var dispatcher, sandbox, clock;
+
+  beforeEach(function() {
+    sandbox = sinon.sandbox.create();
+    clock = sandbox.useFakeTimers(1000);
+    dispatcher = new loop.Dispatcher();
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe("ActionRecorder", function() {
+    var recorder, store;
+
+    beforeEach(function() {
+      store = {
+        getWindowData: sinon.stub(),
+        mediaStreamCreated: sinon.stub()
+      };
+      dispatcher.register(store, ["getWindowData", "mediaStreamCreated"]);
+
+      recorder = new ActionRecorder(dispatcher);
+    });
+
+    describe("#constructor", function() {
+      it("should require a dispatcher", function() {
+        expect(function() {
+          new ActionRecorder();
+        }).to.Throw(/required dispatcher/);
+      });
+    });
+
+    describe("#start", function() {
+      it("should add the recorder as a dispatcher middleware", function() {
+        sandbox.stub(dispatcher, "addMiddleware");
+
+        recorder.start();
+
+        sinon.assert.calledOnce(dispatcher.addMiddleware);
+        sinon.assert.calledWithExactly(dispatcher.addMiddleware, recorder);
+      });
+
+      it("should not add the middleware twice", function() {
+        sandbox.stub(dispatcher, "addMiddleware");
+
+        recorder.start();
+        recorder.start();
+
+        sinon.assert.calledOnce(dispatcher.addMiddleware);
+      });
+
+      it("should set the start time of the log", function() {
+        recorder.start();
+
+        expect(recorder.getLog().startTime).eql(1000);
+      });
+    });
+
+    describe("#stop", function() {
+      it("should stop recording actions", function() {
+        recorder.start();
+        recorder.stop();
+
+        dispatcher.dispatch(new sharedActions.GetWindowData({ windowId: "42" }));
+
+        expect(recorder.getLog().actions).eql([]);
+      });
+    });
+
+    describe("#clear", function() {
+      it("should remove all recorded actions", function() {
+        recorder.start();
+        dispatcher.dispatch(new sharedActions.GetWindowData({ windowId: "42" }));
+
+        recorder.clear();
+
+        expect(recorder.getLog().actions).eql([]);
+      });
+    });
+
+    describe("#getLog", function() {
+      beforeEach(function() {
+        recorder.start();
+      });
+
+      it("should record dispatched actions with their type and timestamp", function() {
+        clock.tick(500);
+
+        dispatcher.dispatch(new sharedActions.GetWindowData({ windowId: "42" }));
+
+        expect(recorder.getLog().actions).eql([{
+          type: "GetWindowData",
+          name: "getWindowData",
+          timestamp: 1500,
+          payload: { windowId: "42" }
+        }]);
+      });
+
+      it("should still pass the action to the stores", function() {
+        var action = new sharedActions.GetWindowData({ windowId: "42" });
+
+        dispatcher.dispatch(action);
+
+        sinon.assert.calledOnce(store.getWindowData);
+        sinon.assert.calledWithExactly(store.getWindowData, action);
+      });
+
+      it("should replace DOM elements with placeholders", function() {
+        dispatcher.dispatch(new sharedActions.MediaStreamCreated({
+          hasVideo: true,
+          isLocal: true,
+          srcMediaElement: document.createElement("video")
+        }));
+
+        expect(recorder.getLog().actions[0].payload.srcMediaElement).eql({
+          __placeholderElement: "video"
+        });
+      });
+
+      it("should replace Blobs with placeholders", function() {
+        store.sendFile = sinon.stub();
+        dispatcher.register(store, ["sendFile"]);
+
+        dispatcher.dispatch(new sharedActions.SendFile({
+          file: new Blob(["Hello"], { type: "text/plain" })
+        }));
+
+        expect(recorder.getLog().actions[0].payload.file).eql({
+          __placeholderBlob: { type: "text/plain", size: 5 }
+        });
+      });
+
+      it("should redact the room keys and tokens", function() {
+        store.fetchServerData = sinon.stub();
+        dispatcher.register(store, ["fetchServerData"]);
+
+        dispatcher.dispatch(new sharedActions.FetchServerData({
+          cryptoKey: "fakeKey",
+          token: "fakeToken",
+          windowType: "room"
+        }));
+
+        expect(recorder.getLog().actions[0].payload).eql({
+          cryptoKey: "__redacted",
+          token: "__redacted",
+          windowType: "room"
+        });
+      });
+
+      it("should redact urls, including those nested in other values", function() {
+        store.updateRoomInfo = sinon.stub();
+        dispatcher.register(store, ["updateRoomInfo"]);
+
+        dispatcher.dispatch(new sharedActions.UpdateRoomInfo({
+          roomContextUrls: [{
+            description: "Example",
+            location: "https://example.com",
+            thumbnail: "https://example.com/favicon.ico"
+          }],
+          roomName: "Room",
+          roomUrl: "https://example.com/fakeToken"
+        }));
+
+        expect(recorder.getLog().actions[0].payload).eql({
+          roomContextUrls: [{
+            description: "Example",
+            location: "__redacted",
+            thumbnail: "__redacted"
+          }],
+          roomName: "Room",
+          roomUrl: "__redacted"
+        });
+      });
+
+      it("should redact the contents of chat messages", function() {
+        store.sendTextChatMessage = sinon.stub();
+        dispatcher.register(store, ["sendTextChatMessage"]);
+
+        dispatcher.dispatch(new sharedActions.SendTextChatMessage({
+          contentType: loop.shared.utils.CHAT_CONTENT_TYPES.TEXT,
+          message: "Secret",
+          sentTimestamp: "1970-01-01T00:00:00.000Z"
+        }));
+
+        expect(recorder.getLog().actions[0].payload.message).eql("__redacted");
+      });
+
+      it("should not redact values that aren't strings", function() {
+        store.roomFailure = sinon.stub();
+        dispatcher.register(store, ["roomFailure"]);
+
+        dispatcher.dispatch(new sharedActions.RoomFailure({
+          error: { message: 404 },
+          failedJoinRequest: false
+        }));
+
+        expect(recorder.getLog().actions[0].payload.error).eql({ message: 404 });
+      });
+    });
+
+    describe("#serialize", function() {
+      it("should return the log as a JSON string", function() {
+        recorder.start();
+        dispatcher.dispatch(new sharedActions.GetWindowData({ windowId: "42" }));
+
+        expect(JSON.parse(recorder.serialize())).eql(recorder.getLog());
+      });
+    });
+  });
+
+  describe("ActionReplayer", function() {
+    var log, store;
+
+    beforeEach(function() {
+      store = {
+        getWindowData: sinon.stub(),
+        mediaStreamCreated: sinon.stub(),
+        gotMediaPermission: sinon.stub()
+      };
+      dispatcher.register(store, [
+        "getWindowData",
+        "mediaStreamCreated",
+        "gotMediaPermission"
+      ]);
+
+      log = {
+        version: 1,
+        startTime: 1000,
+        actions: [{
+          type: "GetWindowData",
+          name: "getWindowData",
+          timestamp: 1000,
+          payload: { windowId: "42" }
+        }, {
+          type: "MediaStreamCreated",
+          name: "mediaStreamCreated",
+          timestamp: 1200,
+          payload: {
+            hasVideo: true,
+            isLocal: true,
+            srcMediaElement: { __placeholderElement: "video" }
+          }
+        }]
+      };
+    });
+
+    describe("#constructor", function() {
+      it("should require a dispatcher", function() {
+        expect(function() {
+          new ActionReplayer(undefined, log);
+        }).to.Throw(/required dispatcher/);
+      });
+
+      it("should require a log", function() {
+        expect(function() {
+          new ActionReplayer(dispatcher);
+        }).to.Throw(/required log/);
+      });
+
+      it("should throw for unsupported log versions", function() {
+        log.version = 99;
+
+        expect(function() {
+          new ActionReplayer(dispatcher, log);
+        }).to.Throw(/Unsupported session log version 99/);
+      });
+    });
+
+    describe("#replayNext", function() {
+      it("should dispatch the next action from the log", function() {
+        var replayer = new ActionReplayer(dispatcher, log);
+
+        replayer.replayNext();
+
+        sinon.assert.calledOnce(store.getWindowData);
+        sinon.assert.calledWithExactly(store.getWindowData,
+          new sharedActions.GetWindowData({ windowId: "42" }));
+        sinon.assert.notCalled(store.mediaStreamCreated);
+      });
+
+      it("should accept a serialized log", function() {
+        var replayer = new ActionReplayer(dispatcher, JSON.stringify(log));
+
+        replayer.replayNext();
+
+        sinon.assert.calledOnce(store.getWindowData);
+      });
+
+      it("should replace placeholders with DOM elements", function() {
+        var replayer = new ActionReplayer(dispatcher, log);
+
+        replayer.replayNext();
+        replayer.replayNext();
+
+        var action = store.mediaStreamCreated.getCall(0).args[0];
+        expect(action.srcMediaElement.tagName.toLowerCase()).eql("video");
+      });
+
+      it("should drop actions dispatched by the stores whilst replaying", function() {
+        store.getWindowData = function() {
+          dispatcher.dispatch(new sharedActions.GotMediaPermission());
+        };
+        var replayer = new ActionReplayer(dispatcher, log);
+
+        replayer.replayNext();
+
+        sinon.assert.notCalled(store.gotMediaPermission);
+      });
+
+      it("should drop actions dispatched by the stores asynchronously", function() {
+        store.getWindowData = function() {
+          setTimeout(function() {
+            dispatcher.dispatch(new sharedActions.GotMediaPermission());
+          }, 1000);
+        };
+        var replayer = new ActionReplayer(dispatcher, log);
+
+        replayer.replayNext();
+        clock.tick(1000);
+
+        sinon.assert.notCalled(store.gotMediaPermission);
+      });
+
+      it("should replace Blob placeholders with empty Blobs", function() {
+        store.sendFile = sinon.stub();
+        dispatcher.register(store, ["sendFile"]);
+        log.actions = [{
+          type: "SendFile",
+          name: "sendFile",
+          timestamp: 1000,
+          payload: { file: { __placeholderBlob: { type: "text/plain", size: 5 } } }
+        }];
+        var replayer = new ActionReplayer(dispatcher, log);
+
+        replayer.replayNext();
+
+        sinon.assert.calledOnce(store.sendFile);
+        var file = store.sendFile.getCall(0).args[0].file;
+        expect(file).to.be.an.instanceOf(Blob);
+        expect(file.type).eql("text/plain");
+      });
+
+      it("should throw if there are no more actions", function() {
+        log.actions = [];
+        var replayer = new ActionReplayer(dispatcher, log);
+
+        expect(function() {
+          replayer.replayNext();
+        }).to.Throw(/No more actions/);
+      });
+    });
+
+    describe("#stop", function() {
+      it("should remove its middleware", function() {
+        var replayer = new ActionReplayer(dispatcher, log);
+        replayer.replayNext();
+
+        replayer.stop();
+        dispatcher.dispatch(new sharedActions.GotMediaPermission());
+
+        sinon.assert.calledOnce(store.gotMediaPermission);
+      });
+    });
+
+    describe("#replay", function() {
+      it("should dispatch all the actions in the log", function() {
+        var replayer = new ActionReplayer(dispatcher, log);
+
+        replayer.replay();
+
+        sinon.assert.calledOnce(store.getWindowData);
+        sinon.assert.calledOnce(store.mediaStreamCreated);
+        expect(replayer.hasNext()).eql(false);
+      });
+
+      it("should reproduce the recorded store state", function() {
+        var recorder = new ActionRecorder(dispatcher);
+        recorder.start();
+
+        var TestStore = loop.store.createStore({
+          actions: ["getWindowData"],
+          getWindowData: function(actionData) {
+            this.setStoreState({ windowId: actionData.windowId });
+          }
+        });
+        var recordedStore = new TestStore(dispatcher);
+        dispatcher.dispatch(new sharedActions.GetWindowData({ windowId: "42" }));
+
+        var replayDispatcher = new loop.Dispatcher();
+        var replayedStore = new TestStore(replayDispatcher);
+        new ActionReplayer(replayDispatcher, recorder.serialize()).replay();
+
+        expect(replayedStore.getStoreState()).eql(recordedStore.getStoreState());
+      });
+    });
+  });
+});
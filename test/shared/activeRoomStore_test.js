@@ -304,6 +304,89 @@ describe("loop.store.ActiveRoomStore", function() {
     });
   });
 
+  describe("#storeError", function() {
+    var error;
+
+    beforeEach(function() {
+      error = new Error("fake");
+      store.setStoreState({ roomState: ROOM_STATES.JOINING });
+    });
+
+    it("should dispatch a RoomFailure action for errors from the store", function() {
+      store.storeError(new sharedActions.StoreError({
+        actionName: "joinRoom",
+        failedAction: new sharedActions.JoinRoom(),
+        store: store,
+        error: error
+      }));
+
+      sinon.assert.calledOnce(dispatcher.dispatch);
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.RoomFailure({
+          error: error,
+          failedJoinRequest: false
+        }));
+    });
+
+    it("should ignore errors from other stores", function() {
+      store.storeError(new sharedActions.StoreError({
+        actionName: "joinRoom",
+        failedAction: new sharedActions.JoinRoom(),
+        store: {},
+        error: error
+      }));
+
+      sinon.assert.notCalled(dispatcher.dispatch);
+    });
+
+    it("should ignore errors from the sdk driver", function() {
+      store.storeError(new sharedActions.StoreError({
+        actionName: "setupStreamElements",
+        failedAction: new sharedActions.SetupStreamElements({
+          publisherConfig: {}
+        }),
+        store: fakeSdkDriver,
+        error: error
+      }));
+
+      sinon.assert.notCalled(dispatcher.dispatch);
+    });
+
+    it("should handle errors thrown before the window data is set up", function() {
+      var newDispatcher = new loop.Dispatcher();
+      var newStore = new loop.store.ActiveRoomStore(newDispatcher, {
+        mozLoop: fakeMozLoop,
+        sdkDriver: fakeSdkDriver
+      });
+      sandbox.stub(newStore, "storeError");
+
+      newDispatcher.dispatch(new sharedActions.StoreError({
+        actionName: "fetchServerData",
+        failedAction: new sharedActions.FetchServerData({
+          token: "fakeToken",
+          windowType: "room"
+        }),
+        store: newStore,
+        error: error
+      }));
+
+      sinon.assert.calledOnce(newStore.storeError);
+    });
+
+    it("should ignore errors when there's nothing pending", function() {
+      store.setStoreState({ roomState: ROOM_STATES.ENDED });
+
+      store.storeError(new sharedActions.StoreError({
+        actionName: "leaveRoom",
+        failedAction: new sharedActions.LeaveRoom(),
+        store: store,
+        error: error
+      }));
+
+      sinon.assert.notCalled(dispatcher.dispatch);
+    });
+  });
+
   describe("#setupWindowData", function() {
     var fakeToken, fakeRoomData;
 
@@ -372,6 +455,40 @@ describe("loop.store.ActiveRoomStore", function() {
           }));
       });
 
+    it("should leave out context values that aren't valid", function() {
+      fakeRoomData.decryptedContext = {
+        description: null,
+        roomName: null,
+        urls: [{
+          description: null,
+          location: "http://example.com",
+          thumbnail: null
+        }, {
+          description: "No location"
+        }, null]
+      };
+
+      store.setupWindowData(new sharedActions.SetupWindowData({
+        windowId: "42",
+        type: "room",
+        roomToken: fakeToken
+      }));
+
+      sinon.assert.calledTwice(dispatcher.dispatch);
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.UpdateRoomInfo({
+          roomContextUrls: [{ location: "http://example.com" }],
+          roomDescription: undefined,
+          participants: [],
+          roomName: undefined,
+          roomState: ROOM_STATES.READY,
+          roomUrl: fakeRoomData.roomUrl,
+          socialShareProviders: []
+        }));
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.JoinRoom());
+    });
+
     it("should dispatch a JoinRoom action if the get is successful",
       function() {
         store.setupWindowData(new sharedActions.SetupWindowData({
@@ -574,6 +691,30 @@ describe("loop.store.ActiveRoomStore", function() {
             new sharedActions.UpdateRoomInfo(expectedData));
         });
       });
+
+      it("should leave out context values that aren't valid once decrypted", function() {
+        fetchServerAction.cryptoKey = "fakeKey";
+        sandbox.stub(loop.crypto, "decryptBytes", function() {
+          return {
+            then: function(resolve, reject) {
+              resolve(JSON.stringify({
+                description: null,
+                urls: [{ location: "http://example.com", thumbnail: null }]
+              }));
+            }
+          };
+        });
+
+        return store.fetchServerData(fetchServerAction).then(function() {
+          sinon.assert.calledWithExactly(dispatcher.dispatch,
+            new sharedActions.UpdateRoomInfo(_.extend({
+              roomContextUrls: [{ location: "http://example.com" }],
+              roomDescription: undefined,
+              roomName: undefined,
+              roomState: ROOM_STATES.READY
+            }, expectedDetails)));
+        });
+      });
     });
 
     describe("User Agent Room Handling", function() {
@@ -757,6 +898,33 @@ describe("loop.store.ActiveRoomStore", function() {
       expect(store.getStoreState().remoteVideoDimensions)
         .to.have.property(actionData.videoType, actionData.dimensions);
     });
+
+    it("should trigger a change event for every dimensions update", function() {
+      var changeListener = sinon.stub();
+      store.on("change:localVideoDimensions", changeListener);
+
+      store.videoDimensionsChanged(new sharedActions.VideoDimensionsChanged({
+        isLocal: true,
+        videoType: "camera",
+        dimensions: { width: 640, height: 480 }
+      }));
+      store.videoDimensionsChanged(new sharedActions.VideoDimensionsChanged({
+        isLocal: true,
+        videoType: "camera",
+        dimensions: { width: 320, height: 240 }
+      }));
+      store.videoDimensionsChanged(new sharedActions.VideoDimensionsChanged({
+        isLocal: true,
+        videoType: "screen",
+        dimensions: { width: 1280, height: 720 }
+      }));
+
+      sinon.assert.calledThrice(changeListener);
+      expect(store.getStoreState().localVideoDimensions).eql({
+        camera: { width: 320, height: 240 },
+        screen: { width: 1280, height: 720 }
+      });
+    });
   });
 
   describe("#updateRoomInfo", function() {
@@ -1349,13 +1517,12 @@ describe("loop.store.ActiveRoomStore", function() {
       }));
 
       expect(store.getStoreState().localSrcMediaElement).eql(fakeStreamElement);
-      expect(store.getStoreState()).to.not.have.property("remoteSrcMediaElement");
+      expect(store.getStoreState().remoteMedia).eql({});
     });
 
     it("should set the local video enabled", function() {
       store.setStoreState({
-        localVideoEnabled: false,
-        remoteVideoEnabled: false
+        localVideoEnabled: false
       });
 
       store.mediaStreamCreated(new sharedActions.MediaStreamCreated({
@@ -1365,36 +1532,53 @@ describe("loop.store.ActiveRoomStore", function() {
       }));
 
       expect(store.getStoreState().localVideoEnabled).eql(true);
-      expect(store.getStoreState().remoteVideoEnabled).eql(false);
     });
 
-    it("should add a remote video object to the store", function() {
-      expect(store.getStoreState()).to.not.have.property("remoteSrcMediaElement");
-
+    it("should add the remote media of the participant to the store", function() {
       store.mediaStreamCreated(new sharedActions.MediaStreamCreated({
-        hasVideo: false,
+        connectionId: "remoteUser",
+        hasVideo: true,
         isLocal: false,
         srcMediaElement: fakeStreamElement
       }));
 
       expect(store.getStoreState()).not.have.property("localSrcMediaElement");
-      expect(store.getStoreState().remoteSrcMediaElement).eql(fakeStreamElement);
+      expect(store.getStoreState().remoteMedia).eql({
+        remoteUser: {
+          srcMediaElement: fakeStreamElement,
+          videoEnabled: true
+        }
+      });
     });
 
-    it("should set the remote video enabled", function() {
+    it("should keep the remote media of other participants", function() {
+      var otherStreamElement = { name: "otherStreamElement" };
       store.setStoreState({
-        localVideoEnabled: false,
-        remoteVideoEnabled: false
+        remoteMedia: {
+          remoteUser: {
+            srcMediaElement: fakeStreamElement,
+            videoEnabled: true
+          }
+        }
       });
 
       store.mediaStreamCreated(new sharedActions.MediaStreamCreated({
-        hasVideo: true,
+        connectionId: "remoteUser2",
+        hasVideo: false,
         isLocal: false,
-        srcMediaElement: fakeStreamElement
+        srcMediaElement: otherStreamElement
       }));
 
-      expect(store.getStoreState().localVideoEnabled).eql(false);
-      expect(store.getStoreState().remoteVideoEnabled).eql(true);
+      expect(store.getStoreState().remoteMedia).eql({
+        remoteUser: {
+          srcMediaElement: fakeStreamElement,
+          videoEnabled: true
+        },
+        remoteUser2: {
+          srcMediaElement: otherStreamElement,
+          videoEnabled: false
+        }
+      });
     });
   });
 
@@ -1406,7 +1590,10 @@ describe("loop.store.ActiveRoomStore", function() {
 
       store.setStoreState({
         localSrcMediaElement: fakeStreamElement,
-        remoteSrcMediaElement: fakeStreamElement
+        remoteMedia: {
+          remoteUser: { srcMediaElement: fakeStreamElement, videoEnabled: true },
+          remoteUser2: { srcMediaElement: fakeStreamElement, videoEnabled: true }
+        }
       });
     });
 
@@ -1416,42 +1603,93 @@ describe("loop.store.ActiveRoomStore", function() {
       }));
 
       expect(store.getStoreState().localSrcMediaElement).eql(null);
-      expect(store.getStoreState().remoteSrcMediaElement).eql(fakeStreamElement);
+      expect(store.getStoreState().remoteMedia).to.have.all.keys("remoteUser",
+        "remoteUser2");
     });
 
-    it("should clear the remote video object", function() {
+    it("should clear the remote media of the participant", function() {
       store.mediaStreamDestroyed(new sharedActions.MediaStreamDestroyed({
+        connectionId: "remoteUser",
         isLocal: false
       }));
 
       expect(store.getStoreState().localSrcMediaElement).eql(fakeStreamElement);
-      expect(store.getStoreState().remoteSrcMediaElement).eql(null);
+      expect(store.getStoreState().remoteMedia).to.have.all.keys("remoteUser2");
+    });
+
+    it("should clear all the remote media if no participant is given", function() {
+      store.mediaStreamDestroyed(new sharedActions.MediaStreamDestroyed({
+        isLocal: false
+      }));
+
+      expect(store.getStoreState().remoteMedia).eql({});
     });
   });
 
   describe("#remoteVideoStatus", function() {
-    it("should set remoteVideoEnabled to true", function() {
+    beforeEach(function() {
       store.setStoreState({
-        remoteVideoEnabled: false
+        remoteMedia: {
+          remoteUser: { srcMediaElement: null, videoEnabled: false },
+          remoteUser2: { srcMediaElement: null, videoEnabled: false }
+        }
       });
+    });
 
+    it("should set videoEnabled to true for the participant", function() {
       store.remoteVideoStatus(new sharedActions.RemoteVideoStatus({
+        connectionId: "remoteUser",
         videoEnabled: true
       }));
 
-      expect(store.getStoreState().remoteVideoEnabled).eql(true);
+      expect(store.getStoreState().remoteMedia.remoteUser.videoEnabled).eql(true);
+      expect(store.getStoreState().remoteMedia.remoteUser2.videoEnabled).eql(false);
     });
 
-    it("should set remoteVideoEnabled to false", function() {
-      store.setStoreState({
-        remoteVideoEnabled: true
-      });
+    it("should set videoEnabled to false for the participant", function() {
+      store.remoteVideoStatus(new sharedActions.RemoteVideoStatus({
+        connectionId: "remoteUser",
+        videoEnabled: true
+      }));
 
       store.remoteVideoStatus(new sharedActions.RemoteVideoStatus({
+        connectionId: "remoteUser",
         videoEnabled: false
       }));
 
-      expect(store.getStoreState().remoteVideoEnabled).eql(false);
+      expect(store.getStoreState().remoteMedia.remoteUser.videoEnabled).eql(false);
+    });
+
+    it("should ignore participants without media", function() {
+      store.remoteVideoStatus(new sharedActions.RemoteVideoStatus({
+        connectionId: "remoteUser3",
+        videoEnabled: true
+      }));
+
+      expect(store.getStoreState().remoteMedia).to.not.have.property("remoteUser3");
+    });
+  });
+
+  describe("getRemoteStreams", function() {
+    it("should list the remote media with the connection ids", function() {
+      var fakeStreamElement = { name: "fakeStreamElement" };
+      store.setStoreState({
+        remoteMedia: {
+          remoteUser: { srcMediaElement: fakeStreamElement, videoEnabled: true },
+          remoteUser2: { srcMediaElement: null, videoEnabled: false }
+        }
+      });
+
+      expect(loop.store.ActiveRoomStore.getRemoteStreams(store.getStoreState()))
+        .eql([{
+          connectionId: "remoteUser",
+          srcMediaElement: fakeStreamElement,
+          videoEnabled: true
+        }, {
+          connectionId: "remoteUser2",
+          srcMediaElement: null,
+          videoEnabled: false
+        }]);
     });
   });
 
@@ -1678,8 +1916,17 @@ describe("loop.store.ActiveRoomStore", function() {
   });
 
   describe("#remotePeerDisconnected", function() {
+    var action;
+
+    beforeEach(function() {
+      action = new sharedActions.RemotePeerDisconnected({
+        peerHungup: true,
+        remainingPeers: 0
+      });
+    });
+
     it("should set the state to `SESSION_CONNECTED`", function() {
-      store.remotePeerDisconnected();
+      store.remotePeerDisconnected(action);
 
       expect(store.getStoreState().roomState).eql(ROOM_STATES.SESSION_CONNECTED);
     });
@@ -1689,19 +1936,34 @@ describe("loop.store.ActiveRoomStore", function() {
         mediaConnected: true
       });
 
-      store.remotePeerDisconnected();
+      store.remotePeerDisconnected(action);
 
       expect(store.getStoreState().mediaConnected).eql(false);
     });
 
-    it("should clear the remoteSrcMediaElement", function() {
+    it("should clear the remote media", function() {
       store.setStoreState({
-        remoteSrcMediaElement: { name: "fakeStreamElement" }
+        remoteMedia: {
+          remoteUser: { srcMediaElement: { name: "fakeStreamElement" } }
+        }
       });
 
-      store.remotePeerDisconnected();
+      store.remotePeerDisconnected(action);
 
-      expect(store.getStoreState().remoteSrcMediaElement).eql(null);
+      expect(store.getStoreState().remoteMedia).eql({});
+    });
+
+    it("should not change the room state if other peers remain", function() {
+      store.setStoreState({
+        mediaConnected: true,
+        roomState: ROOM_STATES.HAS_PARTICIPANTS
+      });
+      action.remainingPeers = 1;
+
+      store.remotePeerDisconnected(action);
+
+      expect(store.getStoreState().roomState).eql(ROOM_STATES.HAS_PARTICIPANTS);
+      expect(store.getStoreState().mediaConnected).eql(true);
     });
 
     it("should remove non-owner participants", function() {
@@ -1709,7 +1971,7 @@ describe("loop.store.ActiveRoomStore", function() {
         participants: [{ owner: true }, {}]
       });
 
-      store.remotePeerDisconnected();
+      store.remotePeerDisconnected(action);
 
       var participants = store.getStoreState().participants;
       expect(participants).to.have.length.of(1);
@@ -1721,7 +1983,7 @@ describe("loop.store.ActiveRoomStore", function() {
         participants: [{ owner: true }]
       });
 
-      store.remotePeerDisconnected();
+      store.remotePeerDisconnected(action);
 
       var participants = store.getStoreState().participants;
       expect(participants).to.have.length.of(1);
@@ -2023,9 +2285,9 @@ describe("loop.store.ActiveRoomStore", function() {
           decryptedContext: {
             description: "fakeDescription",
             roomName: "fakeName",
-            urls: {
-              fake: "url"
-            }
+            urls: [{
+              location: "http://example.com"
+            }]
           },
           roomUrl: "original"
         };
@@ -2039,9 +2301,9 @@ describe("loop.store.ActiveRoomStore", function() {
             participants: undefined,
             roomName: fakeRoomData.decryptedContext.roomName,
             roomUrl: fakeRoomData.roomUrl,
-            roomContextUrls: {
-              fake: "url"
-            }
+            roomContextUrls: [{
+              location: "http://example.com"
+            }]
           }));
       });
 
@@ -2050,9 +2312,9 @@ describe("loop.store.ActiveRoomStore", function() {
           decryptedContext: {
             description: "fakeDescription",
             roomName: "fakeName",
-            urls: {
-              fake: "url"
-            }
+            urls: [{
+              location: "http://example.com"
+            }]
           },
           roomUrl: "original"
         };
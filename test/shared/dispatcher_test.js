@@ -65,6 +65,35 @@ describe("loop.Dispatcher", function() {
     });
   });
 
+  describe("#addMiddleware", function() {
+    it("should add a middleware to the chain", function() {
+      var middleware = { beforeDispatch: function() {} };
+
+      dispatcher.addMiddleware(middleware);
+
+      expect(dispatcher._middleware).eql([middleware]);
+    });
+
+    it("should throw if the middleware doesn't implement any hooks", function() {
+      expect(function() {
+        dispatcher.addMiddleware({});
+      }).to.Throw(/should implement beforeDispatch or afterDispatch/);
+    });
+  });
+
+  describe("#removeMiddleware", function() {
+    it("should remove a middleware from the chain", function() {
+      var middleware1 = { afterDispatch: function() {} };
+      var middleware2 = { afterDispatch: function() {} };
+
+      dispatcher.addMiddleware(middleware1);
+      dispatcher.addMiddleware(middleware2);
+      dispatcher.removeMiddleware(middleware1);
+
+      expect(dispatcher._middleware).eql([middleware2]);
+    });
+  });
+
   describe("#dispatch", function() {
     var getDataStore1, getDataStore2, gotMediaPermissionStore1, mediaConnectedStore1;
     var getDataAction, gotMediaPermissionAction, mediaConnectedAction;
@@ -154,6 +183,512 @@ describe("loop.Dispatcher", function() {
 
         sinon.assert.calledOnce(console.error);
       });
+
+      it("should dispatch a StoreError action for uncaught exceptions", function() {
+        var errorStore = { storeError: sinon.stub() };
+        dispatcher.register(errorStore, ["storeError"]);
+        getDataStore1.getWindowData.throws("Uncaught Error");
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.calledOnce(errorStore.storeError);
+        sinon.assert.calledWithMatch(errorStore.storeError, {
+          name: "storeError",
+          actionName: "getWindowData",
+          failedAction: getDataAction,
+          store: getDataStore1,
+          error: sinon.match.instanceOf(Error)
+        });
+      });
+
+      it("should wrap non-object exceptions in an Error", function() {
+        var errorStore = { storeError: sinon.stub() };
+        dispatcher.register(errorStore, ["storeError"]);
+        getDataStore1.getWindowData = function() {
+          throw "fake";
+        };
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.calledOnce(errorStore.storeError);
+        expect(errorStore.storeError.getCall(0).args[0].error.message).eql("fake");
+      });
+
+      it("should not dispatch a StoreError action if no stores are registered for it", function() {
+        sandbox.stub(console, "warn");
+        getDataStore1.getWindowData.throws("Uncaught Error");
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.notCalled(console.warn);
+      });
+
+      it("should not dispatch a StoreError action for errors handling StoreError", function() {
+        var errorStore = { storeError: sinon.stub().throws("Uncaught Error") };
+        dispatcher.register(errorStore, ["storeError"]);
+        getDataStore1.getWindowData.throws("Uncaught Error");
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.calledOnce(errorStore.storeError);
+      });
+    });
+
+    describe("Middleware", function() {
+      var clock;
+
+      beforeEach(function() {
+        clock = sandbox.useFakeTimers();
+      });
+
+      it("should pass the action to the middleware before the stores", function() {
+        var middleware = {
+          beforeDispatch: sinon.spy(function(action, next) {
+            sinon.assert.notCalled(getDataStore1.getWindowData);
+            next(action);
+          })
+        };
+        dispatcher.addMiddleware(middleware);
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.calledOnce(middleware.beforeDispatch);
+        sinon.assert.calledWith(middleware.beforeDispatch, getDataAction);
+        sinon.assert.calledOnce(getDataStore1.getWindowData);
+      });
+
+      it("should pass the action through middleware in the order added", function() {
+        var calls = [];
+        dispatcher.addMiddleware({
+          beforeDispatch: function(action, next) {
+            calls.push(1);
+            next(action);
+          }
+        });
+        dispatcher.addMiddleware({
+          beforeDispatch: function(action, next) {
+            calls.push(2);
+            next(action);
+          }
+        });
+
+        dispatcher.dispatch(getDataAction);
+
+        expect(calls).eql([1, 2]);
+      });
+
+      it("should dispatch a transformed action to the stores", function() {
+        var transformedAction = new sharedActions.GetWindowData({
+          windowId: "43"
+        });
+        dispatcher.addMiddleware({
+          beforeDispatch: function(action, next) {
+            next(transformedAction);
+          }
+        });
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.calledOnce(getDataStore1.getWindowData);
+        sinon.assert.calledWithExactly(getDataStore1.getWindowData, transformedAction);
+      });
+
+      it("should not dispatch an action dropped by a middleware", function() {
+        var middleware = { beforeDispatch: sinon.stub() };
+        dispatcher.addMiddleware(middleware);
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.calledOnce(middleware.beforeDispatch);
+        sinon.assert.notCalled(getDataStore1.getWindowData);
+        sinon.assert.notCalled(getDataStore2.getWindowData);
+      });
+
+      it("should continue to dispatch other actions after one is dropped", function() {
+        dispatcher.addMiddleware({
+          beforeDispatch: function(action, next) {
+            if (action.name !== "getWindowData") {
+              next(action);
+            }
+          }
+        });
+
+        dispatcher.dispatch(getDataAction);
+        dispatcher.dispatch(gotMediaPermissionAction);
+
+        sinon.assert.notCalled(getDataStore1.getWindowData);
+        sinon.assert.calledOnce(gotMediaPermissionStore1.gotMediaPermission);
+      });
+
+      it("should dispatch a delayed action once the middleware passes it on", function() {
+        dispatcher.addMiddleware({
+          beforeDispatch: function(action, next) {
+            setTimeout(function() {
+              next(action);
+            }, 1000);
+          }
+        });
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.notCalled(getDataStore1.getWindowData);
+
+        clock.tick(1000);
+
+        sinon.assert.calledOnce(getDataStore1.getWindowData);
+        sinon.assert.calledWithExactly(getDataStore1.getWindowData, getDataAction);
+      });
+
+      it("should not block other actions whilst an action is delayed", function() {
+        dispatcher.addMiddleware({
+          beforeDispatch: function(action, next) {
+            if (action.name === "getWindowData") {
+              setTimeout(function() {
+                next(action);
+              }, 1000);
+            } else {
+              next(action);
+            }
+          }
+        });
+
+        dispatcher.dispatch(getDataAction);
+        dispatcher.dispatch(gotMediaPermissionAction);
+
+        sinon.assert.calledOnce(gotMediaPermissionStore1.gotMediaPermission);
+        sinon.assert.notCalled(getDataStore1.getWindowData);
+      });
+
+      it("should call afterDispatch once all the stores have handled the action", function() {
+        var middleware = {
+          afterDispatch: sinon.spy(function() {
+            sinon.assert.calledOnce(getDataStore1.getWindowData);
+            sinon.assert.calledOnce(getDataStore2.getWindowData);
+          })
+        };
+        dispatcher.addMiddleware(middleware);
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.calledOnce(middleware.afterDispatch);
+        sinon.assert.calledWithExactly(middleware.afterDispatch, getDataAction);
+      });
+
+      it("should call afterDispatch when no store is registered for the action", function() {
+        sandbox.stub(console, "warn");
+        dispatcher.unregister(gotMediaPermissionStore1, ["gotMediaPermission"]);
+        var middleware = { afterDispatch: sinon.stub() };
+        dispatcher.addMiddleware(middleware);
+
+        dispatcher.dispatch(gotMediaPermissionAction);
+
+        sinon.assert.calledOnce(middleware.afterDispatch);
+        sinon.assert.calledWithExactly(middleware.afterDispatch,
+          gotMediaPermissionAction);
+      });
+
+      it("should dispatch actions passed on synchronously several times in order", function() {
+        var calls = [];
+        var firstAction = new sharedActions.GetWindowData({ windowId: "1" });
+        var secondAction = new sharedActions.GetWindowData({ windowId: "2" });
+        dispatcher.addMiddleware({
+          beforeDispatch: function(action, next) {
+            if (action === getDataAction) {
+              next(firstAction);
+              next(secondAction);
+            } else {
+              next(action);
+            }
+          }
+        });
+        getDataStore1.getWindowData = function(action) {
+          calls.push(action.windowId);
+        };
+        dispatcher.dispatch(getDataAction);
+        dispatcher.dispatch(new sharedActions.GetWindowData({ windowId: "3" }));
+
+        expect(calls).eql(["1", "2", "3"]);
+      });
+
+      it("should not call afterDispatch for dropped actions", function() {
+        var middleware = {
+          beforeDispatch: sinon.stub(),
+          afterDispatch: sinon.stub()
+        };
+        dispatcher.addMiddleware(middleware);
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.notCalled(middleware.afterDispatch);
+      });
+
+      it("should dispatch actions queued by a store after the current action", function() {
+        var calls = [];
+        sandbox.stub(mediaConnectedStore1, "mediaConnected", function() {
+          dispatcher.dispatch(getDataAction);
+        });
+        dispatcher.addMiddleware({
+          afterDispatch: function(action) {
+            calls.push(action.name);
+          }
+        });
+
+        dispatcher.dispatch(mediaConnectedAction);
+
+        expect(calls).eql(["mediaConnected", "getWindowData"]);
+      });
+
+      describe("Error handling", function() {
+        beforeEach(function() {
+          sandbox.stub(console, "error");
+        });
+
+        it("should log exceptions thrown by middleware", function() {
+          dispatcher.addMiddleware({
+            afterDispatch: sinon.stub().throws("Uncaught Error")
+          });
+
+          dispatcher.dispatch(getDataAction);
+
+          sinon.assert.calledOnce(console.error);
+        });
+
+        it("should still call the stores if afterDispatch throws", function() {
+          dispatcher.addMiddleware({
+            afterDispatch: sinon.stub().throws("Uncaught Error")
+          });
+
+          dispatcher.dispatch(getDataAction);
+          dispatcher.dispatch(gotMediaPermissionAction);
+
+          sinon.assert.calledOnce(getDataStore1.getWindowData);
+          sinon.assert.calledOnce(gotMediaPermissionStore1.gotMediaPermission);
+        });
+      });
+    });
+
+    describe("#waitFor", function() {
+      var calls, storeA, storeB, storeC;
+
+      beforeEach(function() {
+        calls = [];
+        sandbox.stub(console, "error");
+
+        storeA = {
+          getWindowData: function() {
+            calls.push("A");
+          }
+        };
+        storeB = {
+          getWindowData: function() {
+            calls.push("B");
+          }
+        };
+        storeC = {
+          getWindowData: function() {
+            calls.push("C");
+          }
+        };
+      });
+
+      it("should throw if called when no action is being dispatched", function() {
+        expect(function() {
+          dispatcher.waitFor([storeA]);
+        }).to.Throw(/must be called whilst dispatching/);
+      });
+
+      it("should call the awaited store before continuing", function() {
+        storeA.getWindowData = function() {
+          dispatcher.waitFor([storeB]);
+          calls.push("A");
+        };
+        dispatcher.register(storeA, ["getWindowData"]);
+        dispatcher.register(storeB, ["getWindowData"]);
+
+        dispatcher.dispatch(getDataAction);
+
+        expect(calls).eql(["B", "A"]);
+      });
+
+      it("should accept a single store", function() {
+        storeA.getWindowData = function() {
+          dispatcher.waitFor(storeB);
+          calls.push("A");
+        };
+        dispatcher.register(storeA, ["getWindowData"]);
+        dispatcher.register(storeB, ["getWindowData"]);
+
+        dispatcher.dispatch(getDataAction);
+
+        expect(calls).eql(["B", "A"]);
+      });
+
+      it("should only call each store once per action", function() {
+        storeB.getWindowData = function() {
+          dispatcher.waitFor([storeA]);
+          calls.push("B");
+        };
+        storeC.getWindowData = function() {
+          dispatcher.waitFor([storeA, storeB]);
+          calls.push("C");
+        };
+        dispatcher.register(storeC, ["getWindowData"]);
+        dispatcher.register(storeB, ["getWindowData"]);
+        dispatcher.register(storeA, ["getWindowData"]);
+
+        dispatcher.dispatch(getDataAction);
+
+        expect(calls).eql(["A", "B", "C"]);
+      });
+
+      it("should pass the current action to the awaited store", function() {
+        storeB.getWindowData = sinon.stub();
+        storeA.getWindowData = function() {
+          dispatcher.waitFor([storeB]);
+        };
+        dispatcher.register(storeA, ["getWindowData"]);
+        dispatcher.register(storeB, ["getWindowData"]);
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.calledOnce(storeB.getWindowData);
+        sinon.assert.calledWithExactly(storeB.getWindowData, getDataAction);
+      });
+
+      it("should skip stores not registered for the action", function() {
+        storeA.getWindowData = function() {
+          dispatcher.waitFor([storeB]);
+          calls.push("A");
+        };
+        dispatcher.register(storeA, ["getWindowData"]);
+
+        dispatcher.dispatch(getDataAction);
+
+        expect(calls).eql(["A"]);
+        sinon.assert.notCalled(console.error);
+      });
+
+      it("should report circular dependencies as errors", function() {
+        storeA.getWindowData = function() {
+          dispatcher.waitFor([storeB]);
+          calls.push("A");
+        };
+        storeB.getWindowData = function() {
+          dispatcher.waitFor([storeA]);
+          calls.push("B");
+        };
+        dispatcher.register(storeA, ["getWindowData"]);
+        dispatcher.register(storeB, ["getWindowData"]);
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.calledOnce(console.error);
+        sinon.assert.calledWithMatch(console.error, sinon.match.string,
+          sinon.match.has("message", sinon.match(/Circular dependency/)));
+      });
+
+      it("should report a store waiting for itself as an error", function() {
+        storeA.getWindowData = function() {
+          dispatcher.waitFor([storeA]);
+        };
+        dispatcher.register(storeA, ["getWindowData"]);
+
+        dispatcher.dispatch(getDataAction);
+
+        sinon.assert.calledOnce(console.error);
+      });
+
+      it("should report an exception from an awaited store for that store", function() {
+        var errorStore = { storeError: sinon.stub() };
+        dispatcher.register(errorStore, ["storeError"]);
+        storeA.getWindowData = function() {
+          dispatcher.waitFor([storeB]);
+          calls.push("A");
+        };
+        storeB.getWindowData = sinon.stub().throws("Uncaught Error");
+        dispatcher.register(storeA, ["getWindowData"]);
+        dispatcher.register(storeB, ["getWindowData"]);
+
+        dispatcher.dispatch(getDataAction);
+
+        // The waiting store carries on.
+        expect(calls).eql(["A"]);
+        sinon.assert.calledOnce(storeB.getWindowData);
+        sinon.assert.calledOnce(errorStore.storeError);
+        sinon.assert.calledWithMatch(errorStore.storeError, {
+          failedAction: getDataAction,
+          store: storeB
+        });
+      });
+
+      it("should continue to dispatch to other stores after a circular dependency", function() {
+        storeA.getWindowData = function() {
+          dispatcher.waitFor([storeA]);
+        };
+        dispatcher.register(storeA, ["getWindowData"]);
+        dispatcher.register(storeC, ["getWindowData"]);
+
+        dispatcher.dispatch(getDataAction);
+
+        expect(calls).eql(["C"]);
+      });
+    });
+
+    describe("#retry", function() {
+      it("should only dispatch the action to the given store", function() {
+        dispatcher.retry(getDataStore2, getDataAction);
+
+        sinon.assert.notCalled(getDataStore1.getWindowData);
+        sinon.assert.calledOnce(getDataStore2.getWindowData);
+        sinon.assert.calledWithExactly(getDataStore2.getWindowData, getDataAction);
+      });
+
+      it("should not pass the action to the middleware", function() {
+        var middleware = {
+          beforeDispatch: sinon.stub(),
+          afterDispatch: sinon.stub()
+        };
+        dispatcher.addMiddleware(middleware);
+
+        dispatcher.retry(getDataStore1, getDataAction);
+
+        sinon.assert.calledOnce(getDataStore1.getWindowData);
+        sinon.assert.notCalled(middleware.beforeDispatch);
+        sinon.assert.notCalled(middleware.afterDispatch);
+      });
+
+      it("should not call other stores the store waits for", function() {
+        getDataStore2.getWindowData = sinon.spy(function() {
+          dispatcher.waitFor(getDataStore1);
+        });
+
+        dispatcher.retry(getDataStore2, getDataAction);
+
+        sinon.assert.calledOnce(getDataStore2.getWindowData);
+        sinon.assert.notCalled(getDataStore1.getWindowData);
+      });
+
+      it("should not dispatch to a store not registered for the action", function() {
+        sandbox.stub(console, "warn");
+
+        dispatcher.retry(gotMediaPermissionStore1, getDataAction);
+
+        sinon.assert.calledOnce(console.warn);
+      });
+
+      it("should report exceptions thrown by the store", function() {
+        sandbox.stub(console, "error");
+        var errorStore = { storeError: sinon.stub() };
+        dispatcher.register(errorStore, ["storeError"]);
+        getDataStore1.getWindowData.throws("Uncaught Error");
+
+        dispatcher.retry(getDataStore1, getDataAction);
+
+        sinon.assert.calledOnce(errorStore.storeError);
+        sinon.assert.calledWithMatch(errorStore.storeError, {
+          store: getDataStore1
+        });
+      });
     });
 
     describe("Queued actions", function() {
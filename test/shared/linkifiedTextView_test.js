@@ -178,6 +178,93 @@ describe("loop.shared.views.LinkifiedTextView", function() {
         });
       });
 
+      describe("this.props.formatted", function() {
+        function renderFormatted(string, extraProps) {
+          return renderToMarkup(string, _.extend({
+            formatted: true,
+            sendReferrer: true,
+            suppressTarget: true
+          }, extraProps));
+        }
+
+        it("should not format the text if formatted is not given", function() {
+          var markup = renderToMarkup("**bold**");
+
+          expect(markup).to.equal("<p>**bold**</p>");
+        });
+
+        it("should render bold text", function() {
+          expect(renderFormatted("a **bold** move"))
+            .to.equal("<p>a <strong>bold</strong> move</p>");
+        });
+
+        it("should render italic text", function() {
+          expect(renderFormatted("*very* _nice_"))
+            .to.equal("<p><em>very</em> <em>nice</em></p>");
+        });
+
+        it("should render inline code without formatting its contents", function() {
+          expect(renderFormatted("run `make **all**`"))
+            .to.equal("<p>run <code>make **all**</code></p>");
+        });
+
+        it("should render nested formatting", function() {
+          expect(renderFormatted("**really *very* bold**"))
+            .to.equal("<p><strong>really <em>very</em> bold</strong></p>");
+        });
+
+        it("should not format delimiters surrounded by white space", function() {
+          expect(renderFormatted("2 * 3 * 4")).to.equal("<p>2 * 3 * 4</p>");
+        });
+
+        it("should not format underscores inside words", function() {
+          expect(renderFormatted("call some_function_name"))
+            .to.equal("<p>call some_function_name</p>");
+        });
+
+        it("should linkify URLs inside formatting", function() {
+          expect(renderFormatted("**http://example.com/**")).to.equal(
+            '<p><strong><a href="http://example.com/">http://example.com/</a></strong></p>');
+        });
+
+        it("should not format the contents of URLs", function() {
+          expect(renderFormatted("http://example.com/*a*/_b_")).to.equal(
+            '<p><a href="http://example.com/*a*/_b_">http://example.com/*a*/_b_</a></p>');
+        });
+
+        it("should render fenced code blocks without linkifying them", function() {
+          expect(renderFormatted("see\n```\nopen http://example.com/\n```\ndone"))
+            .to.equal('<p>see<code class="formatted-code-block">' +
+              "open http://example.com/</code>done</p>");
+        });
+
+        it("should render block quotes", function() {
+          expect(renderFormatted("> you said\n> *this*\nreally?"))
+            .to.equal('<p><span class="formatted-quote">you said\n<em>this</em>' +
+              "</span>really?</p>");
+        });
+
+        it("should escape markup in formatted text", function() {
+          expect(renderFormatted("**<img src=x>**"))
+            .to.equal("<p><strong>&lt;img src=x&gt;</strong></p>");
+        });
+
+        it("should call linkClickHandler for links inside formatting", function() {
+          var linkClickHandler = sinon.stub();
+          var comp = TestUtils.renderIntoDocument(
+            React.createElement(LinkifiedTextView, {
+              formatted: true,
+              linkClickHandler: linkClickHandler,
+              rawText: "*see http://example.com/*"
+            }));
+
+          TestUtils.Simulate.click(comp.getDOMNode().querySelector("em > a"));
+
+          sinon.assert.calledOnce(linkClickHandler);
+          sinon.assert.calledWithExactly(linkClickHandler, "http://example.com/");
+        });
+      });
+
       // Note that these are really integration tests with the parser and React.
       // Since we're depending on that integration to provide us with security
       // against various injection problems, it feels fairly important.  That
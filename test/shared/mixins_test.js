@@ -113,6 +113,41 @@ describe("loop.shared.mixins", function() {
 
       expect(rootObject.document.title).eql("It's a Fake!");
     });
+
+    describe("#setTitleUnreadCount", function() {
+      var comp;
+
+      beforeEach(function() {
+        comp = TestUtils.renderIntoDocument(React.createElement(TestComp));
+        comp.setTitle("It's a Fake!");
+      });
+
+      afterEach(function() {
+        comp.setTitleUnreadCount(0);
+      });
+
+      it("should show the unread count in front of the title", function() {
+        comp.setTitleUnreadCount(3);
+
+        expect(rootObject.document.title).eql("(3) It's a Fake!");
+      });
+
+      it("should keep the unread count when the title changes", function() {
+        comp.setTitleUnreadCount(3);
+
+        comp.setTitle("Another Fake");
+
+        expect(rootObject.document.title).eql("(3) Another Fake");
+      });
+
+      it("should only show the title when there are no unread messages", function() {
+        comp.setTitleUnreadCount(3);
+
+        comp.setTitleUnreadCount(0);
+
+        expect(rootObject.document.title).eql("It's a Fake!");
+      });
+    });
   });
 
 
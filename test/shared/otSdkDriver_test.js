@@ -719,11 +719,22 @@ describe("loop.OTSdkDriver", function() {
       sinon.assert.calledThrice(session.forceDisconnect);
     });
 
+    describe("#getTextChatPeerCount", function() {
+      it("should return the number of peers text chat messages are sent to", function() {
+        driver._chatConnections = {
+          remoteUser1: { connectionId: "remoteUser1" },
+          remoteUser2: { connectionId: "remoteUser2" }
+        };
+
+        expect(driver.getTextChatPeerCount()).eql(2);
+      });
+    });
+
     describe("#sendTextChatMessage", function() {
       it("should send a message on the publisher data channel", function() {
-        driver._publisherChannel = {
-          send: sinon.stub()
-        };
+        var publisherChannel = { send: sinon.stub() };
+        driver._chatConnections = { remoteUser: { connectionId: "remoteUser" } };
+        driver._dataChannels = { remoteUser: { publisher: publisherChannel } };
 
         var message = {
           contentType: CHAT_CONTENT_TYPES.TEXT,
@@ -732,10 +743,138 @@ describe("loop.OTSdkDriver", function() {
 
         driver.sendTextChatMessage(message);
 
-        sinon.assert.calledOnce(driver._publisherChannel.send);
-        sinon.assert.calledWithExactly(driver._publisherChannel.send,
+        sinon.assert.calledOnce(publisherChannel.send);
+        sinon.assert.calledWithExactly(publisherChannel.send,
           JSON.stringify(message));
       });
+
+      it("should send the message on the publisher data channel of each peer", function() {
+        var publisherChannel1 = { send: sinon.stub() };
+        var publisherChannel2 = { send: sinon.stub() };
+        driver.session = session;
+        driver._chatConnections = {
+          remoteUser1: { connectionId: "remoteUser1" },
+          remoteUser2: { connectionId: "remoteUser2" }
+        };
+        driver._dataChannels = {
+          remoteUser1: { publisher: publisherChannel1 },
+          remoteUser2: { publisher: publisherChannel2 }
+        };
+
+        driver.sendTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Help!"
+        });
+
+        sinon.assert.calledOnce(publisherChannel1.send);
+        sinon.assert.calledOnce(publisherChannel2.send);
+        sinon.assert.notCalled(session.signal);
+      });
+
+      it("should send the message over signals if they are being used", function() {
+        var fakeConnection = { connectionId: "remoteUser" };
+        driver.session = session;
+        driver._dataChannels = { remoteUser: { publisher: { send: sinon.stub() } } };
+        driver._chatConnections = { remoteUser: fakeConnection };
+        driver._chatSignalConnections = { remoteUser: fakeConnection };
+
+        var message = {
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Help!"
+        };
+
+        driver.sendTextChatMessage(message);
+
+        sinon.assert.calledOnce(session.signal);
+        sinon.assert.calledWith(session.signal, {
+          type: "textChat",
+          to: fakeConnection,
+          data: JSON.stringify({
+            id: "0",
+            index: 0,
+            count: 1,
+            data: JSON.stringify(message)
+          })
+        });
+      });
+
+      it("should only use signals for the peers that negotiated them", function() {
+        var fakeConnection1 = { connectionId: "remoteUser1" };
+        var fakeConnection2 = { connectionId: "remoteUser2" };
+        var publisherChannel = { send: sinon.stub() };
+        driver.session = session;
+        driver._chatConnections = {
+          remoteUser1: fakeConnection1,
+          remoteUser2: fakeConnection2
+        };
+        driver._chatSignalConnections = { remoteUser2: fakeConnection2 };
+        driver._dataChannels = { remoteUser1: { publisher: publisherChannel } };
+
+        driver.sendTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Help!"
+        });
+
+        sinon.assert.calledOnce(publisherChannel.send);
+        sinon.assert.calledOnce(session.signal);
+        sinon.assert.calledWithMatch(session.signal, { to: fakeConnection2 });
+      });
+
+      it("should not send the message over signals if there is no publisher data channel", function() {
+        sandbox.stub(console, "error");
+        driver.session = session;
+        driver._chatConnections = { remoteUser: { connectionId: "remoteUser" } };
+
+        driver.sendTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Help!"
+        });
+
+        sinon.assert.notCalled(session.signal);
+        sinon.assert.calledOnce(console.error);
+      });
+
+      it("should split large messages into several signals", function() {
+        var fakeConnection = { connectionId: "remoteUser" };
+        driver.session = session;
+        driver._chatConnections = { remoteUser: fakeConnection };
+        driver._chatSignalConnections = { remoteUser: fakeConnection };
+
+        driver.sendTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: new Array(5001).join("a")
+        });
+
+        sinon.assert.calledThrice(session.signal);
+        session.signal.args.forEach(function(args) {
+          expect(JSON.parse(args[0].data).count).eql(3);
+        });
+      });
+
+      it("should not send messages that are too large for signals", function() {
+        var fakeConnection = { connectionId: "remoteUser" };
+        sandbox.stub(console, "error");
+        driver.session = session;
+        driver._chatConnections = { remoteUser: fakeConnection };
+        driver._chatSignalConnections = { remoteUser: fakeConnection };
+
+        driver.sendTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: new Array(100001).join("a")
+        });
+
+        sinon.assert.notCalled(session.signal);
+      });
+
+      it("should throw if there are no peers to send the message to", function() {
+
+        expect(function() {
+          driver.sendTextChatMessage({
+            contentType: CHAT_CONTENT_TYPES.TEXT,
+            message: "Help!"
+          });
+        }).to.Throw(/not available/);
+      });
     });
   });
 
@@ -744,8 +883,9 @@ describe("loop.OTSdkDriver", function() {
       fakeSdkContainerWithVideo, videoElement;
 
     beforeEach(function() {
-      fakeConnection = "fakeConnection";
+      fakeConnection = { id: "remoteUser", connectionId: "remoteUser" };
       fakeStream = {
+        connection: fakeConnection,
         hasVideo: true,
         videoType: "camera",
         videoDimensions: { width: 1, height: 2 }
@@ -798,6 +938,35 @@ describe("loop.OTSdkDriver", function() {
             sinon.match.hasOwn("peerHungup", false));
       });
 
+      it("should dispatch the number of remaining peers", function() {
+        driver.connections = {
+          remoteUser: fakeConnection,
+          remoteUser2: { id: "remoteUser2", connectionId: "remoteUser2" }
+        };
+
+        session.trigger("connectionDestroyed", {
+          connection: fakeConnection,
+          reason: "clientDisconnected"
+        });
+
+        sinon.assert.calledWithMatch(dispatcher.dispatch,
+          sinon.match.hasOwn("remainingPeers", 1));
+      });
+
+      it("should forget partly received chat signals from the peer", function() {
+        driver._signalChunks = {
+          remoteUser: { "1": { count: 2, parts: ["{"], received: 1 } },
+          remoteUser2: { "1": { count: 2, parts: ["{"], received: 1 } }
+        };
+
+        session.trigger("connectionDestroyed", {
+          connection: fakeConnection,
+          reason: "clientDisconnected"
+        });
+
+        expect(driver._signalChunks).to.have.all.keys("remoteUser2");
+      });
+
       it("should dispatch a ConnectionStatus action", function() {
         driver._metrics.connections = 1;
 
@@ -1017,6 +1186,7 @@ describe("loop.OTSdkDriver", function() {
         sinon.assert.called(dispatcher.dispatch);
         sinon.assert.calledWithExactly(dispatcher.dispatch,
           new sharedActions.MediaStreamCreated({
+            connectionId: "remoteUser",
             hasVideo: true,
             isLocal: false,
             srcMediaElement: videoElement
@@ -1034,12 +1204,42 @@ describe("loop.OTSdkDriver", function() {
         sinon.assert.called(dispatcher.dispatch);
         sinon.assert.calledWithExactly(dispatcher.dispatch,
           new sharedActions.MediaStreamCreated({
+            connectionId: "remoteUser",
             hasVideo: false,
             isLocal: false,
             srcMediaElement: videoElement
           }));
       });
 
+      it("should subscribe to the streams of each participant", function() {
+        var fakeStream2 = _.extend({}, fakeStream, {
+          connection: { id: "remoteUser2", connectionId: "remoteUser2" }
+        });
+        session.subscribe.returns(subscriber);
+
+        session.trigger("streamCreated", { stream: fakeStream });
+        session.trigger("streamCreated", { stream: fakeStream2 });
+
+        sinon.assert.calledTwice(session.subscribe);
+        expect(driver.subscribers).eql({
+          remoteUser: subscriber,
+          remoteUser2: subscriber
+        });
+      });
+
+      it("should not dispatch MediaStreamCreated if the participant left whilst subscribing", function() {
+        session.subscribe.returns(subscriber);
+        session.trigger("streamCreated", { stream: fakeStream });
+        session.trigger("streamDestroyed", { stream: fakeStream });
+        dispatcher.dispatch.reset();
+
+        session.subscribe.firstCall.args[3](null, fakeSubscriberObject,
+          videoElement);
+
+        sinon.assert.neverCalledWithMatch(dispatcher.dispatch,
+          sinon.match.hasOwn("name", "mediaStreamCreated"));
+      });
+
       it("should trigger a readyForDataChannel signal after subscribe is complete", function() {
         session.subscribe.yieldsOn(driver, null, fakeSubscriberObject,
           document.createElement("video"));
@@ -1196,6 +1396,7 @@ describe("loop.OTSdkDriver", function() {
 
       beforeEach(function() {
         stream = {
+          connection: fakeConnection,
           videoType: "screen"
         };
       });
@@ -1264,10 +1465,34 @@ describe("loop.OTSdkDriver", function() {
         sinon.assert.calledThrice(dispatcher.dispatch);
         sinon.assert.calledWithExactly(dispatcher.dispatch,
           new sharedActions.MediaStreamDestroyed({
+            connectionId: "remoteUser",
             isLocal: false
           }));
       });
 
+      it("should not dispatch a DataChannelsAvailable action if text chat is available with other peers", function() {
+        stream.videoType = "camera";
+        driver._chatConnections = {
+          remoteUser: fakeConnection,
+          remoteUser2: { connectionId: "remoteUser2" }
+        };
+
+        session.trigger("streamDestroyed", { stream: stream });
+
+        sinon.assert.neverCalledWithMatch(dispatcher.dispatch,
+          sinon.match.hasOwn("name", "dataChannelsAvailable"));
+        expect(driver._chatConnections).to.have.all.keys("remoteUser2");
+      });
+
+      it("should forget the subscriber for videoType = camera", function() {
+        stream.videoType = "camera";
+        driver.subscribers = { remoteUser: subscriber };
+
+        session.trigger("streamDestroyed", { stream: stream });
+
+        expect(driver.subscribers).eql({});
+      });
+
       it("should not dispatch a MediaStreamDestroyed action for videoType = screen", function() {
         session.trigger("streamDestroyed", { stream: stream });
 
@@ -1449,13 +1674,14 @@ describe("loop.OTSdkDriver", function() {
         session.subscribe.yieldsOn(driver, null, fakeSubscriberObject,
           videoElement).returns(this.fakeSubscriberObject);
         session.trigger("streamCreated", { stream: fakeSubscriberObject.stream });
-        driver._mockSubscribeEl.appendChild(videoElement);
+        driver._mockSubscribeEls.remoteUser.appendChild(videoElement);
 
         fakeSubscriberObject.trigger("videoEnabled");
 
         sinon.assert.called(dispatcher.dispatch);
         sinon.assert.calledWith(dispatcher.dispatch,
           new sharedActions.RemoteVideoStatus({
+            connectionId: "remoteUser",
             videoEnabled: true
           }));
       });
@@ -1473,6 +1699,7 @@ describe("loop.OTSdkDriver", function() {
         sinon.assert.called(dispatcher.dispatch);
         sinon.assert.calledWithExactly(dispatcher.dispatch,
           new sharedActions.RemoteVideoStatus({
+            connectionId: "remoteUser",
             videoEnabled: false
           }));
       });
@@ -1480,44 +1707,103 @@ describe("loop.OTSdkDriver", function() {
 
     describe("signal:readyForDataChannel", function() {
       beforeEach(function() {
-        driver.subscriber = subscriber;
+        driver.subscribers = { remoteUser: subscriber };
         driver._useDataChannels = true;
       });
 
       it("should not do anything if data channels are not wanted", function() {
         driver._useDataChannels = false;
 
-        session.trigger("signal:readyForDataChannel");
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
 
         sinon.assert.notCalled(publisher._.getDataChannel);
         sinon.assert.notCalled(subscriber._.getDataChannel);
       });
 
       it("should get the data channel for the publisher", function() {
-        session.trigger("signal:readyForDataChannel");
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+
+        sinon.assert.calledOnce(publisher._.getDataChannel);
+      });
+
+      it("should get the publisher data channel for the peer", function() {
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+
+        sinon.assert.calledWith(publisher._.getDataChannel, "text", {
+          connection: fakeConnection
+        });
+      });
+
+      it("should get a publisher data channel for each peer", function() {
+        var fakeConnection2 = { id: "remoteUser2", connectionId: "remoteUser2" };
+        driver.subscribers.remoteUser2 = subscriber;
+        publisher._.getDataChannel.callsArgWith(2, null,
+          _.extend({}, Backbone.Events));
+
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection2 });
+
+        sinon.assert.calledTwice(publisher._.getDataChannel);
+        sinon.assert.calledWith(publisher._.getDataChannel, "text", {
+          connection: fakeConnection2
+        });
+      });
+
+      it("should only get the publisher data channel for a peer once", function() {
+        publisher._.getDataChannel.callsArgWith(2, null,
+          _.extend({}, Backbone.Events));
+
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
 
         sinon.assert.calledOnce(publisher._.getDataChannel);
       });
 
       it("should get the data channel for the subscriber", function() {
-        session.trigger("signal:readyForDataChannel");
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
 
         sinon.assert.calledOnce(subscriber._.getDataChannel);
       });
 
+      it("should get the data channel for the subscriber of the peer", function() {
+        var otherSubscriber = {
+          _: {
+            getDataChannel: sinon.stub()
+          }
+        };
+        driver.subscribers.remoteUser2 = otherSubscriber;
+
+        session.trigger("signal:readyForDataChannel", {
+          from: { id: "remoteUser2", connectionId: "remoteUser2" }
+        });
+
+        sinon.assert.notCalled(subscriber._.getDataChannel);
+        sinon.assert.calledOnce(otherSubscriber._.getDataChannel);
+      });
+
+      it("should not dispatch `DataChannelsAvailable` until both data channels have been obtained", function() {
+        subscriber._.getDataChannel.callsArgWith(2, null, _.extend({}, Backbone.Events));
+
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+        expect(driver._chatConnections).eql({});
+      });
+
       it("should dispatch `DataChannelsAvailable` once both data channels have been obtained", function() {
         var fakeChannel = _.extend({}, Backbone.Events);
 
         subscriber._.getDataChannel.callsArgWith(2, null, fakeChannel);
         publisher._.getDataChannel.callsArgWith(2, null, fakeChannel);
 
-        session.trigger("signal:readyForDataChannel");
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
 
         sinon.assert.calledOnce(dispatcher.dispatch);
         sinon.assert.calledWithExactly(dispatcher.dispatch,
           new sharedActions.DataChannelsAvailable({
             available: true
           }));
+        expect(driver._chatConnections).eql({ remoteUser: fakeConnection });
       });
 
       it("should dispatch `ReceivedTextChatMessage` when a text message is received", function() {
@@ -1528,7 +1814,8 @@ describe("loop.OTSdkDriver", function() {
 
         subscriber._.getDataChannel.callsArgWith(2, null, fakeChannel);
 
-        session.trigger("signal:readyForDataChannel");
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+        dispatcher.dispatch.reset();
 
         // Now send the message.
         fakeChannel.trigger("message", {
@@ -1546,6 +1833,252 @@ describe("loop.OTSdkDriver", function() {
         /* Restore the time. */
         clock.restore();
       });
+
+      it("should dispatch `DataChannelsAvailable` when a data channel closes", function() {
+        var fakeChannel = _.extend({}, Backbone.Events);
+
+        publisher._.getDataChannel.callsArgWith(2, null, fakeChannel);
+        subscriber._.getDataChannel.callsArgWith(2, null, _.extend({}, Backbone.Events));
+
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+        dispatcher.dispatch.reset();
+
+        fakeChannel.trigger("close");
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.DataChannelsAvailable({
+            available: false
+          }));
+      });
+
+      it("should forget the peer when its subscriber data channel closes", function() {
+        var fakeChannel = _.extend({}, Backbone.Events);
+
+        publisher._.getDataChannel.callsArgWith(2, null, _.extend({}, Backbone.Events));
+        subscriber._.getDataChannel.callsArgWith(2, null, fakeChannel);
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+
+        fakeChannel.trigger("close");
+
+        expect(driver._chatConnections).eql({});
+      });
+
+      it("should ask the other peer to use signals if a data channel can't be obtained", function() {
+        sandbox.stub(console, "error");
+        publisher._.getDataChannel.callsArgWith(2, new Error("fake"));
+
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+
+        sinon.assert.calledOnce(session.signal);
+        sinon.assert.calledWith(session.signal, {
+          type: "readyForChatSignals",
+          to: fakeConnection
+        });
+      });
+
+      it("should ask the other peer to use signals if getting the publisher data channel throws", function() {
+        sandbox.stub(console, "error");
+        publisher._.getDataChannel.throws(new Error("fake"));
+
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+
+        sinon.assert.notCalled(subscriber._.getDataChannel);
+        sinon.assert.calledOnce(session.signal);
+        sinon.assert.calledWith(session.signal, {
+          type: "readyForChatSignals",
+          to: fakeConnection
+        });
+      });
+
+      it("should ask the other peer to use signals if getting the subscriber data channel throws", function() {
+        sandbox.stub(console, "error");
+        subscriber._.getDataChannel.throws(new Error("fake"));
+
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+
+        sinon.assert.calledOnce(session.signal);
+        sinon.assert.calledWith(session.signal, {
+          type: "readyForChatSignals",
+          to: fakeConnection
+        });
+      });
+
+      it("should ask the other peer to use signals if the SDK has no data channel support", function() {
+        sandbox.stub(console, "error");
+        delete subscriber._;
+
+        session.trigger("signal:readyForDataChannel", { from: fakeConnection });
+
+        sinon.assert.calledOnce(session.signal);
+        sinon.assert.calledWith(session.signal, {
+          type: "readyForChatSignals",
+          to: fakeConnection
+        });
+      });
+    });
+
+    describe("signal:readyForChatSignals", function() {
+      var remoteConnection;
+
+      beforeEach(function() {
+        remoteConnection = { connectionId: "remoteUser" };
+        driver._useDataChannels = true;
+      });
+
+      it("should not do anything if text chat is not wanted", function() {
+        driver._useDataChannels = false;
+
+        session.trigger("signal:readyForChatSignals", { from: remoteConnection });
+
+        sinon.assert.notCalled(session.signal);
+        sinon.assert.notCalled(dispatcher.dispatch);
+      });
+
+      it("should reply to the other peer", function() {
+        session.trigger("signal:readyForChatSignals", { from: remoteConnection });
+
+        sinon.assert.calledOnce(session.signal);
+        sinon.assert.calledWith(session.signal, {
+          type: "readyForChatSignals",
+          to: remoteConnection
+        });
+      });
+
+      it("should only reply once", function() {
+        session.trigger("signal:readyForChatSignals", { from: remoteConnection });
+        session.trigger("signal:readyForChatSignals", {
+          from: { connectionId: "remoteUser" }
+        });
+
+        sinon.assert.calledOnce(session.signal);
+      });
+
+      it("should dispatch `DataChannelsAvailable`", function() {
+        session.trigger("signal:readyForChatSignals", { from: remoteConnection });
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.DataChannelsAvailable({
+            available: true
+          }));
+      });
+    });
+
+    describe("signal:textChat", function() {
+      var remoteConnection, clock;
+
+      function receiveChunk(id, index, count, data) {
+        session.trigger("signal:textChat", {
+          from: remoteConnection,
+          data: JSON.stringify({ id: id, index: index, count: count, data: data })
+        });
+      }
+
+      beforeEach(function() {
+        remoteConnection = { connectionId: "remoteUser" };
+        driver._useDataChannels = true;
+        clock = sandbox.useFakeTimers();
+      });
+
+      it("should dispatch `ReceivedTextChatMessage` when a message is received", function() {
+        receiveChunk("0", 0, 1, JSON.stringify({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Are you there?"
+        }));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.ReceivedTextChatMessage({
+            contentType: CHAT_CONTENT_TYPES.TEXT,
+            message: "Are you there?",
+            receivedTimestamp: "1970-01-01T00:00:00.000Z"
+          }));
+      });
+
+      it("should join the parts of a message together", function() {
+        var data = JSON.stringify({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Are you there?"
+        });
+
+        receiveChunk("1", 1, 2, data.substr(10));
+        sinon.assert.notCalled(dispatcher.dispatch);
+
+        receiveChunk("1", 0, 2, data.substr(0, 10));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithMatch(dispatcher.dispatch, {
+          message: "Are you there?"
+        });
+      });
+
+      it("should ignore parts with invalid positions", function() {
+        receiveChunk("2", 3, 2, "{}");
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+      });
+
+      it("should ignore parts with invalid counts", function() {
+        receiveChunk("2", 0, 0, "{}");
+        receiveChunk("3", 0, "1", "{}");
+        receiveChunk("4", 0, 1.5, "{}");
+        receiveChunk("5", 0, 33, "{}");
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+        expect(driver._signalChunks).eql({});
+      });
+
+      it("should ignore parts whose count differs from earlier parts", function() {
+        var data = JSON.stringify({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Are you there?"
+        });
+
+        receiveChunk("1", 0, 2, data.substr(0, 10));
+        receiveChunk("1", 1, 3, data.substr(10));
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+
+        receiveChunk("1", 1, 2, data.substr(10));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+      });
+
+      it("should drop parts of new messages once too many are pending", function() {
+        sandbox.stub(console, "error");
+        for (var i = 0; i < 8; i++) {
+          receiveChunk("pending" + i, 0, 2, "{");
+        }
+
+        receiveChunk("extra", 0, 1, "{}");
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+        sinon.assert.calledOnce(console.error);
+        expect(Object.keys(driver._signalChunks.remoteUser).length).eql(8);
+      });
+
+      it("should keep the pending messages of each peer apart", function() {
+        for (var i = 0; i < 8; i++) {
+          receiveChunk("pending" + i, 0, 2, "{");
+        }
+        remoteConnection = { connectionId: "remoteUser2" };
+
+        receiveChunk("other", 0, 1, JSON.stringify({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Are you there?"
+        }));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+      });
+
+      it("should ignore text chat signals if text chat is not wanted", function() {
+        driver._useDataChannels = false;
+
+        receiveChunk("0", 0, 1, "{}");
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+      });
     });
 
     describe("exception", function() {
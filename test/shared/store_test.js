@@ -104,6 +104,20 @@ describe("loop.store", function() {
         });
       });
 
+      describe("#waitFor", function() {
+        it("should ask the dispatcher to wait for the stores", function() {
+          sandbox.stub(dispatcher, "waitFor");
+          var TestStore = loop.store.createStore({});
+          var store = new TestStore(dispatcher);
+          var otherStore = new TestStore(dispatcher);
+
+          store.waitFor([otherStore]);
+
+          sinon.assert.calledOnce(dispatcher.waitFor);
+          sinon.assert.calledWithExactly(dispatcher.waitFor, [otherStore]);
+        });
+      });
+
       describe("#getStoreState", function() {
         var TestStore = loop.store.createStore({});
         var store;
@@ -152,7 +166,150 @@ describe("loop.store", function() {
 
           store.setStoreState({ foo: "baz" });
         });
+
+        it("should pass the changed keys to the `change` event", function() {
+          var listener = sinon.stub();
+          store.on("change", listener);
+
+          store.setStoreState({ foo: "bar", bar: "baz" });
+
+          sinon.assert.calledOnce(listener);
+          sinon.assert.calledWithExactly(listener, ["bar"]);
+        });
+
+        it("should not trigger `change:<prop>` for unchanged props", function() {
+          var listener = sinon.stub();
+          store.on("change:foo", listener);
+
+          store.setStoreState({ foo: "bar", bar: "baz" });
+
+          sinon.assert.notCalled(listener);
+        });
+
+        it("should not trigger a `change` event if nothing changed", function() {
+          var listener = sinon.stub();
+          store.on("change", listener);
+
+          store.setStoreState({ foo: "bar" });
+
+          sinon.assert.notCalled(listener);
+        });
+      });
+    });
+  });
+
+  describe("loop.store.createSelector", function() {
+    var compute, selector;
+
+    beforeEach(function() {
+      compute = sinon.spy(function(foo, bar) {
+        return foo + bar;
+      });
+      selector = loop.store.createSelector(["foo", "bar"], compute);
+    });
+
+    it("should expose the keys it depends on", function() {
+      expect(selector.keys).eql(["foo", "bar"]);
+    });
+
+    it("should compute the value from the state", function() {
+      expect(selector({ foo: 1, bar: 2, baz: 3 })).eql(3);
+      sinon.assert.calledWithExactly(compute, 1, 2);
+    });
+
+    it("should not compute the value again if the keys are unchanged", function() {
+      selector({ foo: 1, bar: 2, baz: 3 });
+
+      expect(selector({ foo: 1, bar: 2, baz: 4 })).eql(3);
+      sinon.assert.calledOnce(compute);
+    });
+
+    it("should compute the value again when a key has changed", function() {
+      selector({ foo: 1, bar: 2 });
+
+      expect(selector({ foo: 1, bar: 3 })).eql(4);
+      sinon.assert.calledTwice(compute);
+    });
+  });
+
+  describe("loop.store.StoreSelectorMixin", function() {
+    var view, store, testComp, renderSpy;
+
+    beforeEach(function() {
+      var TestStore = loop.store.createStore({
+        getInitialStoreState: function() {
+          return { foo: 1, bar: 2, baz: 3 };
+        }
+      });
+      store = new TestStore(dispatcher);
+      renderSpy = sinon.stub();
+
+      testComp = React.createClass({
+        mixins: [loop.store.StoreSelectorMixin("store", {
+          foo: "foo",
+          sum: loop.store.createSelector(["foo", "bar"], function(foo, bar) {
+            return foo + bar;
+          })
+        })],
+        render: function() {
+          renderSpy();
+          return React.DOM.div();
+        }
       });
+
+      view = TestUtils.renderIntoDocument(
+        React.createElement(testComp, { store: store }));
+    });
+
+    it("should set the initial state from the selectors", function() {
+      expect(view.state).eql({ foo: 1, sum: 3 });
+    });
+
+    it("should allow props to override the initial state", function() {
+      view = TestUtils.renderIntoDocument(
+        React.createElement(testComp, { foo: 42, store: store }));
+
+      expect(view.state).eql({ foo: 42, sum: 3 });
+    });
+
+    it("should accept a function returning the store", function() {
+      var otherComp = React.createClass({
+        mixins: [loop.store.StoreSelectorMixin(function(props) {
+          return props.stores.main;
+        }, { baz: "baz" })],
+        render: function() {
+          return React.DOM.div();
+        }
+      });
+
+      view = TestUtils.renderIntoDocument(
+        React.createElement(otherComp, { stores: { main: store } }));
+      store.setStoreState({ baz: 4 });
+
+      expect(view.state).eql({ baz: 4 });
+    });
+
+    it("should update the state when a selected value changes", function() {
+      store.setStoreState({ bar: 5 });
+
+      expect(view.state).eql({ foo: 1, sum: 6 });
+    });
+
+    it("should not render when unselected values change", function() {
+      renderSpy.reset();
+
+      store.setStoreState({ baz: 4 });
+
+      sinon.assert.notCalled(renderSpy);
+    });
+
+    it("should stop listening to state changes", function() {
+      // There's no easy way in TestUtils to unmount, so simulate it.
+      view.componentWillUnmount();
+
+      store.setStoreState({ foo: 2 });
+
+      expect(view.state.foo).eql(1);
     });
   });
 
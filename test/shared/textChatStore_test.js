@@ -7,6 +7,8 @@ describe("loop.store.TextChatStore", function() {
   var expect = chai.expect;
   var sharedActions = loop.shared.actions;
   var CHAT_MESSAGE_TYPES = loop.store.CHAT_MESSAGE_TYPES;
+  var CHAT_MESSAGE_STATES = loop.store.CHAT_MESSAGE_STATES;
+  var FILE_TRANSFER_STATES = loop.store.FILE_TRANSFER_STATES;
   var CHAT_CONTENT_TYPES = loop.shared.utils.CHAT_CONTENT_TYPES;
 
   var dispatcher, fakeSdkDriver, sandbox, store;
@@ -19,6 +21,7 @@ describe("loop.store.TextChatStore", function() {
     sandbox.stub(dispatcher, "dispatch");
 
     fakeSdkDriver = {
+      getTextChatPeerCount: sinon.stub().returns(1),
       sendTextChatMessage: sinon.stub()
     };
 
@@ -86,71 +89,1600 @@ describe("loop.store.TextChatStore", function() {
       }]);
     });
 
-    it("should not add messages for unknown content types", function() {
+    it("should add messages with text for unknown content types", function() {
       store.receivedTextChatMessage({
         contentType: "invalid type",
         message: "Hi"
       });
 
+      expect(store.getStoreState("messageList").length).eql(1);
+      expect(store.getStoreState("messageList")[0].contentType).eql("invalid type");
+    });
+
+    it("should not add messages without text for unknown content types", function() {
+      store.receivedTextChatMessage({
+        contentType: "invalid type",
+        message: ""
+      });
+
+      expect(store.getStoreState("messageList").length).eql(0);
+    });
+
+    it("should add image messages with data URLs", function() {
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.IMAGE,
+        message: "A cat",
+        extraData: { src: "data:image/png;base64,iVBORw0KGgo=" },
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+
+      expect(store.getStoreState("messageList")[0].contentType)
+        .eql(CHAT_CONTENT_TYPES.IMAGE);
+    });
+
+    it("should not add image messages with other URLs", function() {
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.IMAGE,
+        message: "A cat",
+        extraData: { src: "http://example.com/cat.png" },
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+
+      expect(store.getStoreState("messageList").length).eql(0);
+    });
+
+    it("should replace the context when the peer updates it", function() {
+      store.updateRoomInfo(new sharedActions.UpdateRoomInfo({
+        roomUrl: "fake",
+        roomContextUrls: [{
+          description: "A wonderful page!",
+          location: "http://wonderful.invalid"
+        }]
+      }));
+
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.CONTEXT,
+        message: "A better page!",
+        extraData: { location: "https://better.invalid" },
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+
+      var messageList = store.getStoreState("messageList");
+      expect(messageList.length).eql(1);
+      expect(messageList[0].type).eql(CHAT_MESSAGE_TYPES.SPECIAL);
+      expect(messageList[0].extraData.location).eql("https://better.invalid");
+    });
+
+    it("should not add context from the peer with an invalid location", function() {
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.CONTEXT,
+        message: "A bad page!",
+        extraData: { location: "ftp://bad.invalid" },
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+
+      expect(store.getStoreState("messageList").length).eql(0);
+    });
+
+    it("should ignore notices sent by the peer", function() {
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.NOTICE,
+        message: "Hi",
+        extraData: { notice: "peer-left" },
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+
+      expect(store.getStoreState("messageList").length).eql(0);
+    });
+
+    it("should dispatch a LoopChatMessageAppended event", function() {
+      store.setStoreState({ textChatEnabled: true });
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello!"
+      });
+
+      sinon.assert.calledOnce(window.dispatchEvent);
+      sinon.assert.calledWithExactly(window.dispatchEvent,
+        new CustomEvent("LoopChatMessageAppended"));
+    });
+  });
+
+  describe("registerContentType", function() {
+    afterEach(function() {
+      loop.store.TextChatStore.registerContentType("test-type", undefined);
+    });
+
+    it("should add messages returned by the handler", function() {
+      loop.store.TextChatStore.registerContentType("test-type", {
+        received: function(actionData) {
+          return _.extend({}, actionData, { message: "Changed" });
+        }
+      });
+
+      store.receivedTextChatMessage({
+        contentType: "test-type",
+        message: "",
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+
+      expect(store.getStoreState("messageList")[0].message).eql("Changed");
+    });
+
+    it("should not add a message if the handler returns null", function() {
+      loop.store.TextChatStore.registerContentType("test-type", {
+        received: function() {
+          return null;
+        }
+      });
+
+      store.receivedTextChatMessage({
+        contentType: "test-type",
+        message: "Hi",
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+
       expect(store.getStoreState("messageList").length).eql(0);
     });
 
-    it("should dispatch a LoopChatMessageAppended event", function() {
-      store.setStoreState({ textChatEnabled: true });
-      store.receivedTextChatMessage({
-        contentType: CHAT_CONTENT_TYPES.TEXT,
-        message: "Hello!"
+    it("should add messages unchanged if there is no received function", function() {
+      loop.store.TextChatStore.registerContentType("test-type", {});
+
+      store.receivedTextChatMessage({
+        contentType: "test-type",
+        message: "",
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+
+      expect(store.getStoreState("messageList").length).eql(1);
+    });
+  });
+
+  describe("Notices", function() {
+    it("should add a notice when the peer leaves", function() {
+      store.remotePeerDisconnected(new sharedActions.RemotePeerDisconnected({
+        peerHungup: true,
+        remainingPeers: 0
+      }));
+
+      var message = store.getStoreState("messageList")[0];
+      expect(message.type).eql(CHAT_MESSAGE_TYPES.SPECIAL);
+      expect(message.contentType).eql(CHAT_CONTENT_TYPES.NOTICE);
+      expect(message.extraData).eql({ notice: "peer-left" });
+    });
+
+    it("should add a notice when the peer starts sharing their screen", function() {
+      store.receivingScreenShare(new sharedActions.ReceivingScreenShare({
+        receiving: true
+      }));
+
+      expect(store.getStoreState("messageList")[0].extraData)
+        .eql({ notice: "screen-share-started" });
+    });
+
+    it("should only add one notice if screen sharing is notified twice", function() {
+      store.receivingScreenShare(new sharedActions.ReceivingScreenShare({
+        receiving: true
+      }));
+      store.receivingScreenShare(new sharedActions.ReceivingScreenShare({
+        receiving: true
+      }));
+
+      expect(store.getStoreState("messageList").length).eql(1);
+    });
+
+    it("should add a notice when the peer stops sharing their screen", function() {
+      store.receivingScreenShare(new sharedActions.ReceivingScreenShare({
+        receiving: true
+      }));
+      store.receivingScreenShare(new sharedActions.ReceivingScreenShare({
+        receiving: false
+      }));
+
+      expect(store.getStoreState("messageList")[1].extraData)
+        .eql({ notice: "screen-share-stopped" });
+    });
+  });
+
+  describe("Typing state", function() {
+    function receiveTypingState(typing, displayName) {
+      var extraData = { typing: typing };
+      if (displayName) {
+        extraData.displayName = displayName;
+      }
+
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TYPING,
+        message: "",
+        extraData: extraData,
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+    }
+
+    describe("#sendTypingState", function() {
+      it("should send the typing state on the data channel", function() {
+        store.setStoreState({ textChatEnabled: true });
+
+        store.sendTypingState(new sharedActions.SendTypingState({ typing: true }));
+
+        sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.TYPING,
+          message: "",
+          extraData: { typing: true }
+        });
+      });
+
+      it("should send the user's name with the typing state if it is known", function() {
+        store = new loop.store.TextChatStore(dispatcher, {
+          displayName: "fake@invalid.tld",
+          sdkDriver: fakeSdkDriver
+        });
+        store.setStoreState({ textChatEnabled: true });
+
+        store.sendTypingState(new sharedActions.SendTypingState({ typing: true }));
+
+        sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.TYPING,
+          message: "",
+          extraData: { typing: true, displayName: "fake@invalid.tld" }
+        });
+      });
+
+      it("should not send the typing state if text chat isn't enabled", function() {
+        store.sendTypingState(new sharedActions.SendTypingState({ typing: true }));
+
+        sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+      });
+    });
+
+    describe("#receivedTextChatMessage", function() {
+      it("should set peerTyping when the peer starts typing", function() {
+        receiveTypingState(true);
+
+        expect(store.getStoreState("peerTyping")).eql(true);
+      });
+
+      it("should set peerTypingName when the peer sends their name", function() {
+        receiveTypingState(true, "Frank");
+
+        expect(store.getStoreState("peerTypingName")).eql("Frank");
+      });
+
+      it("should not set peerTypingName when the peer doesn't send their name", function() {
+        receiveTypingState(true);
+
+        expect(store.getStoreState("peerTypingName")).eql(null);
+      });
+
+      it("should clear peerTypingName when the peer stops typing", function() {
+        receiveTypingState(true, "Frank");
+        receiveTypingState(false, "Frank");
+
+        expect(store.getStoreState("peerTypingName")).eql(null);
+      });
+
+      it("should not add the typing state to the message list", function() {
+        receiveTypingState(true);
+
+        expect(store.getStoreState("messageList")).eql([]);
+        sinon.assert.notCalled(window.dispatchEvent);
+      });
+
+      it("should clear peerTyping when the peer stops typing", function() {
+        receiveTypingState(true);
+        receiveTypingState(false);
+
+        expect(store.getStoreState("peerTyping")).eql(false);
+      });
+
+      it("should clear peerTyping when a message is received", function() {
+        receiveTypingState(true);
+
+        store.receivedTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello!",
+          receivedTimestamp: "1970-01-01T00:00:00.000Z"
+        });
+
+        expect(store.getStoreState("peerTyping")).eql(false);
+      });
+
+      it("should clear peerTyping if the peer isn't heard from", function() {
+        receiveTypingState(true);
+
+        sandbox.clock.tick(6000);
+
+        expect(store.getStoreState("peerTyping")).eql(false);
+        expect(store.getStoreState("peerTypingName")).eql(null);
+      });
+
+      it("should keep peerTyping whilst the peer keeps typing", function() {
+        receiveTypingState(true);
+        sandbox.clock.tick(5000);
+        receiveTypingState(true);
+        sandbox.clock.tick(5000);
+
+        expect(store.getStoreState("peerTyping")).eql(true);
+      });
+    });
+  });
+
+  describe("#sendTextChatMessage", function() {
+    beforeEach(function() {
+      store.setStoreState({ textChatEnabled: true });
+    });
+
+    it("should send the message", function() {
+      var messageData = {
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Yes, that's what this is called."
+      };
+
+      store.sendTextChatMessage(messageData);
+
+      sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+      sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Yes, that's what this is called.",
+        messageId: sinon.match.string
+      });
+    });
+
+    it("should keep the message id if one is supplied", function() {
+      store.sendTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello!",
+        messageId: "fakeId"
+      });
+
+      sinon.assert.calledWithMatch(fakeSdkDriver.sendTextChatMessage, {
+        messageId: "fakeId"
+      });
+    });
+
+    it("should add the message to the list", function() {
+      var messageData = {
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "It's awesome!",
+        sentTimestamp: "2015-06-24T23:58:53.848Z",
+        receivedTimestamp: "2015-06-24T23:58:53.848Z",
+        messageId: "fakeId"
+      };
+      store.setStoreState({ textChatEnabled: true });
+
+      store.sendTextChatMessage(messageData);
+
+      expect(store.getStoreState("messageList")).eql([{
+        type: CHAT_MESSAGE_TYPES.SENT,
+        contentType: messageData.contentType,
+        message: messageData.message,
+        extraData: undefined,
+        sentTimestamp: "2015-06-24T23:58:53.848Z",
+        receivedTimestamp: "2015-06-24T23:58:53.848Z",
+        messageId: "fakeId",
+        state: CHAT_MESSAGE_STATES.SENT
+      }]);
+    });
+
+    it("should mark the message as pending if text chat isn't enabled", function() {
+      store.setStoreState({ textChatEnabled: false });
+
+      store.sendTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello!"
+      });
+
+      sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+      expect(store.getStoreState("messageList")[0].state)
+        .eql(CHAT_MESSAGE_STATES.PENDING);
+    });
+
+    it("should mark the message as pending if it can't be sent", function() {
+      fakeSdkDriver.sendTextChatMessage.throws(new Error("Not available"));
+      sandbox.stub(console, "error");
+
+      store.sendTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello!"
+      });
+
+      expect(store.getStoreState("messageList")[0].state)
+        .eql(CHAT_MESSAGE_STATES.PENDING);
+    });
+
+    it("should dipatch a LoopChatMessageAppended event", function() {
+      store.setStoreState({ textChatEnabled: true });
+      store.sendTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello!"
+      });
+
+      sinon.assert.calledOnce(window.dispatchEvent);
+      sinon.assert.calledWithExactly(window.dispatchEvent,
+        new CustomEvent("LoopChatMessageAppended"));
+    });
+  });
+
+  describe("Receipts", function() {
+    function sendMessage(messageId) {
+      store.sendTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello!",
+        sentTimestamp: "2015-06-24T23:58:53.848Z",
+        messageId: messageId
+      });
+    }
+
+    function receiveMessage(messageId) {
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hi!",
+        messageId: messageId,
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+    }
+
+    function receiveReceipt(messageId, state) {
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.RECEIPT,
+        message: "",
+        extraData: { messageId: messageId, state: state },
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+    }
+
+    function getState(index) {
+      return store.getStoreState("messageList")[index].state;
+    }
+
+    beforeEach(function() {
+      store.setStoreState({ textChatEnabled: true });
+    });
+
+    describe("#receivedTextChatMessage", function() {
+      it("should send a delivered receipt for the message", function() {
+        receiveMessage("fakeId");
+
+        sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.RECEIPT,
+          message: "",
+          extraData: {
+            messageId: "fakeId",
+            state: CHAT_MESSAGE_STATES.DELIVERED
+          }
+        });
+      });
+
+      it("should not send a receipt for messages without an id", function() {
+        receiveMessage();
+
+        sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+      });
+
+      it("should mark a sent message as delivered", function() {
+        sendMessage("fakeId");
+
+        receiveReceipt("fakeId", CHAT_MESSAGE_STATES.DELIVERED);
+
+        expect(getState(0)).eql(CHAT_MESSAGE_STATES.DELIVERED);
+      });
+
+      it("should mark a sent message as read", function() {
+        sendMessage("fakeId");
+
+        receiveReceipt("fakeId", CHAT_MESSAGE_STATES.READ);
+
+        expect(getState(0)).eql(CHAT_MESSAGE_STATES.READ);
+      });
+
+      it("should not mark a read message as delivered", function() {
+        sendMessage("fakeId");
+
+        receiveReceipt("fakeId", CHAT_MESSAGE_STATES.READ);
+        receiveReceipt("fakeId", CHAT_MESSAGE_STATES.DELIVERED);
+
+        expect(getState(0)).eql(CHAT_MESSAGE_STATES.READ);
+      });
+
+      it("should only update the acknowledged message", function() {
+        sendMessage("fakeId");
+        sendMessage("otherId");
+
+        receiveReceipt("otherId", CHAT_MESSAGE_STATES.DELIVERED);
+
+        expect(getState(0)).eql(CHAT_MESSAGE_STATES.SENT);
+        expect(getState(1)).eql(CHAT_MESSAGE_STATES.DELIVERED);
+      });
+
+      it("should not add receipts to the message list", function() {
+        receiveReceipt("fakeId", CHAT_MESSAGE_STATES.DELIVERED);
+
+        expect(store.getStoreState("messageList")).eql([]);
+      });
+    });
+
+    describe("#markChatMessagesRead", function() {
+      it("should send read receipts for the received messages", function() {
+        receiveMessage("fakeId");
+        receiveMessage("otherId");
+        fakeSdkDriver.sendTextChatMessage.reset();
+
+        store.markChatMessagesRead(new sharedActions.MarkChatMessagesRead());
+
+        sinon.assert.calledTwice(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.RECEIPT,
+          message: "",
+          extraData: {
+            messageId: "otherId",
+            state: CHAT_MESSAGE_STATES.READ
+          }
+        });
+      });
+
+      it("should only send the read receipts once", function() {
+        receiveMessage("fakeId");
+        store.markChatMessagesRead(new sharedActions.MarkChatMessagesRead());
+        fakeSdkDriver.sendTextChatMessage.reset();
+
+        store.markChatMessagesRead(new sharedActions.MarkChatMessagesRead());
+
+        sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+      });
+    });
+
+    describe("#dataChannelsAvailable", function() {
+      it("should mark unacknowledged messages as failed when the channels close", function() {
+        sendMessage("fakeId");
+        sendMessage("otherId");
+        receiveReceipt("otherId", CHAT_MESSAGE_STATES.DELIVERED);
+
+        store.dataChannelsAvailable(new sharedActions.DataChannelsAvailable({
+          available: false
+        }));
+
+        expect(getState(0)).eql(CHAT_MESSAGE_STATES.FAILED);
+        expect(getState(1)).eql(CHAT_MESSAGE_STATES.DELIVERED);
+      });
+
+      it("should leave sent messages alone if the peer hasn't sent receipts", function() {
+        sendMessage("fakeId");
+
+        store.dataChannelsAvailable(new sharedActions.DataChannelsAvailable({
+          available: false
+        }));
+
+        expect(getState(0)).eql(CHAT_MESSAGE_STATES.SENT);
+      });
+
+      it("should not count receipts with an unknown state", function() {
+        sendMessage("fakeId");
+        receiveReceipt("otherId", "fake");
+
+        store.dataChannelsAvailable(new sharedActions.DataChannelsAvailable({
+          available: false
+        }));
+
+        expect(getState(0)).eql(CHAT_MESSAGE_STATES.SENT);
+      });
+    });
+
+    describe("#resendTextChatMessage", function() {
+      beforeEach(function() {
+        receiveReceipt("otherId", CHAT_MESSAGE_STATES.DELIVERED);
+        sendMessage("fakeId");
+        store.dataChannelsAvailable(new sharedActions.DataChannelsAvailable({
+          available: false
+        }));
+        fakeSdkDriver.sendTextChatMessage.reset();
+      });
+
+      it("should send the failed message again with the same id", function() {
+        store.setStoreState({ textChatEnabled: true });
+
+        store.resendTextChatMessage(new sharedActions.ResendTextChatMessage({
+          messageId: "fakeId"
+        }));
+
+        sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello!",
+          sentTimestamp: "2015-06-24T23:58:53.848Z",
+          messageId: "fakeId",
+          extraData: undefined
+        });
+        expect(getState(0)).eql(CHAT_MESSAGE_STATES.SENT);
+      });
+
+      it("should put the message back in the outbox if text chat isn't enabled", function() {
+        store.resendTextChatMessage(new sharedActions.ResendTextChatMessage({
+          messageId: "fakeId"
+        }));
+
+        sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+        expect(getState(0)).eql(CHAT_MESSAGE_STATES.PENDING);
+      });
+    });
+  });
+
+  describe("Outbox", function() {
+    function sendMessage(messageId) {
+      store.sendTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello " + messageId,
+        sentTimestamp: "2015-06-24T23:58:53.848Z",
+        messageId: messageId
+      });
+    }
+
+    function getState(index) {
+      return store.getStoreState("messageList")[index].state;
+    }
+
+    function setAvailable(available) {
+      store.dataChannelsAvailable(new sharedActions.DataChannelsAvailable({
+        available: available
+      }));
+    }
+
+    beforeEach(function() {
+      sendMessage("fakeId");
+      sendMessage("otherId");
+    });
+
+    it("should send the waiting messages in order once the channels are available", function() {
+      setAvailable(true);
+
+      sinon.assert.calledTwice(fakeSdkDriver.sendTextChatMessage);
+      sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage.getCall(0), {
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello fakeId",
+        sentTimestamp: "2015-06-24T23:58:53.848Z",
+        messageId: "fakeId"
+      });
+      sinon.assert.calledWithMatch(fakeSdkDriver.sendTextChatMessage.getCall(1), {
+        messageId: "otherId"
+      });
+    });
+
+    it("should mark the waiting messages as sent once the channels are available", function() {
+      setAvailable(true);
+
+      expect(getState(0)).eql(CHAT_MESSAGE_STATES.SENT);
+      expect(getState(1)).eql(CHAT_MESSAGE_STATES.SENT);
+    });
+
+    it("should only send the waiting messages once", function() {
+      setAvailable(true);
+      fakeSdkDriver.sendTextChatMessage.reset();
+
+      setAvailable(false);
+      setAvailable(true);
+
+      sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+    });
+
+    it("should keep the messages that couldn't be sent for next time", function() {
+      sandbox.stub(console, "error");
+      fakeSdkDriver.sendTextChatMessage.onSecondCall().throws(new Error("Closed"));
+
+      setAvailable(true);
+
+      expect(getState(0)).eql(CHAT_MESSAGE_STATES.SENT);
+      expect(getState(1)).eql(CHAT_MESSAGE_STATES.PENDING);
+
+      setAvailable(true);
+
+      expect(getState(1)).eql(CHAT_MESSAGE_STATES.SENT);
+    });
+
+    it("should keep waiting if the channels close", function() {
+      setAvailable(false);
+
+      expect(getState(0)).eql(CHAT_MESSAGE_STATES.PENDING);
+    });
+
+    it("should mark the waiting messages as failed when the room is left", function() {
+      store.leaveRoom(new sharedActions.LeaveRoom());
+
+      expect(getState(0)).eql(CHAT_MESSAGE_STATES.FAILED);
+      expect(getState(1)).eql(CHAT_MESSAGE_STATES.FAILED);
+    });
+
+    it("should mark the waiting messages as failed when joining the room fails", function() {
+      store.roomFailure(new sharedActions.RoomFailure({
+        error: new Error("fake"),
+        failedJoinRequest: true
+      }));
+
+      expect(getState(0)).eql(CHAT_MESSAGE_STATES.FAILED);
+    });
+
+    it("should not send the failed messages once the channels are available", function() {
+      store.leaveRoom(new sharedActions.LeaveRoom());
+
+      setAvailable(true);
+
+      sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+    });
+  });
+
+  describe("Editing and deleting messages", function() {
+    function sendMessage(messageId) {
+      store.sendTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello!",
+        sentTimestamp: "2015-06-24T23:58:53.848Z",
+        messageId: messageId
+      });
+    }
+
+    function receiveMessage(messageId) {
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hi!",
+        messageId: messageId,
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+    }
+
+    function findMessage(messageId) {
+      return _.find(store.getStoreState("messageList"), function(message) {
+        return message.messageId === messageId;
+      });
+    }
+
+    beforeEach(function() {
+      store.setStoreState({ textChatEnabled: true });
+    });
+
+    describe("#editTextChatMessage", function() {
+      beforeEach(function() {
+        sendMessage("fakeId");
+        fakeSdkDriver.sendTextChatMessage.reset();
+      });
+
+      it("should update the message and mark it as edited", function() {
+        store.editTextChatMessage(new sharedActions.EditTextChatMessage({
+          messageId: "fakeId",
+          message: "Hello again!"
+        }));
+
+        expect(findMessage("fakeId").message).eql("Hello again!");
+        expect(findMessage("fakeId").edited).eql(true);
+      });
+
+      it("should send the edit to the other peer", function() {
+        store.editTextChatMessage(new sharedActions.EditTextChatMessage({
+          messageId: "fakeId",
+          message: "Hello again!"
+        }));
+
+        sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.EDIT,
+          message: "Hello again!",
+          extraData: { messageId: "fakeId" }
+        });
+      });
+
+      it("should not edit received messages", function() {
+        receiveMessage("otherId");
+        fakeSdkDriver.sendTextChatMessage.reset();
+
+        store.editTextChatMessage(new sharedActions.EditTextChatMessage({
+          messageId: "otherId",
+          message: "Changed"
+        }));
+
+        expect(findMessage("otherId").message).eql("Hi!");
+        sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+      });
+
+      it("should not edit deleted messages", function() {
+        store.deleteTextChatMessage(new sharedActions.DeleteTextChatMessage({
+          messageId: "fakeId"
+        }));
+        fakeSdkDriver.sendTextChatMessage.reset();
+
+        store.editTextChatMessage(new sharedActions.EditTextChatMessage({
+          messageId: "fakeId",
+          message: "Changed"
+        }));
+
+        expect(findMessage("fakeId").message).eql("");
+        sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+      });
+
+      it("should keep the edit when the context is replaced", function() {
+        store.updateRoomInfo(new sharedActions.UpdateRoomInfo({
+          roomUrl: "fake",
+          roomContextUrls: [{
+            description: "A wonderful page!",
+            location: "http://wonderful.invalid"
+          }]
+        }));
+        store.editTextChatMessage(new sharedActions.EditTextChatMessage({
+          messageId: "fakeId",
+          message: "Hello again!"
+        }));
+
+        store.updateRoomInfo(new sharedActions.UpdateRoomInfo({
+          roomUrl: "fake",
+          roomContextUrls: [{
+            description: "A better page!",
+            location: "http://better.invalid"
+          }]
+        }));
+
+        var messageList = store.getStoreState("messageList");
+        expect(messageList.length).eql(2);
+        expect(messageList[0].message).eql("Hello again!");
+        expect(messageList[1].message).eql("A better page!");
+      });
+    });
+
+    describe("#deleteTextChatMessage", function() {
+      beforeEach(function() {
+        sendMessage("fakeId");
+        fakeSdkDriver.sendTextChatMessage.reset();
+      });
+
+      it("should replace the message with a tombstone", function() {
+        store.deleteTextChatMessage(new sharedActions.DeleteTextChatMessage({
+          messageId: "fakeId"
+        }));
+
+        expect(findMessage("fakeId").message).eql("");
+        expect(findMessage("fakeId").deleted).eql(true);
+      });
+
+      it("should send the deletion to the other peer", function() {
+        store.deleteTextChatMessage(new sharedActions.DeleteTextChatMessage({
+          messageId: "fakeId"
+        }));
+
+        sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.DELETE,
+          message: "",
+          extraData: { messageId: "fakeId" }
+        });
+      });
+
+      it("should not delete messages if text chat isn't enabled", function() {
+        store.setStoreState({ textChatEnabled: false });
+
+        store.deleteTextChatMessage(new sharedActions.DeleteTextChatMessage({
+          messageId: "fakeId"
+        }));
+
+        expect(findMessage("fakeId").message).eql("Hello!");
+      });
+    });
+
+    describe("#receivedTextChatMessage", function() {
+      beforeEach(function() {
+        receiveMessage("fakeId");
+      });
+
+      it("should update a message the peer edited", function() {
+        store.receivedTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.EDIT,
+          message: "Hi again!",
+          extraData: { messageId: "fakeId" },
+          receivedTimestamp: "1970-01-01T00:00:01.000Z"
+        });
+
+        expect(findMessage("fakeId").message).eql("Hi again!");
+        expect(findMessage("fakeId").edited).eql(true);
+        expect(store.getStoreState("messageList").length).eql(1);
+      });
+
+      it("should replace a message the peer deleted with a tombstone", function() {
+        store.receivedTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.DELETE,
+          message: "",
+          extraData: { messageId: "fakeId" },
+          receivedTimestamp: "1970-01-01T00:00:01.000Z"
+        });
+
+        expect(findMessage("fakeId").message).eql("");
+        expect(findMessage("fakeId").deleted).eql(true);
+      });
+
+      it("should not let the peer edit messages the user sent", function() {
+        sendMessage("sentId");
+
+        store.receivedTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.EDIT,
+          message: "Changed",
+          extraData: { messageId: "sentId" },
+          receivedTimestamp: "1970-01-01T00:00:01.000Z"
+        });
+
+        expect(findMessage("sentId").message).eql("Hello!");
+      });
+    });
+  });
+
+  describe("Reactions", function() {
+    var thumbsUp = "\uD83D\uDC4D";
+
+    function findMessage(messageId) {
+      return _.find(store.getStoreState("messageList"), function(message) {
+        return message.messageId === messageId;
+      });
+    }
+
+    function receiveReaction(added) {
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.REACTION,
+        message: thumbsUp,
+        extraData: { messageId: "fakeId", added: added }
+      });
+    }
+
+    beforeEach(function() {
+      store.setStoreState({ textChatEnabled: true });
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hi!",
+        messageId: "fakeId",
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+      fakeSdkDriver.sendTextChatMessage.reset();
+    });
+
+    describe("#toggleChatReaction", function() {
+      it("should add the user's reaction to the message", function() {
+        store.toggleChatReaction(new sharedActions.ToggleChatReaction({
+          messageId: "fakeId",
+          reaction: thumbsUp
+        }));
+
+        expect(findMessage("fakeId").reactions).eql({
+          "\uD83D\uDC4D": { count: 1, reacted: true }
+        });
+      });
+
+      it("should send the reaction to the other peer", function() {
+        store.toggleChatReaction(new sharedActions.ToggleChatReaction({
+          messageId: "fakeId",
+          reaction: thumbsUp
+        }));
+
+        sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.REACTION,
+          message: thumbsUp,
+          extraData: { messageId: "fakeId", added: true }
+        });
+      });
+
+      it("should remove the user's reaction if they had already reacted", function() {
+        store.toggleChatReaction(new sharedActions.ToggleChatReaction({
+          messageId: "fakeId",
+          reaction: thumbsUp
+        }));
+        fakeSdkDriver.sendTextChatMessage.reset();
+
+        store.toggleChatReaction(new sharedActions.ToggleChatReaction({
+          messageId: "fakeId",
+          reaction: thumbsUp
+        }));
+
+        expect(findMessage("fakeId").reactions).eql({});
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.REACTION,
+          message: thumbsUp,
+          extraData: { messageId: "fakeId", added: false }
+        });
+      });
+
+      it("should not react if text chat isn't enabled", function() {
+        store.setStoreState({ textChatEnabled: false });
+
+        store.toggleChatReaction(new sharedActions.ToggleChatReaction({
+          messageId: "fakeId",
+          reaction: thumbsUp
+        }));
+
+        expect(findMessage("fakeId").reactions).eql(undefined);
+        sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+      });
+
+      it("should not react to unknown messages", function() {
+        store.toggleChatReaction(new sharedActions.ToggleChatReaction({
+          messageId: "unknownId",
+          reaction: thumbsUp
+        }));
+
+        sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+      });
+    });
+
+    describe("#receivedTextChatMessage", function() {
+      it("should add the other peer's reaction to the message", function() {
+        receiveReaction(true);
+
+        expect(findMessage("fakeId").reactions).eql({
+          "\uD83D\uDC4D": { count: 1, reacted: false }
+        });
+        expect(store.getStoreState("messageList").length).eql(1);
+      });
+
+      it("should count the reactions of both peers", function() {
+        store.toggleChatReaction(new sharedActions.ToggleChatReaction({
+          messageId: "fakeId",
+          reaction: thumbsUp
+        }));
+
+        receiveReaction(true);
+
+        expect(findMessage("fakeId").reactions).eql({
+          "\uD83D\uDC4D": { count: 2, reacted: true }
+        });
+      });
+
+      it("should remove the other peer's reaction", function() {
+        receiveReaction(true);
+
+        receiveReaction(false);
+
+        expect(findMessage("fakeId").reactions).eql({});
+      });
+
+      it("should not remove the user's reaction when the peer removes theirs", function() {
+        store.toggleChatReaction(new sharedActions.ToggleChatReaction({
+          messageId: "fakeId",
+          reaction: thumbsUp
+        }));
+
+        receiveReaction(false);
+
+        expect(findMessage("fakeId").reactions).eql({
+          "\uD83D\uDC4D": { count: 1, reacted: true }
+        });
+      });
+
+      it("should ignore reactions that are too long", function() {
+        store.receivedTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.REACTION,
+          message: new Array(20).join("x"),
+          extraData: { messageId: "fakeId", added: true }
+        });
+
+        expect(findMessage("fakeId").reactions).eql(undefined);
+      });
+    });
+  });
+
+  describe("File transfers", function() {
+    var file;
+
+    function getFileDetails() {
+      return store.getStoreState("messageList")[0].extraData;
+    }
+
+    function receiveTransferMessage(transferId, action, extraData) {
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.FILE_TRANSFER,
+        message: "",
+        extraData: _.extend({ transferId: transferId, action: action }, extraData),
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+    }
+
+    function receiveOffer(size, chunkCount) {
+      if (chunkCount === undefined) {
+        chunkCount = Math.max(Math.ceil(size / (11 * 1024)), 1);
+      }
+
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.FILE,
+        message: "fake.txt",
+        extraData: {
+          transferId: "fakeId",
+          name: "fake.txt",
+          size: size,
+          mimeType: "text/plain",
+          chunkCount: chunkCount
+        },
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+    }
+
+    beforeEach(function() {
+      store.setStoreState({ textChatEnabled: true });
+      file = new Blob(["Hello"], { type: "text/plain" });
+      file.name = "hello.txt";
+    });
+
+    describe("#sendFile", function() {
+      it("should offer the file to the other peer", function() {
+        store.sendFile(new sharedActions.SendFile({ file: file }));
+
+        sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithMatch(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.FILE,
+          message: "hello.txt",
+          extraData: {
+            name: "hello.txt",
+            size: 5,
+            mimeType: "text/plain",
+            chunkCount: 1
+          }
+        });
+      });
+
+      it("should add the file to the message list", function() {
+        store.sendFile(new sharedActions.SendFile({ file: file }));
+
+        var message = store.getStoreState("messageList")[0];
+        expect(message.type).eql(CHAT_MESSAGE_TYPES.SENT);
+        expect(message.contentType).eql(CHAT_CONTENT_TYPES.FILE);
+        expect(message.extraData.state).eql(FILE_TRANSFER_STATES.OFFERED);
+      });
+
+      it("should not offer files when there are several other peers", function() {
+        fakeSdkDriver.getTextChatPeerCount.returns(2);
+
+        store.sendFile(new sharedActions.SendFile({ file: file }));
+
+        sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.GROUP_ROOM);
+      });
+
+      it("should not offer files larger than the maximum size", function() {
+        store = new loop.store.TextChatStore(dispatcher, {
+          maxFileSize: 4,
+          sdkDriver: fakeSdkDriver
+        });
+        store.setStoreState({ textChatEnabled: true });
+
+        store.sendFile(new sharedActions.SendFile({ file: file }));
+
+        sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.TOO_LARGE);
+      });
+    });
+
+    describe("Sending", function() {
+      var transferId;
+
+      beforeEach(function() {
+        file = new Blob([new Uint8Array(11 * 1024 * 20)]);
+        file.name = "large.bin";
+        store.sendFile(new sharedActions.SendFile({ file: file }));
+        transferId = getFileDetails().transferId;
+        fakeSdkDriver.sendTextChatMessage.reset();
+        sandbox.stub(store, "_sendFileChunk");
+      });
+
+      it("should start sending chunks when the file is accepted", function() {
+        receiveTransferMessage(transferId, "accept");
+
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.TRANSFERRING);
+        sinon.assert.called(store._sendFileChunk);
+        sinon.assert.calledWithExactly(store._sendFileChunk, transferId, 0);
+      });
+
+      it("should limit the number of chunks waiting to be acknowledged", function() {
+        receiveTransferMessage(transferId, "accept");
+
+        sinon.assert.callCount(store._sendFileChunk, 8);
+      });
+
+      it("should send another chunk once one is acknowledged", function() {
+        receiveTransferMessage(transferId, "accept");
+
+        receiveTransferMessage(transferId, "ack", { index: 0 });
+
+        sinon.assert.callCount(store._sendFileChunk, 9);
+        sinon.assert.calledWithExactly(store._sendFileChunk, transferId, 8);
+        expect(getFileDetails().progress).eql(1 / 20);
+      });
+
+      it("should complete once all the chunks are acknowledged", function() {
+        receiveTransferMessage(transferId, "accept");
+
+        for (var i = 0; i < 20; i++) {
+          receiveTransferMessage(transferId, "ack", { index: i });
+        }
+
+        sinon.assert.callCount(store._sendFileChunk, 20);
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.COMPLETE);
+        expect(getFileDetails().progress).eql(1);
+      });
+
+      it("should only count each acknowledged chunk once", function() {
+        receiveTransferMessage(transferId, "accept");
+
+        for (var i = 0; i < 20; i++) {
+          receiveTransferMessage(transferId, "ack", { index: 0 });
+        }
+
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.TRANSFERRING);
+        expect(getFileDetails().progress).eql(1 / 20);
+      });
+
+      it("should ignore acknowledgements of chunks that haven't been sent", function() {
+        receiveTransferMessage(transferId, "accept");
+
+        receiveTransferMessage(transferId, "ack", { index: 19 });
+        receiveTransferMessage(transferId, "ack", {});
+
+        expect(getFileDetails().progress).eql(0);
+        sinon.assert.callCount(store._sendFileChunk, 8);
+      });
+
+      it("should mark the transfer as declined if the peer declines it", function() {
+        receiveTransferMessage(transferId, "decline");
+
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.DECLINED);
+      });
+
+      it("should mark the transfer as cancelled if the peer cancels it", function() {
+        receiveTransferMessage(transferId, "accept");
+
+        receiveTransferMessage(transferId, "cancel");
+        receiveTransferMessage(transferId, "ack", { index: 0 });
+
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.CANCELLED);
+        sinon.assert.callCount(store._sendFileChunk, 8);
+      });
+
+      it("should stop the transfer and tell the peer if another peer joins", function() {
+        receiveTransferMessage(transferId, "accept");
+        fakeSdkDriver.sendTextChatMessage.reset();
+        fakeSdkDriver.getTextChatPeerCount.returns(2);
+
+        store.dataChannelsAvailable(new sharedActions.DataChannelsAvailable({
+          available: true
+        }));
+
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.GROUP_ROOM);
+        sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.FILE_TRANSFER,
+          message: "",
+          extraData: { transferId: transferId, action: "cancel" }
+        });
+      });
+
+      it("should carry on with the transfer if the same peer reconnects", function() {
+        receiveTransferMessage(transferId, "accept");
+
+        store.dataChannelsAvailable(new sharedActions.DataChannelsAvailable({
+          available: true
+        }));
+
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.TRANSFERRING);
       });
 
-      sinon.assert.calledOnce(window.dispatchEvent);
-      sinon.assert.calledWithExactly(window.dispatchEvent,
-        new CustomEvent("LoopChatMessageAppended"));
+      it("should mark the transfer as failed if the data channels close", function() {
+        receiveTransferMessage(transferId, "accept");
+
+        store.dataChannelsAvailable(new sharedActions.DataChannelsAvailable({
+          available: false
+        }));
+
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.FAILED);
+      });
     });
-  });
 
-  describe("#sendTextChatMessage", function() {
-    it("should send the message", function() {
-      var messageData = {
-        contentType: CHAT_CONTENT_TYPES.TEXT,
-        message: "Yes, that's what this is called."
-      };
+    describe("#_sendFileChunk", function() {
+      it("should send the chunk base64 encoded", function(done) {
+        store.sendFile(new sharedActions.SendFile({ file: file }));
+        var transferId = getFileDetails().transferId;
+        fakeSdkDriver.sendTextChatMessage = function(message) {
+          expect(message).eql({
+            contentType: CHAT_CONTENT_TYPES.FILE_TRANSFER,
+            message: "",
+            extraData: {
+              transferId: transferId,
+              action: "chunk",
+              index: 0,
+              data: btoa("Hello")
+            }
+          });
+          done();
+        };
 
-      store.sendTextChatMessage(messageData);
+        store._sendFileChunk(transferId, 0);
+      });
 
-      sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
-      sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, messageData);
+      it("should keep full chunks within 16KiB once serialized", function(done) {
+        file = new Blob([new Uint8Array(1024 * 1024)]);
+        store.sendFile(new sharedActions.SendFile({ file: file }));
+        var transferId = getFileDetails().transferId;
+        fakeSdkDriver.sendTextChatMessage = function(message) {
+          expect(atob(message.extraData.data).length).to.be.above(10 * 1024);
+          expect(JSON.stringify(message).length).to.be.at.most(16 * 1024);
+          done();
+        };
+
+        store._sendFileChunk(transferId, 0);
+      });
     });
 
-    it("should add the message to the list", function() {
-      var messageData = {
-        contentType: CHAT_CONTENT_TYPES.TEXT,
-        message: "It's awesome!",
-        sentTimestamp: "2015-06-24T23:58:53.848Z",
-        receivedTimestamp: "2015-06-24T23:58:53.848Z"
-      };
+    describe("Receiving", function() {
+      it("should add the offered file to the message list", function() {
+        receiveOffer(5, 1);
 
-      store.sendTextChatMessage(messageData);
+        var message = store.getStoreState("messageList")[0];
+        expect(message.type).eql(CHAT_MESSAGE_TYPES.RECEIVED);
+        expect(message.extraData.state).eql(FILE_TRANSFER_STATES.OFFERED);
+        expect(message.extraData.name).eql("fake.txt");
+      });
 
-      expect(store.getStoreState("messageList")).eql([{
-        type: CHAT_MESSAGE_TYPES.SENT,
-        contentType: messageData.contentType,
-        message: messageData.message,
-        extraData: undefined,
-        sentTimestamp: "2015-06-24T23:58:53.848Z",
-        receivedTimestamp: "2015-06-24T23:58:53.848Z"
-      }]);
+      it("should decline files larger than the maximum size", function() {
+        receiveOffer(21 * 1024 * 1024);
+
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.TOO_LARGE);
+        sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.FILE_TRANSFER,
+          message: "",
+          extraData: { transferId: "fakeId", action: "decline" }
+        });
+      });
+
+      it("should decline files offered when there are several other peers", function() {
+        fakeSdkDriver.getTextChatPeerCount.returns(2);
+
+        receiveOffer(5);
+
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.GROUP_ROOM);
+        sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+        sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+          contentType: CHAT_CONTENT_TYPES.FILE_TRANSFER,
+          message: "",
+          extraData: { transferId: "fakeId", action: "decline" }
+        });
+      });
+
+      it("should stop an offered file if another peer joins", function() {
+        receiveOffer(5);
+        fakeSdkDriver.getTextChatPeerCount.returns(2);
+
+        store.dataChannelsAvailable(new sharedActions.DataChannelsAvailable({
+          available: true
+        }));
+
+        expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.GROUP_ROOM);
+      });
+
+      it("should ignore offers whose chunk count doesn't match the size", function() {
+        sandbox.stub(console, "error");
+
+        receiveOffer(1, 1000000);
+
+        expect(store.getStoreState("messageList")).eql([]);
+        sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+      });
+
+      it("should ignore offers without a chunk count", function() {
+        sandbox.stub(console, "error");
+
+        receiveOffer(5, null);
+
+        expect(store.getStoreState("messageList")).eql([]);
+      });
+
+      describe("#acceptFileTransfer", function() {
+        it("should let the peer know the file was accepted", function() {
+          receiveOffer(5, 1);
+
+          store.acceptFileTransfer(new sharedActions.AcceptFileTransfer({
+            transferId: "fakeId"
+          }));
+
+          expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.TRANSFERRING);
+          sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+            contentType: CHAT_CONTENT_TYPES.FILE_TRANSFER,
+            message: "",
+            extraData: { transferId: "fakeId", action: "accept" }
+          });
+        });
+      });
+
+      describe("#declineFileTransfer", function() {
+        it("should let the peer know the file was declined", function() {
+          receiveOffer(5, 1);
+
+          store.declineFileTransfer(new sharedActions.DeclineFileTransfer({
+            transferId: "fakeId"
+          }));
+
+          expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.DECLINED);
+          sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+            contentType: CHAT_CONTENT_TYPES.FILE_TRANSFER,
+            message: "",
+            extraData: { transferId: "fakeId", action: "decline" }
+          });
+        });
+      });
+
+      describe("#cancelFileTransfer", function() {
+        it("should let the peer know the transfer was cancelled", function() {
+          receiveOffer(5, 1);
+          store.acceptFileTransfer(new sharedActions.AcceptFileTransfer({
+            transferId: "fakeId"
+          }));
+
+          store.cancelFileTransfer(new sharedActions.CancelFileTransfer({
+            transferId: "fakeId"
+          }));
+
+          expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.CANCELLED);
+          sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+            contentType: CHAT_CONTENT_TYPES.FILE_TRANSFER,
+            message: "",
+            extraData: { transferId: "fakeId", action: "cancel" }
+          });
+        });
+
+        it("should not cancel completed transfers", function() {
+          receiveOffer(5, 1);
+          store.declineFileTransfer(new sharedActions.DeclineFileTransfer({
+            transferId: "fakeId"
+          }));
+          fakeSdkDriver.sendTextChatMessage.reset();
+
+          store.cancelFileTransfer(new sharedActions.CancelFileTransfer({
+            transferId: "fakeId"
+          }));
+
+          expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.DECLINED);
+          sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+        });
+      });
+
+      describe("Chunks", function() {
+        // A full chunk, followed by a final chunk of "World".
+        var firstChunk = new Array(11 * 1024 + 1).join("a");
+
+        beforeEach(function() {
+          sandbox.stub(URL, "createObjectURL").returns("blob:fake");
+          receiveOffer(11 * 1024 + 5);
+          store.acceptFileTransfer(new sharedActions.AcceptFileTransfer({
+            transferId: "fakeId"
+          }));
+          fakeSdkDriver.sendTextChatMessage.reset();
+        });
+
+        it("should acknowledge received chunks", function() {
+          receiveTransferMessage("fakeId", "chunk", { index: 1, data: btoa("World") });
+
+          sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+          sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+            contentType: CHAT_CONTENT_TYPES.FILE_TRANSFER,
+            message: "",
+            extraData: { transferId: "fakeId", action: "ack", index: 1 }
+          });
+          expect(getFileDetails().progress).eql(0.5);
+        });
+
+        it("should make the file available once all the chunks are received", function() {
+          receiveTransferMessage("fakeId", "chunk", { index: 1, data: btoa("World") });
+          receiveTransferMessage("fakeId", "chunk", { index: 0, data: btoa(firstChunk) });
+
+          sinon.assert.calledOnce(URL.createObjectURL);
+          expect(URL.createObjectURL.getCall(0).args[0].size).eql(11 * 1024 + 5);
+          expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.COMPLETE);
+          expect(getFileDetails().url).eql("blob:fake");
+        });
+
+        it("should release the file when the window is closed", function() {
+          sandbox.stub(URL, "revokeObjectURL");
+          receiveTransferMessage("fakeId", "chunk", { index: 1, data: btoa("World") });
+          receiveTransferMessage("fakeId", "chunk", { index: 0, data: btoa(firstChunk) });
+
+          store.windowUnload(new sharedActions.WindowUnload());
+
+          sinon.assert.calledOnce(URL.revokeObjectURL);
+          sinon.assert.calledWithExactly(URL.revokeObjectURL, "blob:fake");
+        });
+
+        it("should release the file when the chat history is cleared", function() {
+          sandbox.stub(URL, "revokeObjectURL");
+          receiveTransferMessage("fakeId", "chunk", { index: 1, data: btoa("World") });
+          receiveTransferMessage("fakeId", "chunk", { index: 0, data: btoa(firstChunk) });
+
+          store._onChatHistoryCleared();
+
+          sinon.assert.calledOnce(URL.revokeObjectURL);
+          sinon.assert.calledWithExactly(URL.revokeObjectURL, "blob:fake");
+        });
+
+        it("should fail the transfer and tell the sender if a chunk can't be decoded", function() {
+          sandbox.stub(console, "error");
+
+          receiveTransferMessage("fakeId", "chunk", { index: 0, data: "not base64!" });
+
+          expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.FAILED);
+          sinon.assert.calledOnce(fakeSdkDriver.sendTextChatMessage);
+          sinon.assert.calledWithExactly(fakeSdkDriver.sendTextChatMessage, {
+            contentType: CHAT_CONTENT_TYPES.FILE_TRANSFER,
+            message: "",
+            extraData: { transferId: "fakeId", action: "cancel" }
+          });
+        });
+
+        it("should fail the transfer if a chunk is larger than the chunk size", function() {
+          sandbox.stub(console, "error");
+
+          receiveTransferMessage("fakeId", "chunk", {
+            index: 0,
+            data: btoa(firstChunk + "a")
+          });
+
+          expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.FAILED);
+          sinon.assert.calledWithMatch(fakeSdkDriver.sendTextChatMessage, {
+            extraData: { transferId: "fakeId", action: "cancel" }
+          });
+        });
+
+        it("should fail the transfer once more than the offered size is received", function() {
+          sandbox.stub(console, "error");
+
+          receiveTransferMessage("fakeId", "chunk", { index: 1, data: btoa(firstChunk) });
+          receiveTransferMessage("fakeId", "chunk", { index: 0, data: btoa(firstChunk) });
+
+          expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.FAILED);
+          sinon.assert.notCalled(URL.createObjectURL);
+        });
+
+        it("should fail the transfer if less than the offered size is received", function() {
+          sandbox.stub(console, "error");
+
+          receiveTransferMessage("fakeId", "chunk", { index: 0, data: btoa("Hello") });
+          receiveTransferMessage("fakeId", "chunk", { index: 1, data: btoa("World") });
+
+          expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.FAILED);
+          sinon.assert.notCalled(URL.createObjectURL);
+        });
+
+        it("should ignore chunks with an index that isn't a whole number", function() {
+          receiveTransferMessage("fakeId", "chunk", { index: 0.5, data: btoa("World") });
+
+          sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+        });
+
+        it("should ignore chunks once the transfer is cancelled", function() {
+          receiveTransferMessage("fakeId", "cancel");
+
+          receiveTransferMessage("fakeId", "chunk", { index: 0, data: btoa("Hello") });
+
+          sinon.assert.notCalled(fakeSdkDriver.sendTextChatMessage);
+          expect(getFileDetails().state).eql(FILE_TRANSFER_STATES.CANCELLED);
+        });
+      });
     });
+  });
 
-    it("should dipatch a LoopChatMessageAppended event", function() {
-      store.setStoreState({ textChatEnabled: true });
+  describe("#exportChatTranscript", function() {
+    it("should save a transcript of the messages", function() {
+      sandbox.stub(loop.shared.utils, "saveChatTranscript");
       store.sendTextChatMessage({
         contentType: CHAT_CONTENT_TYPES.TEXT,
-        message: "Hello!"
+        message: "Hello!",
+        sentTimestamp: "2015-06-24T23:58:53.848Z"
       });
 
-      sinon.assert.calledOnce(window.dispatchEvent);
-      sinon.assert.calledWithExactly(window.dispatchEvent,
-        new CustomEvent("LoopChatMessageAppended"));
+      store.exportChatTranscript(new sharedActions.ExportChatTranscript({
+        format: "html"
+      }));
+
+      sinon.assert.calledOnce(loop.shared.utils.saveChatTranscript);
+      sinon.assert.calledWithExactly(loop.shared.utils.saveChatTranscript,
+        store.getStoreState("messageList"), "html", null);
     });
   });
 
@@ -248,6 +1780,58 @@ describe("loop.store.TextChatStore", function() {
       }]);
     });
 
+    it("should add a context message for every link", function() {
+      store.updateRoomInfo(new sharedActions.UpdateRoomInfo({
+        roomUrl: "fake",
+        roomContextUrls: [{
+          description: "A wonderful event",
+          location: "http://wonderful.invalid"
+        }, {
+          description: "A great event",
+          location: "http://great.invalid"
+        }]
+      }));
+
+      var messageList = store.getStoreState("messageList");
+      expect(messageList.length).eql(2);
+      expect(messageList[0].contentType).eql(CHAT_CONTENT_TYPES.CONTEXT);
+      expect(messageList[0].extraData.location).eql("http://wonderful.invalid");
+      expect(messageList[1].contentType).eql(CHAT_CONTENT_TYPES.CONTEXT);
+      expect(messageList[1].extraData.location).eql("http://great.invalid");
+    });
+
+    it("should replace all the context messages in place when the links change", function() {
+      store.updateRoomInfo(new sharedActions.UpdateRoomInfo({
+        roomUrl: "fake",
+        roomContextUrls: [{
+          description: "A wonderful event",
+          location: "http://wonderful.invalid"
+        }, {
+          description: "A great event",
+          location: "http://great.invalid"
+        }]
+      }));
+      store.sendTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello",
+        sentTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+
+      store.updateRoomInfo(new sharedActions.UpdateRoomInfo({
+        roomUrl: "fake",
+        roomContextUrls: [{
+          description: "A great event",
+          location: "http://great.invalid"
+        }]
+      }));
+
+      var messageList = store.getStoreState("messageList");
+      expect(messageList.length).eql(2);
+      expect(messageList[0].contentType).eql(CHAT_CONTENT_TYPES.CONTEXT);
+      expect(messageList[0].extraData.location).eql("http://great.invalid");
+      expect(messageList[1].contentType).eql(CHAT_CONTENT_TYPES.TEXT);
+    });
+
     it("should not dispatch a LoopChatMessageAppended event", function() {
       store.updateRoomInfo(new sharedActions.UpdateRoomInfo({
         roomName: "Let's share!",
@@ -257,4 +1841,350 @@ describe("loop.store.TextChatStore", function() {
       sinon.assert.notCalled(window.dispatchEvent);
     });
   });
+
+  describe("Chat history", function() {
+    var fakeMozLoop, historyStore;
+
+    function setupWindowData() {
+      historyStore.setupWindowData(new sharedActions.SetupWindowData({
+        windowId: "42",
+        type: "room",
+        roomToken: "fakeToken"
+      }));
+    }
+
+    beforeEach(function() {
+      fakeMozLoop = {
+        getLoopPref: sinon.stub().returns(null),
+        setUnreadChatCount: sinon.stub(),
+        rooms: {
+          getChatHistory: sinon.stub(),
+          saveChatMessage: sinon.stub(),
+          on: sinon.stub()
+        }
+      };
+
+      historyStore = new loop.store.TextChatStore(dispatcher, {
+        mozLoop: fakeMozLoop,
+        sdkDriver: fakeSdkDriver
+      });
+    });
+
+    describe("#setupWindowData", function() {
+      it("should not load the history without mozLoop", function() {
+        store.setupWindowData(new sharedActions.SetupWindowData({
+          windowId: "42",
+          type: "room",
+          roomToken: "fakeToken"
+        }));
+
+        sinon.assert.notCalled(fakeMozLoop.rooms.getChatHistory);
+      });
+
+      it("should load the history for the room", function() {
+        setupWindowData();
+
+        sinon.assert.calledOnce(fakeMozLoop.rooms.getChatHistory);
+        sinon.assert.calledWith(fakeMozLoop.rooms.getChatHistory, "fakeToken");
+      });
+
+      it("should dispatch ChatHistoryLoaded with the messages", function() {
+        var messages = [{
+          type: CHAT_MESSAGE_TYPES.SENT,
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello"
+        }];
+        fakeMozLoop.rooms.getChatHistory.callsArgWith(1, null, messages);
+
+        setupWindowData();
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.ChatHistoryLoaded({
+            roomToken: "fakeToken",
+            messages: messages
+          }));
+      });
+
+      it("should log an error if the history can't be loaded", function() {
+        sandbox.stub(console, "error");
+        fakeMozLoop.rooms.getChatHistory.callsArgWith(1, new Error("fake"));
+
+        setupWindowData();
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+        sinon.assert.calledOnce(console.error);
+      });
+
+      it("should remove the messages when the history is cleared", function() {
+        setupWindowData();
+        historyStore.updateRoomInfo(new sharedActions.UpdateRoomInfo({
+          roomName: "Let's share!",
+          roomUrl: "fake"
+        }));
+        historyStore.sendTextChatMessage(new sharedActions.SendTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello",
+          sentTimestamp: "1970-01-01T00:00:00.000Z"
+        }));
+
+        sinon.assert.calledWith(fakeMozLoop.rooms.on,
+          "chatHistoryCleared:fakeToken");
+        fakeMozLoop.rooms.on.getCall(0).args[1]();
+
+        expect(_.pluck(historyStore.getStoreState("messageList"), "message"))
+          .eql(["Let's share!"]);
+      });
+    });
+
+    describe("#chatHistoryLoaded", function() {
+      var historyMessage;
+
+      beforeEach(function() {
+        historyMessage = {
+          type: CHAT_MESSAGE_TYPES.RECEIVED,
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "From last time"
+        };
+
+        setupWindowData();
+      });
+
+      it("should add the messages after the room details", function() {
+        historyStore.updateRoomInfo(new sharedActions.UpdateRoomInfo({
+          roomName: "Let's share!",
+          roomUrl: "fake"
+        }));
+        historyStore.sendTextChatMessage(new sharedActions.SendTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello",
+          sentTimestamp: "1970-01-01T00:00:00.000Z"
+        }));
+
+        historyStore.chatHistoryLoaded(new sharedActions.ChatHistoryLoaded({
+          roomToken: "fakeToken",
+          messages: [historyMessage]
+        }));
+
+        expect(_.pluck(historyStore.getStoreState("messageList"), "message"))
+          .eql(["Let's share!", "From last time", "Hello"]);
+      });
+
+      it("should ignore the messages for other rooms", function() {
+        historyStore.chatHistoryLoaded(new sharedActions.ChatHistoryLoaded({
+          roomToken: "otherToken",
+          messages: [historyMessage]
+        }));
+
+        expect(historyStore.getStoreState("messageList")).eql([]);
+      });
+    });
+
+    describe("Saving messages", function() {
+      beforeEach(function() {
+        setupWindowData();
+      });
+
+      it("should save sent messages without their delivery state", function() {
+        historyStore.sendTextChatMessage(new sharedActions.SendTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello",
+          sentTimestamp: "1970-01-01T00:00:00.000Z",
+          messageId: "fakeId"
+        }));
+
+        sinon.assert.calledOnce(fakeMozLoop.rooms.saveChatMessage);
+        sinon.assert.calledWith(fakeMozLoop.rooms.saveChatMessage, "fakeToken", {
+          type: CHAT_MESSAGE_TYPES.SENT,
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello",
+          extraData: undefined,
+          sentTimestamp: "1970-01-01T00:00:00.000Z",
+          receivedTimestamp: undefined,
+          messageId: "fakeId"
+        });
+      });
+
+      it("should save received messages", function() {
+        historyStore.receivedTextChatMessage(new sharedActions.ReceivedTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello",
+          receivedTimestamp: "1970-01-01T00:00:00.000Z"
+        }));
+
+        sinon.assert.calledOnce(fakeMozLoop.rooms.saveChatMessage);
+      });
+
+      it("should update saved messages when they are edited", function() {
+        fakeMozLoop.rooms.updateChatMessage = sinon.stub();
+        historyStore.setStoreState({ textChatEnabled: true });
+        historyStore.sendTextChatMessage(new sharedActions.SendTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello",
+          sentTimestamp: "1970-01-01T00:00:00.000Z",
+          messageId: "fakeId"
+        }));
+
+        historyStore.editTextChatMessage(new sharedActions.EditTextChatMessage({
+          messageId: "fakeId",
+          message: "Hello again"
+        }));
+
+        sinon.assert.calledOnce(fakeMozLoop.rooms.updateChatMessage);
+        sinon.assert.calledWith(fakeMozLoop.rooms.updateChatMessage, "fakeToken", {
+          type: CHAT_MESSAGE_TYPES.SENT,
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello again",
+          extraData: undefined,
+          sentTimestamp: "1970-01-01T00:00:00.000Z",
+          receivedTimestamp: undefined,
+          messageId: "fakeId",
+          edited: true
+        });
+      });
+
+      it("should not save the room details", function() {
+        historyStore.updateRoomInfo(new sharedActions.UpdateRoomInfo({
+          roomName: "Let's share!",
+          roomUrl: "fake"
+        }));
+
+        sinon.assert.notCalled(fakeMozLoop.rooms.saveChatMessage);
+      });
+    });
+  });
+
+  describe("Unread messages", function() {
+    var fakeMozLoop, mozLoopStore;
+
+    function receiveMessage(targetStore) {
+      targetStore.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello!",
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+    }
+
+    function setupWindowData() {
+      mozLoopStore.setupWindowData(new sharedActions.SetupWindowData({
+        windowId: "42",
+        type: "room",
+        roomToken: "fakeToken"
+      }));
+    }
+
+    beforeEach(function() {
+      fakeMozLoop = {
+        getLoopPref: sinon.stub().returns(null),
+        setLoopPref: sinon.stub(),
+        setUnreadChatCount: sinon.stub(),
+        rooms: {
+          getChatHistory: sinon.stub(),
+          saveChatMessage: sinon.stub(),
+          on: sinon.stub()
+        }
+      };
+
+      mozLoopStore = new loop.store.TextChatStore(dispatcher, {
+        mozLoop: fakeMozLoop,
+        sdkDriver: fakeSdkDriver
+      });
+    });
+
+    it("should count the received messages", function() {
+      receiveMessage(store);
+      receiveMessage(store);
+
+      expect(store.getStoreState("unreadCount")).eql(2);
+    });
+
+    it("should not count messages that aren't displayed", function() {
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TYPING,
+        message: "",
+        extraData: { typing: true },
+        receivedTimestamp: "1970-01-01T00:00:00.000Z"
+      });
+
+      expect(store.getStoreState("unreadCount")).eql(0);
+    });
+
+    it("should clear the count when the messages are read", function() {
+      receiveMessage(store);
+
+      store.markChatMessagesRead(new sharedActions.MarkChatMessagesRead());
+
+      expect(store.getStoreState("unreadCount")).eql(0);
+    });
+
+    it("should show the count on the toolbar button", function() {
+      setupWindowData();
+
+      receiveMessage(mozLoopStore);
+
+      sinon.assert.calledOnce(fakeMozLoop.setUnreadChatCount);
+      sinon.assert.calledWithExactly(fakeMozLoop.setUnreadChatCount, "42", 1);
+    });
+
+    it("should not show the count on the toolbar button if muted", function() {
+      setupWindowData();
+      mozLoopStore.setChatNotificationsMuted(
+        new sharedActions.SetChatNotificationsMuted({ muted: true }));
+      fakeMozLoop.setUnreadChatCount.reset();
+
+      receiveMessage(mozLoopStore);
+
+      sinon.assert.calledOnce(fakeMozLoop.setUnreadChatCount);
+      sinon.assert.calledWithExactly(fakeMozLoop.setUnreadChatCount, "42", 0);
+    });
+
+    describe("#setChatNotificationsMuted", function() {
+      it("should update the store state", function() {
+        store.setChatNotificationsMuted(
+          new sharedActions.SetChatNotificationsMuted({ muted: true }));
+
+        expect(store.getStoreState("notificationsMuted")).eql(true);
+      });
+
+      it("should remember the room is muted", function() {
+        fakeMozLoop.getLoopPref.returns('["otherToken"]');
+        setupWindowData();
+
+        mozLoopStore.setChatNotificationsMuted(
+          new sharedActions.SetChatNotificationsMuted({ muted: true }));
+
+        sinon.assert.calledOnce(fakeMozLoop.setLoopPref);
+        sinon.assert.calledWithExactly(fakeMozLoop.setLoopPref,
+          "textChat.mutedRooms", '["otherToken","fakeToken"]');
+      });
+
+      it("should remember the room is no longer muted", function() {
+        fakeMozLoop.getLoopPref.returns('["fakeToken","otherToken"]');
+        setupWindowData();
+
+        mozLoopStore.setChatNotificationsMuted(
+          new sharedActions.SetChatNotificationsMuted({ muted: false }));
+
+        sinon.assert.calledWithExactly(fakeMozLoop.setLoopPref,
+          "textChat.mutedRooms", '["otherToken"]');
+      });
+
+      it("should restore the setting when the room is opened", function() {
+        fakeMozLoop.getLoopPref.withArgs("textChat.mutedRooms")
+          .returns('["fakeToken"]');
+
+        setupWindowData();
+
+        expect(mozLoopStore.getStoreState("notificationsMuted")).eql(true);
+      });
+
+      it("should not fail if the setting is invalid", function() {
+        fakeMozLoop.getLoopPref.returns("{");
+
+        setupWindowData();
+
+        expect(mozLoopStore.getStoreState("notificationsMuted")).eql(false);
+      });
+    });
+  });
 });
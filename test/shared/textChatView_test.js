@@ -9,6 +9,8 @@ describe("loop.shared.views.TextChatView", function() {
   var sharedViews = loop.shared.views;
   var TestUtils = React.addons.TestUtils;
   var CHAT_MESSAGE_TYPES = loop.store.CHAT_MESSAGE_TYPES;
+  var CHAT_MESSAGE_STATES = loop.store.CHAT_MESSAGE_STATES;
+  var FILE_TRANSFER_STATES = loop.store.FILE_TRANSFER_STATES;
   var CHAT_CONTENT_TYPES = loop.shared.utils.CHAT_CONTENT_TYPES;
   var fixtures = document.querySelector("#fixtures");
 
@@ -22,6 +24,7 @@ describe("loop.shared.views.TextChatView", function() {
     sandbox.stub(dispatcher, "dispatch");
 
     fakeSdkDriver = {
+      getTextChatPeerCount: sinon.stub().returns(1),
       sendTextChatMessage: sinon.stub()
     };
 
@@ -113,6 +116,22 @@ describe("loop.shared.views.TextChatView", function() {
       sinon.assert.calledWithExactly(view.play, "message");
     });
 
+    it("should not play a sound when muted", function() {
+      view = mountTestComponent({ muted: true });
+      sandbox.stub(view, "play");
+
+      view.setProps({
+        messageList: [{
+          type: CHAT_MESSAGE_TYPES.RECEIVED,
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello!",
+          receivedTimestamp: "2015-06-25T17:53:55.357Z"
+        }]
+      });
+
+      sinon.assert.notCalled(view.play);
+    });
+
     it("should not play a sound when a special message is displayed", function() {
       view = mountTestComponent();
       sandbox.stub(view, "play");
@@ -205,6 +224,47 @@ describe("loop.shared.views.TextChatView", function() {
           .to.eql(2);
     });
 
+    it("should show a typing indicator when the peer is typing", function() {
+      view = mountTestComponent({
+        peerTyping: true
+      });
+
+      expect(view.getDOMNode().querySelector(".text-chat-typing")).to.not.eql(null);
+    });
+
+    it("should show the name of the peer that is typing if it is known", function() {
+      sandbox.stub(navigator.mozL10n, "get", function(string, args) {
+        return args ? string + ":" + args.name : string;
+      });
+
+      view = mountTestComponent({
+        peerTyping: true,
+        peerTypingName: "Frank"
+      });
+
+      expect(view.getDOMNode().querySelector(".text-chat-typing").textContent)
+        .eql("peer_typing_indicator_name:Frank");
+    });
+
+    it("should show a generic typing indicator if the peer's name isn't known", function() {
+      sandbox.stub(navigator.mozL10n, "get", function(string) {
+        return string;
+      });
+
+      view = mountTestComponent({
+        peerTyping: true
+      });
+
+      expect(view.getDOMNode().querySelector(".text-chat-typing").textContent)
+        .eql("peer_typing_indicator");
+    });
+
+    it("should not show a typing indicator by default", function() {
+      view = mountTestComponent();
+
+      expect(view.getDOMNode().querySelector(".text-chat-typing")).to.eql(null);
+    });
+
     it("should not show timestamps from msgs sent in the same minute", function() {
       view = mountTestComponent({
         messageList: [{
@@ -332,6 +392,108 @@ describe("loop.shared.views.TextChatView", function() {
 
         expect(node.scrollTop).eql(0);
       });
+
+      it("should not scroll to the bottom when a message is added whilst searching", function() {
+        view.setProps({ searching: true });
+        window.requestAnimationFrame.reset();
+
+        view.setProps({
+          messageList: [{
+            type: CHAT_MESSAGE_TYPES.RECEIVED,
+            contentType: CHAT_CONTENT_TYPES.TEXT,
+            message: "Hello!",
+            receivedTimestamp: "2015-06-25T17:53:55.357Z"
+          }]
+        });
+
+        sinon.assert.notCalled(window.requestAnimationFrame);
+      });
+
+      it("should scroll to the bottom when the search is closed if it was at the bottom", function() {
+        view.setProps({ searching: true });
+        view.setProps({
+          messageList: [{
+            type: CHAT_MESSAGE_TYPES.RECEIVED,
+            contentType: CHAT_CONTENT_TYPES.TEXT,
+            message: "Hello!",
+            receivedTimestamp: "2015-06-25T17:53:55.357Z"
+          }]
+        });
+        window.requestAnimationFrame.reset();
+
+        view.setProps({ searching: false });
+
+        node = view.getDOMNode();
+        sinon.assert.calledOnce(window.requestAnimationFrame);
+        expect(node.scrollTop).eql(node.scrollHeight - node.clientHeight);
+      });
+
+      it("should scroll to the current search result", function() {
+        var messageList = [{
+          type: CHAT_MESSAGE_TYPES.RECEIVED,
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello!",
+          receivedTimestamp: "2015-06-25T17:53:55.357Z"
+        }];
+        view.setProps({ messageList: messageList, searching: true });
+        window.requestAnimationFrame.reset();
+
+        view.setProps({ searchCurrent: 0, searchHits: [0] });
+
+        sinon.assert.calledOnce(window.requestAnimationFrame);
+      });
+    });
+
+    describe("Search results", function() {
+      var messageList;
+
+      beforeEach(function() {
+        messageList = [{
+          type: CHAT_MESSAGE_TYPES.RECEIVED,
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello!",
+          receivedTimestamp: "2015-06-25T17:53:55.357Z"
+        }, {
+          type: CHAT_MESSAGE_TYPES.SENT,
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hi",
+          sentTimestamp: "2015-06-25T17:53:56.357Z"
+        }, {
+          type: CHAT_MESSAGE_TYPES.RECEIVED,
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello again",
+          receivedTimestamp: "2015-06-25T17:53:57.357Z"
+        }];
+      });
+
+      it("should mark the messages that match the search", function() {
+        view = mountTestComponent({
+          messageList: messageList,
+          searchCurrent: 2,
+          searchHits: [0, 2],
+          searching: true
+        });
+        node = view.getDOMNode();
+
+        var entries = node.querySelectorAll(".text-chat-entry");
+        expect(entries[0].classList.contains("search-match")).eql(true);
+        expect(entries[1].classList.contains("search-match")).eql(false);
+        expect(entries[2].classList.contains("search-match")).eql(true);
+      });
+
+      it("should mark the search result being shown", function() {
+        view = mountTestComponent({
+          messageList: messageList,
+          searchCurrent: 2,
+          searchHits: [0, 2],
+          searching: true
+        });
+        node = view.getDOMNode();
+
+        var current = node.querySelectorAll(".search-current");
+        expect(current).to.have.length.of(1);
+        expect(current[0].textContent).to.contain("Hello again");
+      });
     });
   });
 
@@ -343,6 +505,7 @@ describe("loop.shared.views.TextChatView", function() {
         contentType: CHAT_CONTENT_TYPES.TEXT,
         dispatcher: dispatcher,
         message: "test",
+        showTimestamp: false,
         type: CHAT_MESSAGE_TYPES.RECEIVED,
         timestamp: "2015-06-23T22:48:39.738Z"
       }, extraProps);
@@ -390,6 +553,386 @@ describe("loop.shared.views.TextChatView", function() {
 
       expect(node.querySelector("a")).to.not.eql(null);
     });
+
+    describe("Content types", function() {
+      beforeEach(function() {
+        sandbox.stub(navigator.mozL10n, "get", function(string) {
+          return string;
+        });
+      });
+
+      afterEach(function() {
+        loop.shared.views.chat.registerContentRenderer("test-type", undefined);
+      });
+
+      it("should render a placeholder for unsupported content types", function() {
+        view = mountTestComponent({ contentType: "test-type" });
+
+        expect(view.getDOMNode().querySelector(".text-chat-unsupported").textContent)
+          .eql("chat_unsupported_message");
+      });
+
+      it("should use the registered renderer for the content type", function() {
+        loop.shared.views.chat.registerContentRenderer("test-type", function(props) {
+          return React.createElement("span", { className: "test-content" },
+                                     props.message);
+        });
+
+        view = mountTestComponent({ contentType: "test-type", message: "Hi" });
+
+        expect(view.getDOMNode().querySelector(".test-content").textContent).eql("Hi");
+        expect(view.getDOMNode().querySelector(".text-chat-unsupported")).eql(null);
+      });
+
+      it("should render images", function() {
+        view = mountTestComponent({
+          contentType: CHAT_CONTENT_TYPES.IMAGE,
+          extraData: { src: "data:image/png;base64,iVBORw0KGgo=" },
+          message: "A cat"
+        });
+
+        var image = view.getDOMNode().querySelector(".text-chat-image");
+        expect(image.getAttribute("src")).eql("data:image/png;base64,iVBORw0KGgo=");
+        expect(image.getAttribute("alt")).eql("A cat");
+      });
+
+      it("should render formatting in text messages", function() {
+        view = mountTestComponent({ message: "a **bold** move" });
+
+        expect(view.getDOMNode().querySelector("p > strong").textContent).eql("bold");
+      });
+
+      it("should not render formatting in messages sent as typed", function() {
+        view = mountTestComponent({
+          extraData: { raw: true },
+          message: "a **bold** move"
+        });
+
+        expect(view.getDOMNode().querySelector("strong")).eql(null);
+        expect(view.getDOMNode().querySelector("p").textContent).eql("a **bold** move");
+      });
+
+      it("should render notices", function() {
+        view = mountTestComponent({
+          contentType: CHAT_CONTENT_TYPES.NOTICE,
+          extraData: { notice: "screen-share-started" },
+          message: "",
+          type: CHAT_MESSAGE_TYPES.SPECIAL
+        });
+
+        expect(view.getDOMNode().querySelector(".text-chat-notice").textContent)
+          .eql("chat_notice_screen_share_started");
+      });
+    });
+
+    describe("Editing and deleting", function() {
+      beforeEach(function() {
+        sandbox.stub(navigator.mozL10n, "get", function(string) {
+          return string;
+        });
+      });
+
+      function mountSentMessage(extraProps) {
+        return mountTestComponent(_.extend({
+          messageId: "fakeId",
+          type: CHAT_MESSAGE_TYPES.SENT
+        }, extraProps));
+      }
+
+      it("should not render edit controls for received messages", function() {
+        view = mountTestComponent({ messageId: "fakeId" });
+
+        expect(view.getDOMNode().querySelector(".text-chat-entry-controls")).eql(null);
+      });
+
+      it("should dispatch DeleteTextChatMessage when delete is clicked", function() {
+        view = mountSentMessage();
+
+        TestUtils.Simulate.click(
+          view.getDOMNode().querySelector(".text-chat-entry-delete"));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.DeleteTextChatMessage({ messageId: "fakeId" }));
+      });
+
+      it("should dispatch EditTextChatMessage when an edit is submitted", function() {
+        view = mountSentMessage();
+        TestUtils.Simulate.click(
+          view.getDOMNode().querySelector(".text-chat-entry-edit"));
+        var input = view.getDOMNode().querySelector(".text-chat-entry-edit-form > input");
+
+        TestUtils.Simulate.change(input, { target: { value: "changed" } });
+        TestUtils.Simulate.submit(
+          view.getDOMNode().querySelector(".text-chat-entry-edit-form"));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.EditTextChatMessage({
+            messageId: "fakeId",
+            message: "changed"
+          }));
+        expect(view.getDOMNode().querySelector(".text-chat-entry-edit-form")).eql(null);
+      });
+
+      it("should stop editing when escape is pressed", function() {
+        view = mountSentMessage();
+        TestUtils.Simulate.click(
+          view.getDOMNode().querySelector(".text-chat-entry-edit"));
+
+        TestUtils.Simulate.keyDown(
+          view.getDOMNode().querySelector(".text-chat-entry-edit-form > input"),
+          { key: "Escape", which: 27 });
+
+        expect(view.getDOMNode().querySelector(".text-chat-entry-edit-form")).eql(null);
+        sinon.assert.notCalled(dispatcher.dispatch);
+      });
+
+      it("should render an edited marker", function() {
+        view = mountTestComponent({ edited: true });
+
+        expect(view.getDOMNode().querySelector(".text-chat-entry-edited")).not.eql(null);
+      });
+
+      it("should render a tombstone for deleted messages", function() {
+        view = mountSentMessage({ deleted: true, message: "" });
+
+        expect(view.getDOMNode().querySelector(".text-chat-deleted").textContent)
+          .eql("chat_message_deleted");
+        expect(view.getDOMNode().querySelector(".text-chat-entry-controls")).eql(null);
+      });
+    });
+
+    describe("Reactions", function() {
+      var thumbsUp = "\uD83D\uDC4D";
+
+      beforeEach(function() {
+        sandbox.stub(navigator.mozL10n, "get", function(string) {
+          return string;
+        });
+      });
+
+      it("should render a chip for each reaction", function() {
+        view = mountTestComponent({
+          messageId: "fakeId",
+          reactions: { "\uD83D\uDC4D": { count: 2, reacted: true } }
+        });
+
+        var chip = view.getDOMNode().querySelector(".text-chat-reaction");
+        expect(chip.textContent).eql(thumbsUp + " 2");
+        expect(chip.classList.contains("reacted")).eql(true);
+      });
+
+      it("should dispatch ToggleChatReaction when a chip is clicked", function() {
+        view = mountTestComponent({
+          messageId: "fakeId",
+          reactions: { "\uD83D\uDC4D": { count: 1, reacted: false } }
+        });
+
+        TestUtils.Simulate.click(
+          view.getDOMNode().querySelector(".text-chat-reaction"));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.ToggleChatReaction({
+            messageId: "fakeId",
+            reaction: thumbsUp
+          }));
+      });
+
+      it("should dispatch ToggleChatReaction when a reaction is picked", function() {
+        view = mountTestComponent({ messageId: "fakeId" });
+
+        TestUtils.Simulate.click(
+          view.getDOMNode().querySelector(".text-chat-entry-react"));
+        TestUtils.Simulate.click(
+          view.getDOMNode().querySelector(".text-chat-reaction-picker > button"));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.ToggleChatReaction({
+            messageId: "fakeId",
+            reaction: thumbsUp
+          }));
+        expect(view.getDOMNode().querySelector(".text-chat-reaction-picker")).eql(null);
+      });
+
+      it("should not allow reacting to messages without an id", function() {
+        view = mountTestComponent();
+
+        expect(view.getDOMNode().querySelector(".text-chat-entry-react")).eql(null);
+      });
+
+      it("should not render reactions for deleted messages", function() {
+        view = mountTestComponent({
+          deleted: true,
+          message: "",
+          messageId: "fakeId",
+          reactions: { "\uD83D\uDC4D": { count: 1, reacted: false } }
+        });
+
+        expect(view.getDOMNode().querySelector(".text-chat-reactions")).eql(null);
+      });
+    });
+
+    describe("Delivery state", function() {
+      beforeEach(function() {
+        sandbox.stub(navigator.mozL10n, "get", function(string) {
+          return string;
+        });
+      });
+
+      it("should not render a state for received messages", function() {
+        view = mountTestComponent({ state: CHAT_MESSAGE_STATES.READ });
+
+        expect(view.getDOMNode().querySelector(".text-chat-entry-state")).eql(null);
+      });
+
+      it("should render the state of sent messages", function() {
+        view = mountTestComponent({
+          messageId: "fakeId",
+          state: CHAT_MESSAGE_STATES.DELIVERED,
+          type: CHAT_MESSAGE_TYPES.SENT
+        });
+
+        var node = view.getDOMNode().querySelector(".text-chat-entry-state");
+        expect(node.classList.contains("delivered")).eql(true);
+        expect(node.title).eql("chat_message_delivered");
+      });
+
+      it("should render the pending state of messages waiting to be sent", function() {
+        view = mountTestComponent({
+          messageId: "fakeId",
+          state: CHAT_MESSAGE_STATES.PENDING,
+          type: CHAT_MESSAGE_TYPES.SENT
+        });
+
+        var node = view.getDOMNode().querySelector(".text-chat-entry-state");
+        expect(node.classList.contains("pending")).eql(true);
+        expect(node.title).eql("chat_message_pending");
+      });
+
+      it("should render a resend button for failed messages", function() {
+        view = mountTestComponent({
+          messageId: "fakeId",
+          state: CHAT_MESSAGE_STATES.FAILED,
+          type: CHAT_MESSAGE_TYPES.SENT
+        });
+
+        expect(view.getDOMNode().querySelector(".text-chat-entry-resend")).not.eql(null);
+      });
+
+      it("should dispatch a ResendTextChatMessage action when resend is clicked", function() {
+        view = mountTestComponent({
+          messageId: "fakeId",
+          state: CHAT_MESSAGE_STATES.FAILED,
+          type: CHAT_MESSAGE_TYPES.SENT
+        });
+
+        TestUtils.Simulate.click(
+          view.getDOMNode().querySelector(".text-chat-entry-resend"));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.ResendTextChatMessage({ messageId: "fakeId" }));
+      });
+    });
+  });
+
+  describe("TextChatFileCard", function() {
+    var view;
+
+    function mountTestComponent(type, fileDetails) {
+      var props = {
+        dispatcher: dispatcher,
+        file: _.extend({
+          transferId: "fakeId",
+          name: "hello.txt",
+          size: 2048,
+          state: FILE_TRANSFER_STATES.OFFERED,
+          progress: 0
+        }, fileDetails),
+        type: type
+      };
+      return TestUtils.renderIntoDocument(
+        React.createElement(loop.shared.views.chat.TextChatFileCard, props));
+    }
+
+    beforeEach(function() {
+      sandbox.stub(navigator.mozL10n, "get", function(string) {
+        return string;
+      });
+    });
+
+    it("should render the name of the file", function() {
+      view = mountTestComponent(CHAT_MESSAGE_TYPES.RECEIVED);
+
+      expect(view.getDOMNode().querySelector(".text-chat-file-name").textContent)
+        .eql("hello.txt");
+    });
+
+    it("should dispatch AcceptFileTransfer when accept is clicked", function() {
+      view = mountTestComponent(CHAT_MESSAGE_TYPES.RECEIVED);
+
+      TestUtils.Simulate.click(view.getDOMNode().querySelector(".btn-accept"));
+
+      sinon.assert.calledOnce(dispatcher.dispatch);
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.AcceptFileTransfer({ transferId: "fakeId" }));
+    });
+
+    it("should dispatch DeclineFileTransfer when decline is clicked", function() {
+      view = mountTestComponent(CHAT_MESSAGE_TYPES.RECEIVED);
+
+      TestUtils.Simulate.click(view.getDOMNode().querySelector(".btn-cancel"));
+
+      sinon.assert.calledOnce(dispatcher.dispatch);
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.DeclineFileTransfer({ transferId: "fakeId" }));
+    });
+
+    it("should dispatch CancelFileTransfer when cancel is clicked whilst transferring", function() {
+      view = mountTestComponent(CHAT_MESSAGE_TYPES.SENT, {
+        state: FILE_TRANSFER_STATES.TRANSFERRING
+      });
+
+      TestUtils.Simulate.click(view.getDOMNode().querySelector(".btn-cancel"));
+
+      sinon.assert.calledOnce(dispatcher.dispatch);
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.CancelFileTransfer({ transferId: "fakeId" }));
+    });
+
+    it("should render the progress whilst transferring", function() {
+      view = mountTestComponent(CHAT_MESSAGE_TYPES.RECEIVED, {
+        state: FILE_TRANSFER_STATES.TRANSFERRING,
+        progress: 0.5
+      });
+
+      expect(view.getDOMNode().querySelector(".text-chat-file-progress").value)
+        .eql(0.5);
+    });
+
+    it("should render a download link once a received file is complete", function() {
+      view = mountTestComponent(CHAT_MESSAGE_TYPES.RECEIVED, {
+        state: FILE_TRANSFER_STATES.COMPLETE,
+        url: "blob:fake"
+      });
+
+      var link = view.getDOMNode().querySelector(".text-chat-file-download");
+      expect(link.getAttribute("href")).eql("blob:fake");
+      expect(link.getAttribute("download")).eql("hello.txt");
+    });
+
+    it("should render the status if the file was too large", function() {
+      view = mountTestComponent(CHAT_MESSAGE_TYPES.SENT, {
+        state: FILE_TRANSFER_STATES.TOO_LARGE
+      });
+
+      expect(view.getDOMNode().querySelector(".text-chat-file-status").textContent)
+        .eql("file_transfer_too_large");
+      expect(view.getDOMNode().querySelector(".btn")).eql(null);
+    });
   });
 
   describe("TextChatView", function() {
@@ -436,6 +979,24 @@ describe("loop.shared.views.TextChatView", function() {
       expect(view.getDOMNode().classList.contains("text-chat-disabled")).eql(false);
     });
 
+    it("should show the text chat box when text chat is disabled", function() {
+      view = mountTestComponent();
+
+      store.setStoreState({ textChatEnabled: false });
+
+      expect(view.getDOMNode().querySelector(".text-chat-box > form > input"))
+        .not.eql(null);
+    });
+
+    it("should disable the attach button when text chat is disabled", function() {
+      view = mountTestComponent();
+
+      store.setStoreState({ textChatEnabled: false });
+
+      expect(view.getDOMNode().querySelector(".text-chat-attach-button").disabled)
+        .eql(true);
+    });
+
     it("should add an empty class when the entries list is empty", function() {
       view = mountTestComponent();
 
@@ -573,6 +1134,26 @@ describe("loop.shared.views.TextChatView", function() {
       expect(node.querySelector(".context-url-view-wrapper")).to.not.eql(null);
     });
 
+    it("should render a special entry for every context url", function() {
+      view = mountTestComponent();
+
+      store.updateRoomInfo(new sharedActions.UpdateRoomInfo({
+        roomName: "A Very Long Conversation Name",
+        roomUrl: "http://showcase",
+        roomContextUrls: [{
+          description: "A wonderful page!",
+          location: "http://wonderful.invalid"
+        }, {
+          description: "A great page!",
+          location: "http://great.invalid"
+        }]
+      }));
+
+      var node = view.getDOMNode();
+
+      expect(node.querySelectorAll(".context-url-view-wrapper").length).eql(2);
+    });
+
     it("should not render a room title and context url when show initial context is false", function() {
       view = mountTestComponent({
         showInitialContext: false
@@ -609,8 +1190,9 @@ describe("loop.shared.views.TextChatView", function() {
         which: 13
       });
 
-      sinon.assert.calledOnce(dispatcher.dispatch);
-      sinon.assert.calledWithExactly(dispatcher.dispatch,
+      // The first dispatch is the typing state.
+      sinon.assert.calledTwice(dispatcher.dispatch);
+      sinon.assert.calledWithExactly(dispatcher.dispatch.getCall(1),
         new sharedActions.SendTextChatMessage({
           contentType: CHAT_CONTENT_TYPES.TEXT,
           message: "Hello!",
@@ -618,6 +1200,264 @@ describe("loop.shared.views.TextChatView", function() {
         }));
     });
 
+    it("should send the message as typed when formatting is turned off", function() {
+      view = mountTestComponent();
+      var entryNode = view.getDOMNode().querySelector(".text-chat-box > form > input");
+
+      TestUtils.Simulate.click(
+        view.getDOMNode().querySelector(".text-chat-format-button"));
+      TestUtils.Simulate.change(entryNode, { target: { value: "*Hello*" } });
+      TestUtils.Simulate.keyDown(entryNode, { key: "Enter", which: 13 });
+
+      sinon.assert.calledWithExactly(dispatcher.dispatch.getCall(1),
+        new sharedActions.SendTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "*Hello*",
+          sentTimestamp: "1970-01-01T00:00:00.000Z",
+          extraData: { raw: true }
+        }));
+    });
+
+    it("should show when formatting is turned off", function() {
+      view = mountTestComponent();
+      var button = view.getDOMNode().querySelector(".text-chat-format-button");
+
+      TestUtils.Simulate.click(button);
+
+      expect(button.classList.contains("raw")).eql(true);
+    });
+
+    it("should expand emoji shortcodes in the message", function() {
+      view = mountTestComponent();
+      var entryNode = view.getDOMNode().querySelector(".text-chat-box > form > input");
+
+      TestUtils.Simulate.change(entryNode, {
+        target: { value: "Great :thumbsup: :unknown:" }
+      });
+      TestUtils.Simulate.keyDown(entryNode, { key: "Enter", which: 13 });
+
+      sinon.assert.calledWithExactly(dispatcher.dispatch.getCall(1),
+        new sharedActions.SendTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Great \uD83D\uDC4D :unknown:",
+          sentTimestamp: "1970-01-01T00:00:00.000Z"
+        }));
+    });
+
+    describe("Typing state", function() {
+      var entryNode;
+
+      function typeText(value) {
+        TestUtils.Simulate.change(entryNode, {
+          target: {
+            value: value
+          }
+        });
+      }
+
+      beforeEach(function() {
+        view = mountTestComponent();
+        entryNode = view.getDOMNode().querySelector(".text-chat-box > form > input");
+      });
+
+      it("should dispatch SendTypingState when the user starts typing", function() {
+        typeText("H");
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.SendTypingState({ typing: true }));
+      });
+
+      it("should not dispatch SendTypingState again whilst typing quickly", function() {
+        typeText("H");
+        fakeClock.tick(1000);
+        typeText("He");
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+      });
+
+      it("should dispatch SendTypingState again after the refresh interval", function() {
+        typeText("H");
+        fakeClock.tick(sharedViews.chat.TextChatInputView.TYPING_REFRESH_INTERVAL);
+        typeText("He");
+
+        sinon.assert.calledTwice(dispatcher.dispatch);
+      });
+
+      it("should dispatch SendTypingState when the text is cleared", function() {
+        typeText("H");
+        typeText("");
+
+        sinon.assert.calledTwice(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch.getCall(1),
+          new sharedActions.SendTypingState({ typing: false }));
+      });
+
+      it("should not dispatch SendTypingState when the message is sent", function() {
+        typeText("Hello");
+        TestUtils.Simulate.keyDown(entryNode, {
+          key: "Enter",
+          which: 13
+        });
+
+        sinon.assert.neverCalledWith(dispatcher.dispatch,
+          new sharedActions.SendTypingState({ typing: false }));
+      });
+    });
+
+    it("should dispatch SendFile actions when files are chosen", function() {
+      view = mountTestComponent();
+      var file = new Blob(["Hello"]);
+      var fileInput = view.getDOMNode().querySelector(".text-chat-file-input");
+
+      TestUtils.Simulate.change(fileInput, {
+        target: {
+          files: [file],
+          value: "C:\\fakepath\\hello.txt"
+        }
+      });
+
+      sinon.assert.calledOnce(dispatcher.dispatch);
+      sinon.assert.calledWithExactly(dispatcher.dispatch,
+        new sharedActions.SendFile({ file: file }));
+    });
+
+    describe("Read receipts", function() {
+      function receiveMessage() {
+        store.receivedTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello!",
+          messageId: "fakeId",
+          receivedTimestamp: "1970-01-01T00:03:00.000Z"
+        });
+      }
+
+      function setDocumentHidden(hidden) {
+        loop.shared.mixins.setRootObject({
+          document: {
+            hidden: hidden,
+            addEventListener: sandbox.stub(),
+            removeEventListener: sandbox.stub()
+          }
+        });
+      }
+
+      afterEach(function() {
+        loop.shared.mixins.setRootObject(window);
+      });
+
+      it("should dispatch MarkChatMessagesRead when a message is received whilst visible", function() {
+        setDocumentHidden(false);
+        view = mountTestComponent();
+
+        receiveMessage();
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.MarkChatMessagesRead());
+      });
+
+      it("should not dispatch MarkChatMessagesRead whilst hidden", function() {
+        setDocumentHidden(true);
+        view = mountTestComponent();
+
+        receiveMessage();
+
+        sinon.assert.notCalled(dispatcher.dispatch);
+      });
+
+      it("should dispatch MarkChatMessagesRead when the document becomes visible", function() {
+        setDocumentHidden(true);
+        view = mountTestComponent();
+        receiveMessage();
+
+        view.onDocumentVisible();
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.MarkChatMessagesRead());
+      });
+    });
+
+    describe("Notifications", function() {
+      var fakeRootObject;
+
+      beforeEach(function() {
+        fakeRootObject = {
+          document: {
+            hidden: true,
+            title: "",
+            addEventListener: sandbox.stub(),
+            removeEventListener: sandbox.stub()
+          }
+        };
+        loop.shared.mixins.setRootObject(fakeRootObject);
+      });
+
+      afterEach(function() {
+        React.unmountComponentAtNode(view.getDOMNode().parentNode);
+        loop.shared.mixins.setRootObject(window);
+      });
+
+      it("should show the number of unread messages in the title", function() {
+        view = mountTestComponent();
+
+        store.receivedTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello!",
+          receivedTimestamp: "1970-01-01T00:03:00.000Z"
+        });
+
+        expect(fakeRootObject.document.title).to.match(/^\(1\) /);
+      });
+
+      it("should remove the number of unread messages from the title once read", function() {
+        view = mountTestComponent();
+        store.receivedTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello!",
+          receivedTimestamp: "1970-01-01T00:03:00.000Z"
+        });
+
+        store.markChatMessagesRead(new sharedActions.MarkChatMessagesRead());
+
+        expect(fakeRootObject.document.title).to.not.match(/^\(1\) /);
+      });
+
+      it("should dispatch SetChatNotificationsMuted when the mute button is clicked", function() {
+        view = mountTestComponent();
+
+        TestUtils.Simulate.click(
+          view.getDOMNode().querySelector(".text-chat-mute-button"));
+
+        sinon.assert.calledOnce(dispatcher.dispatch);
+        sinon.assert.calledWithExactly(dispatcher.dispatch,
+          new sharedActions.SetChatNotificationsMuted({ muted: true }));
+      });
+
+      it("should show that the notifications are muted", function() {
+        view = mountTestComponent();
+
+        store.setStoreState({ notificationsMuted: true });
+
+        expect(view.getDOMNode().querySelector(".text-chat-mute-button")
+          .classList.contains("muted")).eql(true);
+      });
+    });
+
+    it("should show the typing indicator when the peer is typing", function() {
+      view = mountTestComponent();
+
+      store.receivedTextChatMessage({
+        contentType: CHAT_CONTENT_TYPES.TYPING,
+        message: "",
+        extraData: { typing: true },
+        receivedTimestamp: "1970-01-01T00:03:00.000Z"
+      });
+
+      expect(view.getDOMNode().querySelector(".text-chat-typing")).to.not.eql(null);
+    });
+
     it("should not dispatch SendTextChatMessage when the message is empty", function() {
       view = mountTestComponent();
 
@@ -659,5 +1499,152 @@ describe("loop.shared.views.TextChatView", function() {
 
       expect(textBox.placeholder).not.contain("placeholder");
     });
+
+    describe("Search", function() {
+      function receiveMessage(message) {
+        store.receivedTextChatMessage({
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: message,
+          receivedTimestamp: "1970-01-01T00:03:00.000Z"
+        });
+      }
+
+      function getSearchInput() {
+        return view.getDOMNode().querySelector(".text-chat-search > input");
+      }
+
+      function search(query) {
+        TestUtils.Simulate.change(getSearchInput(), {
+          target: { value: query }
+        });
+      }
+
+      function getCurrentResultText() {
+        return view.getDOMNode().querySelector(".search-current").textContent;
+      }
+
+      beforeEach(function() {
+        view = mountTestComponent();
+
+        receiveMessage("Hello there");
+        receiveMessage("Goodbye");
+        receiveMessage("hello again");
+      });
+
+      it("should not show the search field by default", function() {
+        expect(getSearchInput()).eql(null);
+      });
+
+      it("should show the search field when the search button is clicked", function() {
+        TestUtils.Simulate.click(
+          view.getDOMNode().querySelector(".text-chat-search-button"));
+
+        expect(getSearchInput()).not.eql(null);
+      });
+
+      it("should show the search field when ctrl+F is pressed", function() {
+        TestUtils.Simulate.keyDown(view.getDOMNode(), { key: "f", ctrlKey: true });
+
+        expect(getSearchInput()).not.eql(null);
+      });
+
+      it("should show the search field when cmd+F is pressed", function() {
+        TestUtils.Simulate.keyDown(view.getDOMNode(), { key: "f", metaKey: true });
+
+        expect(getSearchInput()).not.eql(null);
+      });
+
+      describe("Searching", function() {
+        beforeEach(function() {
+          view.setState({ searching: true });
+        });
+
+        it("should mark the messages that match, ignoring case", function() {
+          search("HELLO");
+
+          expect(view.getDOMNode().querySelectorAll(".search-match"))
+            .to.have.length.of(2);
+        });
+
+        it("should show the most recent match first", function() {
+          search("hello");
+
+          expect(getCurrentResultText()).to.contain("hello again");
+        });
+
+        it("should not match deleted messages", function() {
+          store.setStoreState({
+            messageList: store.getStoreState("messageList").map(function(message) {
+              return _.extend({}, message, { deleted: true });
+            })
+          });
+
+          search("hello");
+
+          expect(view.getDOMNode().querySelectorAll(".search-match"))
+            .to.have.length.of(0);
+        });
+
+        it("should show that there are no matches", function() {
+          search("nothing");
+
+          expect(view.getDOMNode().querySelector(".text-chat-search-count")
+            .textContent).eql("chat_search_no_results");
+        });
+
+        it("should show the previous match when return is pressed", function() {
+          search("hello");
+
+          TestUtils.Simulate.keyDown(getSearchInput(), { which: 13 });
+
+          expect(getCurrentResultText()).to.contain("Hello there");
+        });
+
+        it("should show the next match when shift+return is pressed", function() {
+          search("hello");
+
+          TestUtils.Simulate.keyDown(getSearchInput(), { which: 13, shiftKey: true });
+
+          expect(getCurrentResultText()).to.contain("Hello there");
+        });
+
+        it("should move between the matches with the arrow keys", function() {
+          search("hello");
+
+          TestUtils.Simulate.keyDown(getSearchInput(), { which: 38 });
+          TestUtils.Simulate.keyDown(getSearchInput(), { which: 40 });
+
+          expect(getCurrentResultText()).to.contain("hello again");
+        });
+
+        it("should wrap around to the most recent match", function() {
+          search("hello");
+
+          TestUtils.Simulate.click(
+            view.getDOMNode().querySelector(".text-chat-search-previous"));
+          TestUtils.Simulate.click(
+            view.getDOMNode().querySelector(".text-chat-search-previous"));
+
+          expect(getCurrentResultText()).to.contain("hello again");
+        });
+
+        it("should close the search when escape is pressed", function() {
+          search("hello");
+
+          TestUtils.Simulate.keyDown(getSearchInput(), { which: 27 });
+
+          expect(getSearchInput()).eql(null);
+          expect(view.getDOMNode().querySelectorAll(".search-match"))
+            .to.have.length.of(0);
+        });
+
+        it("should close the search when the close button is clicked", function() {
+          TestUtils.Simulate.click(
+            view.getDOMNode().querySelector(".text-chat-search-close"));
+
+          expect(getSearchInput()).eql(null);
+        });
+      });
+    });
   });
 });
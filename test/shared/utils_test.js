@@ -376,6 +376,184 @@ describe("loop.shared.utils", function() {
     });
   });
 
+  describe("Chat transcripts", function() {
+    var CHAT_CONTENT_TYPES = sharedUtils.CHAT_CONTENT_TYPES;
+    var messageList;
+
+    beforeEach(function() {
+      sandbox.stub(navigator.mozL10n, "get", function(id, vars) {
+        return vars ? id + ":" + vars.fileName : id;
+      });
+
+      messageList = [{
+        type: "special",
+        contentType: CHAT_CONTENT_TYPES.ROOM_NAME,
+        message: "Fake <Room>"
+      }, {
+        type: "special",
+        contentType: CHAT_CONTENT_TYPES.CONTEXT,
+        message: "A page",
+        extraData: {
+          location: "http://example.com/",
+          thumbnail: "data:image/png;base64,iVBORw0KGgo="
+        }
+      }, {
+        type: "sent",
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "Hello",
+        sentTimestamp: "1970-01-01T00:00:00.000Z",
+        messageId: "1",
+        state: "read"
+      }, {
+        type: "recv",
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "<b>Hi</b>",
+        sentTimestamp: "1970-01-01T00:00:01.000Z",
+        receivedTimestamp: "1970-01-01T00:00:02.000Z"
+      }, {
+        type: "sent",
+        contentType: CHAT_CONTENT_TYPES.TEXT,
+        message: "",
+        sentTimestamp: "1970-01-01T00:00:03.000Z",
+        deleted: true
+      }, {
+        type: "special",
+        contentType: CHAT_CONTENT_TYPES.NOTICE,
+        message: "",
+        extraData: { notice: "peer-left" }
+      }];
+    });
+
+    describe("#formatChatTranscript", function() {
+      it("should format the chat as text", function() {
+        expect(sharedUtils.formatChatTranscript(messageList, "text")).eql(
+          "Fake <Room>\n" +
+          "A page - http://example.com/\n" +
+          "[1970-01-01T00:00:00.000Z] chat_transcript_sender_you: Hello\n" +
+          "[1970-01-01T00:00:02.000Z] chat_transcript_sender_peer: <b>Hi</b>\n");
+      });
+
+      it("should format the chat as escaped HTML", function() {
+        var transcript = sharedUtils.formatChatTranscript(messageList, "html");
+
+        expect(transcript).to.contain("<title>Fake &lt;Room&gt;</title>");
+        expect(transcript).to.contain(
+          '<p class="context"><a href="http://example.com/">A page</a></p>');
+        expect(transcript).to.contain(
+          '<p class="received"><time datetime="1970-01-01T00:00:02.000Z">' +
+          "1970-01-01T00:00:02.000Z</time> <b>chat_transcript_sender_peer:</b> " +
+          "&lt;b&gt;Hi&lt;/b&gt;</p>");
+      });
+
+      it("should only link to http, https and ftp locations in HTML", function() {
+        messageList[1].extraData.location = "ftp://example.com/";
+        messageList.push({
+          type: "special",
+          contentType: CHAT_CONTENT_TYPES.CONTEXT,
+          message: "Bad <page>",
+          extraData: { location: "data:text/html,<p>Hi</p>" }
+        });
+
+        var transcript = sharedUtils.formatChatTranscript(messageList, "html");
+
+        expect(transcript).to.contain(
+          '<p class="context"><a href="ftp://example.com/">A page</a></p>');
+        expect(transcript).to.contain(
+          '<p class="context">Bad &lt;page&gt; - data:text/html,&lt;p&gt;Hi&lt;/p&gt;</p>');
+        expect(transcript).to.not.contain("href=\"data:");
+      });
+
+      it("should format the chat as JSON", function() {
+        var transcript = JSON.parse(
+          sharedUtils.formatChatTranscript(messageList, "json"));
+
+        expect(transcript.roomName).eql("Fake <Room>");
+        expect(transcript.messages.length).eql(4);
+        expect(transcript.messages[1].extraData).eql({
+          location: "http://example.com/"
+        });
+        expect(transcript.messages[2]).eql({
+          type: "sent",
+          contentType: CHAT_CONTENT_TYPES.TEXT,
+          message: "Hello",
+          sentTimestamp: "1970-01-01T00:00:00.000Z"
+        });
+      });
+
+      it("should include the names of files that were sent", function() {
+        var transcript = sharedUtils.formatChatTranscript([{
+          type: "sent",
+          contentType: CHAT_CONTENT_TYPES.FILE,
+          message: "",
+          sentTimestamp: "1970-01-01T00:00:00.000Z",
+          extraData: { name: "cat.png", size: 100, url: "blob:fake" }
+        }], "text");
+
+        expect(transcript).eql("[1970-01-01T00:00:00.000Z] " +
+          "chat_transcript_sender_you: chat_transcript_file:cat.png\n");
+      });
+    });
+
+    describe("#saveChatTranscript", function() {
+      var fakeLink, fakeWindowObject;
+
+      beforeEach(function() {
+        fakeLink = { click: sinon.stub() };
+        fakeWindowObject = {
+          Blob: sinon.stub(),
+          URL: {
+            createObjectURL: sinon.stub().returns("blob:fake"),
+            revokeObjectURL: sinon.stub()
+          },
+          document: {
+            body: {
+              appendChild: sinon.stub(),
+              removeChild: sinon.stub()
+            },
+            createElement: sinon.stub().returns(fakeLink)
+          },
+          setTimeout: sinon.stub().callsArg(0)
+        };
+        sharedUtils.setRootObjects(fakeWindowObject);
+      });
+
+      afterEach(function() {
+        sharedUtils.setRootObjects();
+      });
+
+      it("should save the transcript with the MozLoop API if available", function() {
+        var fakeMozLoop = { saveFile: sinon.stub() };
+
+        sharedUtils.saveChatTranscript(messageList, "text", fakeMozLoop);
+
+        sinon.assert.calledOnce(fakeMozLoop.saveFile);
+        sinon.assert.calledWith(fakeMozLoop.saveFile, "Fake _Room_.txt",
+          sharedUtils.formatChatTranscript(messageList, "text"));
+      });
+
+      it("should download the transcript otherwise", function() {
+        sharedUtils.saveChatTranscript(messageList, "json", null);
+
+        sinon.assert.calledWithNew(fakeWindowObject.Blob);
+        sinon.assert.calledWith(fakeWindowObject.Blob,
+          [sharedUtils.formatChatTranscript(messageList, "json")],
+          { type: "application/json" });
+        expect(fakeLink.href).eql("blob:fake");
+        expect(fakeLink.download).eql("Fake _Room_.json");
+        sinon.assert.calledOnce(fakeLink.click);
+        sinon.assert.calledWith(fakeWindowObject.URL.revokeObjectURL, "blob:fake");
+      });
+
+      it("should use a default file name for rooms without a name", function() {
+        var fakeMozLoop = { saveFile: sinon.stub() };
+
+        sharedUtils.saveChatTranscript(messageList.slice(1), "html", fakeMozLoop);
+
+        sinon.assert.calledWith(fakeMozLoop.saveFile, "chat_transcript_file_name.html");
+      });
+    });
+  });
+
   describe("#btoa", function() {
     it("should encode a basic base64 string", function() {
       var result = sharedUtils.btoa(sharedUtils.strToUint8Array("crypto is great"));
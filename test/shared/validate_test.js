@@ -84,4 +84,103 @@ describe("Validator", function() {
         TypeError, /invalid dependency: foo; expected null, got String$/);
     });
   });
+
+  describe("optional", function() {
+    var optional = loop.validate.optional;
+
+    it("should not require an optional dependency", function() {
+      expect(create({ x: optional(Number) }, {})).to.not.Throw();
+    });
+
+    it("should check the type of an optional dependency when defined", function() {
+      expect(create({ x: optional(Number) }, { x: "woops" })).to.Throw(
+        TypeError, /invalid dependency: x; expected Number, got String$/);
+    });
+
+    it("should accept multiple types for an optional dependency", function() {
+      expect(create({ x: optional([String, null]) }, { x: null })).to.not.Throw();
+    });
+
+    it("should only report missing required dependencies", function() {
+      expect(create({ x: Number, y: optional(String) }, {}))
+        .to.Throw(TypeError, /missing required x$/);
+    });
+  });
+
+  describe("shape", function() {
+    var optional = loop.validate.optional;
+    var shape = loop.validate.shape;
+
+    it("should accept an object matching the shape", function() {
+      expect(create({ x: shape({ y: Number }) }, { x: { y: 1 } }))
+        .to.not.Throw();
+    });
+
+    it("should check the value is an object", function() {
+      expect(create({ x: shape({ y: Number }) }, { x: "woops" })).to.Throw(
+        TypeError, /invalid dependency: x; expected Object, got String$/);
+    });
+
+    it("should report the path of missing nested dependencies", function() {
+      expect(create({ x: shape({ y: Number }) }, { x: {} }))
+        .to.Throw(TypeError, /missing required x.y$/);
+    });
+
+    it("should report the path of invalid nested dependencies", function() {
+      expect(create({ x: shape({ y: shape({ z: Number }) }) },
+                    { x: { y: { z: "woops" } } })).to.Throw(
+        TypeError, /invalid dependency: x.y.z; expected Number, got String$/);
+    });
+
+    it("should allow optional nested dependencies", function() {
+      expect(create({ x: shape({ y: optional(Number) }) }, { x: {} }))
+        .to.not.Throw();
+    });
+  });
+
+  describe("arrayOf", function() {
+    var arrayOf = loop.validate.arrayOf;
+    var shape = loop.validate.shape;
+
+    it("should accept an array with matching elements", function() {
+      expect(create({ x: arrayOf(Number) }, { x: [1, 2] })).to.not.Throw();
+    });
+
+    it("should check the value is an array", function() {
+      expect(create({ x: arrayOf(Number) }, { x: 1 })).to.Throw(
+        TypeError, /invalid dependency: x; expected Array, got Number$/);
+    });
+
+    it("should report the index of invalid elements", function() {
+      expect(create({ x: arrayOf(Number) }, { x: [1, "woops"] })).to.Throw(
+        TypeError, /invalid dependency: x\[1\]; expected Number, got String$/);
+    });
+
+    it("should report the path of invalid nested element properties", function() {
+      expect(create({ x: arrayOf(shape({ y: String })) }, { x: [{ y: "a" }, {}] }))
+        .to.Throw(TypeError, /missing required x\[1\].y$/);
+    });
+
+    it("should describe the element types when part of a type list", function() {
+      expect(create({ x: [arrayOf(Number), null] }, { x: "woops" })).to.Throw(
+        TypeError, /invalid dependency: x; expected Array of Number, null, got String$/);
+    });
+  });
+
+  describe("oneOf", function() {
+    var oneOf = loop.validate.oneOf;
+
+    it("should accept a value from an array of values", function() {
+      expect(create({ x: oneOf(["a", "b"]) }, { x: "b" })).to.not.Throw();
+    });
+
+    it("should accept a value from an object of values", function() {
+      expect(create({ x: oneOf({ A: "a", B: "b" }) }, { x: "b" })).to.not.Throw();
+    });
+
+    it("should reject values that aren't listed", function() {
+      expect(create({ x: oneOf({ A: "a", B: "b" }) }, { x: "c" })).to.Throw(
+        TypeError, /invalid dependency: x; expected one of "a", "b", got "c"$/);
+    });
+  });
 });
@@ -344,6 +344,23 @@ describe("loop.shared.views", function() {
       expect(comp.getDOMNode()).to.eql(null);
     });
 
+    it("should call the export item's onClick with its format when clicked", function() {
+      var onClick = sandbox.stub();
+      var settingsMenuItems = [
+        { id: "export-text", onClick: onClick },
+        { id: "export-html", onClick: onClick },
+        { id: "export-json", onClick: onClick }
+      ];
+      var comp = mountTestComponent({ menuItems: settingsMenuItems });
+      var menuItems = comp.getDOMNode().querySelectorAll(".settings-menu > li");
+
+      TestUtils.Simulate.click(menuItems[1]);
+
+      expect(menuItems).to.have.length.of(3);
+      sinon.assert.calledOnce(onClick);
+      sinon.assert.calledWithExactly(onClick, "html");
+    });
+
     it("should show the settings dropdown on click", function() {
       var settingsMenuItems = [{ id: "help" }];
       var comp = mountTestComponent({ menuItems: settingsMenuItems });
@@ -1131,5 +1148,71 @@ describe("loop.shared.views", function() {
       expect(view.getDOMNode().querySelector(".media-wrapper")
         .classList.contains("showing-remote-streams")).eql(true);
     });
+
+    describe("Grid layout", function() {
+      function makeRemoteStreams(count) {
+        var remoteStreams = [];
+        for (var i = 0; i < count; i++) {
+          remoteStreams.push({
+            connectionId: "remoteUser" + i,
+            srcMediaElement: null,
+            videoEnabled: true
+          });
+        }
+        return remoteStreams;
+      }
+
+      it("should not use the grid layout for a single remote stream", function() {
+        view = mountTestComponent({
+          remoteStreams: makeRemoteStreams(1)
+        });
+
+        expect(view.getDOMNode().querySelector(".media-wrapper")
+          .classList.contains("grid-layout")).eql(false);
+        expect(view.getDOMNode().querySelector(".remote-grid")).eql(null);
+      });
+
+      it("should display several remote streams in a grid", function() {
+        view = mountTestComponent({
+          remoteStreams: makeRemoteStreams(3)
+        });
+
+        expect(view.getDOMNode().querySelector(".media-wrapper")
+          .classList.contains("grid-layout")).eql(true);
+        expect(view.getDOMNode().querySelectorAll(".remote-grid-item"))
+          .to.have.length.of(3);
+      });
+
+      it("should use two columns for up to four remote streams", function() {
+        view = mountTestComponent({
+          remoteStreams: makeRemoteStreams(4)
+        });
+
+        expect(view.getDOMNode().querySelector(".remote-grid")
+          .classList.contains("grid-columns-2")).eql(true);
+      });
+
+      it("should use three columns for five remote streams", function() {
+        view = mountTestComponent({
+          remoteStreams: makeRemoteStreams(5)
+        });
+
+        expect(view.getDOMNode().querySelector(".remote-grid")
+          .classList.contains("grid-columns-3")).eql(true);
+      });
+
+      it("should display an avatar for participants without video", function() {
+        var remoteStreams = makeRemoteStreams(2);
+        remoteStreams[1].videoEnabled = false;
+
+        view = mountTestComponent({
+          remoteStreams: remoteStreams
+        });
+
+        var items = view.getDOMNode().querySelectorAll(".remote-grid-item");
+        expect(items[0].querySelector(".avatar")).eql(null);
+        expect(items[1].querySelector(".avatar")).not.eql(null);
+      });
+    });
   });
 });
@@ -116,6 +116,13 @@ describe("loop.StandaloneMozLoop", function() {
       expect(requestData.action).eql("join");
     });
 
+    it("should ask for rooms of up to six clients", function() {
+      mozLoop.rooms.join("fakeToken", callback);
+
+      var requestData = JSON.parse(requests[0].requestBody);
+      expect(requestData.clientMaxSize).eql(6);
+    });
+
     it("should call the callback with success parameters", function() {
       mozLoop.rooms.join("fakeToken", callback);
 
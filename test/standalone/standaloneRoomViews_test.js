@@ -372,6 +372,44 @@ describe("loop.standaloneRoomViews", function() {
     });
   });
 
+  describe("StandaloneRoomInfoArea", function() {
+    function mountTestComponent(props) {
+      props = _.extend({
+        activeRoomStore: activeRoomStore,
+        dispatcher: dispatcher,
+        isFirefox: true,
+        joinRoom: sandbox.stub(),
+        roomState: ROOM_STATES.READY,
+        roomUsed: false
+      }, props);
+      return TestUtils.renderIntoDocument(
+        React.createElement(loop.standaloneRoomViews.StandaloneRoomInfoArea, props));
+    }
+
+    it("should render a context tile for every link of the room", function() {
+      view = mountTestComponent({
+        roomContextUrls: [{
+          description: "A wonderful page",
+          location: "http://wonderful.invalid"
+        }, {
+          description: "A great page",
+          location: "http://great.invalid"
+        }]
+      });
+
+      var tiles = view.getDOMNode().querySelectorAll(".context-content");
+      expect(tiles.length).eql(2);
+      expect(tiles[0].textContent).to.contain("A wonderful page");
+      expect(tiles[1].textContent).to.contain("A great page");
+    });
+
+    it("should not render context tiles when the room has no links", function() {
+      view = mountTestComponent();
+
+      expect(view.getDOMNode().querySelector(".room-context-urls")).eql(null);
+    });
+  });
+
   describe("StandaloneRoomInfoArea in fixture", function() {
     it("should dispatch a RecordClick action when the tile is clicked", function(done) {
       // Point the iframe to a page that will auto-"click"
@@ -500,7 +538,11 @@ describe("loop.standaloneRoomViews", function() {
         function() {
           activeRoomStore.setStoreState({ roomState: ROOM_STATES.HAS_PARTICIPANTS });
           clock.tick(loop.standaloneRoomViews.StandaloneRoomInfoArea.RENDER_WAITING_DELAY);
-          activeRoomStore.remotePeerDisconnected();
+          activeRoomStore.remotePeerDisconnected(
+            new sharedActions.RemotePeerDisconnected({
+              peerHungup: true,
+              remainingPeers: 0
+            }));
           clock.tick(loop.standaloneRoomViews.StandaloneRoomInfoArea.RENDER_WAITING_DELAY);
 
           sinon.assert.calledOnce(dispatch);
@@ -818,7 +860,7 @@ describe("loop.standaloneRoomViews", function() {
            function() {
              activeRoomStore.setStoreState({
                roomState: ROOM_STATES.MEDIA_WAIT,
-               remoteSrcMediaElement: null
+               remoteMedia: {}
              });
 
              expect(view.getDOMNode().querySelector(".local .loading-stream"))
@@ -840,7 +882,9 @@ describe("loop.standaloneRoomViews", function() {
            function() {
              activeRoomStore.setStoreState({
                roomState: ROOM_STATES.HAS_PARTICIPANTS,
-               remoteSrcMediaElement: videoElement
+               remoteMedia: {
+                 remoteUser: { srcMediaElement: videoElement, videoEnabled: false }
+               }
              });
 
              expect(view.getDOMNode().querySelector(".remote .loading-stream"))
@@ -848,46 +892,50 @@ describe("loop.standaloneRoomViews", function() {
         });
 
         it("should render remote video when the room HAS_PARTICIPANTS and" +
-          " remoteVideoEnabled is true", function() {
+          " the remote video is enabled", function() {
           activeRoomStore.setStoreState({
             roomState: ROOM_STATES.HAS_PARTICIPANTS,
-            remoteSrcMediaElement: videoElement,
-            remoteVideoEnabled: true
+            remoteMedia: {
+              remoteUser: { srcMediaElement: videoElement, videoEnabled: true }
+            }
           });
 
           expect(view.getDOMNode().querySelector(".remote video")).not.eql(null);
         });
 
         it("should render remote video when the room HAS_PARTICIPANTS and" +
-          " remoteVideoEnabled is true", function() {
+          " the remote video is enabled", function() {
           activeRoomStore.setStoreState({
             roomState: ROOM_STATES.HAS_PARTICIPANTS,
-            remoteSrcMediaElement: videoElement,
-            remoteVideoEnabled: true
+            remoteMedia: {
+              remoteUser: { srcMediaElement: videoElement, videoEnabled: true }
+            }
           });
 
           expect(view.getDOMNode().querySelector(".remote video")).not.eql(null);
         });
 
         it("should not render remote video when the room HAS_PARTICIPANTS," +
-          " remoteVideoEnabled is false, and mediaConnected is true", function() {
+          " the remote video is disabled, and mediaConnected is true", function() {
           activeRoomStore.setStoreState({
             roomState: ROOM_STATES.HAS_PARTICIPANTS,
-            remoteSrcMediaElement: videoElement,
             mediaConnected: true,
-            remoteVideoEnabled: false
+            remoteMedia: {
+              remoteUser: { srcMediaElement: videoElement, videoEnabled: false }
+            }
           });
 
           expect(view.getDOMNode().querySelector(".remote video")).eql(null);
         });
 
         it("should render remote video when the room HAS_PARTICIPANTS," +
-          " and both remoteVideoEnabled and mediaConnected are false", function() {
+          " and both the remote video and mediaConnected are false", function() {
           activeRoomStore.setStoreState({
             roomState: ROOM_STATES.HAS_PARTICIPANTS,
-            remoteSrcMediaElement: videoElement,
             mediaConnected: false,
-            remoteVideoEnabled: false
+            remoteMedia: {
+              remoteUser: { srcMediaElement: videoElement, videoEnabled: false }
+            }
           });
 
           expect(view.getDOMNode().querySelector(".remote video")).not.eql(null);
@@ -896,43 +944,45 @@ describe("loop.standaloneRoomViews", function() {
         it("should not render a remote avatar when the room is in MEDIA_WAIT", function() {
           activeRoomStore.setStoreState({
             roomState: ROOM_STATES.MEDIA_WAIT,
-            remoteSrcMediaElement: videoElement,
-            remoteVideoEnabled: false
+            remoteMedia: {
+              remoteUser: { srcMediaElement: videoElement, videoEnabled: false }
+            }
           });
 
           expect(view.getDOMNode().querySelector(".remote .avatar")).eql(null);
         });
 
         it("should not render a remote avatar when the room is CLOSING and" +
-          " remoteVideoEnabled is false", function() {
+          " the remote video is disabled", function() {
           activeRoomStore.setStoreState({
             roomState: ROOM_STATES.CLOSING,
-            remoteSrcMediaElement: videoElement,
-            remoteVideoEnabled: false
+            remoteMedia: {
+              remoteUser: { srcMediaElement: videoElement, videoEnabled: false }
+            }
           });
 
           expect(view.getDOMNode().querySelector(".remote .avatar")).eql(null);
         });
 
         it("should render a remote avatar when the room HAS_PARTICIPANTS, " +
-          "remoteVideoEnabled is false, and mediaConnected is true", function() {
+          "the remote video is disabled, and mediaConnected is true", function() {
           activeRoomStore.setStoreState({
             roomState: ROOM_STATES.HAS_PARTICIPANTS,
-            remoteSrcMediaElement: videoElement,
-            remoteVideoEnabled: false,
-            mediaConnected: true
+            mediaConnected: true,
+            remoteMedia: {
+              remoteUser: { srcMediaElement: videoElement, videoEnabled: false }
+            }
           });
 
           expect(view.getDOMNode().querySelector(".remote .avatar")).not.eql(null);
         });
 
         it("should render a remote avatar when the room HAS_PARTICIPANTS, " +
-          "remoteSrcMediaElement is false, mediaConnected is true", function() {
+          "there is no remote stream, mediaConnected is true", function() {
           activeRoomStore.setStoreState({
             roomState: ROOM_STATES.HAS_PARTICIPANTS,
-            remoteSrcMediaElement: null,
-            remoteVideoEnabled: false,
-            mediaConnected: true
+            mediaConnected: true,
+            remoteMedia: {}
           });
 
           expect(view.getDOMNode().querySelector(".remote .avatar")).not.eql(null);
@@ -0,0 +1,160 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this file,
+ * You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+const { LoopChatHistory, MAX_MESSAGES_PER_ROOM, MAX_MESSAGE_AGE } =
+  Cu.import("resource:///modules/loop/LoopChatHistory.jsm", {});
+const { LoopStorage } = Cu.import("resource:///modules/loop/LoopStorage.jsm", {});
+
+const kRoomToken = "_nxD4V4FflQ";
+const kRoomKey = "FliIGLUolW-xkKZVWstqKw";
+const kOtherRoomKey = "G2fwV0ZWbUqCeWz0jG2jrQ";
+
+const kMessage = {
+  type: "sent",
+  contentType: "chat-text",
+  message: "Hello",
+  sentTimestamp: "2015-06-26T09:14:11.000Z"
+};
+
+add_task(function* test_add_and_get_messages() {
+  yield LoopChatHistory.promiseAddMessage(kRoomToken, kRoomKey, kMessage);
+  yield LoopChatHistory.promiseAddMessage("QzBbvGmIZWU", kRoomKey, kMessage);
+
+  let messages = yield LoopChatHistory.promiseMessages(kRoomToken, kRoomKey);
+
+  Assert.deepEqual(messages, [kMessage]);
+
+  yield LoopChatHistory.promiseClear(kRoomToken);
+  yield LoopChatHistory.promiseClear("QzBbvGmIZWU");
+});
+
+add_task(function* test_messages_are_encrypted() {
+  yield LoopChatHistory.promiseAddMessage(kRoomToken, kRoomKey, kMessage);
+
+  let record = yield new Promise((resolve, reject) => {
+    LoopStorage.getStore("chatHistory", (err, store) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      store.index("roomToken").get(kRoomToken).onsuccess = event => {
+        resolve(event.target.result);
+      };
+    });
+  });
+
+  Assert.ok(!record.value.includes("Hello"), "The message should be encrypted");
+
+  yield LoopChatHistory.promiseClear(kRoomToken);
+});
+
+add_task(function* test_skips_messages_with_other_keys() {
+  yield LoopChatHistory.promiseAddMessage(kRoomToken, kOtherRoomKey, kMessage);
+
+  let messages = yield LoopChatHistory.promiseMessages(kRoomToken, kRoomKey);
+
+  Assert.deepEqual(messages, []);
+
+  yield LoopChatHistory.promiseClear(kRoomToken);
+});
+
+add_task(function* test_update_message() {
+  let message = extend({}, kMessage, { messageId: "fakeId" });
+  yield LoopChatHistory.promiseAddMessage(kRoomToken, kRoomKey, kMessage);
+  yield LoopChatHistory.promiseAddMessage(kRoomToken, kRoomKey, message);
+
+  let edited = extend({}, message, { message: "Hello again", edited: true });
+  yield LoopChatHistory.promiseUpdateMessage(kRoomToken, kRoomKey, edited);
+
+  let messages = yield LoopChatHistory.promiseMessages(kRoomToken, kRoomKey);
+  Assert.deepEqual(messages, [kMessage, edited]);
+
+  yield LoopChatHistory.promiseClear(kRoomToken);
+});
+
+add_task(function* test_update_message_only_in_its_room() {
+  let message = extend({}, kMessage, { messageId: "fakeId" });
+  yield LoopChatHistory.promiseAddMessage(kRoomToken, kRoomKey, message);
+  yield LoopChatHistory.promiseAddMessage("QzBbvGmIZWU", kRoomKey, message);
+
+  let edited = extend({}, message, { message: "Hello again", edited: true });
+  yield LoopChatHistory.promiseUpdateMessage(kRoomToken, kRoomKey, edited);
+
+  let messages = yield LoopChatHistory.promiseMessages("QzBbvGmIZWU", kRoomKey);
+  Assert.deepEqual(messages, [message]);
+
+  yield LoopChatHistory.promiseClear(kRoomToken);
+  yield LoopChatHistory.promiseClear("QzBbvGmIZWU");
+});
+
+add_task(function* test_message_ids_are_indexed() {
+  let message = extend({}, kMessage, { messageId: "fakeId" });
+  yield LoopChatHistory.promiseAddMessage(kRoomToken, kRoomKey, message);
+
+  let record = yield new Promise((resolve, reject) => {
+    LoopStorage.getStore("chatHistory", (err, store) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      store.index("messageId").get([kRoomToken, "fakeId"]).onsuccess = event => {
+        resolve(event.target.result);
+      };
+    });
+  });
+
+  Assert.equal(record.messageId, "fakeId", "The message id should be kept in the clear");
+
+  yield LoopChatHistory.promiseClear(kRoomToken);
+});
+
+add_task(function* test_clear() {
+  yield LoopChatHistory.promiseAddMessage(kRoomToken, kRoomKey, kMessage);
+
+  yield LoopChatHistory.promiseClear(kRoomToken);
+
+  let messages = yield LoopChatHistory.promiseMessages(kRoomToken, kRoomKey);
+  Assert.deepEqual(messages, []);
+});
+
+add_task(function* test_removes_old_messages() {
+  let realNow = Date.now;
+  Date.now = () => realNow() - MAX_MESSAGE_AGE - 1000;
+  try {
+    yield LoopChatHistory.promiseAddMessage(kRoomToken, kRoomKey, kMessage);
+  } finally {
+    Date.now = realNow;
+  }
+
+  let messages = yield LoopChatHistory.promiseMessages(kRoomToken, kRoomKey);
+  Assert.deepEqual(messages, []);
+
+  yield LoopChatHistory.promiseClear(kRoomToken);
+});
+
+add_task(function* test_limits_the_number_of_messages() {
+  for (let i = 0; i <= MAX_MESSAGES_PER_ROOM; i++) {
+    yield LoopChatHistory.promiseAddMessage(kRoomToken, kRoomKey,
+      extend({}, kMessage, { message: "Message " + i }));
+  }
+
+  let messages = yield LoopChatHistory.promiseMessages(kRoomToken, kRoomKey);
+
+  Assert.equal(messages.length, MAX_MESSAGES_PER_ROOM);
+  Assert.equal(messages[0].message, "Message 1");
+
+  yield LoopChatHistory.promiseClear(kRoomToken);
+});
+
+function run_test() {
+  LoopStorage.switchDatabase("chatHistoryTest");
+
+  do_register_cleanup(function() {
+    LoopStorage.switchDatabase();
+  });
+
+  run_next_test();
+}
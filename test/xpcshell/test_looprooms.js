@@ -8,6 +8,7 @@ Cu.import("resource://services-common/utils.js");
 Cu.import("resource:///modules/loop/LoopRooms.jsm");
 Cu.import("resource:///modules/Chat.jsm");
 Cu.import("resource://gre/modules/Promise.jsm");
+const loopCrypto = Cu.import("resource:///modules/loop/crypto.js", {}).LoopCrypto;
 
 timerHandlers.startTimer = callback => callback();
 
@@ -217,6 +218,7 @@ var gExpectedDeletes = [];
 var gExpectedJoins = {};
 var gExpectedLeaves = {};
 var gExpectedRefresh = false;
+var gLastRoomPatch = null;
 
 const onRoomAdded = function(e, room) {
   let expectedIds = gExpectedAdds.map(expectedRoom => expectedRoom.roomToken);
@@ -343,6 +345,10 @@ add_task(function* setup_server() {
         let data = getJSONData(req.bodyInputStream);
 
         Assert.ok("context" in data, "should have encrypted context");
+        gLastRoomPatch = data;
+        if ("expiresIn" in data) {
+          roomDetail.expiresAt = kCreateRoomData.expiresAt + data.expiresIn * 3600;
+        }
         // We return a fake encrypted name here as the context is
         // encrypted.
         returnRoomDetails(res, roomDetail, "fakeEncrypted");
@@ -540,6 +546,7 @@ add_task(function* test_joinRoom() {
   let joinedData = yield LoopRooms.promise("join", roomToken);
   Assert.equal(joinedData.action, "join");
   Assert.equal(joinedData.displayName, "fake@invalid.com");
+  Assert.equal(joinedData.clientMaxSize, 6);
 
   MozLoopServiceInternal.fxAOAuthTokenData = null;
   MozLoopServiceInternal.fxAOAuthProfile = null;
@@ -612,6 +619,58 @@ add_task(function* test_updateRoom_nameOnly() {
   Assert.equal(updateData.roomName, "fakeEncrypted", "should have set the new name");
 });
 
+add_task(function* test_updateRoom_organization() {
+  let roomToken = "_nxD4V4FflQ";
+  let updateData = yield LoopRooms.promise("update", roomToken, {
+    pinned: true,
+    folder: "Work"
+  });
+  Assert.equal(updateData.decryptedContext.pinned, true, "should have pinned the room");
+  Assert.equal(updateData.decryptedContext.folder, "Work",
+    "should have moved the room to the folder");
+
+  let sharedContext = JSON.parse(yield loopCrypto.decryptBytes(updateData.roomKey,
+    gLastRoomPatch.context.value));
+  Assert.ok(!("pinned" in sharedContext) && !("folder" in sharedContext),
+    "should not share the organization with guests");
+  let ownerContext = JSON.parse(yield loopCrypto.decryptBytes(kKey,
+    gLastRoomPatch.context.ownerValue));
+  Assert.deepEqual(ownerContext, { pinned: true, folder: "Work" },
+    "should have encrypted the organization with the profile key");
+});
+
+add_task(function* test_updateRoom_urls() {
+  let roomToken = "_nxD4V4FflQ";
+  let urls = [{
+    location: "http://example.com/first",
+    description: "First"
+  }, {
+    location: "http://example.com/second",
+    description: "Second"
+  }];
+  let updateData = yield LoopRooms.promise("update", roomToken, {
+    urls: urls
+  });
+  Assert.deepEqual(updateData.decryptedContext.urls, urls,
+    "should have stored all the urls in order");
+
+  updateData = yield LoopRooms.promise("update", roomToken, {
+    urls: []
+  });
+  Assert.ok(!("urls" in updateData.decryptedContext),
+    "should have removed the urls");
+});
+
+add_task(function* test_updateRoom_renewExpiry() {
+  let roomToken = "_nxD4V4FflQ";
+  let updateData = yield LoopRooms.promise("update", roomToken, {
+    expiresIn: 24
+  });
+  Assert.equal(updateData.expiresAt, kCreateRoomData.expiresAt + 24 * 3600,
+    "should have renewed the expiry time");
+  Assert.ok(!("expiresIn" in updateData), "should not keep the request value");
+});
+
 add_task(function* test_roomDeleteNotifications() {
   gExpectedDeletes.push("_nxD4V4FflQ");
   roomsPushNotification("5", kChannelGuest);
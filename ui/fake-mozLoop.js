@@ -111,6 +111,7 @@ var fakeRooms = [
    * @type {Object}
    */
   navigator.mozLoop = {
+    broadcastAction: function() {},
     ensureRegistered: function() {},
     getAudioBlob: function() {},
     getLoopPref: function(pref) {
@@ -125,6 +126,8 @@ var fakeRooms = [
     setLoopPref: function() {},
     releaseCallData: function() {},
     copyString: function() {},
+    saveFile: function() {},
+    setUnreadChatCount: function() {},
     getUserAvatar: function(emailAddress) {
       var avatarUrl = "http://www.gravatar.com/avatar/0a996f0fe2727ef1668bdb11897e4459.jpg?default=blank&s=40";
       return Math.ceil(Math.random() * 3) === 2 ? avatarUrl : null;
@@ -140,6 +143,12 @@ var fakeRooms = [
       getAll: function(version, callback) {
         callback(null, [].concat(fakeRooms));
       },
+      getChatHistory: function(roomToken, callback) {
+        callback(null, []);
+      },
+      saveChatMessage: function() {},
+      updateChatMessage: function() {},
+      clearChatHistory: function() {},
       on: function() {}
     },
     fxAEnabled: true,
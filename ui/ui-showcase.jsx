@@ -86,6 +86,10 @@
       // Dummy function to stop warnings.
     },
 
+    getTextChatPeerCount: function() {
+      return 1;
+    },
+
     sendTextChatMessage: function(actionData) {
       dispatcher.dispatch(new loop.shared.actions.ReceivedTextChatMessage({
         contentType: loop.shared.utils.CHAT_CONTENT_TYPES.TEXT,
@@ -120,9 +124,18 @@
       options.mediaConnected = true;
     }
 
+    // The remote video is displayed with a poster image, so there's no media
+    // element for the remote participant.
+    var remoteMedia = {
+      showcase: {
+        srcMediaElement: null,
+        videoEnabled: options.remoteVideoEnabled
+      }
+    };
+
     store.setStoreState({
       mediaConnected: options.mediaConnected,
-      remoteVideoEnabled: options.remoteVideoEnabled,
+      remoteMedia: remoteMedia,
       roomName: "A Very Long Conversation Name",
       roomState: options.roomState,
       used: !!options.roomUsed,
@@ -148,7 +161,7 @@
           remoteVideoDimensions: {
             camera: { height: 480, orientation: 0, width: 640 }
           },
-          remoteVideoEnabled: options.remoteVideoEnabled,
+          remoteMedia: remoteMedia,
           // Override the matchMedia, this is so that the correct version is
           // used for the frame.
           //